@@ -0,0 +1,94 @@
+// lib/abuse.js
+// Guards for the public /alert endpoint: per-IP / per-device rate limits and
+// a log of rejected reports for managers to review.
+const crypto = require("crypto");
+
+const REJECTED_TABLE = "rejected_reports";
+// Newest entries kept whatever their age, so a flood can't grow the table
+const REJECTED_MAX_RECORDS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixed-window counter. Kept in memory on purpose: it only has to stop bursts,
+// and touching the store on every scan would be slower than the abuse itself.
+function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map(); // key → { count, resetAt }
+
+  function hit(key, now = Date.now()) {
+    if (!key || !limit) return { allowed: true };
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    return {
+      allowed: entry.count <= limit,
+      retryAfterMs: Math.max(0, entry.resetAt - now),
+    };
+  }
+
+  // True when `key` has used up its limit this window (without counting a hit)
+  function blocked(key, now = Date.now()) {
+    const entry = hits.get(key);
+    return Boolean(limit && entry && entry.resetAt > now && entry.count >= limit);
+  }
+
+  function prune(now = Date.now()) {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+
+  return { hit, blocked, prune };
+}
+
+async function logRejectedReport(store, entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...entry,
+  };
+  console.warn(`🚫 Rejected report (${record.reason}):`, {
+    item: record.item,
+    location: record.location,
+    ip: record.ip,
+  });
+  try {
+    await store.putRecord(REJECTED_TABLE, record);
+  } catch (err) {
+    console.error("❌ Error logging rejected report:", err.message);
+  }
+  return record;
+}
+
+async function listRejectedReports(store, limit = 300) {
+  const records = await store.listRecords(REJECTED_TABLE);
+  return records.sort((a, b) => (a.at < b.at ? 1 : -1)).slice(0, limit);
+}
+
+// Deletes rejected reports older than retentionDays (0 keeps them) and any
+// beyond the newest REJECTED_MAX_RECORDS
+async function pruneRejectedReports(store, now = new Date(), { retentionDays = 30 } = {}) {
+  const cutoff = retentionDays > 0 ? new Date(now.getTime() - retentionDays * DAY_MS).toISOString() : "";
+  const records = (await store.listRecords(REJECTED_TABLE)).sort((a, b) => (a.at < b.at ? 1 : -1));
+  let removed = 0;
+  for (const [i, r] of records.entries()) {
+    if (i >= REJECTED_MAX_RECORDS || (cutoff && r.at < cutoff)) {
+      await store.deleteRecord(REJECTED_TABLE, r.id);
+      removed += 1;
+    }
+  }
+  if (removed) console.log(`🧹 Pruned ${removed} rejected report${removed === 1 ? "" : "s"}`);
+  return removed;
+}
+
+module.exports = {
+  REJECTED_TABLE,
+  createRateLimiter,
+  logRejectedReport,
+  listRejectedReports,
+  pruneRejectedReports,
+};
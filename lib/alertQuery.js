@@ -0,0 +1,135 @@
+// lib/alertQuery.js
+// Filters, free-text search, sorting and paging for the manager view and its
+// CSV export. Runs server-side over the full alert history.
+const { slugify } = require("./catalog");
+const { SEVERITIES, severityOf } = require("./severity");
+
+const SORT_FIELDS = ["time", "item", "status", "location", "shift"];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function isoDate(value) {
+  const s = String(value ?? "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) ? s : "";
+}
+
+// Raw query string → normalized filters; unknown values are dropped.
+// range: "today" (default), "all", or "custom" when from/to (business days,
+// inclusive) are given.
+function parseAlertQuery(query = {}) {
+  const text = (v) => String(v ?? "").trim();
+  const from = isoDate(query.from);
+  const to = isoDate(query.to);
+
+  let range = text(query.range).toLowerCase();
+  if (from || to) range = "custom";
+  else if (range !== "all") range = "today";
+
+  const pageSize = parseInt(query.pageSize, 10);
+
+  return {
+    range,
+    from,
+    to,
+    location: slugify(query.location || ""),
+    item: slugify(query.item || ""),
+    severity: SEVERITIES.includes(query.severity) ? query.severity : "",
+    shift: text(query.shift).toLowerCase(),
+    reporter: text(query.reporter).toLowerCase(),
+    q: text(query.q),
+    sort: SORT_FIELDS.includes(query.sort) ? query.sort : "time",
+    dir: query.dir === "asc" ? "asc" : "desc",
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    pageSize: pageSize > 0 ? Math.min(pageSize, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+  };
+}
+
+// Filters back to a query string, skipping defaults. `overrides` replaces
+// individual values (e.g. { page: 2 }).
+function toQueryString(filters, overrides = {}) {
+  const merged = { ...filters, ...overrides };
+  const defaults = parseAlertQuery({});
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(merged)) {
+    if (value === "" || value === null || value === undefined) continue;
+    if (key === "range" && (value === "custom" || value === defaults.range)) continue;
+    if (key !== "range" && value === defaults[key]) continue;
+    params.set(key, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+// Who sent it: staff name, IP / device
+function reporterText(a) {
+  return [a.reporter, a.ip, a.userAgent].join(" ").toLowerCase();
+}
+
+function searchText(a) {
+  return [a.item, a.location, a.qty, a.reporter, a.ip, a.userAgent].join(" ").toLowerCase();
+}
+
+// calendar: lib/businessDay createBusinessCalendar(); location filtering and
+// access are handled by the caller.
+function filterAlerts(alerts, filters, { calendar, now = new Date() }) {
+  const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return alerts.filter((a) => {
+    if (filters.range === "today" && !calendar.isToday(a, now)) return false;
+    if (filters.range === "custom") {
+      const day = calendar.businessDay(a);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+    }
+    if (filters.item && (a.itemSlug || slugify(a.item)) !== filters.item) return false;
+    if (filters.severity && severityOf(a.qty) !== filters.severity) return false;
+    if (filters.shift && calendar.shift(a) !== filters.shift) return false;
+    if (filters.reporter && !reporterText(a).includes(filters.reporter)) return false;
+    if (words.length) {
+      const text = searchText(a);
+      if (!words.every((w) => text.includes(w))) return false;
+    }
+    return true;
+  });
+}
+
+function sortAlerts(alerts, { sort, dir }, calendar) {
+  const keyOf = {
+    time: (a) => a.timestamp || "",
+    item: (a) => (a.item || "").toLowerCase(),
+    status: (a) => SEVERITIES.indexOf(severityOf(a.qty)),
+    location: (a) => (a.location || "").toLowerCase(),
+    shift: (a) => calendar.shift(a),
+  }[sort];
+  const sign = dir === "asc" ? 1 : -1;
+
+  // Ties fall back to newest first
+  return [...alerts].sort((a, b) => {
+    const ka = keyOf(a);
+    const kb = keyOf(b);
+    if (ka < kb) return -sign;
+    if (ka > kb) return sign;
+    return (b.timestamp || "").localeCompare(a.timestamp || "");
+  });
+}
+
+function paginate(list, { page, pageSize }) {
+  const pageCount = Math.max(1, Math.ceil(list.length / pageSize));
+  const current = Math.min(page, pageCount);
+  return {
+    rows: list.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageSize,
+    pageCount,
+    total: list.length,
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseAlertQuery,
+  toQueryString,
+  filterAlerts,
+  sortAlerts,
+  paginate,
+};
@@ -0,0 +1,262 @@
+// lib/alerts.js
+// The report pipeline shared by the QR endpoint and the JSON API:
+// validate → dedup → route + notify → arm escalation → store → webhooks
+// and live page updates.
+const crypto = require("crypto");
+const { getCatalog, resolveAlertInput, prettifyText } = require("./catalog");
+const { severityOf } = require("./severity");
+const { listRules, resolveTargets } = require("./routing");
+const { routingFallbackFor } = require("./locations");
+const {
+  SEVERITY_WORDS,
+  parseCount,
+  severityFromCount,
+  describeCount,
+  recordCount,
+} = require("./stock");
+
+function createAlertService({
+  store,
+  dispatcher,
+  escalations,
+  deduplicator,
+  webhooks = { emit: async () => [] },
+  live = { publish: () => {} },
+  privacy = { apply: (client) => client },
+  routingFallback = "all",
+  publicBaseUrl,
+}) {
+  // Catalog lookup only, for the /alert confirm step
+  async function resolveInput({ item = "unknown", location = "" }) {
+    const catalog = await getCatalog(store);
+    return resolveAlertInput(catalog, { item, location });
+  }
+
+  // Routing rules that match a resolved item/location at this severity
+  async function routeFor(resolved, severity) {
+    const rules = await listRules(store);
+    return resolveTargets(
+      rules,
+      {
+        category: resolved.item.category,
+        location: resolved.location?.slug || "",
+        severity,
+      },
+      { fallback: routingFallbackFor(resolved.location, routingFallback) }
+    );
+  }
+
+  // input: raw { item, qty, location } plus the client { ip, userAgent }, which
+  // are stored as REPORTER_PRIVACY allows (lib/privacy), and who sent it
+  // when known: `reporter` (display name) and `reporterId` (Clerk user id,
+  // "staff:<id>" from lib/staff, or "apikey:<name>").
+  // An optional on-hand `count` decides severity from the item's reorder/par
+  // level and updates stock levels (`userId` is who counted).
+  // Resolves to { ok: false, error } for unknown items/locations, otherwise
+  // { ok: true, alert, dedup, notified, quiet }.
+  async function reportAlert({
+    item = "unknown",
+    qty = "unknown",
+    count,
+    location = "",
+    ip = "",
+    userAgent = "",
+    userId = "",
+    reporter = "",
+    reporterId = "",
+  }) {
+    const catalog = await getCatalog(store);
+    const resolved = resolveAlertInput(catalog, { item, location });
+    if (!resolved.ok) {
+      console.warn(`🚫 Rejected alert: ${resolved.error}`);
+      return { ok: false, error: resolved.error };
+    }
+    const client = privacy.apply({ ip, userAgent });
+
+    const onHand = parseCount(count);
+    const countSeverity = onHand === null ? null : severityFromCount(onHand, resolved.item);
+    const severity = countSeverity || (onHand === 0 ? "out" : severityOf(qty));
+    const unit = resolved.item.unit || "";
+
+    const itemPretty = resolved.item.name;
+    const qtyPretty = countSeverity ? SEVERITY_WORDS[countSeverity] : prettifyText(qty);
+    const locationPretty = resolved.location ? resolved.location.name : "";
+    const locationSuffix = locationPretty ? ` (Location: ${locationPretty})` : "";
+
+    const key = `${resolved.item.slug}|${resolved.location?.slug || ""}`;
+    const now = new Date();
+
+    const alert = {
+      id: crypto.randomUUID(),
+      timestamp: now.toISOString(),
+      item: itemPretty,
+      qty: qtyPretty,
+      location: locationPretty,
+      severity,
+      itemSlug: resolved.item.slug,
+      locationSlug: resolved.location?.slug || "",
+      count: onHand,
+      unit: onHand === null ? "" : unit,
+      reporter,
+      reporterId,
+    };
+
+    if (onHand !== null) {
+      await recordCount(store, {
+        itemSlug: alert.itemSlug,
+        locationSlug: alert.locationSlug,
+        count: onHand,
+        unit,
+        userId: userId || reporterId || client.ip,
+      });
+    }
+
+    // A count above the reorder level is just a stock update: logged, but no
+    // notification, cooldown or escalation.
+    const quiet = countSeverity === "ok";
+    const dedup = quiet
+      ? { notify: false, reason: "above reorder level", foldedInto: "", foldedCount: 0 }
+      : await deduplicator.register({
+          key,
+          itemSlug: resolved.item.slug,
+          severity: alert.severity,
+          alertId: alert.id,
+          now,
+        });
+
+    // Tapping opens that location's checklist
+    const checklistQuery = alert.locationSlug
+      ? `?location=${encodeURIComponent(alert.locationSlug)}`
+      : "";
+    const countText = describeCount(onHand, unit);
+    const parText =
+      resolved.item.parLevel !== null && resolved.item.parLevel !== undefined
+        ? `, par ${resolved.item.parLevel}`
+        : "";
+    const countSuffix = countText ? ` (${countText} left${parText})` : "";
+    const message = {
+      heading: "Inventory Alert",
+      body: `Inventory Alert${locationSuffix}: ${itemPretty} is ${qtyPretty}${countSuffix}. Please restock.`,
+      url: `${publicBaseUrl}/checklist${checklistQuery}`,
+    };
+
+    // 1) Notify (push / SMS / email per recipient; tap opens checklist)
+    let notified = false;
+    if (quiet) {
+      console.log(`ℹ️ Count for ${key} is above its reorder level; logged without notifying.`);
+    } else if (!dedup.notify) {
+      console.log(
+        `⏱ Cooldown active, not notifying for ${key} (${dedup.foldedCount} folded into ${dedup.foldedInto})`
+      );
+    } else {
+      console.log(`🔔 Notifying for ${key}: ${dedup.reason}`);
+      const { matchedRules, targets } = await routeFor(resolved, alert.severity);
+
+      if (targets.length === 0) {
+        console.log(`🔕 No routing rule matched ${key}; not notifying.`);
+      } else {
+        console.log(
+          `📬 Routing ${key} via ${matchedRules.map((r) => r.name).join(", ") || "fallback"}`
+        );
+        await dispatcher.notifyAlert({ alert, targets, message });
+        notified = true;
+      }
+    }
+
+    // Escalate if nobody acknowledges it (persisted; see /admin/escalation)
+    if (!quiet) await escalations.startForAlert({ key, alert, message });
+
+    // 2) Log to alert store
+    await store.appendAlert({
+      id: alert.id,
+      timestamp: alert.timestamp,
+      item: itemPretty,
+      qty: qtyPretty,
+      location: locationPretty,
+      ip: client.ip,
+      userAgent: client.userAgent,
+      itemSlug: alert.itemSlug,
+      locationSlug: alert.locationSlug,
+      dedupOf: dedup.foldedInto || "",
+      count: alert.count,
+      unit: alert.unit,
+      reporter,
+      reporterId,
+    });
+
+    // 3) Webhooks get the same events managers get notified about
+    if (!quiet && dedup.notify) await webhooks.emit("alert.created", { ...alert, url: message.url });
+    // Open /checklist and /manager pages pick up every logged report
+    live.publish("alert", { ...alert, duplicate: !dedup.notify });
+
+    return { ok: true, alert, dedup, notified, quiet };
+  }
+
+  // One line of a count sheet. Counts at or above the reorder level only
+  // update stock levels; low/out counts go through reportAlert.
+  // Resolves to { ok: false, error } or { ok: true, severity, reported, ... }.
+  async function submitCount({
+    item,
+    location = "",
+    count,
+    ip = "",
+    userAgent = "",
+    userId = "",
+    reporter = "",
+  }) {
+    const onHand = parseCount(count);
+    if (onHand === null) return { ok: false, error: `Count for "${item}" must be a number.` };
+
+    const resolved = await resolveInput({ item, location });
+    if (!resolved.ok) return { ok: false, error: resolved.error };
+
+    const severity = severityFromCount(onHand, resolved.item) || (onHand === 0 ? "out" : "ok");
+    if (severity === "ok") {
+      await recordCount(store, {
+        itemSlug: resolved.item.slug,
+        locationSlug: resolved.location?.slug || "",
+        count: onHand,
+        unit: resolved.item.unit,
+        userId: userId || privacy.apply({ ip }).ip,
+      });
+      return { ok: true, severity, reported: false };
+    }
+
+    const result = await reportAlert({
+      item,
+      location,
+      qty: severity,
+      count: onHand,
+      ip,
+      userAgent,
+      userId,
+      reporter,
+      reporterId: userId,
+    });
+    return { ...result, severity, reported: result.ok };
+  }
+
+  // A note or photo added to a report afterwards (lib/attachments) goes to
+  // whoever the report is routed to, without escalation or fallbacks.
+  // text: notification body; url: where tapping it goes. Resolves to true
+  // when anyone was notified.
+  async function sendFollowUp({ alert, text, url }) {
+    const resolved = await resolveInput({ item: alert.itemSlug, location: alert.locationSlug });
+    if (!resolved.ok) return false;
+    const { targets } = await routeFor(resolved, alert.severity);
+    if (targets.length === 0) return false;
+
+    await dispatcher.notifyAlert({
+      alert,
+      targets,
+      message: { heading: "Inventory Alert", body: text, url },
+      reason: "follow-up",
+      scheduleFallbacks: false,
+    });
+    return true;
+  }
+
+  return { resolveInput, reportAlert, submitCount, sendFollowUp };
+}
+
+module.exports = { createAlertService };
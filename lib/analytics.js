@@ -0,0 +1,220 @@
+// lib/analytics.js
+// Aggregates over the alert history for /manager/analytics and
+// GET /api/v1/analytics: what runs out, where, when, and how fast it's fixed.
+const { severityOf } = require("./severity");
+const { keyOf, isLowReport } = require("./checklist");
+const { WEEKDAYS } = require("./businessDay");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_ITEMS = 8;
+
+// "YYYY-MM-DD" ± n days
+function addDays(date, n) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function countBy(list, keyOf) {
+  const counts = new Map();
+  for (const x of list) {
+    const key = keyOf(x);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+function topEntries(counts, limit) {
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, limit);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function roundMinutes(value) {
+  return value === null ? null : Math.round(value);
+}
+
+// Restock episodes: from the first low/out report for an item|location until
+// the next "restocked" status. Reports while it's still open belong to the
+// same episode.
+function restockEpisodes(alerts, statusesByKey) {
+  const byKey = new Map();
+  for (const a of alerts) {
+    if (!isLowReport(a.qty)) continue;
+    const key = keyOf(a);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(a);
+  }
+
+  const episodes = [];
+  for (const [key, reports] of byKey) {
+    reports.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const restocks = (statusesByKey.get(key)?.history || [])
+      .filter((h) => h.status === "restocked")
+      .map((h) => h.at)
+      .sort();
+
+    let i = 0;
+    while (i < reports.length) {
+      const start = reports[i];
+      const resolvedAt = restocks.find((at) => at >= start.timestamp) || null;
+      episodes.push({
+        item: start.item,
+        location: start.location,
+        startedAt: start.timestamp,
+        resolvedAt,
+        minutes: resolvedAt ? (Date.parse(resolvedAt) - Date.parse(start.timestamp)) / 60000 : null,
+      });
+      if (!resolvedAt) break;
+      while (i < reports.length && reports[i].timestamp <= resolvedAt) i += 1;
+    }
+  }
+  return episodes;
+}
+
+// alerts: already narrowed to the locations the caller may see.
+// calendar: lib/businessDay createBusinessCalendar(). days: window length.
+function buildAnalytics(alerts, statusesByKey, { calendar, now = new Date(), days = 28 }) {
+  const nowMs = now.getTime();
+  // Window ends on today's business day in the default time zone
+  const to = calendar.businessDay({ timestamp: now.toISOString() });
+  const from = addDays(to, -(days - 1));
+  const dayList = Array.from({ length: days }, (_, i) => addDays(from, i));
+
+  const inWindow = alerts.filter((a) => {
+    const day = calendar.businessDay(a);
+    return day >= from && day <= to;
+  });
+
+  // Reports per item per business day (top items by volume)
+  const itemTotals = countBy(inWindow, (a) => a.item || "Unknown");
+  const perItemDaily = topEntries(itemTotals, TOP_ITEMS).map(([item, total]) => {
+    const byDay = countBy(
+      inWindow.filter((a) => (a.item || "Unknown") === item),
+      (a) => calendar.businessDay(a)
+    );
+    return { item, total, counts: dayList.map((d) => byDay.get(d) || 0) };
+  });
+
+  // Most frequently "out" items per location
+  const outs = inWindow.filter((a) => severityOf(a.qty) === "out");
+  const outByLocation = new Map();
+  for (const a of outs) {
+    const location = a.location || "";
+    if (!outByLocation.has(location)) outByLocation.set(location, []);
+    outByLocation.get(location).push(a);
+  }
+  const mostOutByLocation = [...outByLocation.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([location, list]) => ({
+      location,
+      total: list.length,
+      items: topEntries(countBy(list, (a) => a.item || "Unknown"), 5).map(([item, count]) => ({
+        item,
+        count,
+      })),
+    }));
+
+  // Reports per reporter (named ones only; the rest are counted as anonymous)
+  const byReporter = new Map();
+  for (const a of inWindow.filter((a) => a.reporterId)) {
+    if (!byReporter.has(a.reporterId)) byReporter.set(a.reporterId, []);
+    byReporter.get(a.reporterId).push(a);
+  }
+  const reporters = {
+    anonymous: inWindow.filter((a) => !a.reporterId).length,
+    people: [...byReporter.entries()]
+      .map(([reporterId, list]) => ({
+        reporterId,
+        // Newest name wins if someone was renamed
+        reporter: list.reduce((latest, a) => (a.timestamp > latest.timestamp ? a : latest)).reporter || reporterId,
+        total: list.length,
+        out: list.filter((a) => severityOf(a.qty) === "out").length,
+        low: list.filter((a) => severityOf(a.qty) === "low").length,
+      }))
+      .sort((a, b) => b.total - a.total || a.reporter.localeCompare(b.reporter)),
+  };
+
+  // Day-of-week × hour on each location's own clock
+  const heatmap = WEEKDAYS.map(() => Array(24).fill(0));
+  for (const a of inWindow) {
+    const { weekday, minutes } = calendar.localTime(a);
+    if (weekday >= 0) heatmap[weekday][Math.floor(minutes / 60)] += 1;
+  }
+
+  // Time from first low report to restocked, for episodes starting in the window
+  const episodes = restockEpisodes(alerts, statusesByKey).filter((e) => {
+    const day = calendar.businessDay({ ...e, timestamp: e.startedAt });
+    return day >= from && day <= to;
+  });
+  const resolvedMinutes = episodes.filter((e) => e.minutes !== null).map((e) => e.minutes);
+  const episodesByItem = new Map();
+  for (const e of episodes) {
+    if (!episodesByItem.has(e.item)) episodesByItem.set(e.item, []);
+    episodesByItem.get(e.item).push(e);
+  }
+  const timeToResolution = {
+    episodes: episodes.length,
+    resolved: resolvedMinutes.length,
+    meanMinutes: roundMinutes(mean(resolvedMinutes)),
+    medianMinutes: roundMinutes(median(resolvedMinutes)),
+    byItem: [...episodesByItem.entries()]
+      .map(([item, list]) => {
+        const minutes = list.filter((e) => e.minutes !== null).map((e) => e.minutes);
+        return {
+          item,
+          episodes: list.length,
+          resolved: minutes.length,
+          meanMinutes: roundMinutes(mean(minutes)),
+        };
+      })
+      .sort((a, b) => (b.meanMinutes ?? -1) - (a.meanMinutes ?? -1)),
+  };
+
+  // Last 7 days vs the 7 before (rolling, not calendar weeks)
+  const ageOf = (a) => nowMs - Date.parse(a.timestamp);
+  const thisWeek = alerts.filter((a) => ageOf(a) >= 0 && ageOf(a) < 7 * DAY_MS);
+  const lastWeek = alerts.filter((a) => ageOf(a) >= 7 * DAY_MS && ageOf(a) < 14 * DAY_MS);
+  const thisCounts = countBy(thisWeek, (a) => a.item || "Unknown");
+  const lastCounts = countBy(lastWeek, (a) => a.item || "Unknown");
+  const change = (current, previous) =>
+    previous ? Math.round(((current - previous) / previous) * 100) : null;
+  const weekOverWeek = {
+    thisWeek: thisWeek.length,
+    lastWeek: lastWeek.length,
+    changePercent: change(thisWeek.length, lastWeek.length),
+    items: [...new Set([...thisCounts.keys(), ...lastCounts.keys()])]
+      .map((item) => ({
+        item,
+        thisWeek: thisCounts.get(item) || 0,
+        lastWeek: lastCounts.get(item) || 0,
+        changePercent: change(thisCounts.get(item) || 0, lastCounts.get(item) || 0),
+      }))
+      .sort((a, b) => b.thisWeek - a.thisWeek || a.item.localeCompare(b.item)),
+  };
+
+  return {
+    window: { from, to, days: dayList.length },
+    totals: {
+      reports: inWindow.length,
+      low: inWindow.filter((a) => severityOf(a.qty) === "low").length,
+      out: outs.length,
+    },
+    days: dayList,
+    perItemDaily,
+    mostOutByLocation,
+    reporters,
+    heatmap: { weekdays: WEEKDAYS, hours: 24, counts: heatmap },
+    timeToResolution,
+    weekOverWeek,
+  };
+}
+
+module.exports = { restockEpisodes, buildAnalytics };
@@ -0,0 +1,71 @@
+// lib/apiKeys.js
+// API keys for the JSON API. Tokens look like `ia_<id>_<secret>`; only a
+// SHA-256 of the secret is stored, so a key can be shown exactly once.
+const crypto = require("crypto");
+const { normalizeRole } = require("./roles");
+
+const KEYS_TABLE = "api_keys";
+const LAST_USED_WRITE_MS = 5 * 60 * 1000; // don't rewrite lastUsedAt on every call
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function parseToken(token = "") {
+  const match = String(token).trim().match(/^ia_([a-f0-9]{16})_([A-Za-z0-9_-]{20,})$/);
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+async function listApiKeys(store) {
+  const keys = await store.listRecords(KEYS_TABLE);
+  return keys.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+async function createApiKey(store, { name, role }, userId) {
+  const normalizedRole = normalizeRole(role);
+  if (!normalizedRole) throw new Error("A valid role is required");
+  if (!String(name || "").trim()) throw new Error("A key name is required");
+
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+
+  const record = await store.putRecord(KEYS_TABLE, {
+    id,
+    name: String(name).trim(),
+    role: normalizedRole,
+    hash: hashSecret(secret),
+    createdBy: userId,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: "",
+  });
+
+  return { record, token: `ia_${id}_${secret}` };
+}
+
+function revokeApiKey(store, id) {
+  return store.deleteRecord(KEYS_TABLE, id);
+}
+
+// Resolves to the key record, or null if the token is unknown/wrong
+async function verifyApiKey(store, token) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+
+  const record = (await store.listRecords(KEYS_TABLE)).find((k) => k.id === parsed.id);
+  if (!record) return null;
+
+  const expected = Buffer.from(record.hash, "hex");
+  const actual = Buffer.from(hashSecret(parsed.secret), "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  const lastUsed = Date.parse(record.lastUsedAt || 0) || 0;
+  if (Date.now() - lastUsed > LAST_USED_WRITE_MS) {
+    store.putRecord(KEYS_TABLE, { ...record, lastUsedAt: new Date().toISOString() }).catch((err) => {
+      console.error("❌ Error updating API key lastUsedAt:", err.message);
+    });
+  }
+
+  return record;
+}
+
+module.exports = { listApiKeys, createApiKey, revokeApiKey, verifyApiKey };
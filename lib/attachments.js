@@ -0,0 +1,159 @@
+// lib/attachments.js
+// Notes and photos staff add to a report after sending it (the follow-up form
+// on the /alert confirmation card). Records live in the record store; photos
+// go to the blob store (lib/blobs) as a re-encoded JPEG plus a thumbnail, so
+// EXIF data (GPS position, phone model) never leaves the upload.
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const ATTACHMENTS_TABLE = "alert_attachments";
+
+const NOTE_MAX_LENGTH = 500;
+// Per report, so one phone can't keep pushing follow-up notifications
+const MAX_PER_ALERT = 3;
+// Formats sharp reads that phones actually produce (HEIF covers iPhone HEIC)
+const PHOTO_FORMATS = new Set(["jpeg", "png", "webp", "heif", "gif"]);
+const PHOTO_MAX_SIDE = 1600;
+// Decoding cap for sharp: room for a 48 MP phone photo, but a small file that
+// claims huge dimensions (a decompression bomb) is refused before decoding
+const MAX_INPUT_PIXELS = 100_000_000;
+const THUMB_SIDE = 320;
+
+// store: lib/storage; blobs: lib/blobs
+function createAttachmentService({ store, blobs }) {
+  // Adds for the same report run one at a time, so two uploads at once can't
+  // both pass the MAX_PER_ALERT check
+  const queues = new Map();
+
+  function queueFor(alertId, fn) {
+    const result = (queues.get(alertId) || Promise.resolve()).then(fn);
+    const settled = result.then(() => {}, () => {});
+    queues.set(alertId, settled);
+    settled.then(() => {
+      if (queues.get(alertId) === settled) queues.delete(alertId);
+    });
+    return result;
+  }
+
+  async function listAll() {
+    return store.listRecords(ATTACHMENTS_TABLE);
+  }
+
+  async function getAttachment(id) {
+    if (!id) return null;
+    return (await listAll()).find((a) => a.id === id) || null;
+  }
+
+  // alertIds: iterable of report ids → Map(alertId → attachments, oldest first)
+  async function listForAlerts(alertIds) {
+    const wanted = new Set(alertIds);
+    const byAlert = new Map();
+    const attachments = (await listAll())
+      .filter((a) => wanted.has(a.alertId))
+      .sort((a, b) => (a.at < b.at ? -1 : 1));
+    for (const a of attachments) {
+      if (!byAlert.has(a.alertId)) byAlert.set(a.alertId, []);
+      byAlert.get(a.alertId).push(a);
+    }
+    return byAlert;
+  }
+
+  // Throws with a message staff can read when the file isn't a usable photo
+  async function processPhoto(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (err) {
+      throw new Error("That file isn’t a photo we can read. Please try a JPEG or PNG.");
+    }
+    if (!PHOTO_FORMATS.has(metadata.format)) {
+      throw new Error(`${String(metadata.format || "That").toUpperCase()} files aren’t supported. Please send a JPEG or PNG photo.`);
+    }
+    if ((metadata.width || 0) * (metadata.height || 0) > MAX_INPUT_PIXELS) {
+      throw new Error("That photo is too large. Please send a smaller one.");
+    }
+
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const full = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: PHOTO_MAX_SIDE, height: PHOTO_MAX_SIDE, fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    const thumb = await sharp(full.data, { limitInputPixels: MAX_INPUT_PIXELS })
+      .resize({ width: THUMB_SIDE, height: THUMB_SIDE, fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    return { full, thumb };
+  }
+
+  // alert: the report as returned by reportAlert; note: free text;
+  // photo: { buffer } from the upload, or null. Throws on invalid input.
+  async function addAttachment({ alert, note = "", photo = null, reporter = "", reporterId = "" }) {
+    const text = String(note || "").trim();
+    if (text.length > NOTE_MAX_LENGTH) throw new Error(`Notes can be up to ${NOTE_MAX_LENGTH} characters.`);
+    if (!text && !photo) throw new Error("Add a note or a photo first.");
+
+    return queueFor(alert.id, () => storeAttachment({ alert, text, photo, reporter, reporterId }));
+  }
+
+  async function storeAttachment({ alert, text, photo, reporter, reporterId }) {
+    const existing = (await listAll()).filter((a) => a.alertId === alert.id);
+    if (existing.length >= MAX_PER_ALERT) {
+      throw new Error(`This report already has ${MAX_PER_ALERT} follow-ups. Please tell a manager directly.`);
+    }
+
+    const id = crypto.randomUUID();
+    const processed = photo ? await processPhoto(photo.buffer) : null;
+    const written = [];
+    try {
+      let stored = null;
+      if (processed) {
+        const { full, thumb } = processed;
+        const key = `photos/${id}.jpg`;
+        const thumbKey = `photos/${id}-thumb.jpg`;
+        await blobs.put(key, full.data, "image/jpeg");
+        written.push(key);
+        await blobs.put(thumbKey, thumb, "image/jpeg");
+        written.push(thumbKey);
+        stored = { key, thumbKey, width: full.info.width, height: full.info.height, size: full.info.size };
+      }
+
+      return await store.putRecord(ATTACHMENTS_TABLE, {
+        id,
+        alertId: alert.id,
+        item: alert.item,
+        itemSlug: alert.itemSlug,
+        location: alert.location,
+        locationSlug: alert.locationSlug,
+        note: text,
+        photo: stored,
+        reporter,
+        reporterId,
+        at: new Date().toISOString(),
+      });
+    } catch (err) {
+      // No record points at these photos, so nothing would ever delete them
+      for (const key of written) {
+        await blobs.remove(key).catch((removeErr) => console.error(`❌ Error removing blob ${key}:`, removeErr.message));
+      }
+      throw err;
+    }
+  }
+
+  // size: "full" | "thumb" → { buffer, contentType } or null
+  async function readPhoto(attachment, size = "full") {
+    if (!attachment?.photo) return null;
+    return blobs.get(size === "thumb" ? attachment.photo.thumbKey : attachment.photo.key);
+  }
+
+  return { getAttachment, listForAlerts, addAttachment, readPhoto };
+}
+
+// One line for notifications: `📎 Note on Oat Milk (Front Counter): "…" · photo attached`
+function describeAttachment(attachment) {
+  const where = attachment.location ? ` (${attachment.location})` : "";
+  if (!attachment.note) return `📎 Photo added to the ${attachment.item}${where} report`;
+  return `📎 Note on ${attachment.item}${where}: "${attachment.note}"${attachment.photo ? " · photo attached" : ""}`;
+}
+
+module.exports = { ATTACHMENTS_TABLE, NOTE_MAX_LENGTH, createAttachmentService, describeAttachment };
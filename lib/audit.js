@@ -0,0 +1,175 @@
+// lib/audit.js
+// Append-only audit trail of authenticated actions: who looked at or exported
+// alert data (which holds staff IPs and user agents), and who changed the
+// catalog, settings, roles, orders or checklist. Entries are never edited;
+// the retention prune is the only thing that deletes them.
+const crypto = require("crypto");
+
+const AUDIT_TABLE = "audit_log";
+
+// Last path segment → action verb for writes (POST /catalog/items/x/delete
+// is "catalog.delete"); anything else is a "save"
+const CHANGE_VERBS = new Set(["delete", "revoke", "retry", "test", "status", "lines", "generate", "send", "schedule"]);
+
+// Form fields that never go into an entry's details (webhook URLs carry
+// their own credentials)
+const SECRET_FIELD = /secret|token|password|^pin$|^url$/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The same person viewing the same page (same query) again within this window
+// is recorded once: /checklist and /manager refetch themselves on every live
+// update. Exports and writes are always recorded.
+const VIEW_REPEAT_MS = 5 * 60 * 1000;
+
+// Form body or query string, trimmed down for the log
+function summarize(fields) {
+  const details = {};
+  for (const [name, value] of Object.entries(fields || {})) {
+    if (SECRET_FIELD.test(name)) details[name] = "[redacted]";
+    else details[name] = String(Array.isArray(value) ? value.join(", ") : value ?? "").slice(0, 200);
+  }
+  return details;
+}
+
+// action(req) for a mounted router: "<area>.<verb>" for writes, and
+// "<area>.view" for reads when `reads` is set ("" = not recorded)
+function actionFor(area, { reads = false } = {}) {
+  return (req) => {
+    if (req.method === "GET" || req.method === "HEAD") return reads ? `${area}.view` : "";
+    const verb = req.path.split("/").filter(Boolean).pop();
+    return `${area}.${CHANGE_VERBS.has(verb) ? verb : "save"}`;
+  };
+}
+
+// retentionDays: entries older than this are pruned (0 keeps them forever)
+function createAuditLog({ store, retentionDays = 365 }) {
+  const recentViews = new Map(); // "actor|action|url" → last recorded (ms)
+
+  async function record(entry) {
+    const full = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      actor: "",
+      action: "",
+      target: "",
+      method: "",
+      path: "",
+      status: null,
+      ip: "",
+      userAgent: "",
+      details: {},
+      ...entry,
+    };
+    try {
+      await store.putRecord(AUDIT_TABLE, full);
+    } catch (err) {
+      console.error("❌ Error writing audit log:", err.message);
+    }
+    return full;
+  }
+
+  // True when this view was already recorded within VIEW_REPEAT_MS
+  function isRepeatView(actor, name, url, now = Date.now()) {
+    const key = `${actor}|${name}|${url}`;
+    const last = recentViews.get(key);
+    if (last !== undefined && now - last < VIEW_REPEAT_MS) return true;
+    recentViews.set(key, now);
+    return false;
+  }
+
+  // Middleware: records `action` once the response is sent, with the signed-in
+  // user (or API key) as actor. `action` and `target` may be functions of req.
+  // Requests without an actor (sign-in redirects) and repeat page views (see
+  // VIEW_REPEAT_MS) are skipped. Event streams (/live) never "finish"; they
+  // are recorded when the client disconnects.
+  function track(action, { target = "" } = {}) {
+    return function (req, res, next) {
+      const name = typeof action === "function" ? action(req) : action;
+      if (!name) return next();
+
+      const path = req.originalUrl.split("?")[0];
+      const isRead = req.method === "GET" || req.method === "HEAD";
+      let done = false;
+      const onEnd = () => {
+        if (done) return;
+        done = true;
+        const actor = req.actor || req.clerkAuth?.userId || "";
+        if (!actor) return;
+        if (isRead && name.endsWith(".view") && isRepeatView(actor, name, req.originalUrl)) return;
+        record({
+          actor,
+          action: name,
+          target: (typeof target === "function" ? target(req) : target) || path,
+          method: req.method,
+          path,
+          status: res.statusCode,
+          ip: req.ip || "",
+          userAgent: req.get("user-agent") || "",
+          details: summarize(isRead ? req.query : req.body),
+        });
+      };
+      res.on("finish", onEnd);
+      res.on("close", onEnd);
+      next();
+    };
+  }
+
+  // Newest first. Filters: actor, action (exact), from/to (YYYY-MM-DD, UTC),
+  // q (text in target or details)
+  async function list({ actor = "", action = "", from = "", to = "", q = "" } = {}) {
+    const needle = q.trim().toLowerCase();
+    return (await store.listRecords(AUDIT_TABLE))
+      .filter((e) => !actor || e.actor === actor)
+      .filter((e) => !action || e.action === action)
+      .filter((e) => !from || e.at.slice(0, 10) >= from)
+      .filter((e) => !to || e.at.slice(0, 10) <= to)
+      .filter(
+        (e) => !needle || `${e.target} ${JSON.stringify(e.details || {})}`.toLowerCase().includes(needle)
+      )
+      .sort((a, b) => (a.at < b.at ? 1 : -1));
+  }
+
+  async function prune(now = new Date()) {
+    for (const [key, at] of recentViews) {
+      if (now.getTime() - at >= VIEW_REPEAT_MS) recentViews.delete(key);
+    }
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+    let removed = 0;
+    for (const e of await store.listRecords(AUDIT_TABLE)) {
+      if (e.at < cutoff) {
+        await store.deleteRecord(AUDIT_TABLE, e.id);
+        removed += 1;
+      }
+    }
+    if (removed) console.log(`🧹 Pruned ${removed} audit entr${removed === 1 ? "y" : "ies"} older than ${retentionDays} days`);
+    return removed;
+  }
+
+  return { record, track, list, prune, retentionDays };
+}
+
+function csvCell(value) {
+  return `"${String(value ?? "").replace(/"/g, '""')}"`;
+}
+
+function auditCsv(entries) {
+  const rows = [
+    ["Time", "Actor", "Action", "Target", "Method", "Path", "Status", "IP", "User Agent", "Details"],
+    ...entries.map((e) => [
+      e.at,
+      e.actor,
+      e.action,
+      e.target,
+      e.method,
+      e.path,
+      e.status ?? "",
+      e.ip,
+      e.userAgent,
+      JSON.stringify(e.details || {}),
+    ]),
+  ];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+}
+
+module.exports = { AUDIT_TABLE, actionFor, createAuditLog, auditCsv };
@@ -0,0 +1,52 @@
+// lib/blobs/fileBlobs.js
+// Blobs as plain files under one directory. Fine for a single server with a
+// persistent disk; use the GCS backend where the disk is wiped on deploy.
+const fs = require("fs");
+const path = require("path");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+function createFileBlobStore({ dir, checkKey }) {
+  function fileFor(key) {
+    return path.join(dir, ...checkKey(key).split("/"));
+  }
+
+  // Written to a temp file and renamed, like the JSON record store
+  async function put(key, buffer) {
+    const file = fileFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, buffer);
+    await fs.promises.rename(tmp, file);
+  }
+
+  async function get(key) {
+    const file = fileFor(key);
+    try {
+      const buffer = await fs.promises.readFile(file);
+      return { buffer, contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream" };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function remove(key) {
+    try {
+      await fs.promises.unlink(fileFor(key));
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+  }
+
+  return { name: "file", put, get, remove };
+}
+
+module.exports = { createFileBlobStore };
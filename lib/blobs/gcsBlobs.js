@@ -0,0 +1,60 @@
+// lib/blobs/gcsBlobs.js
+// Blobs in a Google Cloud Storage bucket, using the service account the
+// Sheets store already has (it needs Storage Object Admin on the bucket).
+const { Readable } = require("stream");
+const { google } = require("googleapis");
+
+function createGcsBlobStore({ bucket, serviceAccountJson, checkKey }) {
+  let storageClient = null;
+
+  async function getClient() {
+    if (storageClient) return storageClient;
+
+    const auth = new google.auth.GoogleAuth({
+      credentials: JSON.parse(serviceAccountJson),
+      scopes: ["https://www.googleapis.com/auth/devstorage.read_write"],
+    });
+    storageClient = google.storage({ version: "v1", auth: await auth.getClient() });
+    console.log("✅ Google Cloud Storage client initialized");
+    return storageClient;
+  }
+
+  async function put(key, buffer, contentType) {
+    const storage = await getClient();
+    await storage.objects.insert({
+      bucket,
+      name: checkKey(key),
+      requestBody: { name: key, contentType },
+      media: { mimeType: contentType, body: Readable.from(buffer) },
+    });
+  }
+
+  async function get(key) {
+    const storage = await getClient();
+    try {
+      const res = await storage.objects.get(
+        { bucket, object: checkKey(key), alt: "media" },
+        { responseType: "arraybuffer" }
+      );
+      return { buffer: Buffer.from(res.data), contentType: res.headers["content-type"] || "application/octet-stream" };
+    } catch (err) {
+      if (err.code === 404) return null;
+      throw err;
+    }
+  }
+
+  async function remove(key) {
+    const storage = await getClient();
+    try {
+      await storage.objects.delete({ bucket, object: checkKey(key) });
+      return true;
+    } catch (err) {
+      if (err.code === 404) return false;
+      throw err;
+    }
+  }
+
+  return { name: "gcs", put, get, remove };
+}
+
+module.exports = { createGcsBlobStore };
@@ -0,0 +1,47 @@
+// lib/blobs/index.js
+// Storage for uploaded files (report photos). Every backend exposes the same
+// interface:
+//   name                           – backend id ("file" | "gcs")
+//   put(key, buffer, contentType)  – store one blob under a key like "photos/<id>.jpg"
+//   get(key)                       – resolves to { buffer, contentType }, or null if missing
+//   remove(key)                    – delete a blob; resolves to true if it existed
+const path = require("path");
+const { createFileBlobStore } = require("./fileBlobs");
+const { createGcsBlobStore } = require("./gcsBlobs");
+
+// Keys are generated by us, but never let one escape the store
+function checkKey(key) {
+  if (!/^[A-Za-z0-9_-]+(\/[A-Za-z0-9_.-]+)*$/.test(key) || key.includes("..")) {
+    throw new Error(`Invalid blob key "${key}"`);
+  }
+  return key;
+}
+
+// BLOB_STORE=file|gcs picks a backend. "gcs" is a Google Cloud Storage
+// bucket (GCS_BUCKET) reached with the same service account as Sheets;
+// otherwise files go under BLOB_DIR (default: <DATA_DIR>/blobs).
+function createBlobStore(env = process.env) {
+  const requested = (env.BLOB_STORE || "file").toLowerCase();
+  const dataDir = env.DATA_DIR || path.join(__dirname, "..", "..", "data");
+
+  if (requested === "gcs") {
+    if (!env.GCS_BUCKET || !env.GOOGLE_SERVICE_ACCOUNT_JSON) {
+      console.warn("⚠️ BLOB_STORE=gcs but GCS_BUCKET / GOOGLE_SERVICE_ACCOUNT_JSON are missing; using local files.");
+    } else {
+      console.log(`✅ Blob storage: Google Cloud Storage (${env.GCS_BUCKET})`);
+      return createGcsBlobStore({
+        bucket: env.GCS_BUCKET,
+        serviceAccountJson: env.GOOGLE_SERVICE_ACCOUNT_JSON,
+        checkKey,
+      });
+    }
+  } else if (requested !== "file") {
+    console.warn(`⚠️ Unknown BLOB_STORE "${requested}"; using local files.`);
+  }
+
+  const dir = env.BLOB_DIR || path.join(dataDir, "blobs");
+  console.log(`✅ Blob storage: local files (${dir})`);
+  return createFileBlobStore({ dir, checkKey });
+}
+
+module.exports = { createBlobStore };
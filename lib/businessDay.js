@@ -0,0 +1,152 @@
+// lib/businessDay.js
+// "Today" and shifts in each location's own time zone. A business day runs
+// from the cutoff hour (e.g. 4am) to the same hour the next day, so late-night
+// reports count toward the evening they belong to.
+const { locationSlugOf } = require("./locations");
+
+// "open=05:00, mid=11:00, close=16:00" → [{ name, start (minutes) }] by start.
+// Each shift runs until the next one starts; the last wraps past midnight.
+function parseShifts(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,\n]/);
+  return list
+    .map((pair) => {
+      const [name, time = ""] = String(pair).split("=").map((s) => s.trim());
+      const match = time.match(/^(\d{1,2}):(\d{2})$/);
+      if (!name || !match) return null;
+      const hours = Number(match[1]);
+      const minutes = Number(match[2]);
+      if (hours > 23 || minutes > 59) return null;
+      return { name: name.toLowerCase(), start: hours * 60 + minutes };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+function formatShifts(shifts) {
+  return shifts
+    .map((s) => {
+      const hh = String(Math.floor(s.start / 60)).padStart(2, "0");
+      const mm = String(s.start % 60).padStart(2, "0");
+      return `${s.name}=${hh}:${mm}`;
+    })
+    .join(", ");
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Blank means "not set" (null), not midnight: Number("") is 0
+function parseCutoffHour(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= 23 ? n : null;
+}
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const formatters = new Map();
+
+// Wall-clock parts of `date` in `timeZone` (weekday: 0 = Monday)
+function zonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        weekday: "short",
+      })
+    );
+  }
+  const parts = {};
+  for (const p of formatters.get(timeZone).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// "YYYY-MM-DD" of the business day a timestamp falls in
+function businessDayOf(timestamp, { timeZone, cutoffHour }) {
+  const shifted = new Date(new Date(timestamp).getTime() - cutoffHour * 60 * 60 * 1000);
+  return zonedParts(shifted, timeZone).date;
+}
+
+function shiftOf(timestamp, { timeZone, shifts }) {
+  if (!shifts.length) return "";
+  const { minutes } = zonedParts(new Date(timestamp), timeZone);
+  const current = [...shifts].reverse().find((s) => s.start <= minutes);
+  return (current || shifts[shifts.length - 1]).name;
+}
+
+// Per-location settings (set on /catalog) over the env defaults.
+// defaults: { timeZone, cutoffHour, shifts }
+function createBusinessCalendar(catalog, defaults) {
+  const bySlug = new Map(catalog.locations.map((l) => [l.slug, l]));
+
+  function settingsFor(slug) {
+    const location = bySlug.get(slug);
+    const shifts = parseShifts(location?.shifts);
+    return {
+      timeZone: location?.timeZone || defaults.timeZone,
+      cutoffHour: parseCutoffHour(location?.dayCutoffHour) ?? defaults.cutoffHour,
+      shifts: shifts.length ? shifts : defaults.shifts,
+    };
+  }
+
+  // record: an alert or checklist entry (uses locationSlug / location)
+  function settingsOf(record) {
+    return settingsFor(locationSlugOf(catalog, record));
+  }
+
+  function businessDay(record, timestamp = record.timestamp || record.reportedAt) {
+    return businessDayOf(timestamp, settingsOf(record));
+  }
+
+  function isToday(record, now = new Date()) {
+    return businessDay(record) === businessDay(record, now);
+  }
+
+  function shift(record) {
+    return shiftOf(record.timestamp || record.reportedAt, settingsOf(record));
+  }
+
+  // { date, minutes, weekday } on the location's wall clock
+  function localTime(record) {
+    return zonedParts(new Date(record.timestamp || record.reportedAt), settingsOf(record).timeZone);
+  }
+
+  // Every shift name in use: the defaults first, then location-only ones
+  function shiftNames() {
+    const names = defaults.shifts.map((s) => s.name);
+    for (const l of catalog.locations) {
+      for (const s of parseShifts(l.shifts)) if (!names.includes(s.name)) names.push(s.name);
+    }
+    return names;
+  }
+
+  return { settingsFor, settingsOf, businessDay, isToday, shift, localTime, shiftNames };
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseShifts,
+  formatShifts,
+  isValidTimeZone,
+  parseCutoffHour,
+  businessDayOf,
+  shiftOf,
+  createBusinessCalendar,
+};
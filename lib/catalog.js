@@ -0,0 +1,186 @@
+// lib/catalog.js
+// Master list of items, locations and suppliers. QR links carry slugs; everything the
+// staff and managers see uses the catalog's display names.
+
+const ITEMS_TABLE = "catalog_items";
+const LOCATIONS_TABLE = "catalog_locations";
+const SUPPLIERS_TABLE = "catalog_suppliers";
+
+// Statuses we print QR codes for
+const QR_STATUSES = ["low", "out"];
+
+// Slugs use underscores so existing `?item=oat_milk` QR links keep matching.
+function slugify(input = "") {
+  return String(input)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Fallback display name for values that aren't in the catalog
+function prettifyText(input = "") {
+  return input
+    .replace(/_/g, " ")
+    .replace(/\w\S*/g, (w) =>
+      w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()
+    );
+}
+
+function byName(a, b) {
+  return a.name.localeCompare(b.name);
+}
+
+async function getCatalog(store) {
+  const [items, locations, suppliers] = await Promise.all([
+    store.listRecords(ITEMS_TABLE),
+    store.listRecords(LOCATIONS_TABLE),
+    store.listRecords(SUPPLIERS_TABLE),
+  ]);
+  return {
+    items: items.sort(byName),
+    locations: locations.sort(byName),
+    suppliers: suppliers.sort(byName),
+  };
+}
+
+function parseLevel(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// parLevel: how many to stock up to; reorderLevel: at or below this a count
+// is "low"; unit: what counts are in ("bottles", "lb"). supplier is a
+// supplier slug; orders are placed in orderUnit ("case"), each holding
+// packSize units. leadTimeDays overrides the supplier's.
+async function saveItem(
+  store,
+  { slug, name, category, parLevel, reorderLevel, unit, supplier, orderUnit, packSize, leadTimeDays }
+) {
+  const id = slugify(slug || name);
+  if (!id) throw new Error("Item needs a name or slug");
+
+  return store.putRecord(ITEMS_TABLE, {
+    id,
+    slug: id,
+    name: String(name || "").trim() || prettifyText(id),
+    category: String(category || "").trim(),
+    parLevel: parseLevel(parLevel),
+    reorderLevel: parseLevel(reorderLevel),
+    unit: String(unit || "").trim(),
+    supplier: slugify(supplier || ""),
+    orderUnit: String(orderUnit || "").trim(),
+    packSize: parseLevel(packSize),
+    leadTimeDays: parseLevel(leadTimeDays),
+  });
+}
+
+// business groups locations for the owner rollup; routingFallback overrides
+// ROUTING_FALLBACK for this site (see lib/locations.js). timeZone,
+// dayCutoffHour and shifts override the env defaults (see lib/businessDay.js);
+// blank means "use the default".
+async function saveLocation(
+  store,
+  { slug, name, business, routingFallback, timeZone, dayCutoffHour, shifts }
+) {
+  const id = slugify(slug || name);
+  if (!id) throw new Error("Location needs a name or slug");
+
+  return store.putRecord(LOCATIONS_TABLE, {
+    id,
+    slug: id,
+    name: String(name || "").trim() || prettifyText(id),
+    business: String(business || "").trim(),
+    routingFallback: routingFallback || "default",
+    timeZone: String(timeZone || "").trim(),
+    dayCutoffHour: dayCutoffHour === undefined || dayCutoffHour === "" ? "" : Number(dayCutoffHour),
+    shifts: String(shifts || "").trim(),
+  });
+}
+
+async function saveSupplier(store, { slug, name, email, phone, leadTimeDays, notes }) {
+  const id = slugify(slug || name);
+  if (!id) throw new Error("Supplier needs a name or slug");
+
+  return store.putRecord(SUPPLIERS_TABLE, {
+    id,
+    slug: id,
+    name: String(name || "").trim() || prettifyText(id),
+    email: String(email || "").trim(),
+    phone: String(phone || "").trim(),
+    leadTimeDays: parseLevel(leadTimeDays),
+    notes: String(notes || "").trim(),
+  });
+}
+
+function deleteItem(store, slug) {
+  return store.deleteRecord(ITEMS_TABLE, slugify(slug));
+}
+
+function deleteLocation(store, slug) {
+  return store.deleteRecord(LOCATIONS_TABLE, slugify(slug));
+}
+
+function deleteSupplier(store, slug) {
+  return store.deleteRecord(SUPPLIERS_TABLE, slugify(slug));
+}
+
+// Match raw /alert query values against the catalog. An empty catalog section
+// accepts anything (so a fresh deployment still works) and falls back to
+// prettified names.
+function resolveAlertInput(catalog, { item = "", location = "" }) {
+  const itemSlug = slugify(item);
+  const locationSlug = slugify(location);
+
+  let itemEntry = catalog.items.find((i) => i.slug === itemSlug) || null;
+  if (!itemEntry) {
+    if (catalog.items.length > 0) return { ok: false, error: `Unknown item "${item}".` };
+    itemEntry = {
+      slug: itemSlug,
+      name: prettifyText(item),
+      category: "",
+      parLevel: null,
+      reorderLevel: null,
+      unit: "",
+      supplier: "",
+    };
+  }
+
+  let locationEntry = null;
+  if (locationSlug) {
+    locationEntry = catalog.locations.find((l) => l.slug === locationSlug) || null;
+    if (!locationEntry) {
+      if (catalog.locations.length > 0) {
+        return { ok: false, error: `Unknown location "${location}".` };
+      }
+      locationEntry = { slug: locationSlug, name: prettifyText(location) };
+    }
+  }
+
+  return { ok: true, item: itemEntry, location: locationEntry };
+}
+
+// `exp`/`sig` come from lib/qrSigning when QR links are signed
+function buildAlertUrl(baseUrl, { item, location, qty, exp, sig }) {
+  const params = new URLSearchParams({ item, qty });
+  if (location) params.set("location", location);
+  if (exp) params.set("exp", String(exp));
+  if (sig) params.set("sig", sig);
+  return `${baseUrl.replace(/\/+$/, "")}/alert?${params.toString()}`;
+}
+
+module.exports = {
+  QR_STATUSES,
+  slugify,
+  prettifyText,
+  getCatalog,
+  saveItem,
+  saveLocation,
+  saveSupplier,
+  deleteItem,
+  deleteLocation,
+  deleteSupplier,
+  resolveAlertInput,
+  buildAlertUrl,
+};
@@ -0,0 +1,95 @@
+// lib/channels.js
+// Notification channels. Each channel exposes:
+//   name             – "push" | "sms" | "email"
+//   configured       – false when its env vars are missing (sends are skipped)
+//   send(recipient, message) → { ok, detail }
+// recipient: { userId, phone, email } for a person, or { target } for a
+// OneSignal broadcast target (push only).
+// message:   { heading, body, url }
+const twilio = require("twilio");
+const nodemailer = require("nodemailer");
+const { sendPush } = require("./push");
+
+function createPushChannel({ appId, apiKey }) {
+  const configured = Boolean(appId && apiKey);
+
+  async function send(recipient, { heading, body, url }) {
+    if (!configured) return { ok: false, detail: "OneSignal not configured" };
+
+    const target = recipient.target || { type: "users", externalUserIds: [recipient.userId] };
+    const [result] = await sendPush({
+      appId,
+      apiKey,
+      targets: [target],
+      heading,
+      message: body,
+      url,
+    });
+
+    if (!result.ok) return { ok: false, detail: `OneSignal HTTP ${result.status}: ${result.response}` };
+    if (result.recipients === 0) return { ok: false, detail: "No subscribed devices" };
+    return {
+      ok: true,
+      detail: result.recipients === null ? "Sent" : `Sent to ${result.recipients} device(s)`,
+    };
+  }
+
+  return { name: "push", configured, send };
+}
+
+function createSmsChannel({ accountSid, authToken, fromNumber }) {
+  const configured = Boolean(accountSid && authToken && fromNumber);
+  const client = configured ? twilio(accountSid, authToken) : null;
+
+  async function send(recipient, { body, url }) {
+    if (!configured) return { ok: false, detail: "Twilio not configured" };
+    if (!recipient.phone) return { ok: false, detail: "No phone number" };
+
+    try {
+      const msg = await client.messages.create({
+        from: fromNumber,
+        to: recipient.phone,
+        body: url ? `${body} ${url}` : body,
+      });
+      return { ok: true, detail: `Twilio ${msg.sid} (${msg.status})` };
+    } catch (err) {
+      return { ok: false, detail: `Twilio error: ${err.message}` };
+    }
+  }
+
+  return { name: "sms", configured, send };
+}
+
+function createEmailChannel({ host, port, user, pass, from }) {
+  const configured = Boolean(host && from);
+  const transport = configured
+    ? nodemailer.createTransport({
+        host,
+        port: Number(port) || 587,
+        secure: Number(port) === 465,
+        auth: user ? { user, pass } : undefined,
+      })
+    : null;
+
+  async function send(recipient, { heading, body, url, attachments }) {
+    if (!configured) return { ok: false, detail: "SMTP not configured" };
+    if (!recipient.email) return { ok: false, detail: "No email address" };
+
+    try {
+      const info = await transport.sendMail({
+        from,
+        to: recipient.email,
+        subject: heading,
+        text: url ? `${body}\n\n${url}` : body,
+        attachments,
+      });
+      return { ok: true, detail: `SMTP ${info.messageId || "sent"}` };
+    } catch (err) {
+      return { ok: false, detail: `SMTP error: ${err.message}` };
+    }
+  }
+
+  return { name: "email", configured, send };
+}
+
+module.exports = { createPushChannel, createSmsChannel, createEmailChannel };
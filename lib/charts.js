@@ -0,0 +1,93 @@
+// lib/charts.js
+// Tiny server-side SVG charts for the analytics page. No client JS needed,
+// and they print fine.
+const { html } = require("./html");
+
+const COLORS = ["#60a5fa", "#f87171", "#fbbf24", "#34d399", "#a78bfa", "#f472b6", "#22d3ee", "#a3e635"];
+
+function colorAt(i) {
+  return COLORS[i % COLORS.length];
+}
+
+// Horizontal bars: [{ label, value }]
+function barChart(rows, { width = 420, barHeight = 18, gap = 6, labelWidth = 140 } = {}) {
+  if (!rows.length) return html`<p>No data.</p>`;
+  const max = Math.max(...rows.map((r) => r.value), 1);
+  const height = rows.length * (barHeight + gap);
+  const barsWidth = width - labelWidth - 40;
+
+  const bars = rows.map((r, i) => {
+    const y = i * (barHeight + gap);
+    const w = Math.max(1, Math.round((r.value / max) * barsWidth));
+    return html`
+      <text x="${labelWidth - 6}" y="${y + barHeight - 5}" text-anchor="end">${r.label}</text>
+      <rect x="${labelWidth}" y="${y}" width="${w}" height="${barHeight}" rx="3" fill="${colorAt(0)}" />
+      <text x="${labelWidth + w + 4}" y="${y + barHeight - 5}">${r.value}</text>
+    `;
+  });
+
+  return html`<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">${bars}</svg>`;
+}
+
+// One line per series over shared x labels: series [{ name, values }]
+function lineChart(labels, series, { width = 640, height = 220, pad = 28 } = {}) {
+  if (!series.length) return html`<p>No data.</p>`;
+  const max = Math.max(...series.flatMap((s) => s.values), 1);
+  const stepX = labels.length > 1 ? (width - pad * 2) / (labels.length - 1) : 0;
+  const yOf = (v) => height - pad - (v / max) * (height - pad * 2);
+
+  const lines = series.map((s, i) => {
+    const points = s.values.map((v, j) => `${pad + j * stepX},${yOf(v)}`).join(" ");
+    return html`<polyline fill="none" stroke="${colorAt(i)}" stroke-width="2" points="${points}" />`;
+  });
+
+  // First, middle and last dates along the bottom
+  const tickIndexes = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])];
+  const ticks = tickIndexes.map(
+    (j) => html`<text x="${pad + j * stepX}" y="${height - 8}" text-anchor="middle">${labels[j]}</text>`
+  );
+
+  const legend = series.map(
+    (s, i) =>
+      html`<span class="legend-item"><span class="swatch" style="background:${colorAt(i)}"></span>${s.name}</span>`
+  );
+
+  return html`
+    <svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">
+      <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#1f2937" />
+      <text x="${pad - 4}" y="${pad}" text-anchor="end">${max}</text>
+      ${lines}
+      ${ticks}
+    </svg>
+    <div class="chart-legend">${legend}</div>
+  `;
+}
+
+// rowLabels × colLabels grid of counts, darker = more
+function heatmap(rowLabels, colLabels, counts, { cell = 18 } = {}) {
+  const max = Math.max(...counts.flat(), 1);
+  const left = 36;
+  const top = 16;
+  const width = left + colLabels.length * cell;
+  const height = top + rowLabels.length * cell;
+
+  const cells = counts.map((row, r) =>
+    row.map((value, c) => {
+      const opacity = value ? 0.15 + 0.85 * (value / max) : 0.04;
+      return html`<rect x="${left + c * cell}" y="${top + r * cell}" width="${cell - 2}" height="${cell - 2}" rx="2"
+        fill="#f87171" fill-opacity="${opacity.toFixed(2)}"><title>${rowLabels[r]} ${colLabels[c]}: ${value}</title></rect>`;
+    })
+  );
+
+  const rows = rowLabels.map(
+    (label, r) => html`<text x="${left - 6}" y="${top + r * cell + cell - 6}" text-anchor="end">${label}</text>`
+  );
+  const cols = colLabels.map(
+    (label, c) =>
+      c % 3 === 0 && html`<text x="${left + c * cell + cell / 2}" y="${top - 4}" text-anchor="middle">${label}</text>`
+  );
+
+  return html`<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">${cells}${rows}${cols}</svg>`;
+}
+
+module.exports = { barChart, lineChart, heatmap };
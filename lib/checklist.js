@@ -0,0 +1,144 @@
+// lib/checklist.js
+// Restock checklist state: which item|location pairs are open, and who has
+// acknowledged / started / finished restocking them.
+
+const { severityOf } = require("./severity");
+const { slugify } = require("./catalog");
+
+const STATUS_TABLE = "checklist_status";
+
+const STATUSES = {
+  acknowledged: "Acknowledged",
+  in_progress: "In Progress",
+  restocked: "Restocked",
+};
+
+// Statuses that take an item off the checklist
+const RESOLVED_STATUSES = new Set(["restocked"]);
+
+// Keyed by slugs so a renamed item or location keeps its state, and two
+// names that differ only in case or punctuation can't split it
+function itemKey(itemSlug, locationSlug) {
+  return `${itemSlug || ""}|${locationSlug || ""}`;
+}
+
+// Key of an alert, status record or timer. Older records only carry the
+// display names, which the slugs were made from.
+function keyOf(record) {
+  return itemKey(
+    record.itemSlug || slugify(record.item || ""),
+    record.locationSlug || slugify(record.location || "")
+  );
+}
+
+function isLowReport(qty) {
+  return severityOf(qty) !== "ok";
+}
+
+function isResolved(state) {
+  return Boolean(state && RESOLVED_STATUSES.has(state.status));
+}
+
+// A status only covers reports made before it was set, so a newer low
+// report for the same key reopens the item.
+function statusForReport(state, reportTimestamp) {
+  if (!state) return null;
+  const setAt = Date.parse(state.at);
+  const reportedAt = Date.parse(reportTimestamp);
+  if (Number.isNaN(setAt)) return null;
+  if (Number.isNaN(reportedAt)) return state;
+  return setAt >= reportedAt ? state : null;
+}
+
+// A legacy record (keyed by display names) and a newer one can share a key;
+// the latest wins
+async function getStatusesByKey(store) {
+  const byKey = new Map();
+  for (const r of await store.listRecords(STATUS_TABLE)) {
+    const key = keyOf(r);
+    if (!byKey.has(key) || byKey.get(key).at < r.at) byKey.set(key, r);
+  }
+  return byKey;
+}
+
+// item / location: catalog entries (lib/catalog resolveAlertInput); location
+// may be null for reports made without one
+async function setItemStatus(store, { item, location, status, userId }) {
+  if (!STATUSES[status]) {
+    throw new Error(`Unknown checklist status "${status}"`);
+  }
+
+  const id = itemKey(item.slug, location?.slug);
+  const existing = (await getStatusesByKey(store)).get(id);
+  const at = new Date().toISOString();
+  const history = [...(existing?.history || []), { status, by: userId, at }];
+
+  // Move a legacy record over to the slug key
+  if (existing && existing.id !== id) await store.deleteRecord(STATUS_TABLE, existing.id);
+
+  return store.putRecord(STATUS_TABLE, {
+    id,
+    item: item.name,
+    itemSlug: item.slug,
+    location: location?.name || "",
+    locationSlug: location?.slug || "",
+    status,
+    by: userId,
+    at,
+    history,
+  });
+}
+
+// alerts: newest-first. Returns one entry per item|location with a low report
+// (alertIds lists all of them, newest first), split into open (still on the
+// checklist) and resolved.
+function buildChecklist(alerts, statusesByKey) {
+  const byKey = new Map();
+  const idsByKey = new Map();
+  for (const a of alerts) {
+    if (!isLowReport(a.qty)) continue;
+    const key = keyOf(a);
+    if (!byKey.has(key)) {
+      byKey.set(key, a);
+      idsByKey.set(key, []);
+    }
+    if (a.id) idsByKey.get(key).push(a.id);
+  }
+
+  const open = [];
+  const resolved = [];
+
+  for (const [key, latest] of byKey) {
+    const state = statusForReport(statusesByKey.get(key), latest.timestamp);
+    const [itemSlug, locationSlug] = key.split("|");
+    const entry = {
+      key,
+      item: latest.item || "",
+      itemSlug,
+      location: latest.location || "",
+      locationSlug,
+      qty: latest.qty || "",
+      count: latest.count ?? null,
+      unit: latest.unit || "",
+      reportedAt: latest.timestamp,
+      alertIds: idsByKey.get(key),
+      state,
+    };
+    if (isResolved(state)) resolved.push(entry);
+    else open.push(entry);
+  }
+
+  return { open, resolved };
+}
+
+module.exports = {
+  STATUSES,
+  itemKey,
+  keyOf,
+  isLowReport,
+  isResolved,
+  statusForReport,
+  getStatusesByKey,
+  setItemStatus,
+  buildChecklist,
+};
@@ -0,0 +1,147 @@
+// lib/dedup.js
+// Cooldown / de-duplication of repeat reports. Only the first report for an
+// item|location in a window notifies; the rest are folded into it. A more
+// severe report (low → out) always notifies. State lives in the store so it
+// survives restarts and is shared by every instance using the same store.
+const { SEVERITIES } = require("./severity");
+const { slugify } = require("./catalog");
+
+const STATE_TABLE = "dedup_state";
+const SETTINGS_TABLE = "settings";
+const SETTINGS_ID = "dedup";
+
+// Longest window saveSettings accepts (windowMsFor caps the env default too),
+// so prune() never drops state that is still inside a window
+const MAX_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+const MAX_STATE_AGE_MS = MAX_WINDOW_SECONDS * 1000;
+
+function parseSeconds(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+async function getSettings(store, defaultSeconds = 60) {
+  const record = (await store.listRecords(SETTINGS_TABLE)).find((r) => r.id === SETTINGS_ID);
+  return {
+    defaultSeconds: parseSeconds(record?.defaultSeconds) ?? defaultSeconds,
+    severitySeconds: record?.severitySeconds || {},
+    itemSeconds: record?.itemSeconds || {},
+  };
+}
+
+function checkWindow(seconds, label) {
+  if (seconds !== null && seconds > MAX_WINDOW_SECONDS) {
+    throw new Error(`${label} window can be at most ${MAX_WINDOW_SECONDS} seconds (7 days)`);
+  }
+  return seconds;
+}
+
+// itemSeconds comes in as text: one "slug: seconds" per line
+async function saveSettings(store, { defaultSeconds, severitySeconds = {}, itemSeconds = "" }, userId) {
+  const severities = {};
+  for (const sev of SEVERITIES) {
+    const seconds = checkWindow(parseSeconds(severitySeconds[sev]), `The ${sev}`);
+    if (seconds !== null) severities[sev] = seconds;
+  }
+
+  const items = {};
+  for (const line of String(itemSeconds).split("\n")) {
+    if (!line.trim()) continue;
+    const [slug, seconds] = line.split(":");
+    const parsed = parseSeconds(seconds?.trim());
+    if (!slugify(slug) || parsed === null) throw new Error(`Can't read item window "${line.trim()}"`);
+    items[slugify(slug)] = checkWindow(parsed, `The ${slugify(slug)}`);
+  }
+
+  return store.putRecord(SETTINGS_TABLE, {
+    id: SETTINGS_ID,
+    defaultSeconds: checkWindow(parseSeconds(defaultSeconds), "The default"),
+    severitySeconds: severities,
+    itemSeconds: items,
+    updatedBy: userId,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Most specific wins: item → severity → default
+function windowMsFor(settings, { itemSlug, severity }) {
+  const seconds =
+    settings.itemSeconds[itemSlug] ?? settings.severitySeconds[severity] ?? settings.defaultSeconds;
+  return Math.min(seconds, MAX_WINDOW_SECONDS) * 1000;
+}
+
+function createDeduplicator({ store, defaultSeconds = 60 }) {
+  // Reports for the same key are registered one at a time, so a burst can't
+  // all read "no state" and all notify
+  const queues = new Map();
+
+  function queueFor(key, fn) {
+    const result = (queues.get(key) || Promise.resolve()).then(fn);
+    const settled = result.then(() => {}, () => {});
+    queues.set(key, settled);
+    settled.then(() => {
+      if (queues.get(key) === settled) queues.delete(key);
+    });
+    return result;
+  }
+
+  // Decide whether this report notifies, and record it either way.
+  // Returns { notify, reason, windowMs, foldedInto, foldedCount, notifiedAt }.
+  function register(report) {
+    return queueFor(report.key, () => decide(report));
+  }
+
+  async function decide({ key, itemSlug, severity, alertId, now = new Date() }) {
+    const settings = await getSettings(store, defaultSeconds);
+    const windowMs = windowMsFor(settings, { itemSlug, severity });
+    const state = (await store.listRecords(STATE_TABLE)).find((s) => s.id === key);
+    const at = now.toISOString();
+
+    let reason = null;
+    if (!state) reason = "first report";
+    else if (now.getTime() - Date.parse(state.notifiedAt) >= windowMs) reason = "window expired";
+    else if (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(state.severity)) {
+      reason = `severity rose (${state.severity} → ${severity})`;
+    }
+
+    if (reason) {
+      await store.putRecord(STATE_TABLE, {
+        id: key,
+        severity,
+        notifiedAt: at,
+        notifiedAlertId: alertId,
+        foldedCount: 0,
+        lastReportAt: at,
+      });
+      return { notify: true, reason, windowMs, foldedInto: null, foldedCount: 0, notifiedAt: at };
+    }
+
+    const foldedCount = (state.foldedCount || 0) + 1;
+    await store.putRecord(STATE_TABLE, { ...state, foldedCount, lastReportAt: at });
+    return {
+      notify: false,
+      reason: "within cooldown",
+      windowMs,
+      foldedInto: state.notifiedAlertId,
+      foldedCount,
+      notifiedAt: state.notifiedAt,
+    };
+  }
+
+  async function prune(now = new Date()) {
+    const states = await store.listRecords(STATE_TABLE);
+    let removed = 0;
+    for (const s of states) {
+      if (now.getTime() - Date.parse(s.lastReportAt || s.notifiedAt) > MAX_STATE_AGE_MS) {
+        await store.deleteRecord(STATE_TABLE, s.id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  return { register, prune };
+}
+
+module.exports = { MAX_WINDOW_SECONDS, getSettings, saveSettings, windowMsFor, createDeduplicator };
@@ -0,0 +1,241 @@
+// lib/digest.js
+// Scheduled per-location digests: what's open or out, what got restocked,
+// repeat offenders and unacknowledged criticals, sent by email and/or push
+// at set times and (optionally) at the end of every shift.
+const { slugify } = require("./catalog");
+const { severityOf } = require("./severity");
+const { STATUSES } = require("./checklist");
+const { parseList } = require("./routing");
+const { html } = require("./html");
+
+const SCHEDULES_TABLE = "digest_schedules";
+const RUNS_TABLE = "digest_runs";
+
+// A slot missed by more than this (server down, slow tick) is skipped
+// instead of sending a stale digest late.
+const CATCH_UP_MINUTES = 30;
+const REPEAT_WINDOW_DAYS = 7;
+const RUN_RETENTION_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2026-10-19" → "2026-10-18"
+function previousDate(date) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// "07:00, 16:30" → [420, 990]; anything unreadable throws
+function parseTimes(value) {
+  return parseList(value)
+    .map((t) => {
+      const match = t.match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Can't read time "${t}" (use HH:MM, e.g. 07:00)`);
+      }
+      return Number(match[1]) * 60 + Number(match[2]);
+    })
+    .sort((a, b) => a - b);
+}
+
+// ---- Schedules ----
+// One per location slug ("" = all locations):
+// { id, locationSlug, enabled, times: [minutes], shiftEnds, emails, pushTo }
+
+async function listSchedules(store) {
+  return store.listRecords(SCHEDULES_TABLE);
+}
+
+async function saveSchedule(store, { locationSlug, enabled, times, shiftEnds, emails, pushTo }, userId) {
+  const slug = slugify(locationSlug || "");
+  return store.putRecord(SCHEDULES_TABLE, {
+    id: slug || "*",
+    locationSlug: slug,
+    enabled: Boolean(enabled),
+    times: parseTimes(times),
+    shiftEnds: Boolean(shiftEnds),
+    emails: parseList(emails),
+    pushTo: String(pushTo || "").trim(),
+    updatedBy: userId,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+async function listRuns(store) {
+  const runs = await store.listRecords(RUNS_TABLE);
+  return runs.sort((a, b) => (a.sentAt < b.sentAt ? 1 : -1));
+}
+
+// ---- Contents ----
+
+// checklist: today's { open, resolved } for the location; alerts: its
+// reports from the last REPEAT_WINDOW_DAYS (newest first)
+function buildDigest({ location, businessDay, now, checklist, alerts }) {
+  const open = checklist.open.map((e) => ({ ...e, severity: severityOf(e.qty) }));
+
+  const repeats = new Map();
+  for (const a of alerts) {
+    if (severityOf(a.qty) === "ok") continue;
+    const key = `${a.itemSlug || slugify(a.item)}|${a.locationSlug || slugify(a.location)}`;
+    const entry = repeats.get(key) || { item: a.item, location: a.location, reports: 0, lastAt: a.timestamp };
+    entry.reports += 1;
+    repeats.set(key, entry);
+  }
+
+  return {
+    location,
+    businessDay,
+    generatedAt: now.toISOString(),
+    open,
+    out: open.filter((e) => e.severity === "out"),
+    unacknowledgedCriticals: open.filter((e) => e.severity === "out" && !e.state),
+    resolved: checklist.resolved,
+    repeatOffenders: [...repeats.values()]
+      .filter((r) => r.reports > 1)
+      .sort((a, b) => b.reports - a.reports)
+      .slice(0, 5),
+    repeatWindowDays: REPEAT_WINDOW_DAYS,
+  };
+}
+
+function entryLine(e) {
+  return `${e.item}${e.location ? ` – ${e.location}` : ""} (${e.qty})`;
+}
+
+// { heading, body } for email/push
+function renderDigestText(digest, { url } = {}) {
+  const where = digest.location?.name || "All locations";
+  const list = (title, entries, line = entryLine) =>
+    entries.length ? [`${title}:`, ...entries.map((e) => `- ${line(e)}`), ""] : [];
+
+  const summary = `${digest.open.length} open (${digest.out.length} out), ${digest.resolved.length} restocked`;
+  const body = [
+    `${where} · ${digest.businessDay}: ${summary}.`,
+    "",
+    ...list("Unacknowledged criticals", digest.unacknowledgedCriticals),
+    ...list("Still open", digest.open),
+    ...list("Restocked", digest.resolved, (e) => `${entryLine(e)} by ${e.state.by}`),
+    ...list(
+      `Repeat offenders (last ${digest.repeatWindowDays} days)`,
+      digest.repeatOffenders,
+      (r) => `${r.item}${r.location ? ` – ${r.location}` : ""}: ${r.reports} reports`
+    ),
+    url ? `Manager view: ${url}` : "",
+  ]
+    .join("\n")
+    .trim();
+
+  return { heading: `Inventory digest – ${where}`, summary, body };
+}
+
+function renderDigestHtml(digest) {
+  const list = (title, entries, line) => html`
+    <h2>${title} (${entries.length})</h2>
+    ${entries.length ? html`<ul>${entries.map((e) => html`<li>${line(e)}</li>`)}</ul>` : html`<p>None.</p>`}
+  `;
+  const entry = (e) => html`${e.item}${e.location && ` – ${e.location}`} <small>${e.qty}</small>`;
+
+  return html`
+    ${list("Unacknowledged criticals", digest.unacknowledgedCriticals, entry)}
+    ${list("Open", digest.open, (e) => html`${entry(e)}${e.state && html` <small>· ${STATUSES[e.state.status]} by ${e.state.by}</small>`}`)}
+    ${list("Restocked today", digest.resolved, (e) => html`${entry(e)} <small>· by ${e.state.by}</small>`)}
+    ${list(
+      `Repeat offenders (last ${digest.repeatWindowDays} days)`,
+      digest.repeatOffenders,
+      (r) => html`${r.item}${r.location && ` – ${r.location}`} <small>· ${r.reports} reports</small>`
+    )}
+  `;
+}
+
+// ---- Scheduler ----
+
+// Every minute-of-day a schedule fires at. With shiftEnds, each shift's start
+// is the previous shift's end (the first shift's start ends the last one).
+function slotsFor(schedule, settings) {
+  const slots = new Map(schedule.times.map((m) => [m, formatMinutes(m)]));
+  if (schedule.shiftEnds) {
+    settings.shifts.forEach((s, i, all) => {
+      const ending = all[(i - 1 + all.length) % all.length];
+      if (!slots.has(s.start)) slots.set(s.start, `end of ${ending.name} shift`);
+    });
+  }
+  return [...slots].map(([minutes, label]) => ({ minutes, label }));
+}
+
+// getCalendar():                 lib/businessDay calendar for the current catalog
+// compose(locationSlug, now):    digest for a location (see buildDigest)
+// deliver(schedule, digest):     sends it; resolves to [{ channel, ok, detail }]
+// clock():                       current time; tests pass a fake one
+function createDigestScheduler({ store, getCalendar, compose, deliver, clock = () => new Date() }) {
+  // Sends every digest whose slot has come up in the last CATCH_UP_MINUTES
+  // and hasn't been sent yet. Run records make it safe to call repeatedly.
+  async function tick(now = clock()) {
+    const schedules = (await listSchedules(store)).filter((s) => s.enabled);
+    if (schedules.length === 0) return [];
+
+    const calendar = await getCalendar();
+    const runs = new Set((await store.listRecords(RUNS_TABLE)).map((r) => r.id));
+    const sent = [];
+
+    for (const schedule of schedules) {
+      const settings = calendar.settingsFor(schedule.locationSlug);
+      const local = calendar.localTime({ locationSlug: schedule.locationSlug, timestamp: now.toISOString() });
+
+      for (const slot of slotsFor(schedule, settings)) {
+        // Modulo a day, so a 23:45 slot can still be caught up after midnight;
+        // the run id then uses the slot's own (previous) date
+        const late = (local.minutes - slot.minutes + 1440) % 1440;
+        if (late >= CATCH_UP_MINUTES) continue;
+        const slotDate = local.minutes < slot.minutes ? previousDate(local.date) : local.date;
+
+        const id = `${schedule.id}|${slotDate}|${formatMinutes(slot.minutes)}`;
+        if (runs.has(id)) continue;
+
+        try {
+          const digest = await compose(schedule.locationSlug, now);
+          const results = await deliver(schedule, digest);
+          await store.putRecord(RUNS_TABLE, {
+            id,
+            locationSlug: schedule.locationSlug,
+            slot: slot.label,
+            sentAt: now.toISOString(),
+            open: digest.open.length,
+            results,
+          });
+          runs.add(id);
+          sent.push(id);
+          const summary = results.map((r) => `${r.channel} ${r.ok ? "ok" : r.detail}`).join(", ");
+          console.log(`📰 Digest ${id} (${slot.label}) sent: ${summary || "no recipients"}`);
+        } catch (err) {
+          console.error(`❌ Error sending digest ${id}:`, err);
+        }
+      }
+    }
+    return sent;
+  }
+
+  async function pruneRuns(now = clock()) {
+    const cutoff = now.getTime() - RUN_RETENTION_DAYS * DAY_MS;
+    for (const run of await store.listRecords(RUNS_TABLE)) {
+      if (Date.parse(run.sentAt) < cutoff) await store.deleteRecord(RUNS_TABLE, run.id);
+    }
+  }
+
+  return { tick, pruneRuns };
+}
+
+module.exports = {
+  REPEAT_WINDOW_DAYS,
+  formatMinutes,
+  parseTimes,
+  listSchedules,
+  saveSchedule,
+  listRuns,
+  buildDigest,
+  renderDigestText,
+  renderDigestHtml,
+  slotsFor,
+  createDigestScheduler,
+};
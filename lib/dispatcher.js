@@ -0,0 +1,212 @@
+// lib/dispatcher.js
+// Sends an alert over the channels each recipient prefers, falls back when
+// those fail, and records every delivery attempt.
+const crypto = require("crypto");
+const { getPreferences } = require("./preferences");
+
+const DELIVERIES_TABLE = "notification_deliveries";
+const FALLBACKS_TABLE = "pending_fallbacks";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function describeTarget(target) {
+  if (target.type === "tag") return `tag:${target.key}=${target.value}`;
+  return target.type === "all" ? "all subscribers" : "";
+}
+
+// channels:      { push, sms, email } from lib/channels
+// lookupContact: async userId → { phone, email } (e.g. from Clerk)
+// isAcknowledged: async pendingFallback → true once someone has acted on the item
+// retentionDays: delivery records older than this are pruned (0 keeps them)
+function createDispatcher({
+  store,
+  channels,
+  lookupContact = async () => ({}),
+  isAcknowledged = async () => false,
+  unackFallbackMinutes = 0,
+  retentionDays = 0,
+}) {
+  async function recordDelivery(entry) {
+    const record = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      ...entry,
+    };
+    try {
+      await store.putRecord(DELIVERIES_TABLE, record);
+    } catch (err) {
+      console.error("❌ Error recording notification delivery:", err.message);
+    }
+    return record;
+  }
+
+  async function deliver({ alert, channelName, recipient, message, reason }) {
+    const channel = channels[channelName];
+    let result;
+
+    if (!channel) {
+      result = { ok: false, status: "failed", detail: `Unknown channel "${channelName}"` };
+    } else if (!channel.configured) {
+      result = { ok: false, status: "skipped", detail: `${channelName} not configured` };
+    } else {
+      const sent = await channel.send(recipient, message);
+      result = { ...sent, status: sent.ok ? "sent" : "failed" };
+    }
+
+    const to =
+      channelName === "sms" ? recipient.phone : channelName === "email" ? recipient.email : "";
+    const logIcon = result.ok ? "📨" : "⚠️";
+    console.log(
+      `${logIcon} ${channelName} → ${recipient.userId || describeTarget(recipient.target || {})}: ${result.detail}`
+    );
+
+    return recordDelivery({
+      alertId: alert.id,
+      item: alert.item,
+      location: alert.location,
+      qty: alert.qty,
+      userId: recipient.userId || "",
+      target: recipient.target ? describeTarget(recipient.target) : "",
+      channel: channelName,
+      to: to || "",
+      ok: Boolean(result.ok),
+      status: result.status,
+      detail: result.detail,
+      reason,
+    });
+  }
+
+  async function recipientFor(userId, prefs) {
+    let contact = {};
+    try {
+      contact = (await lookupContact(userId)) || {};
+    } catch (err) {
+      console.error(`❌ Error looking up contact for ${userId}:`, err.message);
+    }
+    return {
+      userId,
+      phone: prefs.phone || contact.phone || "",
+      email: prefs.email || contact.email || "",
+    };
+  }
+
+  async function notifyUser({ alert, userId, message, reason, scheduleFallbacks }) {
+    const prefs = await getPreferences(store, userId);
+    const recipient = await recipientFor(userId, prefs);
+    const deliveries = [];
+
+    for (const channelName of prefs.channels) {
+      deliveries.push(await deliver({ alert, channelName, recipient, message, reason }));
+    }
+
+    const anyDelivered = deliveries.some((d) => d.ok);
+    const hasFallback = prefs.fallback && prefs.fallback !== "none";
+
+    if (!anyDelivered && hasFallback && !prefs.channels.includes(prefs.fallback)) {
+      deliveries.push(
+        await deliver({
+          alert,
+          channelName: prefs.fallback,
+          recipient,
+          message,
+          reason: "fallback: primary channels failed",
+        })
+      );
+    }
+
+    if (scheduleFallbacks && alert.severity === "out" && hasFallback && unackFallbackMinutes > 0) {
+      const dueAt = new Date(Date.now() + unackFallbackMinutes * 60 * 1000).toISOString();
+      await store.putRecord(FALLBACKS_TABLE, {
+        id: `${alert.id}|${userId}`,
+        alertId: alert.id,
+        item: alert.item,
+        itemSlug: alert.itemSlug,
+        location: alert.location,
+        locationSlug: alert.locationSlug,
+        qty: alert.qty,
+        severity: alert.severity,
+        reportedAt: alert.timestamp,
+        userId,
+        channel: prefs.fallback,
+        message,
+        dueAt,
+      });
+    }
+
+    return deliveries;
+  }
+
+  // alert:   { id, timestamp, item, location, qty, severity }
+  // targets: routing targets from lib/routing
+  // scheduleFallbacks: arm the unacknowledged-"out" fallback for each user
+  async function notifyAlert({ alert, targets, message, reason = "initial", scheduleFallbacks = true }) {
+    const deliveries = [];
+
+    for (const target of targets) {
+      if (target.type === "users") {
+        for (const userId of target.externalUserIds) {
+          deliveries.push(
+            ...(await notifyUser({ alert, userId, message, reason, scheduleFallbacks }))
+          );
+        }
+      } else {
+        deliveries.push(
+          await deliver({ alert, channelName: "push", recipient: { target }, message, reason })
+        );
+      }
+    }
+
+    return deliveries;
+  }
+
+  // Called on an interval: send the fallback channel for "out" alerts that
+  // nobody has acknowledged in time.
+  async function processDueFallbacks(now = new Date()) {
+    const pending = await store.listRecords(FALLBACKS_TABLE);
+    const due = pending.filter((p) => Date.parse(p.dueAt) <= now.getTime());
+
+    for (const p of due) {
+      try {
+        if (!(await isAcknowledged(p))) {
+          const prefs = await getPreferences(store, p.userId);
+          const recipient = await recipientFor(p.userId, prefs);
+          await deliver({
+            alert: { id: p.alertId, item: p.item, location: p.location, qty: p.qty },
+            channelName: p.channel,
+            recipient,
+            message: p.message,
+            reason: `fallback: unacknowledged after ${unackFallbackMinutes} min`,
+          });
+        }
+        await store.deleteRecord(FALLBACKS_TABLE, p.id);
+      } catch (err) {
+        console.error(`❌ Error processing fallback ${p.id}:`, err.message);
+      }
+    }
+
+    return due.length;
+  }
+
+  async function listDeliveries({ alertId, limit = 200 } = {}) {
+    let deliveries = await store.listRecords(DELIVERIES_TABLE);
+    if (alertId) deliveries = deliveries.filter((d) => d.alertId === alertId);
+    return deliveries.sort((a, b) => (a.at < b.at ? 1 : -1)).slice(0, limit);
+  }
+
+  async function prune(now = new Date()) {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+    let removed = 0;
+    for (const d of await store.listRecords(DELIVERIES_TABLE)) {
+      if (d.at < cutoff) {
+        await store.deleteRecord(DELIVERIES_TABLE, d.id);
+        removed += 1;
+      }
+    }
+    if (removed) console.log(`🧹 Pruned ${removed} notification deliver${removed === 1 ? "y" : "ies"} older than ${retentionDays} days`);
+    return removed;
+  }
+
+  return { notifyAlert, processDueFallbacks, listDeliveries, prune };
+}
+
+module.exports = { createDispatcher };
@@ -0,0 +1,203 @@
+// lib/escalation.js
+// Escalation policies for unacknowledged alerts. Timers live in the store
+// (not in memory) so a restart doesn't lose pending escalations.
+const { SEVERITIES } = require("./severity");
+const { parseList } = require("./routing");
+
+const POLICIES_TABLE = "escalation_policies";
+const TIMERS_TABLE = "escalation_timers";
+
+// "user_abc, role=shift_lead" → { externalUserIds, tags }
+function parseRecipients(value) {
+  const externalUserIds = [];
+  const tags = [];
+  for (const token of parseList(value)) {
+    const [key, ...rest] = token.split("=");
+    if (rest.length) tags.push({ key: key.trim(), value: rest.join("=").trim() });
+    else externalUserIds.push(token);
+  }
+  return { externalUserIds, tags };
+}
+
+function formatRecipients({ externalUserIds, tags }) {
+  return [...externalUserIds, ...tags.map((t) => `${t.key}=${t.value}`)].join(", ");
+}
+
+// "10: user_abc, role=shift_lead" → { afterMinutes: 10, externalUserIds, tags }
+function parseStep(line) {
+  const match = String(line).match(/^\s*(\d+(?:\.\d+)?)\s*:\s*(.+)$/);
+  if (!match) return null;
+
+  const { externalUserIds, tags } = parseRecipients(match[2]);
+  if (!externalUserIds.length && !tags.length) return null;
+
+  return { afterMinutes: Number(match[1]), externalUserIds, tags };
+}
+
+function formatStep(step) {
+  return `${step.afterMinutes}: ${formatRecipients(step)}`;
+}
+
+async function listPolicies(store) {
+  return store.listRecords(POLICIES_TABLE);
+}
+
+async function savePolicy(store, { severity, steps, enabled }, userId) {
+  if (!SEVERITIES.includes(severity)) throw new Error(`Unknown severity "${severity}"`);
+
+  const parsed = String(steps || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const step = parseStep(line);
+      if (!step) throw new Error(`Can't read step "${line}" (expected "minutes: recipients")`);
+      return step;
+    })
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+
+  return store.putRecord(POLICIES_TABLE, {
+    id: severity,
+    severity,
+    steps: parsed,
+    enabled: Boolean(enabled),
+    updatedBy: userId,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Push targets (lib/push.js) for parsed recipients
+function recipientTargets({ externalUserIds, tags }) {
+  const targets = [];
+  if (externalUserIds.length) targets.push({ type: "users", externalUserIds });
+  for (const t of tags) targets.push({ type: "tag", key: t.key, value: t.value });
+  return targets;
+}
+
+function dueAtFor(reportedAt, step) {
+  return new Date(Date.parse(reportedAt) + step.afterMinutes * 60 * 1000).toISOString();
+}
+
+// dispatcher:     lib/dispatcher instance used to send each step
+// isAcknowledged: async timer → true once someone has acted on the item
+// webhooks:       lib/webhooks dispatcher, told about every step sent
+function createEscalationEngine({
+  store,
+  dispatcher,
+  isAcknowledged,
+  webhooks = { emit: async () => [] },
+}) {
+  // Start (or keep) the escalation chain for an item|location. A repeat report
+  // doesn't restart a running chain unless it is more severe, or the chain's
+  // report was already acknowledged (out → acknowledged → out again).
+  async function startForAlert({ key, alert, message }) {
+    const policy = (await listPolicies(store)).find((p) => p.id === alert.severity);
+    if (!policy || !policy.enabled || policy.steps.length === 0) return null;
+
+    const existing = (await store.listRecords(TIMERS_TABLE)).find((t) => t.id === key);
+    if (
+      existing &&
+      SEVERITIES.indexOf(existing.severity) >= SEVERITIES.indexOf(alert.severity) &&
+      !(await isAcknowledged(existing))
+    ) {
+      return existing;
+    }
+
+    const timer = {
+      id: key,
+      alert: {
+        id: alert.id,
+        timestamp: alert.timestamp,
+        item: alert.item,
+        itemSlug: alert.itemSlug,
+        location: alert.location,
+        locationSlug: alert.locationSlug,
+        qty: alert.qty,
+        severity: alert.severity,
+      },
+      severity: alert.severity,
+      reportedAt: alert.timestamp,
+      nextStep: 0,
+      dueAt: dueAtFor(alert.timestamp, policy.steps[0]),
+      message,
+    };
+    await store.putRecord(TIMERS_TABLE, timer);
+    console.log(`⏳ Escalation armed for ${key} (${alert.severity}), first step due ${timer.dueAt}`);
+    return timer;
+  }
+
+  // Run every step that is due as of `now`. Returns the number of steps sent.
+  async function processDue(now = new Date()) {
+    const timers = await store.listRecords(TIMERS_TABLE);
+    const policies = new Map((await listPolicies(store)).map((p) => [p.id, p]));
+    let sent = 0;
+
+    for (const timer of timers) {
+      if (Date.parse(timer.dueAt) > now.getTime()) continue;
+
+      try {
+        const policy = policies.get(timer.severity);
+        const step = policy?.enabled ? policy.steps[timer.nextStep] : null;
+
+        if (!step || (await isAcknowledged(timer))) {
+          console.log(`✅ Escalation for ${timer.id} stopped (${step ? "acknowledged" : "no more steps"})`);
+          await store.deleteRecord(TIMERS_TABLE, timer.id);
+          continue;
+        }
+
+        const stepNumber = timer.nextStep + 1;
+        console.log(`🚨 Escalating ${timer.id}: step ${stepNumber} (${step.afterMinutes} min)`);
+        await dispatcher.notifyAlert({
+          alert: timer.alert,
+          targets: recipientTargets(step),
+          message: {
+            ...timer.message,
+            heading: `Escalation: ${timer.message.heading}`,
+            body: `Still unacknowledged after ${step.afterMinutes} min. ${timer.message.body}`,
+          },
+          reason: `escalation: step ${stepNumber} (${step.afterMinutes} min)`,
+          scheduleFallbacks: false,
+        });
+        await webhooks.emit("alert.escalated", {
+          ...timer.alert,
+          step: stepNumber,
+          afterMinutes: step.afterMinutes,
+          url: timer.message.url,
+        });
+        sent += 1;
+
+        const next = policy.steps[timer.nextStep + 1];
+        if (next) {
+          await store.putRecord(TIMERS_TABLE, {
+            ...timer,
+            nextStep: timer.nextStep + 1,
+            dueAt: dueAtFor(timer.reportedAt, next),
+          });
+        } else {
+          await store.deleteRecord(TIMERS_TABLE, timer.id);
+        }
+      } catch (err) {
+        console.error(`❌ Error escalating ${timer.id}:`, err.message);
+      }
+    }
+
+    return sent;
+  }
+
+  async function listTimers() {
+    return store.listRecords(TIMERS_TABLE);
+  }
+
+  return { startForAlert, processDue, listTimers };
+}
+
+module.exports = {
+  parseRecipients,
+  formatRecipients,
+  recipientTargets,
+  parseStep,
+  formatStep,
+  listPolicies,
+  savePolicy,
+  createEscalationEngine,
+};
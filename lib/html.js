@@ -0,0 +1,52 @@
+// lib/html.js
+// HTML templating that escapes by default. Pages are built with the `html`
+// tag: every interpolated value is escaped unless it is itself html`…`
+// output (or explicitly raw()), so item names, locations, user agents and
+// query params can't inject markup.
+//
+//   html`<td>${alert.item}</td>`                   → escaped text
+//   html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>` → arrays are joined
+//   html`${cond && html`<b>x</b>`}`                → false/null/undefined render nothing
+
+function escapeHtml(value = "") {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Markup that is already safe. Only html`` and raw() make these.
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// Trusted markup from code (inline CSS, SVG charts built with html``):
+// never pass request or stored data through this.
+function raw(value) {
+  return new SafeHtml(String(value ?? ""));
+}
+
+module.exports = { escapeHtml, html, raw, SafeHtml };
@@ -0,0 +1,66 @@
+// lib/idempotency.js
+// Idempotency keys for report submissions. Phones that queued a report while
+// offline replay it when they're back online, possibly more than once (flaky
+// signal, two tabs); a key that already went through gets the stored result
+// back instead of a second alert.
+const KEYS_TABLE = "idempotency_keys";
+
+// Longer than any phone should sit on a queued report
+const KEY_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+// Client-generated; UUIDs and similar
+function parseKey(value) {
+  const key = String(value || "").trim();
+  return /^[A-Za-z0-9_-]{8,100}$/.test(key) ? key : "";
+}
+
+function createIdempotency({ store }) {
+  // Same key arriving twice at once: the second waits for the first
+  const inFlight = new Map();
+
+  async function find(scope, key) {
+    if (!key) return null;
+    const id = `${scope}:${key}`;
+    const record = (await store.listRecords(KEYS_TABLE)).find((r) => r.id === id);
+    return record ? record.result : null;
+  }
+
+  // Runs fn() once per scope+key and remembers its result when it's ok.
+  // Without a key it just runs fn(). Resolves to { result, replayed }.
+  async function run(scope, key, fn) {
+    if (!key) return { result: await fn(), replayed: false };
+
+    const id = `${scope}:${key}`;
+    if (inFlight.has(id)) return { result: (await inFlight.get(id)).result, replayed: true };
+
+    // Registered before the first await, so a retry arriving while the store
+    // is read waits for this one instead of also submitting
+    const pending = (async () => {
+      const previous = await find(scope, key);
+      if (previous) return { result: previous, replayed: true };
+
+      const result = await fn();
+      if (result.ok) {
+        await store.putRecord(KEYS_TABLE, { id, result, createdAt: new Date().toISOString() });
+      }
+      return { result, replayed: false };
+    })();
+    inFlight.set(id, pending);
+    try {
+      return await pending;
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  async function prune(now = new Date()) {
+    const cutoff = now.getTime() - KEY_RETENTION_MS;
+    for (const record of await store.listRecords(KEYS_TABLE)) {
+      if (Date.parse(record.createdAt) < cutoff) await store.deleteRecord(KEYS_TABLE, record.id);
+    }
+  }
+
+  return { find, run, prune };
+}
+
+module.exports = { parseKey, createIdempotency };
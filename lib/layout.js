@@ -0,0 +1,88 @@
+// lib/layout.js
+// Shared page shell. Every HTML page goes through renderPage (manager/admin
+// screens) or renderCard (the small centered cards staff see after a scan),
+// with content built by the escaping `html` tag from lib/html.
+const { html, raw } = require("./html");
+
+const BASE_STYLE = `
+  body{ font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+    background:#020617; color:#e5e7eb; margin:0; padding:16px; }
+  h1{ font-size:22px; margin-bottom:8px; }
+  h2{ font-size:16px; margin:20px 0 8px; }
+  p{ font-size:14px; color:#9ca3af; margin-top:0; margin-bottom:8px; }
+  a{ color:#60a5fa; text-decoration:none; }
+  a:hover{ text-decoration:underline; }
+  .btn{ display:inline-flex; align-items:center; justify-content:center; padding:6px 10px; border-radius:999px;
+    font-size:11px; font-weight:800; border:1px solid #1f2937; background:#0b1120; color:#e5e7eb;
+    text-decoration:none; cursor:pointer; font-family:inherit; }
+  .btn:hover{ background:#111827; }
+  .btn.primary{ background:#2563eb; border-color:#2563eb; }
+  .btn.active{ background:#1e293b; border-color:#60a5fa; }
+  .row{ display:flex; gap:8px; flex-wrap:wrap; align-items:center; margin:8px 0; }
+  .tabs{ display:flex; gap:6px; flex-wrap:wrap; margin-bottom:12px; }
+  table{ width:100%; border-collapse:collapse; background:#020617; }
+  thead{ background:#111827; }
+  th,td{ padding:8px 10px; font-size:12px; border-bottom:1px solid #1f2937; text-align:left; }
+  .table-wrapper{ overflow-x:auto; margin-top:8px; }
+  .status-badge{ display:inline-block; padding:2px 8px; border-radius:999px; font-size:11px; font-weight:800; }
+  .status-ok{ background:#064e3b; color:#bbf7d0; }
+  .status-warn{ background:#7c2d12; color:#fed7aa; }
+  .status-danger{ background:#7f1d1d; color:#fecaca; }
+  input, select, textarea{ background:#0b1120; color:#e5e7eb; border:1px solid #1f2937; border-radius:8px;
+    padding:6px 8px; font-size:12px; font-family:inherit; }
+  form.inline{ display:inline; }
+  form.stack{ display:grid; gap:6px; max-width:480px; }
+  pre{ background:#0b1120; border:1px solid #1f2937; border-radius:8px; padding:10px; font-size:11px; overflow-x:auto; }
+  small{ color:#9ca3af; }
+  .sub{ font-size:12px; color:#9ca3af; margin-top:10px; }
+  .muted{ color:#6b7280; }
+`;
+
+const CARD_STYLE = `
+  body{ background:#0f172a; display:flex; align-items:center; justify-content:center; min-height:100vh; }
+  .card{ max-width:420px; width:100%; background:#020617; border-radius:16px; padding:24px 20px;
+    box-shadow:0 20px 40px rgba(0,0,0,0.5); text-align:center; border:1px solid #1f2937; }
+  .icon{ font-size:40px; margin-bottom:12px; }
+  h1{ font-size:20px; margin:0 0 8px; }
+  p{ margin:4px 0; font-size:14px; }
+`;
+
+// title: plain text; body: html`` content; style: extra CSS for this page
+// (from code, never request data); scripts: extra script paths
+function renderPage({ title, style = "", head = "", body, scripts = [] }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${title}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="theme-color" content="#020617" />
+    <link rel="manifest" href="/manifest.json" />
+    ${head}
+    <style>${raw(BASE_STYLE + style)}</style>
+  </head>
+  <body>
+    ${body}
+    ${["/app.js", ...scripts].map((src) => html`<script src="${src}" defer></script>`)}
+  </body>
+</html>`.toString();
+}
+
+// Centered card: icon, heading, one line of detail and optional extra content
+function renderCard({ title = "Inventory Alert", icon, heading, detail, body = "", style = "" }) {
+  return renderPage({
+    title,
+    head: html`<meta name="robots" content="noindex" />`,
+    style: CARD_STYLE + style,
+    body: html`
+      <div class="card">
+        <div class="icon">${icon}</div>
+        <h1>${heading}</h1>
+        <p>${detail}</p>
+        ${body}
+      </div>
+    `,
+  });
+}
+
+module.exports = { renderPage, renderCard };
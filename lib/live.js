@@ -0,0 +1,65 @@
+// lib/live.js
+// Server-Sent Events hub for /checklist and /manager: alert reports, their
+// attachments and checklist changes are pushed to every open page that can see them.
+const HEARTBEAT_MS = 25 * 1000;
+// Recent events kept so a reconnecting page (Last-Event-ID) misses nothing
+const REPLAY_SIZE = 100;
+// Browsers wait this long before reconnecting after a dropped stream
+const RETRY_MS = 3000;
+
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createLiveUpdates() {
+  const clients = new Set();
+  const recent = [];
+  let lastId = 0;
+
+  // type: "alert" | "checklist" | "attachment"; data must carry location/locationSlug so
+  // each subscriber's `includes` can filter it
+  function publish(type, data) {
+    const event = { id: ++lastId, type, data };
+    recent.push(event);
+    if (recent.length > REPLAY_SIZE) recent.shift();
+
+    for (const client of clients) {
+      if (client.includes(data)) client.res.write(formatEvent(event));
+    }
+    return event;
+  }
+
+  // Keeps `res` open as an event stream until the browser goes away.
+  // includes(record): the page's location filter (see getLocationView).
+  function subscribe(req, res, { includes = () => true } = {}) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Stops proxies (nginx, Render) from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Event ids restart with the server, so an id from before a restart
+    // (bigger than ours) replays nothing; the page reloads its rows anyway.
+    const since = parseInt(req.get("Last-Event-ID"), 10);
+    if (Number.isFinite(since) && since <= lastId) {
+      for (const event of recent) {
+        if (event.id > since && includes(event.data)) res.write(formatEvent(event));
+      }
+    }
+
+    const client = { res, includes };
+    clients.add(client);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  return { publish, subscribe, clientCount: () => clients.size };
+}
+
+module.exports = { createLiveUpdates };
@@ -0,0 +1,82 @@
+// lib/locations.js
+// Location membership and per-location settings. A user with no membership
+// record sees every location (the single-site default); admins can scope
+// users to the sites they work at on /admin/roles.
+const { slugify } = require("./catalog");
+const { parseList, locationTagKey } = require("./routing");
+
+const MEMBERS_TABLE = "location_members";
+
+// What to do when no routing rule matches a report at a location:
+// "default" uses ROUTING_FALLBACK, "location" pushes to that site's subscribers.
+const LOCATION_FALLBACKS = ["default", "location", "all", "none"];
+
+function routingFallbackFor(location, defaultFallback) {
+  const fallback = location?.routingFallback;
+  return fallback && fallback !== "default" ? fallback : defaultFallback;
+}
+
+// null means "all locations"
+async function getLocationScope(store, userId) {
+  if (!userId) return null;
+  const record = (await store.listRecords(MEMBERS_TABLE)).find((r) => r.id === userId);
+  return record && record.locations.length ? record.locations : null;
+}
+
+async function listMemberships(store) {
+  return store.listRecords(MEMBERS_TABLE);
+}
+
+async function setLocationScope(store, userId, locations, by) {
+  if (!userId) throw new Error("A user id is required");
+  const slugs = parseList(locations).map(slugify).filter(Boolean);
+  if (slugs.length === 0) return store.deleteRecord(MEMBERS_TABLE, userId);
+
+  return store.putRecord(MEMBERS_TABLE, {
+    id: userId,
+    locations: slugs,
+    by,
+    at: new Date().toISOString(),
+  });
+}
+
+function scopeAllows(scope, slug) {
+  return scope === null || scope.includes(slug);
+}
+
+// Alerts carry locationSlug; older rows and delivery records only have the
+// display name, so map it back through the catalog.
+function locationSlugOf(catalog, record) {
+  if (record.locationSlug) return record.locationSlug;
+  const name = record.location || "";
+  const match = catalog.locations.find((l) => l.name === name);
+  return match ? match.slug : slugify(name);
+}
+
+// Catalog locations a scope can see, grouped by business for the rollup
+function visibleLocations(catalog, scope) {
+  return catalog.locations.filter((l) => scopeAllows(scope, l.slug));
+}
+
+function groupByBusiness(locations) {
+  const groups = new Map();
+  for (const l of locations) {
+    const business = l.business || "";
+    if (!groups.has(business)) groups.set(business, []);
+    groups.get(business).push(l);
+  }
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+module.exports = {
+  LOCATION_FALLBACKS,
+  locationTagKey,
+  routingFallbackFor,
+  getLocationScope,
+  listMemberships,
+  setLocationScope,
+  scopeAllows,
+  locationSlugOf,
+  visibleLocations,
+  groupByBusiness,
+};
@@ -0,0 +1,331 @@
+// lib/openapi.js
+// OpenAPI 3 description of /api/v1 (served at /api/v1/openapi.json).
+const { SEVERITIES } = require("./severity");
+const { STATUSES } = require("./checklist");
+
+function buildOpenApiSpec({ serverUrl }) {
+  const error = { $ref: "#/components/schemas/Error" };
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: error } },
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Inventory Alerts API",
+      version: "1.0.0",
+      description:
+        "Report low/out items, read alerts and the restock checklist, and resolve checklist items. " +
+        "Authenticate with a Clerk session cookie or an API key (Authorization: Bearer ia_…, or X-API-Key).",
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ apiKey: [] }, { bearer: [] }, { clerkSession: [] }],
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearer: { type: "http", scheme: "bearer" },
+        clerkSession: { type: "apiKey", in: "cookie", name: "__session" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: { error: { type: "string" } },
+          required: ["error"],
+        },
+        Alert: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            timestamp: { type: "string", format: "date-time" },
+            item: { type: "string", description: "Display name" },
+            itemSlug: { type: "string" },
+            qty: { type: "string", description: "Reported status word, e.g. Low / Out" },
+            severity: { type: "string", enum: SEVERITIES },
+            count: { type: "number", nullable: true, description: "On-hand count, when one was submitted" },
+            unit: { type: "string" },
+            location: { type: "string" },
+            locationSlug: { type: "string" },
+            dedupOf: { type: "string", description: "Alert id this duplicate was folded into" },
+            reporter: { type: "string", description: "Name of who sent it (staff pick, signed-in user or API key)" },
+            reporterId: {
+              type: "string",
+              description: "Clerk user id, staff:<id> for a roster pick, or apikey:<name>; empty when anonymous",
+            },
+            ip: {
+              type: "string",
+              description: "Reporter IP as stored (REPORTER_PRIVACY); masked to its network for non-admin callers",
+            },
+            userAgent: {
+              type: "string",
+              description: "Reporter user agent, or a device summary such as \"Safari on iOS\" for non-admin callers",
+            },
+            resolution: { $ref: "#/components/schemas/ChecklistState" },
+          },
+        },
+        NewAlert: {
+          type: "object",
+          properties: {
+            item: { type: "string", description: "Catalog item slug" },
+            qty: { type: "string", example: "low" },
+            count: {
+              type: "number",
+              minimum: 0,
+              description:
+                "On-hand count. When the item has a reorder/par level, severity comes from the count instead of qty.",
+            },
+            location: { type: "string", description: "Catalog location slug" },
+          },
+          required: ["item"],
+          description: "Send qty, count or both.",
+        },
+        ChecklistState: {
+          type: "object",
+          nullable: true,
+          properties: {
+            id: { type: "string", description: "itemSlug|locationSlug" },
+            item: { type: "string" },
+            itemSlug: { type: "string" },
+            location: { type: "string" },
+            locationSlug: { type: "string" },
+            status: { type: "string", enum: Object.keys(STATUSES) },
+            by: { type: "string" },
+            at: { type: "string", format: "date-time" },
+          },
+        },
+        ChecklistEntry: {
+          type: "object",
+          properties: {
+            key: { type: "string", description: "itemSlug|locationSlug" },
+            item: { type: "string" },
+            itemSlug: { type: "string" },
+            location: { type: "string" },
+            locationSlug: { type: "string" },
+            qty: { type: "string" },
+            count: { type: "number", nullable: true },
+            unit: { type: "string" },
+            reportedAt: { type: "string", format: "date-time" },
+            alertIds: {
+              type: "array",
+              items: { type: "string" },
+              description: "Today's low/out reports for this item, newest first",
+            },
+            shift: { type: "string", description: "Shift the report came in during, e.g. open/mid/close" },
+            state: { $ref: "#/components/schemas/ChecklistState" },
+          },
+        },
+        CatalogItem: {
+          type: "object",
+          properties: {
+            slug: { type: "string" },
+            name: { type: "string" },
+            category: { type: "string" },
+            unit: { type: "string" },
+            parLevel: { type: "number", nullable: true },
+            reorderLevel: { type: "number", nullable: true, description: "Counts at or below this are low" },
+          },
+        },
+        CatalogLocation: {
+          type: "object",
+          properties: { slug: { type: "string" }, name: { type: "string" } },
+        },
+      },
+    },
+    paths: {
+      "/alerts": {
+        post: {
+          summary: "Report an item (same as scanning a QR code)",
+          description:
+            "Requires role staff or higher. Send an Idempotency-Key header to make retries safe: " +
+            "a key already used by the same caller returns the original response (48 hours).",
+          parameters: [
+            {
+              name: "Idempotency-Key",
+              in: "header",
+              schema: { type: "string", pattern: "^[A-Za-z0-9_-]{8,100}$" },
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/NewAlert" } } },
+          },
+          responses: {
+            201: {
+              description: "Alert recorded (or replayed; see the Idempotent-Replayed header)",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      alert: { $ref: "#/components/schemas/Alert" },
+                      notified: { type: "boolean" },
+                      quiet: {
+                        type: "boolean",
+                        description: "True when a count was above the reorder level, so nobody was notified",
+                      },
+                      duplicateOf: { type: "string", nullable: true },
+                    },
+                  },
+                },
+              },
+            },
+            400: errorResponse("Missing fields or unknown item/location"),
+            401: errorResponse("Not authenticated"),
+            403: errorResponse("Role too low or no access to the location"),
+          },
+        },
+        get: {
+          summary: "List alerts, newest first",
+          description: "Requires role manager or higher.",
+          parameters: [
+            { name: "item", in: "query", schema: { type: "string" } },
+            { name: "location", in: "query", schema: { type: "string" } },
+            { name: "severity", in: "query", schema: { type: "string", enum: SEVERITIES } },
+            { name: "from", in: "query", schema: { type: "string", format: "date-time" } },
+            { name: "to", in: "query", schema: { type: "string", format: "date-time" } },
+            { name: "limit", in: "query", schema: { type: "integer", default: 50, maximum: 500 } },
+            { name: "offset", in: "query", schema: { type: "integer", default: 0 } },
+          ],
+          responses: {
+            200: {
+              description: "A page of alerts",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      data: { type: "array", items: { $ref: "#/components/schemas/Alert" } },
+                      page: {
+                        type: "object",
+                        properties: {
+                          offset: { type: "integer" },
+                          limit: { type: "integer" },
+                          total: { type: "integer" },
+                          nextOffset: { type: "integer", nullable: true },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            400: errorResponse("Bad filter"),
+            401: errorResponse("Not authenticated"),
+            403: errorResponse("Role too low"),
+          },
+        },
+      },
+      "/analytics": {
+        get: {
+          summary: "Stockout frequency, time to restock and trends",
+          description:
+            "Requires role manager or higher. Per-item daily report counts, most frequently out items per location, " +
+            "a day-of-week × hour heatmap (Monday first, local time), time from first low report to restocked, " +
+            "and last 7 days vs the previous 7.",
+          parameters: [
+            { name: "days", in: "query", schema: { type: "integer", minimum: 7, maximum: 365, default: 28 } },
+            { name: "location", in: "query", schema: { type: "string" }, description: "Location slug" },
+          ],
+          responses: {
+            200: { description: "Analytics summary", content: { "application/json": { schema: { type: "object" } } } },
+            401: errorResponse("Not authenticated"),
+            403: errorResponse("Role too low or no access to the location"),
+          },
+        },
+      },
+      "/checklist": {
+        get: {
+          summary: "Today's restock checklist",
+          description:
+            "Requires role shift_lead or higher. Users limited to locations only see theirs.",
+          parameters: [
+            { name: "location", in: "query", schema: { type: "string" }, description: "Location slug" },
+          ],
+          responses: {
+            200: {
+              description: "Open and resolved checklist entries",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      open: { type: "array", items: { $ref: "#/components/schemas/ChecklistEntry" } },
+                      resolved: { type: "array", items: { $ref: "#/components/schemas/ChecklistEntry" } },
+                    },
+                  },
+                },
+              },
+            },
+            401: errorResponse("Not authenticated"),
+            403: errorResponse("Role too low"),
+          },
+        },
+      },
+      "/checklist/status": {
+        post: {
+          summary: "Acknowledge / start / resolve a checklist item",
+          description:
+            "Requires role shift_lead or higher. item and location are catalog slugs " +
+            "(itemSlug / locationSlug as returned by /checklist).",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    item: { type: "string" },
+                    location: { type: "string" },
+                    status: { type: "string", enum: Object.keys(STATUSES) },
+                  },
+                  required: ["item", "status"],
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Updated state",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: { state: { $ref: "#/components/schemas/ChecklistState" } },
+                  },
+                },
+              },
+            },
+            400: errorResponse("Missing item, bad status or unknown item/location"),
+            401: errorResponse("Not authenticated"),
+            403: errorResponse("Role too low or no access to the location"),
+          },
+        },
+      },
+      "/catalog": {
+        get: {
+          summary: "Items and locations",
+          description: "Requires role staff or higher.",
+          responses: {
+            200: {
+              description: "The catalog",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      items: { type: "array", items: { $ref: "#/components/schemas/CatalogItem" } },
+                      locations: { type: "array", items: { $ref: "#/components/schemas/CatalogLocation" } },
+                    },
+                  },
+                },
+              },
+            },
+            401: errorResponse("Not authenticated"),
+          },
+        },
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiSpec };
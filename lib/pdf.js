@@ -0,0 +1,86 @@
+// lib/pdf.js
+// Minimal text-only PDF writer for printable exports (purchase orders).
+// Uses the built-in Helvetica/Courier fonts, so there's nothing to embed.
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const LINE_HEIGHT = 14;
+
+// Built-in fonts only cover Latin-1; swap the punctuation we commonly use
+// and replace anything else.
+function toLatin1(text) {
+  return String(text ?? "")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/…/g, "...")
+    .replace(/[^\x00-\xff]/g, "?");
+}
+
+function pdfString(text) {
+  return `(${toLatin1(text).replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+// lines: strings or { text, font: "bold" | "mono", size }
+function buildTextPdf({ title = "", lines = [] }) {
+  const all = [
+    ...(title ? [{ text: title, font: "bold", size: 16 }, ""] : []),
+    ...lines,
+  ].map((l) => (typeof l === "string" ? { text: l } : l));
+
+  const perPage = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LINE_HEIGHT);
+  const pages = [];
+  for (let i = 0; i < all.length || pages.length === 0; i += perPage) {
+    pages.push(all.slice(i, i + perPage));
+  }
+
+  const fontRef = { regular: "/F1", bold: "/F2", mono: "/F3" };
+  const streams = pages.map((pageLines, pageIndex) => {
+    const ops = pageLines.map((l, i) => {
+      const y = PAGE_HEIGHT - MARGIN - i * LINE_HEIGHT;
+      const font = fontRef[l.font] || fontRef.regular;
+      return `BT ${font} ${l.size || 10} Tf ${MARGIN} ${y} Td ${pdfString(l.text)} Tj ET`;
+    });
+    if (pages.length > 1) {
+      const footer = `Page ${pageIndex + 1} of ${pages.length}`;
+      ops.push(`BT ${fontRef.regular} 8 Tf ${MARGIN} ${MARGIN / 2} Td ${pdfString(footer)} Tj ET`);
+    }
+    return ops.join("\n");
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-5 fonts, then a page + content pair per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  streams.forEach((stream, i) => {
+    const pageId = pageIds[i];
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] =
+      `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(out, "latin1");
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefAt = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    out += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+  return Buffer.from(out, "latin1");
+}
+
+module.exports = { buildTextPdf };
@@ -0,0 +1,48 @@
+// lib/preferences.js
+// Per-user notification channel preferences.
+
+const PREFS_TABLE = "notification_prefs";
+const CHANNELS = ["push", "sms", "email"];
+
+const CHANNEL_LABELS = {
+  push: "Push",
+  sms: "SMS",
+  email: "Email",
+};
+
+// channels: delivered on every alert routed to the user
+// fallback: used when all of those fail, or an "out" alert goes unacknowledged
+const DEFAULT_PREFS = {
+  channels: ["push"],
+  fallback: "sms",
+  phone: "",
+  email: "",
+};
+
+async function getPreferences(store, userId) {
+  const record = (await store.listRecords(PREFS_TABLE)).find((r) => r.id === userId);
+  return { ...DEFAULT_PREFS, ...(record || {}), id: userId };
+}
+
+async function savePreferences(store, userId, input = {}) {
+  const list = Array.isArray(input.channels) ? input.channels : [input.channels];
+  const channels = CHANNELS.filter((c) => list.includes(c));
+  const fallback = CHANNELS.includes(input.fallback) ? input.fallback : "none";
+
+  return store.putRecord(PREFS_TABLE, {
+    id: userId,
+    channels,
+    fallback,
+    phone: String(input.phone || "").trim(),
+    email: String(input.email || "").trim(),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+module.exports = {
+  CHANNELS,
+  CHANNEL_LABELS,
+  DEFAULT_PREFS,
+  getPreferences,
+  savePreferences,
+};
@@ -0,0 +1,172 @@
+// lib/privacy.js
+// What we keep about whoever sent a report (IP and user agent from a QR scan,
+// the count sheet or the API), and who gets to see it.
+//
+// REPORTER_PRIVACY modes:
+//   full      – raw IP and user agent (the original behaviour)
+//   hashed    – keyed hash of the IP ("ip-3f9a…", still groups repeat reporters)
+//               and a device summary ("Safari on iOS") instead of the user agent
+//   truncated – network only ("203.0.113.0/24", "2001:db8:85a3::/48") plus the
+//               device summary
+//   none      – nothing
+// Whatever is stored, only admins see it as-is; everyone else gets the
+// truncated network and device summary.
+const crypto = require("crypto");
+const net = require("net");
+const { REJECTED_TABLE } = require("./abuse");
+const { STOCK_TABLE } = require("./stock");
+
+const PRIVACY_MODES = ["full", "hashed", "truncated", "none"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The purge reads whole tables, so it doesn't need to run on every tick
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const HASHED_IP = /^ip-[a-f0-9]{12}$/;
+
+// ---- Device summary ----
+
+const BROWSERS = [
+  [/Edg(A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Version\/.*Safari\/|Mobile\/\w+ Safari/, "Safari"],
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/CrOS/, "ChromeOS"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+// "Chrome on Android", "Safari on iOS", or the client's product name for
+// scripts ("curl"). Already-summarized values pass through unchanged.
+function describeDevice(userAgent = "") {
+  const ua = String(userAgent || "").trim();
+  if (!ua || !ua.includes("/")) return ua;
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(ua))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(ua))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+  if (browser || system) return browser || system;
+  return ua.split("/")[0].slice(0, 40);
+}
+
+// ---- IP addresses ----
+
+function expandIpv6(ip) {
+  const [head, tail = ""] = ip.split("::");
+  const left = head ? head.split(":") : [];
+  const right = ip.includes("::") && tail ? tail.split(":") : [];
+  const zeros = ip.includes("::") ? Array(8 - left.length - right.length).fill("0") : [];
+  return [...left, ...zeros, ...right];
+}
+
+// Network part only: /24 for IPv4, /48 for IPv6. Anything that isn't an IP
+// (already masked or hashed) is returned unchanged.
+function maskIp(ip = "") {
+  let value = String(ip || "").trim();
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) value = mapped[1];
+
+  if (net.isIPv4(value)) return `${value.split(".").slice(0, 3).join(".")}.0/24`;
+  if (net.isIPv6(value)) {
+    const groups = expandIpv6(value.split("%")[0])
+      .slice(0, 3)
+      .map((g) => g.replace(/^0+(?=.)/, "").toLowerCase());
+    while (groups.length && groups[groups.length - 1] === "0") groups.pop();
+    return `${groups.join(":")}::/48`;
+  }
+  return value;
+}
+
+// A raw, masked or hashed IP (as stored in alerts, rejected reports and
+// stock counts made without a signed-in user)
+function isReporterAddress(value = "") {
+  const v = String(value || "");
+  if (!v) return false;
+  if (net.isIP(v) || HASHED_IP.test(v)) return true;
+  const [base, bits] = v.split("/");
+  return Boolean(bits) && net.isIP(base) > 0;
+}
+
+// mode: one of PRIVACY_MODES; secret: key for the IP hash (without one, a
+// random key is used and hashes stop matching after a restart);
+// retentionDays: reporter data older than this is purged (0 keeps it)
+function createReporterPrivacy({ mode = "full", secret = "", retentionDays = 0 } = {}) {
+  if (!PRIVACY_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown REPORTER_PRIVACY "${mode}"; using "full".`);
+    mode = "full";
+  }
+  if (mode === "hashed" && !secret) {
+    console.warn("⚠️ REPORTER_HASH_SECRET not set: reporter IP hashes change on every restart.");
+  }
+  const hashKey = secret || crypto.randomBytes(32).toString("hex");
+  let lastPurgeAt = 0;
+
+  function hashIp(ip) {
+    if (!ip) return "";
+    return `ip-${crypto.createHmac("sha256", hashKey).update(ip).digest("hex").slice(0, 12)}`;
+  }
+
+  // { ip, userAgent } from the request → what gets stored
+  function apply({ ip = "", userAgent = "" } = {}) {
+    if (mode === "none") return { ip: "", userAgent: "" };
+    if (mode === "hashed") return { ip: hashIp(ip), userAgent: describeDevice(userAgent) };
+    if (mode === "truncated") return { ip: maskIp(ip), userAgent: describeDevice(userAgent) };
+    return { ip, userAgent };
+  }
+
+  // A stored alert or rejected report as a viewer may see it: unchanged for
+  // admins (raw = true), masked for everyone else
+  function view(record, { raw = false } = {}) {
+    if (raw) return record;
+    return { ...record, ip: maskIp(record.ip), userAgent: describeDevice(record.userAgent) };
+  }
+
+  // Blanks reporter IPs, user agents and device ids older than retentionDays
+  // on alerts, rejected reports and stock counts. Runs at most hourly unless
+  // `force` is set.
+  async function purge(store, now = new Date(), { force = false } = {}) {
+    if (!(retentionDays > 0)) return 0;
+    if (!force && now.getTime() - lastPurgeAt < PURGE_INTERVAL_MS) return 0;
+    lastPurgeAt = now.getTime();
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+
+    let scrubbed = await store.scrubAlerts(cutoff);
+
+    for (const r of await store.listRecords(REJECTED_TABLE)) {
+      if (r.at < cutoff && (r.ip || r.userAgent || r.deviceId)) {
+        await store.putRecord(REJECTED_TABLE, { ...r, ip: "", userAgent: "", deviceId: "" });
+        scrubbed += 1;
+      }
+    }
+
+    // Anonymous counts are attributed to the reporter's address
+    for (const s of await store.listRecords(STOCK_TABLE)) {
+      let changed = false;
+      const history = (s.history || []).map((h) => {
+        if (h.at >= cutoff || !isReporterAddress(h.by)) return h;
+        changed = true;
+        return { ...h, by: "" };
+      });
+      const by = s.at < cutoff && isReporterAddress(s.by) ? "" : s.by;
+      if (changed || by !== s.by) {
+        await store.putRecord(STOCK_TABLE, { ...s, by, history });
+        scrubbed += 1;
+      }
+    }
+
+    if (scrubbed) console.log(`🧹 Purged reporter data from ${scrubbed} record${scrubbed === 1 ? "" : "s"} older than ${retentionDays} days`);
+    return scrubbed;
+  }
+
+  return { mode, retentionDays, apply, view, purge };
+}
+
+module.exports = { PRIVACY_MODES, describeDevice, maskIp, createReporterPrivacy };
@@ -0,0 +1,306 @@
+// lib/purchaseOrders.js
+// Purchase orders generated from the open restock checklist: one order per
+// supplier per location, tracked draft → sent → received.
+const crypto = require("crypto");
+const { slugify } = require("./catalog");
+const { setItemStatus } = require("./checklist");
+const { stockKey, describeCount } = require("./stock");
+const { buildTextPdf } = require("./pdf");
+
+const ORDERS_TABLE = "purchase_orders";
+
+const ORDER_STATUSES = {
+  draft: "Draft",
+  sent: "Sent",
+  received: "Received",
+};
+
+// Orders only move forward
+const NEXT_STATUS = { draft: "sent", sent: "received" };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order writes run one at a time, so a double-clicked "Generate" can't draft
+// the same orders twice or hand out the same PO number
+let writes = Promise.resolve();
+
+function oneAtATime(fn) {
+  return (...args) => {
+    const result = writes.then(() => fn(...args));
+    writes = result.then(() => {}, () => {});
+    return result;
+  };
+}
+
+async function listOrders(store) {
+  const orders = await store.listRecords(ORDERS_TABLE);
+  return orders.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+async function getOrder(store, id) {
+  return (await store.listRecords(ORDERS_TABLE)).find((o) => o.id === id) || null;
+}
+
+// Enough order units to get back to par; one when we don't know the count
+function orderQuantity(item, onHand) {
+  const pack = item.packSize > 0 ? item.packSize : 1;
+  if (item.parLevel === null || item.parLevel === undefined) return 1;
+  if (onHand === null || onHand === undefined) return 1;
+  return Math.max(1, Math.ceil((item.parLevel - onHand) / pack));
+}
+
+function leadTimeOf(item, supplier) {
+  return item.leadTimeDays ?? supplier?.leadTimeDays ?? null;
+}
+
+// entries: open checklist entries. Returns draft orders (not yet saved) plus
+// the entries that couldn't be ordered: `unassigned` have no supplier in the
+// catalog, `skipped` are already on a draft or sent order.
+function planReorder({ catalog, entries, levels, orders = [] }) {
+  const onOrder = new Set();
+  for (const order of orders) {
+    if (order.status === "received") continue;
+    for (const line of order.lines) onOrder.add(stockKey(line.itemSlug, order.locationSlug));
+  }
+
+  const groups = new Map();
+  const unassigned = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    const itemSlug = entry.itemSlug || slugify(entry.item);
+    const item = catalog.items.find((i) => i.slug === itemSlug);
+    const supplier = item && catalog.suppliers.find((s) => s.slug === item.supplier);
+    if (!supplier) {
+      unassigned.push(entry);
+      continue;
+    }
+
+    const locationSlug = entry.locationSlug || slugify(entry.location);
+    if (onOrder.has(stockKey(itemSlug, locationSlug))) {
+      skipped.push(entry);
+      continue;
+    }
+
+    const level = levels.get(stockKey(itemSlug, locationSlug));
+    const onHand = level ? level.count : (entry.count ?? null);
+    const groupKey = `${supplier.slug}|${locationSlug}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        supplierSlug: supplier.slug,
+        supplierName: supplier.name,
+        supplierEmail: supplier.email || "",
+        locationSlug,
+        location: entry.location || "",
+        leadTimeDays: null,
+        lines: [],
+      });
+    }
+
+    const group = groups.get(groupKey);
+    const leadTime = leadTimeOf(item, supplier);
+    if (leadTime !== null) group.leadTimeDays = Math.max(group.leadTimeDays ?? 0, leadTime);
+    group.lines.push({
+      itemSlug,
+      item: entry.item,
+      location: entry.location || "",
+      severity: entry.qty,
+      onHand,
+      unit: item.unit || entry.unit || "",
+      quantity: orderQuantity(item, onHand),
+      orderUnit: item.orderUnit || "",
+      packSize: item.packSize || null,
+    });
+  }
+
+  return { drafts: [...groups.values()], unassigned, skipped };
+}
+
+// Saves the planned drafts. Numbers look like PO-20260314-3.
+async function generateOrders(store, { catalog, entries, levels, userId, now = new Date() }) {
+  const orders = await listOrders(store);
+  const plan = planReorder({ catalog, entries, levels, orders });
+
+  const day = now.toISOString().slice(0, 10).replace(/-/g, "");
+  let seq = orders.filter((o) => o.number.startsWith(`PO-${day}-`)).length;
+  const at = now.toISOString();
+
+  const created = [];
+  for (const draft of plan.drafts) {
+    seq += 1;
+    const order = {
+      id: crypto.randomUUID(),
+      number: `PO-${day}-${seq}`,
+      ...draft,
+      status: "draft",
+      expectedBy:
+        draft.leadTimeDays === null
+          ? ""
+          : new Date(now.getTime() + draft.leadTimeDays * DAY_MS).toISOString().slice(0, 10),
+      createdAt: at,
+      createdBy: userId,
+      emailedTo: "",
+      history: [{ status: "draft", by: userId, at }],
+    };
+    await store.putRecord(ORDERS_TABLE, order);
+    created.push(order);
+  }
+
+  return { created, unassigned: plan.unassigned, skipped: plan.skipped };
+}
+
+// Drafts can have quantities edited and lines dropped (quantity 0)
+async function updateOrderLines(store, id, quantities) {
+  const order = await getOrder(store, id);
+  if (!order) throw new Error("Order not found");
+  if (order.status !== "draft") throw new Error("Only draft orders can be edited");
+
+  const lines = order.lines
+    .map((line) => {
+      const raw = quantities[line.itemSlug];
+      if (raw === undefined || raw === "") return line;
+      const quantity = Number(raw);
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        throw new Error(`Quantity for ${line.item} must be a number ≥ 0`);
+      }
+      return { ...line, quantity };
+    })
+    .filter((line) => line.quantity > 0);
+  if (lines.length === 0) throw new Error("An order needs at least one line; delete it instead");
+
+  return store.putRecord(ORDERS_TABLE, { ...order, lines });
+}
+
+// Receiving marks every line's checklist item restocked; those checklist
+// states come back as `restocked` (not stored on the order).
+async function setOrderStatus(store, id, status, { userId, emailedTo = "" }) {
+  const order = await getOrder(store, id);
+  if (!order) throw new Error("Order not found");
+  if (NEXT_STATUS[order.status] !== status) {
+    throw new Error(
+      `Can't mark a ${ORDER_STATUSES[order.status].toLowerCase()} order as ${ORDER_STATUSES[status] || status}`
+    );
+  }
+
+  const at = new Date().toISOString();
+  const updated = {
+    ...order,
+    status,
+    [`${status}At`]: at,
+    [`${status}By`]: userId,
+    emailedTo: emailedTo || order.emailedTo,
+    history: [...order.history, { status, by: userId, at }],
+  };
+  await store.putRecord(ORDERS_TABLE, updated);
+
+  const restocked = [];
+  if (status === "received") {
+    for (const line of order.lines) {
+      restocked.push(
+        await setItemStatus(store, {
+          item: { slug: line.itemSlug, name: line.item },
+          location: order.locationSlug ? { slug: order.locationSlug, name: line.location } : null,
+          status: "restocked",
+          userId,
+        })
+      );
+    }
+  }
+  return { ...updated, restocked };
+}
+
+async function deleteOrder(store, id) {
+  const order = await getOrder(store, id);
+  if (!order) return false;
+  if (order.status !== "draft") throw new Error("Only draft orders can be deleted");
+  return store.deleteRecord(ORDERS_TABLE, id);
+}
+
+// ---- Exports ----
+
+function csvCell(value) {
+  return `"${String(value ?? "").replace(/"/g, '""')}"`;
+}
+
+function orderCsv(order) {
+  const rows = [
+    ["PO Number", "Supplier", "Location", "Item", "Quantity", "Order Unit", "Pack Size", "On Hand", "Expected By"],
+    ...order.lines.map((l) => [
+      order.number,
+      order.supplierName,
+      order.location,
+      l.item,
+      l.quantity,
+      l.orderUnit,
+      l.packSize ?? "",
+      describeCount(l.onHand, l.unit),
+      order.expectedBy,
+    ]),
+  ];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+}
+
+function orderPdf(order) {
+  const mono = (text) => ({ text, font: "mono" });
+  const row = (item, qty, unit, onHand) =>
+    mono(`${item.slice(0, 34).padEnd(36)}${String(qty).padStart(6)}  ${unit.slice(0, 14).padEnd(16)}${onHand}`);
+
+  return buildTextPdf({
+    title: `Purchase Order ${order.number}`,
+    lines: [
+      `Supplier: ${order.supplierName}${order.supplierEmail ? ` <${order.supplierEmail}>` : ""}`,
+      `Deliver to: ${order.location || "-"}`,
+      `Date: ${order.createdAt.slice(0, 10)}${order.expectedBy ? ` · Needed by: ${order.expectedBy}` : ""}`,
+      "",
+      row("Item", "Qty", "Unit", "On hand"),
+      mono("-".repeat(70)),
+      ...order.lines.map((l) =>
+        row(
+          l.item,
+          l.quantity,
+          l.orderUnit ? `${l.orderUnit}${l.packSize ? ` x${l.packSize}` : ""}` : l.unit || "",
+          describeCount(l.onHand, l.unit) || "-"
+        )
+      ),
+    ],
+  });
+}
+
+function orderEmail(order) {
+  const intro = `Please find purchase order ${order.number}${order.location ? ` for ${order.location}` : ""} below.`;
+  const body = [
+    `Hello ${order.supplierName},`,
+    "",
+    order.expectedBy ? `${intro} We'd like delivery by ${order.expectedBy}.` : intro,
+    "",
+    ...order.lines.map(
+      (l) => `- ${l.quantity} ${l.orderUnit || l.unit || "x"}${l.packSize ? ` (of ${l.packSize})` : ""} ${l.item}`
+    ),
+    "",
+    "CSV and PDF copies are attached. Thank you!",
+  ].join("\n");
+
+  return {
+    heading: `Purchase order ${order.number}`,
+    body,
+    attachments: [
+      { filename: `${order.number}.csv`, content: orderCsv(order), contentType: "text/csv" },
+      { filename: `${order.number}.pdf`, content: orderPdf(order), contentType: "application/pdf" },
+    ],
+  };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  NEXT_STATUS,
+  listOrders,
+  getOrder,
+  planReorder,
+  generateOrders: oneAtATime(generateOrders),
+  updateOrderLines: oneAtATime(updateOrderLines),
+  setOrderStatus: oneAtATime(setOrderStatus),
+  deleteOrder: oneAtATime(deleteOrder),
+  orderCsv,
+  orderPdf,
+  orderEmail,
+};
@@ -0,0 +1,65 @@
+// lib/push.js
+// OneSignal push delivery. One report can fan out to several notifications
+// because OneSignal won't combine external-id targeting with tag filters.
+
+const ONESIGNAL_URL = "https://onesignal.com/api/v1/notifications";
+
+// targets: [{ type: "all" } | { type: "users", externalUserIds: [...] } | { type: "tag", key, value }]
+function buildPushBodies({ appId, targets, heading, message, url }) {
+  return targets.map((target) => {
+    const body = {
+      app_id: appId,
+      headings: { en: heading },
+      contents: { en: message },
+      url,
+    };
+
+    if (target.type === "users") {
+      body.include_external_user_ids = target.externalUserIds;
+    } else if (target.type === "tag") {
+      body.filters = [{ field: "tag", key: target.key, relation: "=", value: target.value }];
+    } else {
+      body.included_segments = ["All"];
+    }
+    return body;
+  });
+}
+
+async function sendPush({ appId, apiKey, targets, heading, message, url }) {
+  const bodies = buildPushBodies({ appId, targets, heading, message, url });
+  const results = [];
+
+  for (const body of bodies) {
+    try {
+      const response = await fetch(ONESIGNAL_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json; charset=utf-8",
+          Authorization: `Basic ${apiKey}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      const text = await response.text();
+      if (!response.ok) console.error(`❌ OneSignal push failed (${response.status}):`, text);
+
+      // OneSignal answers 200 even when nobody is subscribed; `recipients`
+      // tells us whether any device actually got it.
+      let recipients = null;
+      try {
+        recipients = JSON.parse(text).recipients ?? null;
+      } catch {
+        recipients = null;
+      }
+
+      results.push({ ok: response.ok, status: response.status, recipients, response: text });
+    } catch (err) {
+      console.error("❌ Error sending OneSignal push:", err.message);
+      results.push({ ok: false, status: 0, recipients: null, response: err.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { buildPushBodies, sendPush };
@@ -0,0 +1,42 @@
+// lib/qrSigning.js
+// HMAC signatures for QR alert links, so /alert only accepts URLs we printed.
+// The signature covers item, location, status and the optional expiry.
+const crypto = require("crypto");
+const { slugify } = require("./catalog");
+
+function canonical({ item, location, qty, exp }) {
+  return [slugify(item), slugify(location), slugify(qty), exp || ""].join("|");
+}
+
+function signAlertParams(params, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(canonical(params))
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+// Returns { ok } or { ok: false, reason }. `mode`: "require" rejects
+// unsigned links; "optional" lets them through but still rejects bad ones.
+function verifyAlertParams({ item, location, qty, exp, sig }, { secret, mode = "require", now = Date.now() }) {
+  if (!secret || mode === "off") return { ok: true };
+
+  if (!sig) {
+    return mode === "require" ? { ok: false, reason: "missing signature" } : { ok: true };
+  }
+
+  const expected = Buffer.from(signAlertParams({ item, location, qty, exp }, secret));
+  const actual = Buffer.from(String(sig));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: "bad signature" };
+  }
+
+  if (exp) {
+    const expMs = Number(exp) * 1000;
+    if (!Number.isFinite(expMs) || expMs < now) return { ok: false, reason: "expired link" };
+  }
+
+  return { ok: true };
+}
+
+module.exports = { signAlertParams, verifyAlertParams };
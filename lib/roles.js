@@ -0,0 +1,108 @@
+// lib/roles.js
+// Role lookup for signed-in Clerk users. Roles are ordered: each one can do
+// everything the roles before it can.
+
+const ROLES = ["staff", "shift_lead", "manager", "admin"];
+
+const ROLE_LABELS = {
+  staff: "Staff",
+  shift_lead: "Shift Lead",
+  manager: "Manager",
+  admin: "Admin",
+};
+
+const ROLES_TABLE = "user_roles";
+const ROLE_CACHE_MS = 60 * 1000;
+
+// Accepts "Shift Lead", "shift-lead", "shift_lead" …
+function normalizeRole(value) {
+  const role = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  return ROLES.includes(role) ? role : null;
+}
+
+function hasRole(role, minRole) {
+  const have = ROLES.indexOf(normalizeRole(role));
+  const need = ROLES.indexOf(minRole);
+  return have >= 0 && need >= 0 && have >= need;
+}
+
+function parseRoleMapping(json) {
+  if (!json) return {};
+  try {
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (err) {
+    console.error("❌ USER_ROLES is not valid JSON:", err.message);
+    return {};
+  }
+}
+
+// Precedence: local mapping (store) → USER_ROLES env mapping →
+// Clerk publicMetadata.role → defaultRole.
+function createRoleResolver({ store, clerkClient, envMapping = {}, defaultRole = "staff" }) {
+  const cache = new Map(); // userId → { role, at }
+
+  async function getClerkRole(userId) {
+    try {
+      const user = await clerkClient.users.getUser(userId);
+      return normalizeRole(user?.publicMetadata?.role);
+    } catch (err) {
+      console.error("❌ Error reading Clerk user metadata:", err.message);
+      return null;
+    }
+  }
+
+  async function getRole(userId) {
+    if (!userId) return null;
+
+    const cached = cache.get(userId);
+    if (cached && Date.now() - cached.at < ROLE_CACHE_MS) return cached.role;
+
+    const local = (await store.listRecords(ROLES_TABLE)).find((r) => r.id === userId);
+    const role =
+      normalizeRole(local?.role) ||
+      normalizeRole(envMapping[userId]) ||
+      (await getClerkRole(userId)) ||
+      normalizeRole(defaultRole) ||
+      "staff";
+
+    cache.set(userId, { role, at: Date.now() });
+    return role;
+  }
+
+  async function listLocalRoles() {
+    return store.listRecords(ROLES_TABLE);
+  }
+
+  async function setLocalRole(userId, role, by) {
+    const normalized = normalizeRole(role);
+    if (!userId || !normalized) throw new Error("A user id and a valid role are required");
+
+    cache.delete(userId);
+    return store.putRecord(ROLES_TABLE, {
+      id: userId,
+      role: normalized,
+      by,
+      at: new Date().toISOString(),
+    });
+  }
+
+  async function removeLocalRole(userId) {
+    cache.delete(userId);
+    return store.deleteRecord(ROLES_TABLE, userId);
+  }
+
+  return { getRole, listLocalRoles, setLocalRole, removeLocalRole };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  normalizeRole,
+  hasRole,
+  parseRoleMapping,
+  createRoleResolver,
+};
@@ -0,0 +1,107 @@
+// lib/routing.js
+// Notification routing rules: which subscribers get a push for a report,
+// based on the item's category, the location and the severity.
+const crypto = require("crypto");
+const { SEVERITIES } = require("./severity");
+const { slugify } = require("./catalog");
+
+const RULES_TABLE = "routing_rules";
+
+// Comma/newline separated form input → trimmed, de-duplicated list
+function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,\n]/);
+  return [...new Set(list.map((v) => String(v).trim()).filter(Boolean))];
+}
+
+// "role=bar_lead, store=downtown" → [{ key, value }]
+function parseTags(value) {
+  return parseList(value)
+    .map((pair) => {
+      const [key, ...rest] = pair.split("=");
+      return { key: key.trim(), value: rest.join("=").trim() };
+    })
+    .filter((t) => t.key && t.value);
+}
+
+async function listRules(store) {
+  const rules = await store.listRecords(RULES_TABLE);
+  return rules.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+}
+
+async function saveRule(store, input, userId) {
+  const rule = {
+    id: input.id || crypto.randomUUID(),
+    name: String(input.name || "").trim() || "Untitled rule",
+    categories: parseList(input.categories).map((c) => c.toLowerCase()),
+    locations: parseList(input.locations).map(slugify),
+    severities: parseList(input.severities).filter((s) => SEVERITIES.includes(s)),
+    externalUserIds: parseList(input.externalUserIds),
+    tags: Array.isArray(input.tags) ? input.tags : parseTags(input.tags),
+    enabled: input.enabled === undefined ? true : input.enabled === true || input.enabled === "on",
+    updatedBy: userId,
+    updatedAt: new Date().toISOString(),
+  };
+
+  if (rule.externalUserIds.length === 0 && rule.tags.length === 0) {
+    throw new Error("A rule needs at least one recipient user id or tag");
+  }
+
+  return store.putRecord(RULES_TABLE, rule);
+}
+
+function deleteRule(store, id) {
+  return store.deleteRecord(RULES_TABLE, id);
+}
+
+// OneSignal tag a device carries for each location it subscribes to
+function locationTagKey(slug) {
+  return `loc_${slug}`;
+}
+
+// Empty lists on a rule mean "any"
+function ruleMatches(rule, { category, location, severity }) {
+  if (rule.enabled === false) return false;
+  if (rule.categories.length && !rule.categories.includes(String(category || "").toLowerCase())) {
+    return false;
+  }
+  if (rule.locations.length && !rule.locations.includes(location || "")) return false;
+  if (rule.severities.length && !rule.severities.includes(severity)) return false;
+  return true;
+}
+
+// alert: { category, location (slug), severity }.
+// fallback: "all" keeps the old push-to-everyone behaviour when no rule matches;
+// "location" pushes to that location's subscribers (everyone if no location).
+function resolveTargets(rules, alert, { fallback = "all" } = {}) {
+  const matchedRules = rules.filter((r) => ruleMatches(r, alert));
+
+  const externalUserIds = new Set();
+  const tags = new Map();
+  for (const rule of matchedRules) {
+    rule.externalUserIds.forEach((id) => externalUserIds.add(id));
+    rule.tags.forEach((t) => tags.set(`${t.key}=${t.value}`, t));
+  }
+
+  const targets = [];
+  if (externalUserIds.size) targets.push({ type: "users", externalUserIds: [...externalUserIds] });
+  for (const t of tags.values()) targets.push({ type: "tag", key: t.key, value: t.value });
+
+  if (targets.length === 0 && fallback === "location" && alert.location) {
+    targets.push({ type: "tag", key: locationTagKey(alert.location), value: "1" });
+  } else if (targets.length === 0 && (fallback === "all" || fallback === "location")) {
+    targets.push({ type: "all" });
+  }
+
+  return { matchedRules, targets };
+}
+
+module.exports = {
+  parseList,
+  parseTags,
+  listRules,
+  saveRule,
+  deleteRule,
+  locationTagKey,
+  ruleMatches,
+  resolveTargets,
+};
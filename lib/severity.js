@@ -0,0 +1,19 @@
+// lib/severity.js
+// Map the free-text `qty` word from a report to a severity level.
+
+const SEVERITIES = ["ok", "low", "out"];
+
+const SEVERITY_LABELS = {
+  ok: "OK / Other",
+  low: "Low",
+  out: "Out / Critical",
+};
+
+function severityOf(qty = "") {
+  const normalized = String(qty || "").toLowerCase();
+  if (/(out|empty|critical)/.test(normalized)) return "out";
+  if (/(low|running)/.test(normalized)) return "low";
+  return "ok";
+}
+
+module.exports = { SEVERITIES, SEVERITY_LABELS, severityOf };
@@ -0,0 +1,95 @@
+// lib/staff.js
+// Staff roster for putting a name on QR reports without a full sign-in. A
+// phone remembers who picked it in a signed cookie; members with a PIN have
+// to enter it when picking (only a bcrypt hash is stored).
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+const STAFF_TABLE = "staff_members";
+const STAFF_COOKIE = "ia_staff";
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// reporterId prefix for roster members (Clerk users keep their user id,
+// API keys are "apikey:<name>")
+const STAFF_PREFIX = "staff:";
+
+async function listStaff(store) {
+  const members = await store.listRecords(STAFF_TABLE);
+  return members.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getStaffMember(store, id) {
+  if (!id) return null;
+  return (await store.listRecords(STAFF_TABLE)).find((m) => m.id === id) || null;
+}
+
+// input: form fields { id?, name, pin?, clearPin?, active? }. A blank pin
+// keeps the current one.
+async function saveStaffMember(store, input, userId) {
+  const name = String(input.name || "").trim();
+  if (!name) throw new Error("A name is required");
+  const pin = String(input.pin || "").trim();
+  if (pin && !PIN_PATTERN.test(pin)) throw new Error("PINs are 4 to 8 digits");
+
+  const existing = await getStaffMember(store, input.id);
+  if (input.id && !existing) throw new Error("Unknown staff member");
+  const duplicate = (await listStaff(store)).find(
+    (m) => m.id !== existing?.id && m.name.toLowerCase() === name.toLowerCase()
+  );
+  if (duplicate) throw new Error(`"${name}" is already on the roster`);
+
+  let pinHash = existing?.pinHash || "";
+  if (input.clearPin) pinHash = "";
+  if (pin) pinHash = await bcrypt.hash(pin, 10);
+
+  return store.putRecord(STAFF_TABLE, {
+    id: existing?.id || crypto.randomBytes(6).toString("hex"),
+    name,
+    pinHash,
+    active: existing ? Boolean(input.active) : true,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedBy: userId,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+function deleteStaffMember(store, id) {
+  return store.deleteRecord(STAFF_TABLE, id);
+}
+
+// True when the member has no PIN or `pin` matches it
+async function checkPin(member, pin) {
+  if (!member.pinHash) return true;
+  return bcrypt.compare(String(pin || ""), member.pinHash);
+}
+
+// ---- Device cookie ----
+// "<staff id>.<hmac>", so a phone can't claim someone else by editing it
+
+function signStaffCookie(id, secret) {
+  const mac = crypto.createHmac("sha256", secret).update(id).digest("base64url").slice(0, 22);
+  return `${id}.${mac}`;
+}
+
+// Staff id from a cookie value, or "" when missing or tampered with
+function readStaffCookie(value, secret) {
+  const [id = "", mac = ""] = String(value || "").split(".");
+  if (!id || !mac) return "";
+  const expected = Buffer.from(signStaffCookie(id, secret));
+  const actual = Buffer.from(String(value));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return "";
+  return id;
+}
+
+module.exports = {
+  STAFF_TABLE,
+  STAFF_COOKIE,
+  STAFF_PREFIX,
+  listStaff,
+  getStaffMember,
+  saveStaffMember,
+  deleteStaffMember,
+  checkPin,
+  signStaffCookie,
+  readStaffCookie,
+};
@@ -0,0 +1,74 @@
+// lib/stock.js
+// Numeric on-hand counts. When a report carries a count, severity comes from
+// the count against the item's reorder/par level instead of the qty word.
+
+const STOCK_TABLE = "stock_levels";
+
+// Words stored in `qty` for count-based reports, so everything that reads
+// severity from qty keeps working
+const SEVERITY_WORDS = { ok: "OK", low: "Low", out: "Out" };
+
+function stockKey(itemSlug, locationSlug) {
+  return `${itemSlug || ""}|${locationSlug || ""}`;
+}
+
+// "3", "2.5" → number; blank or junk → null
+function parseCount(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// 0 is out; at or below the reorder level (or below par, if that's all the
+// item has) is low. Returns null when the item has no thresholds, so the
+// caller can fall back to the qty word.
+function severityFromCount(count, item = {}) {
+  if (count <= 0) return "out";
+  if (item.reorderLevel !== null && item.reorderLevel !== undefined) {
+    return count <= item.reorderLevel ? "low" : "ok";
+  }
+  if (item.parLevel !== null && item.parLevel !== undefined) {
+    return count < item.parLevel ? "low" : "ok";
+  }
+  return null;
+}
+
+function describeCount(count, unit) {
+  if (count === null || count === undefined || count === "") return "";
+  return unit ? `${count} ${unit}` : String(count);
+}
+
+async function getStockLevels(store) {
+  const records = await store.listRecords(STOCK_TABLE);
+  return new Map(records.map((r) => [r.id, r]));
+}
+
+// Latest count per item|location (history kept short for the catalog page)
+async function recordCount(store, { itemSlug, locationSlug, count, unit, userId }) {
+  const id = stockKey(itemSlug, locationSlug);
+  const existing = (await store.listRecords(STOCK_TABLE)).find((r) => r.id === id);
+  const at = new Date().toISOString();
+  const history = [...(existing?.history || []), { count, by: userId, at }].slice(-50);
+
+  return store.putRecord(STOCK_TABLE, {
+    id,
+    itemSlug,
+    locationSlug: locationSlug || "",
+    count,
+    unit: unit || "",
+    by: userId,
+    at,
+    history,
+  });
+}
+
+module.exports = {
+  STOCK_TABLE,
+  SEVERITY_WORDS,
+  stockKey,
+  parseCount,
+  severityFromCount,
+  describeCount,
+  getStockLevels,
+  recordCount,
+};
@@ -0,0 +1,144 @@
+// lib/storage/fileStore.js
+// Local JSON-file store. Needs no external services, so staging/test
+// environments can run the full alert → checklist → manager flow.
+const fs = require("fs");
+const path = require("path");
+
+function createFileStore({ dataDir }) {
+  // table name → promise of its cached array (alerts: oldest first). Caching
+  // the promise means callers arriving during the first read share one array.
+  const tables = new Map();
+  let writeChain = Promise.resolve();
+
+  function tableFile(table) {
+    return path.join(dataDir, `${table}.json`);
+  }
+
+  function load(table) {
+    if (!tables.has(table)) tables.set(table, read(table));
+    return tables.get(table);
+  }
+
+  async function read(table) {
+    let rows = [];
+    try {
+      const raw = await fs.promises.readFile(tableFile(table), "utf8");
+      const parsed = JSON.parse(raw);
+      rows = Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`❌ Error reading local store "${table}":`, err.message);
+      }
+    }
+    return rows;
+  }
+
+  // Serialize writes and swap the file in atomically so a crash mid-write
+  // never leaves a truncated JSON file behind.
+  function persist(table) {
+    const file = tableFile(table);
+    const next = writeChain.then(async () => {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(await tables.get(table), null, 2));
+      await fs.promises.rename(tmp, file);
+    });
+    writeChain = next.catch(() => {});
+    return next;
+  }
+
+  async function appendAlert({
+    id,
+    timestamp,
+    item,
+    qty,
+    location,
+    ip,
+    userAgent,
+    itemSlug,
+    locationSlug,
+    dedupOf,
+    count,
+    unit,
+    reporter,
+    reporterId,
+  }) {
+    try {
+      const alerts = await load("alerts");
+      alerts.push({
+        id: id || "",
+        timestamp,
+        item,
+        qty,
+        location: location || "",
+        ip: ip || "",
+        userAgent: userAgent || "",
+        itemSlug: itemSlug || "",
+        locationSlug: locationSlug || "",
+        dedupOf: dedupOf || "",
+        count: count ?? null,
+        unit: unit || "",
+        reporter: reporter || "",
+        reporterId: reporterId || "",
+      });
+      await persist("alerts");
+      console.log("✅ Logged alert to local store:", { item, qty, location, ip });
+    } catch (err) {
+      console.error("❌ Error writing local alert store:", err.message);
+    }
+  }
+
+  async function getRecentAlerts(limit = 50) {
+    const alerts = await load("alerts");
+    return alerts.slice(-limit).map((a) => ({ ...a })).reverse();
+  }
+
+  async function scrubAlerts(before) {
+    const alerts = await load("alerts");
+    let scrubbed = 0;
+    for (const a of alerts) {
+      if (a.timestamp < before && (a.ip || a.userAgent)) {
+        a.ip = "";
+        a.userAgent = "";
+        scrubbed += 1;
+      }
+    }
+    if (scrubbed) await persist("alerts");
+    return scrubbed;
+  }
+
+  async function listRecords(table) {
+    const rows = await load(table);
+    return rows.map((r) => ({ ...r }));
+  }
+
+  async function putRecord(table, record) {
+    const rows = await load(table);
+    const idx = rows.findIndex((r) => r.id === record.id);
+    if (idx >= 0) rows[idx] = { ...record };
+    else rows.push({ ...record });
+    await persist(table);
+    return record;
+  }
+
+  async function deleteRecord(table, id) {
+    const rows = await load(table);
+    const idx = rows.findIndex((r) => r.id === id);
+    if (idx < 0) return false;
+    rows.splice(idx, 1);
+    await persist(table);
+    return true;
+  }
+
+  return {
+    name: "file",
+    appendAlert,
+    getRecentAlerts,
+    scrubAlerts,
+    listRecords,
+    putRecord,
+    deleteRecord,
+  };
+}
+
+module.exports = { createFileStore };
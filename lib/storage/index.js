@@ -0,0 +1,44 @@
+// lib/storage/index.js
+// Alert storage backends. Every backend exposes the same interface:
+//   name                       – backend id ("sheets" | "file")
+//   appendAlert(alert)         – persist one { id, timestamp, item, qty, location, ip, userAgent,
+//                                itemSlug, locationSlug, dedupOf, count, unit, reporter,
+//                                reporterId }
+//   getRecentAlerts(limit)     – newest-first list of the last `limit` alerts (Infinity = all)
+//   scrubAlerts(before)        – blank ip/userAgent on alerts older than an ISO time;
+//                                resolves to how many changed
+//   listRecords(table)         – all records of a named table (each has a string `id`)
+//   putRecord(table, record)   – insert or replace a record by `id`
+//   deleteRecord(table, id)    – remove a record; resolves to true if it existed
+const path = require("path");
+const { createSheetsStore } = require("./sheetsStore");
+const { createFileStore } = require("./fileStore");
+
+// ALERT_STORE=sheets|file picks a backend explicitly. Without it we use
+// Sheets when it's configured and fall back to the local file store.
+function createStorage(env = process.env) {
+  const requested = (env.ALERT_STORE || "").toLowerCase();
+  const sheetsConfigured = Boolean(env.SHEET_ID && env.GOOGLE_SERVICE_ACCOUNT_JSON);
+  const dataDir = env.DATA_DIR || path.join(__dirname, "..", "..", "data");
+
+  if (requested === "sheets" || (!requested && sheetsConfigured)) {
+    if (!sheetsConfigured) {
+      console.warn(
+        "⚠️ ALERT_STORE=sheets but SHEET_ID / GOOGLE_SERVICE_ACCOUNT_JSON are missing; using local file store."
+      );
+    } else {
+      console.log("✅ Alert storage: Google Sheets");
+      return createSheetsStore({
+        sheetId: env.SHEET_ID,
+        serviceAccountJson: env.GOOGLE_SERVICE_ACCOUNT_JSON,
+      });
+    }
+  } else if (requested && requested !== "file") {
+    console.warn(`⚠️ Unknown ALERT_STORE "${requested}"; using local file store.`);
+  }
+
+  console.log(`✅ Alert storage: local file store (${dataDir})`);
+  return createFileStore({ dataDir });
+}
+
+module.exports = { createStorage };
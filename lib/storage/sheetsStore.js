@@ -0,0 +1,278 @@
+// lib/storage/sheetsStore.js
+const { google } = require("googleapis");
+
+// A:F are the original columns; G:H hold catalog slugs, I the alert id,
+// J the id of the notified alert a duplicate report was folded into,
+// K:L the on-hand count and unit for count-based reports, and M:N the
+// reporter's name and id (lib/staff). Every write is RAW: item, location and
+// reporter text come from users, and "=…" must not become a formula.
+const ALERT_RANGE = "Sheet1!A:N";
+
+function createSheetsStore({ sheetId, serviceAccountJson }) {
+  let sheetsClient = null;
+  const knownTabs = new Set();
+
+  async function getSheetsClient() {
+    try {
+      if (sheetsClient) return sheetsClient;
+
+      const credentials = JSON.parse(serviceAccountJson);
+      const auth = new google.auth.GoogleAuth({
+        credentials,
+        scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+      });
+
+      const authClient = await auth.getClient();
+      sheetsClient = google.sheets({ version: "v4", auth: authClient });
+      console.log("✅ Google Sheets client initialized");
+      return sheetsClient;
+    } catch (err) {
+      console.error("❌ Error creating Google Sheets client:", err.message);
+      return null;
+    }
+  }
+
+  async function appendAlert({
+    id,
+    timestamp,
+    item,
+    qty,
+    location,
+    ip,
+    userAgent,
+    itemSlug,
+    locationSlug,
+    dedupOf,
+    count,
+    unit,
+    reporter,
+    reporterId,
+  }) {
+    try {
+      const sheets = await getSheetsClient();
+      if (!sheets) return;
+
+      const values = [
+        [
+          timestamp,
+          item,
+          qty,
+          location || "",
+          ip || "",
+          userAgent || "",
+          itemSlug || "",
+          locationSlug || "",
+          id || "",
+          dedupOf || "",
+          count ?? "",
+          unit || "",
+          reporter || "",
+          reporterId || "",
+        ],
+      ];
+
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: ALERT_RANGE,
+        valueInputOption: "RAW",
+        requestBody: { values },
+      });
+
+      console.log("✅ Logged alert to Google Sheets:", { item, qty, location, ip });
+    } catch (err) {
+      console.error("❌ Error logging to Google Sheets:", err.message);
+    }
+  }
+
+  async function getRecentAlerts(limit = 50) {
+    try {
+      const sheets = await getSheetsClient();
+      if (!sheets) return [];
+
+      const res = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: ALERT_RANGE,
+      });
+
+      const rows = res.data.values || [];
+      if (rows.length === 0) return [];
+
+      const recent = rows.slice(-limit);
+
+      return recent
+        .map((r) => {
+          const [
+            timestamp = "",
+            item = "",
+            qty = "",
+            location = "",
+            ip = "",
+            userAgent = "",
+            itemSlug = "",
+            locationSlug = "",
+            id = "",
+            dedupOf = "",
+            count = "",
+            unit = "",
+            reporter = "",
+            reporterId = "",
+          ] = r;
+          return {
+            id,
+            timestamp,
+            item,
+            qty,
+            location,
+            ip,
+            userAgent,
+            itemSlug,
+            locationSlug,
+            dedupOf,
+            count: count === "" ? null : Number(count),
+            unit,
+            reporter,
+            reporterId,
+          };
+        })
+        .reverse();
+    } catch (err) {
+      console.error("❌ Error reading alerts from Google Sheets:", err.message);
+      return [];
+    }
+  }
+
+  // Clears the IP / user agent cells (E:F) of rows older than `before`
+  async function scrubAlerts(before) {
+    const sheets = await getSheetsClient();
+    if (!sheets) throw new Error("Google Sheets client unavailable");
+
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: ALERT_RANGE,
+    });
+    const cutoff = Date.parse(before);
+    const data = [];
+    (res.data.values || []).forEach((r, idx) => {
+      const at = Date.parse(r[0] || "");
+      if (!(at < cutoff) || !(r[4] || r[5])) return;
+      data.push({ range: `Sheet1!E${idx + 1}:F${idx + 1}`, values: [["", ""]] });
+    });
+    if (data.length === 0) return 0;
+
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: sheetId,
+      requestBody: { valueInputOption: "RAW", data },
+    });
+    return data.length;
+  }
+
+  // ---- Generic record tables ----
+  // Each table lives on its own tab: column A = record id, column B = JSON body.
+
+  async function ensureTab(sheets, title) {
+    if (knownTabs.has(title)) return;
+
+    const meta = await sheets.spreadsheets.get({
+      spreadsheetId: sheetId,
+      fields: "sheets.properties.title",
+    });
+    const titles = (meta.data.sheets || []).map((s) => s.properties.title);
+
+    if (!titles.includes(title)) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title } } }] },
+      });
+      console.log(`✅ Created Google Sheets tab "${title}"`);
+    }
+    knownTabs.add(title);
+  }
+
+  async function requireSheets(table) {
+    const sheets = await getSheetsClient();
+    if (!sheets) throw new Error("Google Sheets client unavailable");
+    await ensureTab(sheets, table);
+    return sheets;
+  }
+
+  async function findRow(sheets, table, id) {
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${table}!A:A`,
+    });
+    const ids = (res.data.values || []).map((r) => r[0]);
+    const idx = ids.indexOf(id);
+    return idx >= 0 ? idx + 1 : null; // 1-based sheet row
+  }
+
+  async function listRecords(table) {
+    try {
+      const sheets = await requireSheets(table);
+      const res = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: `${table}!A:B`,
+      });
+
+      return (res.data.values || [])
+        .filter((r) => r[0] && r[1])
+        .map((r) => {
+          try {
+            return JSON.parse(r[1]);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (err) {
+      console.error(`❌ Error reading "${table}" from Google Sheets:`, err.message);
+      return [];
+    }
+  }
+
+  async function putRecord(table, record) {
+    const sheets = await requireSheets(table);
+    const values = [[record.id, JSON.stringify(record)]];
+    const row = await findRow(sheets, table, record.id);
+
+    if (row) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${table}!A${row}:B${row}`,
+        valueInputOption: "RAW",
+        requestBody: { values },
+      });
+    } else {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: `${table}!A:B`,
+        valueInputOption: "RAW",
+        requestBody: { values },
+      });
+    }
+    return record;
+  }
+
+  async function deleteRecord(table, id) {
+    const sheets = await requireSheets(table);
+    const row = await findRow(sheets, table, id);
+    if (!row) return false;
+
+    await sheets.spreadsheets.values.clear({
+      spreadsheetId: sheetId,
+      range: `${table}!A${row}:B${row}`,
+    });
+    return true;
+  }
+
+  return {
+    name: "sheets",
+    appendAlert,
+    getRecentAlerts,
+    scrubAlerts,
+    listRecords,
+    putRecord,
+    deleteRecord,
+  };
+}
+
+module.exports = { createSheetsStore };
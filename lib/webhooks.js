@@ -0,0 +1,281 @@
+// lib/webhooks.js
+// Outbound webhooks for alert events. Each delivery is signed, retried with
+// backoff, and logged so admins can see what the other side answered.
+const crypto = require("crypto");
+const { parseList } = require("./routing");
+
+const WEBHOOKS_TABLE = "webhooks";
+const DELIVERIES_TABLE = "webhook_deliveries";
+
+const WEBHOOK_EVENTS = {
+  "alert.created": "Alert created",
+  "alert.escalated": "Alert escalated",
+  "alert.resolved": "Item restocked",
+};
+
+const WEBHOOK_FORMATS = {
+  json: "JSON (signed)",
+  slack: "Slack incoming webhook",
+  teams: "Microsoft Teams incoming webhook",
+};
+
+// Minutes to wait before each retry; the delivery fails after the last one
+const RETRY_MINUTES = [1, 5, 30, 120, 360];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_RETENTION = 500;
+
+const SEVERITY_COLORS = { out: "dc2626", low: "f59e0b", ok: "22c55e" };
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// Header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+// Receivers recompute it with the webhook's secret and reject stale t values.
+function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+async function listWebhooks(store) {
+  const hooks = await store.listRecords(WEBHOOKS_TABLE);
+  return hooks.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function saveWebhook(store, { id, name, url, format, events, enabled }, userId) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || "").trim());
+  } catch {
+    throw new Error("A valid webhook URL is required");
+  }
+  if (!["https:", "http:"].includes(parsed.protocol)) throw new Error("Webhook URLs must be http(s)");
+  if (!WEBHOOK_FORMATS[format]) throw new Error(`Unknown format "${format}"`);
+
+  const eventList = parseList(events).filter((e) => WEBHOOK_EVENTS[e]);
+  if (eventList.length === 0) throw new Error("Pick at least one event");
+
+  const existing = id ? (await listWebhooks(store)).find((h) => h.id === id) : null;
+  return store.putRecord(WEBHOOKS_TABLE, {
+    id: existing?.id || crypto.randomUUID(),
+    name: String(name || "").trim() || parsed.host,
+    url: parsed.toString(),
+    format,
+    events: eventList,
+    enabled: Boolean(enabled),
+    secret: existing?.secret || newSecret(),
+    createdBy: existing?.createdBy || userId,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedBy: userId,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+async function deleteWebhook(store, id) {
+  return store.deleteRecord(WEBHOOKS_TABLE, id);
+}
+
+async function listDeliveries(store, { webhookId, limit = 50 } = {}) {
+  const deliveries = await store.listRecords(DELIVERIES_TABLE);
+  return deliveries
+    .filter((d) => !webhookId || d.webhookId === webhookId)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .slice(0, limit);
+}
+
+// ---- Formatters ----
+// event: { id, type, createdAt, data: { alert?, item, location, severity, url, … } }
+
+function describeEvent(event) {
+  const { data } = event;
+  const where = data.location ? ` at ${data.location}` : "";
+  if (event.type === "alert.created") return `${data.item}${where} is ${data.qty}`;
+  if (event.type === "alert.escalated") {
+    return `${data.item}${where} is still unacknowledged after ${data.afterMinutes} min (step ${data.step})`;
+  }
+  if (event.type === "alert.resolved") return `${data.item}${where} was restocked by ${data.by}`;
+  return data.message || event.type;
+}
+
+function titleFor(event) {
+  return event.type === "test" ? "Test event" : WEBHOOK_EVENTS[event.type] || event.type;
+}
+
+// Slack reads <…> as links and mentions (<!channel>), so user text is escaped
+function escapeSlack(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function slackMessage(event) {
+  const text = `*${titleFor(event)}*: ${escapeSlack(describeEvent(event))}`;
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text } }];
+  if (event.data.url) {
+    blocks.push({
+      type: "actions",
+      elements: [{ type: "button", text: { type: "plain_text", text: "Open checklist" }, url: event.data.url }],
+    });
+  }
+  return { text, blocks };
+}
+
+// Legacy "MessageCard" shape, which Teams incoming webhooks and workflows accept
+function teamsMessage(event) {
+  return {
+    "@type": "MessageCard",
+    "@context": "https://schema.org/extensions",
+    summary: describeEvent(event),
+    themeColor: SEVERITY_COLORS[event.data.severity] || "2563eb",
+    title: titleFor(event),
+    text: describeEvent(event),
+    potentialAction: event.data.url
+      ? [{ "@type": "OpenUri", name: "Open checklist", targets: [{ os: "default", uri: event.data.url }] }]
+      : [],
+  };
+}
+
+function formatPayload(format, event) {
+  if (format === "slack") return slackMessage(event);
+  if (format === "teams") return teamsMessage(event);
+  return event;
+}
+
+// ---- Delivery ----
+
+// clock(): current time; tests pass a fake one
+function createWebhookDispatcher({ store, clock = () => new Date() }) {
+  // retries: false for one-shot sends (test events)
+  async function attempt(delivery, webhook, { retries = true } = {}) {
+    const now = clock();
+    const body = JSON.stringify(formatPayload(webhook.format, delivery.event));
+    const started = Date.now();
+    let result;
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json; charset=utf-8",
+          "User-Agent": "inventory-alert-webhooks",
+          "X-Inventory-Event": delivery.event.type,
+          "X-Inventory-Delivery": delivery.id,
+          "X-Inventory-Signature": signPayload(body, webhook.secret, Math.floor(now.getTime() / 1000)),
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      const text = (await response.text()).slice(0, 500);
+      result = { ok: response.ok, status: response.status, detail: text || response.statusText };
+    } catch (err) {
+      result = { ok: false, status: 0, detail: err.message };
+    }
+
+    const attempts = [
+      ...delivery.attempts,
+      { at: now.toISOString(), durationMs: Date.now() - started, ...result },
+    ];
+    const retryIn = retries ? RETRY_MINUTES[attempts.length - 1] : undefined;
+    const updated = {
+      ...delivery,
+      attempts,
+      status: result.ok ? "delivered" : retryIn === undefined ? "failed" : "pending",
+      nextAttemptAt:
+        result.ok || retryIn === undefined ? "" : new Date(now.getTime() + retryIn * 60 * 1000).toISOString(),
+    };
+    await store.putRecord(DELIVERIES_TABLE, updated);
+
+    const label = `Webhook ${webhook.name}: ${delivery.event.type}`;
+    if (result.ok) console.log(`✅ ${label} delivered (${result.status})`);
+    else console.warn(`⚠️ ${label} failed (${result.status || result.detail}), now ${updated.status}`);
+    return updated;
+  }
+
+  async function queue(webhook, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      event,
+      status: "pending",
+      attempts: [],
+      // Picked up by processDue if the first attempt never finishes
+      nextAttemptAt: new Date(clock().getTime() + RETRY_MINUTES[0] * 60 * 1000).toISOString(),
+      createdAt: clock().toISOString(),
+    };
+    await store.putRecord(DELIVERIES_TABLE, delivery);
+    return delivery;
+  }
+
+  // Queues the event for every subscribed webhook and makes the first attempt
+  // in the background, so a slow receiver never holds up an alert.
+  async function emit(type, data) {
+    const hooks = (await listWebhooks(store)).filter((h) => h.enabled && h.events.includes(type));
+    if (hooks.length === 0) return [];
+
+    const event = { id: crypto.randomUUID(), type, createdAt: clock().toISOString(), data };
+    const deliveries = [];
+    for (const hook of hooks) {
+      const delivery = await queue(hook, event);
+      deliveries.push(delivery);
+      attempt(delivery, hook).catch((err) => console.error("❌ Error delivering webhook:", err));
+    }
+    return deliveries;
+  }
+
+  // Sent right away (no retries) so the admin page can show the answer
+  async function sendTest(webhookId, userId) {
+    const hook = (await listWebhooks(store)).find((h) => h.id === webhookId);
+    if (!hook) throw new Error("Webhook not found");
+
+    const event = {
+      id: crypto.randomUUID(),
+      type: "test",
+      createdAt: clock().toISOString(),
+      data: { message: `Test event from Inventory Alert, sent by ${userId}.`, severity: "ok" },
+    };
+    return attempt(await queue(hook, event), hook, { retries: false });
+  }
+
+  // Retries whatever is due, then trims the log to the newest entries
+  async function processDue(now = clock()) {
+    const hooks = new Map((await listWebhooks(store)).map((h) => [h.id, h]));
+    const deliveries = await store.listRecords(DELIVERIES_TABLE);
+
+    for (const delivery of deliveries) {
+      if (delivery.status !== "pending" || Date.parse(delivery.nextAttemptAt) > now.getTime()) continue;
+      const hook = hooks.get(delivery.webhookId);
+      if (!hook) {
+        await store.putRecord(DELIVERIES_TABLE, { ...delivery, status: "failed", nextAttemptAt: "" });
+        continue;
+      }
+      await attempt(delivery, hook);
+    }
+
+    const old = deliveries
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(DELIVERY_RETENTION)
+      .filter((d) => d.status !== "pending");
+    for (const d of old) await store.deleteRecord(DELIVERIES_TABLE, d.id);
+  }
+
+  // Manual retry from the admin page
+  async function retry(deliveryId) {
+    const delivery = (await store.listRecords(DELIVERIES_TABLE)).find((d) => d.id === deliveryId);
+    const hook = delivery && (await listWebhooks(store)).find((h) => h.id === delivery.webhookId);
+    if (!hook) throw new Error("Delivery or webhook not found");
+    return attempt(delivery, hook);
+  }
+
+  return { emit, sendTest, processDue, retry };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  RETRY_MINUTES,
+  signPayload,
+  listWebhooks,
+  saveWebhook,
+  deleteWebhook,
+  listDeliveries,
+  formatPayload,
+  createWebhookDispatcher,
+};
@@ -1 +1,3 @@
+// App offline support (public/sw.js) shares this worker's root scope
+importScripts('/sw.js');
 importScripts('https://cdn.onesignal.com/sdks/OneSignalSDKWorker.js');
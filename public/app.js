@@ -0,0 +1,20 @@
+// public/app.js
+// Included by every app page. Registers the service worker (public/sw.js,
+// loaded through the OneSignal worker so both share the root scope) and asks
+// it to send queued offline reports whenever the page opens or comes online.
+(function () {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.register("/OneSignalSDKWorker.js").catch((err) => {
+    console.warn("Service worker registration failed:", err);
+  });
+
+  function replay() {
+    navigator.serviceWorker.ready.then((registration) => {
+      if (registration.active) registration.active.postMessage({ type: "replay" });
+    });
+  }
+
+  window.addEventListener("online", replay);
+  if (navigator.onLine) replay();
+})();
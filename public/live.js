@@ -0,0 +1,123 @@
+// public/live.js
+// Live updates for /checklist and /manager (stream: GET /live, lib/live.js).
+// On any change the page re-fetches itself and swaps its [data-live] regions,
+// so filters, sorting and paging stay exactly as the server renders them.
+// Rows carry data-key (and data-severity) to spot what's new or changed.
+(function () {
+  const statusEl = document.getElementById("live-status");
+  const baseTitle = document.title;
+  // Critical rows stay highlighted until clicked; keys survive re-renders
+  const critical = new Set();
+  let unseen = 0;
+  let timer = null;
+  let refreshing = false;
+  let again = false;
+  let source = null;
+  let retryMs = 3000;
+  let dropped = false;
+
+  function setStatus(text, state) {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.dataset.state = state;
+  }
+
+  function rowsOf(region) {
+    const rows = new Map();
+    for (const el of region.querySelectorAll("[data-key]")) rows.set(el.dataset.key, el.innerHTML);
+    return rows;
+  }
+
+  async function refresh() {
+    if (refreshing) {
+      again = true;
+      return;
+    }
+    refreshing = true;
+    try {
+      // Repeat views within a few minutes are folded in the audit log (lib/audit.js)
+      const res = await fetch(window.location.href, { credentials: "same-origin" });
+      // Signed out or lost access: leave the page as it is
+      if (!res.ok) return;
+      const doc = new DOMParser().parseFromString(await res.text(), "text/html");
+
+      for (const region of document.querySelectorAll("[data-live]")) {
+        const next = doc.querySelector(`[data-live="${region.dataset.live}"]`);
+        if (!next) continue;
+        const before = rowsOf(region);
+        region.innerHTML = next.innerHTML;
+
+        for (const el of region.querySelectorAll("[data-key]")) {
+          const key = el.dataset.key;
+          const isNew = !before.has(key);
+          if (isNew && el.dataset.severity === "out") {
+            critical.add(key);
+            if (document.hidden) unseen += 1;
+          } else if (isNew || before.get(key) !== el.innerHTML) {
+            el.classList.add("live-changed");
+          }
+          if (critical.has(key)) el.classList.add("live-critical");
+        }
+      }
+      document.title = unseen ? `(${unseen}) ${baseTitle}` : baseTitle;
+    } catch (err) {
+      console.warn("Live refresh failed:", err);
+    } finally {
+      refreshing = false;
+      if (again) {
+        again = false;
+        refresh();
+      }
+    }
+  }
+
+  // Several events in a row (a count sheet, a received order) → one refresh
+  function scheduleRefresh() {
+    clearTimeout(timer);
+    timer = setTimeout(refresh, 300);
+  }
+
+  function connect() {
+    const selected = new URLSearchParams(window.location.search).get("location");
+    source = new EventSource(`/live${selected ? `?location=${encodeURIComponent(selected)}` : ""}`);
+
+    source.addEventListener("open", () => {
+      setStatus("● Live", "live");
+      retryMs = 3000;
+      // Catch up on anything that happened while disconnected
+      if (dropped) scheduleRefresh();
+      dropped = false;
+    });
+    source.addEventListener("alert", scheduleRefresh);
+    source.addEventListener("checklist", scheduleRefresh);
+    source.addEventListener("attachment", scheduleRefresh);
+    source.addEventListener("error", () => {
+      dropped = true;
+      setStatus("○ Reconnecting…", "down");
+      // The browser retries by itself unless the server refused the stream
+      if (source.readyState === EventSource.CLOSED) {
+        setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, 60 * 1000);
+      }
+    });
+  }
+
+  document.addEventListener("click", (event) => {
+    const row = event.target.closest(".live-critical");
+    if (!row) return;
+    critical.delete(row.dataset.key);
+    row.classList.remove("live-critical");
+  });
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) return;
+    unseen = 0;
+    document.title = baseTitle;
+  });
+
+  if (!window.EventSource) {
+    setStatus("Live updates unavailable – refresh to update", "down");
+    return;
+  }
+  connect();
+})();
@@ -0,0 +1,43 @@
+// public/offline-queue.js
+// IndexedDB queue of alert reports made without signal, shared by the service
+// worker (public/sw.js) and pages. Each entry keeps the submitted form body,
+// idempotency key included, so replaying it twice still reports only once.
+// Entry: { key, body, item, location, qty, queuedAt, attempts, lastError, rejected }
+(function (scope) {
+  const DB_NAME = "inventory-alert";
+  const STORE = "alert-queue";
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: "key" });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Oldest first, so reports replay in the order they were made
+  async function list() {
+    const entries = await withStore("readonly", (store) => store.getAll());
+    return entries.sort((a, b) => (a.queuedAt < b.queuedAt ? -1 : 1));
+  }
+
+  scope.OfflineQueue = {
+    list,
+    put: (entry) => withStore("readwrite", (store) => store.put(entry)),
+    remove: (key) => withStore("readwrite", (store) => store.delete(key)),
+  };
+})(self);
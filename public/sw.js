@@ -0,0 +1,224 @@
+// public/sw.js
+// App service worker, loaded by the OneSignal workers (importScripts) so push
+// and offline support share the root scope:
+// - caches the app shell and serves offline pages when there's no signal
+// - queues /alert submissions made offline and replays them when back online
+//   (idempotency keys make replays safe; see lib/idempotency.js)
+// - keeps the last copy of each /checklist view for reading offline
+importScripts("/offline-queue.js");
+
+const SHELL_CACHE = "ia-shell-v3";
+const PAGE_CACHE = "ia-pages-v1";
+const SHELL = [
+  "/",
+  "/offline.html",
+  "/offline-alert.html",
+  "/app.js",
+  "/offline-queue.js",
+  "/live.js",
+  "/manifest.json",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+];
+// Pages whose latest copy is kept for viewing offline
+const OFFLINE_PAGES = ["/checklist"];
+const SYNC_TAG = "alert-queue";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, PAGE_CACHE];
+      for (const name of await caches.keys()) {
+        if (!keep.includes(name)) await caches.delete(name);
+      }
+      await self.clients.claim();
+      await replay();
+    })()
+  );
+});
+
+// ---- Offline queue ----
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  for (const client of windows) client.postMessage(message);
+}
+
+async function queueStatus() {
+  const entries = await OfflineQueue.list();
+  return {
+    type: "queue",
+    pending: entries.filter((e) => !e.rejected).length,
+    rejected: entries.filter((e) => e.rejected).length,
+  };
+}
+
+async function registerSync() {
+  try {
+    if (self.registration.sync) await self.registration.sync.register(SYNC_TAG);
+  } catch (err) {
+    // No Background Sync (Safari, Firefox): pages ask for a replay when online
+  }
+}
+
+// Sends queued reports oldest first. Stops at the first network failure; a
+// refused report (expired QR code, removed item) is kept aside as rejected.
+async function replayQueue() {
+  for (const entry of await OfflineQueue.list()) {
+    if (entry.rejected) continue;
+
+    let response;
+    try {
+      response = await fetch("/alert", {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: entry.body,
+        credentials: "same-origin",
+      });
+    } catch (err) {
+      break;
+    }
+
+    if (response.ok) {
+      await OfflineQueue.remove(entry.key);
+      await notifyClients({ type: "sent", key: entry.key, item: entry.item });
+    } else if (response.status === 429 || response.status >= 500) {
+      await OfflineQueue.put({ ...entry, attempts: entry.attempts + 1, lastError: `HTTP ${response.status}` });
+      break;
+    } else {
+      await OfflineQueue.put({ ...entry, rejected: true, lastError: `HTTP ${response.status}` });
+      await notifyClients({ type: "rejected", key: entry.key, item: entry.item });
+    }
+  }
+  await notifyClients(await queueStatus());
+}
+
+// One replay at a time; sync, activate and pages can all ask at once
+let replaying = null;
+function replay() {
+  if (!replaying) replaying = replayQueue().finally(() => (replaying = null));
+  return replaying;
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replay());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "replay") event.waitUntil(replay());
+  if (event.data?.type === "status") event.waitUntil(queueStatus().then(notifyClients));
+});
+
+// POST /alert: straight through when online, otherwise queued and answered
+// with the "saved" page
+async function submitAlert(request) {
+  const params = new URLSearchParams(await request.text());
+  if (!params.get("idempotencyKey")) params.set("idempotencyKey", self.crypto.randomUUID());
+
+  try {
+    return await fetch("/alert", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: params.toString(),
+      credentials: "same-origin",
+    });
+  } catch (err) {
+    const key = params.get("idempotencyKey");
+    await OfflineQueue.put({
+      key,
+      body: params.toString(),
+      item: params.get("item") || "",
+      location: params.get("location") || "",
+      qty: params.get("qty") || "",
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: err.message,
+      rejected: false,
+    });
+    await registerSync();
+    await notifyClients(await queueStatus());
+    return Response.redirect(`/offline-alert.html?queued=${encodeURIComponent(key)}`, 303);
+  }
+}
+
+// ---- Pages ----
+
+async function fromShell(path) {
+  return (await caches.match(path)) || new Response("Offline", { status: 503 });
+}
+
+// Network first; the offline page (or shell copy) when there's no signal
+async function networkOr(request, fallbackPath) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    return fromShell(fallbackPath);
+  }
+}
+
+// Network first, remembering the latest good copy. Offline, that copy is
+// shown with a banner saying how old it is.
+async function networkThenSaved(request) {
+  const cache = await caches.open(PAGE_CACHE);
+  try {
+    const response = await fetch(request);
+    // Redirects mean sign-in; don't keep those
+    if (response.ok && !response.redirected) {
+      const headers = new Headers(response.headers);
+      headers.set("X-Saved-At", new Date().toISOString());
+      await cache.put(request, new Response(await response.clone().blob(), { headers }));
+    }
+    return response;
+  } catch (err) {
+    const saved = await cache.match(request);
+    if (!saved) return fromShell("/offline.html");
+
+    const savedAt = new Date(saved.headers.get("X-Saved-At")).toLocaleString();
+    const banner =
+      '<div style="background:#7c2d12;color:#fed7aa;padding:8px 12px;border-radius:8px;margin-bottom:12px;font-size:13px;">' +
+      `Offline: showing the checklist as of ${savedAt}. Changes need a connection.</div>`;
+    const html = (await saved.text()).replace(/<body([^>]*)>/, `<body$1>${banner}`);
+    return new Response(html, { headers: { "Content-Type": "text/html; charset=utf-8" } });
+  }
+}
+
+// Shell files: cached copy right away, refreshed in the background
+async function shellFile(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const fresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || fresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === "POST" && url.pathname === "/alert") {
+    event.respondWith(submitAlert(request));
+    return;
+  }
+  // Event streams, the API and other writes go straight to the network
+  if (request.method !== "GET" || url.pathname === "/live" || url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    // A QR scan with no signal gets the offline confirm page
+    if (url.pathname === "/alert") event.respondWith(networkOr(request, "/offline-alert.html"));
+    else if (OFFLINE_PAGES.includes(url.pathname)) event.respondWith(networkThenSaved(request));
+    else event.respondWith(networkOr(request, url.pathname === "/" ? "/" : "/offline.html"));
+    return;
+  }
+
+  if (SHELL.includes(url.pathname)) event.respondWith(shellFile(request));
+});
@@ -0,0 +1,911 @@
+// routes/admin.js
+// Admin-only configuration pages.
+const express = require("express");
+const { ROLES, ROLE_LABELS } = require("../lib/roles");
+const { escapeHtml, html } = require("../lib/html");
+const { renderPage } = require("../lib/layout");
+const { SEVERITIES, SEVERITY_LABELS, severityOf } = require("../lib/severity");
+const { listPolicies, savePolicy, formatStep } = require("../lib/escalation");
+const { listApiKeys, createApiKey, revokeApiKey } = require("../lib/apiKeys");
+const {
+  MAX_WINDOW_SECONDS,
+  getSettings: getDedupSettings,
+  saveSettings: saveDedupSettings,
+} = require("../lib/dedup");
+const { getCatalog, resolveAlertInput } = require("../lib/catalog");
+const { listRules, saveRule, deleteRule, resolveTargets } = require("../lib/routing");
+const { buildPushBodies } = require("../lib/push");
+const { routingFallbackFor, listMemberships, setLocationScope } = require("../lib/locations");
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  listWebhooks,
+  saveWebhook,
+  deleteWebhook,
+  listDeliveries,
+} = require("../lib/webhooks");
+const { auditCsv } = require("../lib/audit");
+const { listStaff, saveStaffMember, deleteStaffMember } = require("../lib/staff");
+
+const FALLBACK_LABELS = {
+  all: "push to all subscribers",
+  location: "push to the location's subscribers",
+  none: "no push",
+};
+
+function adminNav() {
+  return html`
+    <div class="row">
+      <a href="/admin/roles" class="btn">User Roles</a>
+      <a href="/admin/staff" class="btn">Staff Names</a>
+      <a href="/admin/routing" class="btn">Notification Routing</a>
+      <a href="/admin/escalation" class="btn">Escalation</a>
+      <a href="/admin/dedup" class="btn">Cooldowns</a>
+      <a href="/admin/api-keys" class="btn">API Keys</a>
+      <a href="/admin/webhooks" class="btn">Webhooks</a>
+      <a href="/admin/audit" class="btn">Audit Log</a>
+      <a href="/manager" class="btn">Manager View</a>
+    </div>
+  `;
+}
+
+function page(title, body) {
+  return renderPage({ title: `${title} – Admin`, body });
+}
+
+function createAdminRouter({
+  roles,
+  store,
+  routingFallback,
+  onesignalAppId,
+  escalations,
+  dedupDefaultSeconds,
+  webhooks,
+  audit,
+}) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => res.redirect("/admin/roles"));
+
+  router.get("/roles", async (req, res) => {
+    try {
+      const [mappings, memberships, catalog] = await Promise.all([
+        roles.listLocalRoles(),
+        listMemberships(store),
+        getCatalog(store),
+      ]);
+
+      const rows = mappings.map(
+        (m) => html`
+          <tr>
+            <td><code>${m.id}</code></td>
+            <td>${ROLE_LABELS[m.role] || m.role}</td>
+            <td>${m.by}</td>
+            <td>${m.at}</td>
+            <td>
+              <form method="POST" action="/admin/roles/${encodeURIComponent(m.id)}/delete" class="inline">
+                <button type="submit" class="btn">Remove</button>
+              </form>
+            </td>
+          </tr>
+        `
+      );
+
+      const options = ROLES.map((r) => html`<option value="${r}">${ROLE_LABELS[r]}</option>`);
+
+      const memberRows = memberships.map(
+        (m) => html`
+          <tr>
+            <td><code>${m.id}</code></td>
+            <td>${m.locations.join(", ")}</td>
+            <td>${m.by}</td>
+            <td>${m.at}</td>
+            <td>
+              <form method="POST" action="/admin/roles/locations" class="inline">
+                <input type="hidden" name="userId" value="${m.id}" />
+                <button type="submit" class="btn">Allow All</button>
+              </form>
+            </td>
+          </tr>
+        `
+      );
+      const locationSlugs = catalog.locations.map((l) => l.slug).join(", ");
+
+      res.send(
+        page(
+          "User Roles",
+          html`
+            <h1>User Roles</h1>
+            <p>Local role assignments override USER_ROLES and the Clerk <code>publicMetadata.role</code> value.</p>
+            ${adminNav()}
+            <table>
+              <thead><tr><th>Clerk User ID</th><th>Role</th><th>Set By</th><th>Set At</th><th></th></tr></thead>
+              <tbody>${rows.length ? rows : html`<tr><td colspan="5">No local role assignments.</td></tr>`}</tbody>
+            </table>
+
+            <h2>Assign a role</h2>
+            <form method="POST" action="/admin/roles" class="row">
+              <input name="userId" placeholder="user_..." required />
+              <select name="role">${options}</select>
+              <button type="submit" class="btn">Save</button>
+            </form>
+
+            <h2>Location access</h2>
+            <p>Users listed here only see the checklist, manager view and alerts for their locations.
+              Everyone else sees every location.</p>
+            <table>
+              <thead><tr><th>Clerk User ID</th><th>Locations</th><th>Set By</th><th>Set At</th><th></th></tr></thead>
+              <tbody>${memberRows.length ? memberRows : html`<tr><td colspan="5">No users are limited to locations.</td></tr>`}</tbody>
+            </table>
+            <form method="POST" action="/admin/roles/locations" class="row">
+              <input name="userId" placeholder="user_..." required />
+              <input name="locations" placeholder="${locationSlugs || "location slugs, comma separated"}" size="40" />
+              <button type="submit" class="btn">Save</button>
+            </form>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /admin/roles route:", err);
+      res.status(500).send("Error loading roles.");
+    }
+  });
+
+  router.post("/roles", async (req, res) => {
+    try {
+      const { userId = "", role = "" } = req.body || {};
+      await roles.setLocalRole(userId.trim(), role, req.clerkAuth.userId);
+      console.log(`✅ Role set: ${userId} → ${role} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/roles");
+    } catch (err) {
+      console.error("❌ Error saving role:", err.message);
+      res.status(400).send(`Could not save role: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  // Empty locations = access to every location
+  router.post("/roles/locations", async (req, res) => {
+    try {
+      const { userId = "", locations = "" } = req.body || {};
+      await setLocationScope(store, userId.trim(), locations, req.clerkAuth.userId);
+      console.log(`✅ Locations set: ${userId} → ${locations || "all"} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/roles");
+    } catch (err) {
+      console.error("❌ Error saving location access:", err.message);
+      res.status(400).send(`Could not save location access: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/roles/:userId/delete", async (req, res) => {
+    try {
+      await roles.removeLocalRole(req.params.userId);
+      res.redirect(303, "/admin/roles");
+    } catch (err) {
+      console.error("❌ Error removing role:", err);
+      res.status(500).send("Error removing role.");
+    }
+  });
+
+  // ---- Staff names (lib/staff) ----
+
+  router.get("/staff", async (req, res) => {
+    try {
+      const members = await listStaff(store);
+      const rows = members.map(
+        (m) => html`
+          <tr>
+            <td>
+              <form method="POST" action="/admin/staff" class="row">
+                <input type="hidden" name="id" value="${m.id}" />
+                <input name="name" value="${m.name}" required />
+                <input name="pin" type="password" inputmode="numeric" autocomplete="new-password"
+                  placeholder="${m.pinHash ? "New PIN" : "Set a PIN"}" size="8" />
+                ${m.pinHash && html`<label><input type="checkbox" name="clearPin" value="1" /> Remove PIN</label>`}
+                <label><input type="checkbox" name="active" value="1"${m.active ? " checked" : ""} /> Active</label>
+                <button type="submit" class="btn">Save</button>
+              </form>
+            </td>
+            <td>${m.pinHash ? "Yes" : "No"}</td>
+            <td>${m.updatedBy}<br /><small>${m.updatedAt}</small></td>
+            <td>
+              <form method="POST" action="/admin/staff/${encodeURIComponent(m.id)}/delete" class="inline">
+                <button type="submit" class="btn">Delete</button>
+              </form>
+            </td>
+          </tr>
+        `
+      );
+
+      res.send(
+        page(
+          "Staff Names",
+          html`
+            <h1>Staff Names</h1>
+            <p>
+              Names staff can pick on their phone at <a href="/who">/who</a> so QR reports show who sent them.
+              A PIN (4–8 digits) stops others from picking that name. Inactive names stay on old reports but
+              can't be picked; deleting a name keeps it on the reports already sent.
+            </p>
+            ${adminNav()}
+            <table>
+              <thead><tr><th>Name</th><th>PIN</th><th>Updated</th><th></th></tr></thead>
+              <tbody>${rows.length ? rows : html`<tr><td colspan="4">No staff names yet.</td></tr>`}</tbody>
+            </table>
+
+            <h2>Add a name</h2>
+            <form method="POST" action="/admin/staff" class="row">
+              <input name="name" placeholder="e.g. Sam P." required />
+              <input name="pin" type="password" inputmode="numeric" autocomplete="new-password" placeholder="PIN (optional)" size="12" />
+              <button type="submit" class="btn">Add</button>
+            </form>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /admin/staff route:", err);
+      res.status(500).send("Error loading staff names.");
+    }
+  });
+
+  router.post("/staff", async (req, res) => {
+    try {
+      const member = await saveStaffMember(store, req.body || {}, req.clerkAuth.userId);
+      console.log(`✅ Staff name saved: ${member.name} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/staff");
+    } catch (err) {
+      console.error("❌ Error saving staff name:", err.message);
+      res.status(400).send(`Could not save staff name: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/staff/:id/delete", async (req, res) => {
+    try {
+      await deleteStaffMember(store, req.params.id);
+      console.log(`✅ Staff name deleted: ${req.params.id} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/staff");
+    } catch (err) {
+      console.error("❌ Error deleting staff name:", err);
+      res.status(500).send("Error deleting staff name.");
+    }
+  });
+
+  // ---- Notification routing rules ----
+
+  // Who would be notified for item/location/qty, without sending anything
+  async function dryRun({ item = "", location = "", qty = "" }) {
+    const catalog = await getCatalog(store);
+    const resolved = resolveAlertInput(catalog, { item, location });
+    if (!resolved.ok) return { ok: false, error: resolved.error };
+
+    const alert = {
+      category: resolved.item.category,
+      location: resolved.location?.slug || "",
+      severity: severityOf(qty),
+    };
+    const rules = await listRules(store);
+    const { matchedRules, targets } = resolveTargets(rules, alert, {
+      fallback: routingFallbackFor(resolved.location, routingFallback),
+    });
+
+    return {
+      ok: true,
+      alert: { item: resolved.item.slug, ...alert },
+      matchedRules: matchedRules.map((r) => ({ id: r.id, name: r.name })),
+      usedFallback: matchedRules.length === 0 && targets.length > 0,
+      targets,
+      onesignalRequests: buildPushBodies({
+        appId: onesignalAppId || "",
+        targets,
+        heading: "Inventory Alert",
+        message: "(dry run)",
+        url: "",
+      }),
+    };
+  }
+
+  router.get("/routing/dry-run", async (req, res) => {
+    try {
+      const result = await dryRun(req.query);
+      res.status(result.ok ? 200 : 400).json(result);
+    } catch (err) {
+      console.error("❌ Error in routing dry run:", err);
+      res.status(500).json({ ok: false, error: "Dry run failed." });
+    }
+  });
+
+  router.get("/routing", async (req, res) => {
+    try {
+      const rules = await listRules(store);
+      const editing = rules.find((r) => r.id === req.query.edit) || null;
+      const list = (v) => (v || []).join(", ") || html`<em>any</em>`;
+
+      const rows = rules.map(
+        (r) => html`
+          <tr>
+            <td>${r.name}${r.enabled === false && html` <em>(disabled)</em>`}</td>
+            <td>${list(r.categories)}</td>
+            <td>${list(r.locations)}</td>
+            <td>${list(r.severities)}</td>
+            <td>${[...r.externalUserIds, ...r.tags.map((t) => `${t.key}=${t.value}`)].join(", ")}</td>
+            <td>
+              <a href="/admin/routing?edit=${encodeURIComponent(r.id)}">Edit</a> ·
+              <form method="POST" action="/admin/routing/${encodeURIComponent(r.id)}/delete" class="inline">
+                <button type="submit" class="btn">Delete</button>
+              </form>
+            </td>
+          </tr>
+        `
+      );
+
+      let dryRunHtml = "";
+      if (req.query.dryItem) {
+        const result = await dryRun({
+          item: req.query.dryItem,
+          location: req.query.dryLocation,
+          qty: req.query.dryQty,
+        });
+        dryRunHtml = html`<pre>${JSON.stringify(result, null, 2)}</pre>`;
+      }
+
+      const severityChecks = SEVERITIES.map(
+        (sev) => html`
+          <label>
+            <input type="checkbox" name="severities" value="${sev}" ${editing?.severities.includes(sev) ? "checked" : ""} />
+            ${sev}
+          </label>
+        `
+      );
+
+      res.send(
+        page(
+          "Notification Routing",
+          html`
+            <h1>Notification Routing</h1>
+            <p>
+              A report notifies the recipients of every rule it matches. Empty fields match anything.
+              Recipients are Clerk user ids (linked as OneSignal external ids) or OneSignal tags.
+              When no rule matches: <strong>${FALLBACK_LABELS[routingFallback] || "no push"}</strong>
+              (ROUTING_FALLBACK; locations can override this on the catalog page).
+            </p>
+            ${adminNav()}
+
+            <table>
+              <thead><tr><th>Rule</th><th>Categories</th><th>Locations</th><th>Severities</th><th>Recipients</th><th></th></tr></thead>
+              <tbody>${rows.length ? rows : html`<tr><td colspan="6">No routing rules yet.</td></tr>`}</tbody>
+            </table>
+
+            <h2>${editing ? "Edit rule" : "Add a rule"}</h2>
+            <form method="POST" action="/admin/routing" class="stack">
+              <input type="hidden" name="id" value="${editing?.id || ""}" />
+              <input name="name" placeholder="Rule name (e.g. Bar items → bar lead)" value="${editing?.name || ""}" required />
+              <input name="categories" placeholder="Categories, comma separated (e.g. bar)" value="${(editing?.categories || []).join(", ")}" />
+              <input name="locations" placeholder="Location slugs, comma separated (e.g. downtown)" value="${(editing?.locations || []).join(", ")}" />
+              <div class="row">Severities: ${severityChecks}</div>
+              <input name="externalUserIds" placeholder="Clerk user ids, comma separated" value="${(editing?.externalUserIds || []).join(", ")}" />
+              <input name="tags" placeholder="OneSignal tags, e.g. role=manager" value="${(editing?.tags || []).map((t) => `${t.key}=${t.value}`).join(", ")}" />
+              <label><input type="checkbox" name="enabled" ${editing?.enabled === false ? "" : "checked"} /> Enabled</label>
+              <div class="row"><button type="submit" class="btn">Save Rule</button></div>
+            </form>
+
+            <h2>Dry run</h2>
+            <p>See who would be notified for a report, without sending anything. JSON: <code>/admin/routing/dry-run?item=&amp;location=&amp;qty=</code></p>
+            <form method="GET" action="/admin/routing" class="row">
+              <input name="dryItem" placeholder="item slug" value="${req.query.dryItem || ""}" required />
+              <input name="dryLocation" placeholder="location slug" value="${req.query.dryLocation || ""}" />
+              <input name="dryQty" placeholder="qty (low / out)" value="${req.query.dryQty || ""}" />
+              <button type="submit" class="btn">Test</button>
+            </form>
+            ${dryRunHtml}
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /admin/routing route:", err);
+      res.status(500).send("Error loading routing rules.");
+    }
+  });
+
+  router.post("/routing", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const rule = await saveRule(
+        store,
+        { ...body, enabled: body.enabled === "on" },
+        req.clerkAuth.userId
+      );
+      console.log(`✅ Routing rule saved: ${rule.name} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/routing");
+    } catch (err) {
+      console.error("❌ Error saving routing rule:", err.message);
+      res.status(400).send(`Could not save rule: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/routing/:id/delete", async (req, res) => {
+    try {
+      await deleteRule(store, req.params.id);
+      res.redirect(303, "/admin/routing");
+    } catch (err) {
+      console.error("❌ Error deleting routing rule:", err);
+      res.status(500).send("Error deleting rule.");
+    }
+  });
+
+  // ---- Escalation policies ----
+
+  router.get("/escalation", async (req, res) => {
+    try {
+      const policies = new Map((await listPolicies(store)).map((p) => [p.id, p]));
+      const timers = await escalations.listTimers();
+
+      const forms = SEVERITIES.filter((sev) => sev !== "ok").map((sev) => {
+        const policy = policies.get(sev);
+        const steps = (policy?.steps || []).map(formatStep).join("\n");
+        return html`
+          <h2>${SEVERITY_LABELS[sev]}</h2>
+          <form method="POST" action="/admin/escalation" class="stack">
+            <input type="hidden" name="severity" value="${sev}" />
+            <textarea name="steps" rows="4" placeholder="10: role=shift_lead&#10;30: user_store_manager&#10;60: user_owner">${steps}</textarea>
+            <label><input type="checkbox" name="enabled" ${policy?.enabled ? "checked" : ""} /> Enabled</label>
+            <div class="row"><button type="submit" class="btn">Save ${SEVERITY_LABELS[sev]} Policy</button></div>
+          </form>
+        `;
+      });
+
+      const timerRows = timers.map(
+        (t) => html`
+          <tr>
+            <td>${t.alert.item}${t.alert.location && ` – ${t.alert.location}`}</td>
+            <td>${SEVERITY_LABELS[t.severity] || t.severity}</td>
+            <td>${t.reportedAt}</td>
+            <td>${t.nextStep + 1}</td>
+            <td>${t.dueAt}</td>
+          </tr>
+        `
+      );
+
+      res.send(
+        page(
+          "Escalation",
+          html`
+            <h1>Escalation Policies</h1>
+            <p>
+              One step per line: <code>minutes after the report: recipients</code>. Recipients are Clerk
+              user ids or OneSignal tags (e.g. <code>role=shift_lead</code>). Escalation stops as soon as the
+              item is acknowledged, in progress or restocked on the checklist.
+            </p>
+            ${adminNav()}
+            ${forms}
+
+            <h2>Pending escalations</h2>
+            <table>
+              <thead><tr><th>Item</th><th>Severity</th><th>Reported</th><th>Next Step</th><th>Due</th></tr></thead>
+              <tbody>${timerRows.length ? timerRows : html`<tr><td colspan="5">Nothing pending.</td></tr>`}</tbody>
+            </table>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /admin/escalation route:", err);
+      res.status(500).send("Error loading escalation policies.");
+    }
+  });
+
+  router.post("/escalation", async (req, res) => {
+    try {
+      const body = req.body || {};
+      await savePolicy(
+        store,
+        { severity: body.severity, steps: body.steps, enabled: body.enabled === "on" },
+        req.clerkAuth.userId
+      );
+      console.log(`✅ Escalation policy saved: ${body.severity} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/escalation");
+    } catch (err) {
+      console.error("❌ Error saving escalation policy:", err.message);
+      res.status(400).send(`Could not save policy: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  // ---- Cooldown / dedup windows ----
+
+  router.get("/dedup", async (req, res) => {
+    try {
+      const settings = await getDedupSettings(store, dedupDefaultSeconds);
+      const itemLines = Object.entries(settings.itemSeconds)
+        .map(([slug, seconds]) => `${slug}: ${seconds}`)
+        .join("\n");
+
+      const severityInputs = SEVERITIES.map(
+        (sev) => html`
+          <label>${SEVERITY_LABELS[sev]} (seconds)<br />
+            <input name="severitySeconds[${sev}]" type="number" min="0" max="${MAX_WINDOW_SECONDS}" placeholder="default"
+              value="${settings.severitySeconds[sev] ?? ""}" />
+          </label>
+        `
+      );
+
+      res.send(
+        page(
+          "Cooldowns",
+          html`
+            <h1>Notification Cooldowns</h1>
+            <p>
+              Repeat reports for the same item and location within the window are logged but don't notify
+              again. A more severe report (e.g. low → out) always notifies. The most specific window wins:
+              item, then severity, then default.
+            </p>
+            ${adminNav()}
+            <form method="POST" action="/admin/dedup" class="stack">
+              <label>Default window (seconds)<br />
+                <input name="defaultSeconds" type="number" min="0" max="${MAX_WINDOW_SECONDS}" value="${settings.defaultSeconds}" />
+              </label>
+              ${severityInputs}
+              <label>Per-item windows, one <code>item_slug: seconds</code> per line<br />
+                <textarea name="itemSeconds" rows="4" placeholder="oat_milk: 600">${itemLines}</textarea>
+              </label>
+              <div class="row"><button type="submit" class="btn">Save</button></div>
+            </form>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /admin/dedup route:", err);
+      res.status(500).send("Error loading cooldown settings.");
+    }
+  });
+
+  router.post("/dedup", async (req, res) => {
+    try {
+      await saveDedupSettings(store, req.body || {}, req.clerkAuth.userId);
+      console.log(`✅ Cooldown settings saved by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/dedup");
+    } catch (err) {
+      console.error("❌ Error saving cooldown settings:", err.message);
+      res.status(400).send(`Could not save cooldowns: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  // ---- API keys ----
+
+  async function renderApiKeys(req, res, newToken = null) {
+    const keys = await listApiKeys(store);
+    const rows = keys.map(
+      (k) => html`
+        <tr>
+          <td>${k.name}</td>
+          <td><code>ia_${k.id}_…</code></td>
+          <td>${ROLE_LABELS[k.role] || k.role}</td>
+          <td>${k.createdBy}<br /><small>${k.createdAt}</small></td>
+          <td>${k.lastUsedAt || "never"}</td>
+          <td>
+            <form method="POST" action="/admin/api-keys/${encodeURIComponent(k.id)}/revoke" class="inline">
+              <button type="submit" class="btn">Revoke</button>
+            </form>
+          </td>
+        </tr>
+      `
+    );
+
+    const options = ROLES.map((r) => html`<option value="${r}">${ROLE_LABELS[r]}</option>`);
+    const newTokenHtml =
+      newToken && html`<p><strong>New key (copy it now, it won't be shown again):</strong></p><pre>${newToken}</pre>`;
+
+    res.send(
+      page(
+        "API Keys",
+        html`
+          <h1>API Keys</h1>
+          <p>
+            Keys for kiosks and integrations calling <code>/api/v1</code>
+            (<a href="/api/v1/openapi.json">OpenAPI description</a>). Send as
+            <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key</code>. A key acts with its role.
+          </p>
+          ${adminNav()}
+          ${newTokenHtml}
+          <table>
+            <thead><tr><th>Name</th><th>Key</th><th>Role</th><th>Created</th><th>Last Used</th><th></th></tr></thead>
+            <tbody>${rows.length ? rows : html`<tr><td colspan="6">No API keys.</td></tr>`}</tbody>
+          </table>
+
+          <h2>Create a key</h2>
+          <form method="POST" action="/admin/api-keys" class="row">
+            <input name="name" placeholder="e.g. Front counter kiosk" required />
+            <select name="role">${options}</select>
+            <button type="submit" class="btn">Create</button>
+          </form>
+        `
+      )
+    );
+  }
+
+  router.get("/api-keys", async (req, res) => {
+    try {
+      await renderApiKeys(req, res);
+    } catch (err) {
+      console.error("❌ Error in /admin/api-keys route:", err);
+      res.status(500).send("Error loading API keys.");
+    }
+  });
+
+  // Renders the page directly (no redirect) so the new token is shown once
+  router.post("/api-keys", async (req, res) => {
+    try {
+      const { record, token } = await createApiKey(store, req.body || {}, req.clerkAuth.userId);
+      console.log(`✅ API key created: ${record.name} (${record.role}) by ${req.clerkAuth.userId}`);
+      await renderApiKeys(req, res, token);
+    } catch (err) {
+      console.error("❌ Error creating API key:", err.message);
+      res.status(400).send(`Could not create API key: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/api-keys/:id/revoke", async (req, res) => {
+    try {
+      await revokeApiKey(store, req.params.id);
+      console.log(`✅ API key revoked: ${req.params.id} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/api-keys");
+    } catch (err) {
+      console.error("❌ Error revoking API key:", err);
+      res.status(500).send("Error revoking API key.");
+    }
+  });
+
+  // ---- Webhooks ----
+
+  function webhookForm(hook = {}) {
+    const events = hook.events || Object.keys(WEBHOOK_EVENTS);
+    const formatOptions = Object.entries(WEBHOOK_FORMATS).map(
+      ([value, label]) => html`<option value="${value}"${hook.format === value ? " selected" : ""}>${label}</option>`
+    );
+    const eventBoxes = Object.entries(WEBHOOK_EVENTS).map(
+      ([value, label]) =>
+        html`<label><input type="checkbox" name="events" value="${value}"${events.includes(value) ? " checked" : ""} /> ${label}</label> `
+    );
+    return html`
+      <form method="POST" action="/admin/webhooks" class="row">
+        ${hook.id && html`<input type="hidden" name="id" value="${hook.id}" />`}
+        <input name="name" placeholder="Name" size="14" value="${hook.name || ""}" />
+        <input name="url" placeholder="https://hooks.slack.com/…" size="36" required value="${hook.url || ""}" />
+        <select name="format">${formatOptions}</select>
+        ${eventBoxes}
+        <label><input type="checkbox" name="enabled" value="on"${hook.enabled === false ? "" : " checked"} /> On</label>
+        <button type="submit" class="btn">${hook.id ? "Save" : "Add"}</button>
+      </form>
+    `;
+  }
+
+  function lastAttempt(delivery) {
+    const last = delivery.attempts[delivery.attempts.length - 1];
+    if (!last) return "—";
+    return html`${last.status || "no response"} <small>${last.detail.slice(0, 120)}</small>`;
+  }
+
+  async function renderWebhooks(req, res, testResult = null) {
+    const hooks = await listWebhooks(store);
+    const deliveries = await listDeliveries(store, { webhookId: req.query.webhook || "" });
+
+    const hookRows = hooks.map(
+      (h) => html`
+        <tr>
+          <td>
+            ${webhookForm(h)}
+            <small>Secret: <code>${h.secret}</code> · updated by ${h.updatedBy}</small>
+          </td>
+          <td>
+            <form method="POST" action="/admin/webhooks/${encodeURIComponent(h.id)}/test" class="inline">
+              <button type="submit" class="btn">Send test event</button>
+            </form>
+            <a href="/admin/webhooks?webhook=${encodeURIComponent(h.id)}" class="btn">Deliveries</a>
+            <form method="POST" action="/admin/webhooks/${encodeURIComponent(h.id)}/delete" class="inline">
+              <button type="submit" class="btn">Delete</button>
+            </form>
+          </td>
+        </tr>
+      `
+    );
+
+    const deliveryRows = deliveries.map(
+      (d) => html`
+        <tr>
+          <td>${d.createdAt}</td>
+          <td>${d.webhookName}</td>
+          <td>${d.event.type}</td>
+          <td>${d.status}</td>
+          <td>${d.attempts.length}</td>
+          <td>${lastAttempt(d)}</td>
+          <td>${d.nextAttemptAt || "—"}</td>
+          <td>${
+            d.status !== "delivered" &&
+            html`<form method="POST" action="/admin/webhooks/deliveries/${encodeURIComponent(d.id)}/retry" class="inline">
+              <button type="submit" class="btn">Retry</button>
+            </form>`
+          }</td>
+        </tr>
+      `
+    );
+
+    const testHtml =
+      testResult &&
+      html`<p>${testResult.status === "delivered" ? "✅ Test event delivered" : "❌ Test event failed"}: ${lastAttempt(testResult)}</p>`;
+
+    res.send(
+      page(
+        "Webhooks",
+        html`
+          <h1>Webhooks</h1>
+          <p>
+            POSTs alert events to chat or other systems. JSON webhooks are signed: check
+            <code>X-Inventory-Signature: t=&lt;unix time&gt;,v1=&lt;hex&gt;</code>, the HMAC-SHA256 of
+            <code>&lt;t&gt;.&lt;body&gt;</code> with the webhook's secret. Failed deliveries are retried after
+            1, 5, 30, 120 and 360 minutes.
+          </p>
+          ${adminNav()}
+          ${testHtml}
+          <table>
+            <thead><tr><th>Webhook</th><th></th></tr></thead>
+            <tbody>${hookRows.length ? hookRows : html`<tr><td colspan="2">No webhooks.</td></tr>`}</tbody>
+          </table>
+
+          <h2>Add a webhook</h2>
+          ${webhookForm()}
+
+          <h2>Deliveries${req.query.webhook && html` (<a href="/admin/webhooks">show all</a>)`}</h2>
+          <table>
+            <thead><tr><th>Created</th><th>Webhook</th><th>Event</th><th>Status</th><th>Attempts</th><th>Last Response</th><th>Next Attempt</th><th></th></tr></thead>
+            <tbody>${deliveryRows.length ? deliveryRows : html`<tr><td colspan="8">No deliveries yet.</td></tr>`}</tbody>
+          </table>
+        `
+      )
+    );
+  }
+
+  router.get("/webhooks", async (req, res) => {
+    try {
+      await renderWebhooks(req, res);
+    } catch (err) {
+      console.error("❌ Error in /admin/webhooks route:", err);
+      res.status(500).send("Error loading webhooks.");
+    }
+  });
+
+  router.post("/webhooks", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const hook = await saveWebhook(store, { ...body, enabled: body.enabled === "on" }, req.clerkAuth.userId);
+      console.log(`✅ Webhook saved: ${hook.name} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/webhooks");
+    } catch (err) {
+      console.error("❌ Error saving webhook:", err.message);
+      res.status(400).send(`Could not save webhook: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  // Renders the page directly so the receiver's answer is shown
+  router.post("/webhooks/:id/test", async (req, res) => {
+    try {
+      const result = await webhooks.sendTest(req.params.id, req.clerkAuth.userId);
+      await renderWebhooks(req, res, result);
+    } catch (err) {
+      console.error("❌ Error sending test webhook:", err.message);
+      res.status(400).send(`Could not send test event: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/webhooks/:id/delete", async (req, res) => {
+    try {
+      await deleteWebhook(store, req.params.id);
+      console.log(`✅ Webhook deleted: ${req.params.id} by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/admin/webhooks");
+    } catch (err) {
+      console.error("❌ Error deleting webhook:", err);
+      res.status(500).send("Error deleting webhook.");
+    }
+  });
+
+  router.post("/webhooks/deliveries/:id/retry", async (req, res) => {
+    try {
+      await webhooks.retry(req.params.id);
+      res.redirect(303, "/admin/webhooks");
+    } catch (err) {
+      console.error("❌ Error retrying webhook delivery:", err.message);
+      res.status(400).send(`Could not retry delivery: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  // ---- Audit log ----
+
+  const AUDIT_PAGE_SIZE = 200;
+
+  function auditFilters(query) {
+    const date = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v || "") ? v : "");
+    return {
+      actor: String(query.actor || "").trim(),
+      action: String(query.action || ""),
+      from: date(query.from),
+      to: date(query.to),
+      q: String(query.q || ""),
+    };
+  }
+
+  router.get("/audit", audit.track("audit.view"), async (req, res) => {
+    try {
+      const filters = auditFilters(req.query);
+      const [entries, all] = await Promise.all([audit.list(filters), audit.list()]);
+      const actions = [...new Set(all.map((e) => e.action))].sort();
+      const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v)).toString();
+
+      const rows = entries.slice(0, AUDIT_PAGE_SIZE).map(
+        (e) => html`
+          <tr>
+            <td>${e.at}</td>
+            <td><a href="/admin/audit?actor=${encodeURIComponent(e.actor)}">${e.actor}</a></td>
+            <td>${e.action}</td>
+            <td>${e.target}</td>
+            <td>${e.status}</td>
+            <td>${e.ip}<br /><small>${e.userAgent.slice(0, 60)}</small></td>
+            <td><small>${Object.entries(e.details || {})
+              .map(([k, v]) => `${k}=${v}`)
+              .join(" · ")}</small></td>
+          </tr>
+        `
+      );
+
+      res.send(
+        page(
+          "Audit Log",
+          html`
+            <h1>Audit Log</h1>
+            <p>
+              Every signed-in page view of alert data, export and change, newest first. Entries can't be edited;
+              ${audit.retentionDays > 0 ? `they're kept for ${audit.retentionDays} days` : "they're kept forever"}
+              (AUDIT_RETENTION_DAYS).
+            </p>
+            ${adminNav()}
+            <form method="GET" action="/admin/audit" class="row">
+              <input name="actor" placeholder="User id or apikey:name" value="${filters.actor}" />
+              <select name="action">
+                <option value="">All actions</option>
+                ${actions.map((a) => html`<option value="${a}"${a === filters.action ? " selected" : ""}>${a}</option>`)}
+              </select>
+              <label>From <input type="date" name="from" value="${filters.from}" /></label>
+              <label>To <input type="date" name="to" value="${filters.to}" /></label>
+              <input type="search" name="q" placeholder="Target or details…" value="${filters.q}" />
+              <button type="submit" class="btn">Apply</button>
+              <a href="/admin/audit">Reset</a>
+              <a href="/admin/audit.csv${query && `?${query}`}" class="btn">Download CSV</a>
+            </form>
+            <p>${entries.length} entr${entries.length === 1 ? "y" : "ies"}${
+              entries.length > AUDIT_PAGE_SIZE && ` (showing the newest ${AUDIT_PAGE_SIZE}; the CSV has all of them)`
+            }.</p>
+            <div class="table-wrapper">
+              <table>
+                <thead><tr><th>Time</th><th>Actor</th><th>Action</th><th>Target</th><th>Status</th><th>IP / Device</th><th>Details</th></tr></thead>
+                <tbody>${rows.length ? rows : html`<tr><td colspan="7">No audit entries match.</td></tr>`}</tbody>
+              </table>
+            </div>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /admin/audit route:", err);
+      res.status(500).send("Error loading audit log.");
+    }
+  });
+
+  router.get("/audit.csv", audit.track("audit.export"), async (req, res) => {
+    try {
+      const entries = await audit.list(auditFilters(req.query));
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="audit-log.csv"');
+      res.send(auditCsv(entries));
+    } catch (err) {
+      console.error("❌ Error in /admin/audit.csv route:", err);
+      res.status(500).send("Error generating CSV.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,231 @@
+// routes/api.js
+// Versioned JSON API (/api/v1). Authenticated with a Clerk session or an
+// API key; see lib/openapi.js for the published description.
+const express = require("express");
+const { getCatalog, slugify, resolveAlertInput } = require("../lib/catalog");
+const { SEVERITIES, severityOf } = require("../lib/severity");
+const {
+  STATUSES,
+  keyOf,
+  statusForReport,
+  getStatusesByKey,
+  setItemStatus,
+} = require("../lib/checklist");
+const { buildOpenApiSpec } = require("../lib/openapi");
+const { scopeAllows } = require("../lib/locations");
+const { parseCount } = require("../lib/stock");
+const { parseKey } = require("../lib/idempotency");
+const { hasRole } = require("../lib/roles");
+
+const MAX_PAGE_SIZE = 500;
+
+function parseLimit(value, fallback = 50) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+function parseOffset(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function apiError(res, status, error) {
+  return res.status(status).json({ error });
+}
+
+function locationSlugOfAlert(a) {
+  return a.locationSlug || slugify(a.location || "");
+}
+
+// requireApiRole(minRole): auth middleware from server.js
+// getChecklist(now, { includes }): today's { open, resolved } checklist
+// getAnalytics(req): lib/analytics summary for the request's locations, or
+// null when ?location= is off-limits
+// onStatusChange(state): called after a checklist status change
+// idempotency: lib/idempotency, for Idempotency-Key on POST /alerts
+// reporterPrivacy: lib/privacy; alert IPs / user agents are masked unless the
+// caller is an admin
+// lookupUserName(userId): display name of a Clerk user, for reports sent
+// with a session (API keys report under the key's name)
+function createApiRouter({
+  store,
+  alertService,
+  idempotency,
+  getChecklist,
+  onStatusChange,
+  getAnalytics,
+  requireApiRole,
+  reporterPrivacy = { view: (record) => record },
+  lookupUserName = async (userId) => userId,
+  publicBaseUrl,
+}) {
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(buildOpenApiSpec({ serverUrl: `${publicBaseUrl}/api/v1` }));
+  });
+
+  // ---- Alerts ----
+
+  router.post("/alerts", requireApiRole("staff"), async (req, res) => {
+    try {
+      const { item, qty, count, location = "" } = req.body || {};
+      const hasCount = count !== undefined && count !== null && count !== "";
+      if (!item || (!qty && !hasCount)) return apiError(res, 400, "item and qty or count are required");
+      if (hasCount && parseCount(count) === null) return apiError(res, 400, "count must be a number ≥ 0");
+
+      // Callers limited to some locations (/admin/roles) can only report there
+      const resolved = await alertService.resolveInput({ item: String(item), location: String(location || "") });
+      if (!resolved.ok) return apiError(res, 400, resolved.error);
+      if (!scopeAllows(req.locationScope, resolved.location?.slug || "")) {
+        return apiError(res, 403, "No access to this location");
+      }
+
+      // req.ip honours "trust proxy"; the raw X-Forwarded-For header is client-controlled
+      const ip = req.ip || "";
+      const reporter = req.apiKey ? req.apiKey.name : await lookupUserName(req.actor);
+      // Keys are per caller, so two integrations can't collide
+      const key = parseKey(req.get("Idempotency-Key"));
+      const { result, replayed } = await idempotency.run(`api:${req.actor}`, key, () =>
+        alertService.reportAlert({
+          item: String(item),
+          qty: String(qty || "count"),
+          count: hasCount ? count : null,
+          location: String(location || ""),
+          ip,
+          userAgent: req.headers["user-agent"] || "",
+          reporter,
+          reporterId: req.actor,
+        })
+      );
+      if (!result.ok) return apiError(res, 400, result.error);
+
+      if (replayed) res.setHeader("Idempotent-Replayed", "true");
+      res.status(201).json({
+        alert: result.alert,
+        notified: result.notified,
+        quiet: result.quiet,
+        duplicateOf: result.dedup.foldedInto,
+      });
+    } catch (err) {
+      console.error("❌ Error in POST /api/v1/alerts:", err);
+      apiError(res, 500, "Error creating alert");
+    }
+  });
+
+  router.get("/alerts", requireApiRole("manager"), async (req, res) => {
+    try {
+      const { item, location, severity, from, to } = req.query;
+      if (severity && !SEVERITIES.includes(severity)) {
+        return apiError(res, 400, `severity must be one of ${SEVERITIES.join(", ")}`);
+      }
+      const fromMs = from ? Date.parse(from) : null;
+      const toMs = to ? Date.parse(to) : null;
+      if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+        return apiError(res, 400, "from/to must be ISO dates");
+      }
+
+      const limit = parseLimit(req.query.limit);
+      const offset = parseOffset(req.query.offset);
+
+      let alerts = await store.getRecentAlerts(Infinity);
+      alerts = alerts.filter((a) => {
+        const at = Date.parse(a.timestamp);
+        if (fromMs !== null && !(at >= fromMs)) return false;
+        if (toMs !== null && !(at < toMs)) return false;
+        if (item && (a.itemSlug || slugify(a.item)) !== slugify(item)) return false;
+        if (!scopeAllows(req.locationScope, locationSlugOfAlert(a))) return false;
+        if (location && locationSlugOfAlert(a) !== slugify(location)) return false;
+        if (severity && severityOf(a.qty) !== severity) return false;
+        return true;
+      });
+
+      const statusesByKey = await getStatusesByKey(store);
+      const raw = hasRole(req.userRole, "admin");
+      const page = alerts.slice(offset, offset + limit).map((a) => ({
+        ...reporterPrivacy.view(a, { raw }),
+        severity: severityOf(a.qty),
+        resolution: statusForReport(statusesByKey.get(keyOf(a)), a.timestamp),
+      }));
+
+      const nextOffset = offset + limit < alerts.length ? offset + limit : null;
+      res.json({ data: page, page: { offset, limit, total: alerts.length, nextOffset } });
+    } catch (err) {
+      console.error("❌ Error in GET /api/v1/alerts:", err);
+      apiError(res, 500, "Error listing alerts");
+    }
+  });
+
+  // ---- Analytics ----
+
+  router.get("/analytics", requireApiRole("manager"), async (req, res) => {
+    try {
+      const data = await getAnalytics(req);
+      if (!data) return apiError(res, 403, "No access to this location");
+      res.json(data);
+    } catch (err) {
+      console.error("❌ Error in GET /api/v1/analytics:", err);
+      apiError(res, 500, "Error building analytics");
+    }
+  });
+
+  // ---- Checklist ----
+
+  router.get("/checklist", requireApiRole("shift_lead"), async (req, res) => {
+    try {
+      const location = slugify(req.query.location || "");
+      const includes = (a) =>
+        scopeAllows(req.locationScope, locationSlugOfAlert(a)) &&
+        (!location || locationSlugOfAlert(a) === location);
+      res.json(await getChecklist(new Date(), { includes }));
+    } catch (err) {
+      console.error("❌ Error in GET /api/v1/checklist:", err);
+      apiError(res, 500, "Error loading checklist");
+    }
+  });
+
+  router.post("/checklist/status", requireApiRole("shift_lead"), async (req, res) => {
+    try {
+      const { item = "", location = "", status = "" } = req.body || {};
+      if (!item || !STATUSES[status]) {
+        return apiError(res, 400, `item and status (${Object.keys(STATUSES).join(", ")}) are required`);
+      }
+      const resolved = resolveAlertInput(await getCatalog(store), { item, location });
+      if (!resolved.ok) return apiError(res, 400, resolved.error);
+      if (!scopeAllows(req.locationScope, resolved.location?.slug || "")) {
+        return apiError(res, 403, "No access to this location");
+      }
+
+      const state = await setItemStatus(store, {
+        item: resolved.item,
+        location: resolved.location,
+        status,
+        userId: req.actor,
+      });
+      await onStatusChange(state);
+      console.log(`✅ Checklist (API): ${state.id} → ${status} by ${req.actor}`);
+      res.json({ state });
+    } catch (err) {
+      console.error("❌ Error in POST /api/v1/checklist/status:", err);
+      apiError(res, 500, "Error updating checklist");
+    }
+  });
+
+  // ---- Catalog ----
+
+  router.get("/catalog", requireApiRole("staff"), async (req, res) => {
+    try {
+      res.json(await getCatalog(store));
+    } catch (err) {
+      console.error("❌ Error in GET /api/v1/catalog:", err);
+      apiError(res, 500, "Error loading catalog");
+    }
+  });
+
+  router.use((req, res) => apiError(res, 404, "Not found"));
+
+  return router;
+}
+
+module.exports = { createApiRouter };
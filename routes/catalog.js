@@ -0,0 +1,450 @@
+// routes/catalog.js
+// Item/location catalog management and printable QR code sheets.
+const express = require("express");
+const QRCode = require("qrcode");
+const {
+  QR_STATUSES,
+  slugify,
+  prettifyText,
+  getCatalog,
+  saveItem,
+  saveLocation,
+  saveSupplier,
+  deleteItem,
+  deleteLocation,
+  deleteSupplier,
+  buildAlertUrl,
+} = require("../lib/catalog");
+const { escapeHtml, html, raw } = require("../lib/html");
+const { renderPage } = require("../lib/layout");
+const { signAlertParams } = require("../lib/qrSigning");
+const { LOCATION_FALLBACKS } = require("../lib/locations");
+const { parseShifts, formatShifts, isValidTimeZone, parseCutoffHour } = require("../lib/businessDay");
+const { describeCount, getStockLevels } = require("../lib/stock");
+
+const FALLBACK_LABELS = {
+  default: "Default (ROUTING_FALLBACK)",
+  location: "This location's subscribers",
+  all: "All subscribers",
+  none: "Nobody",
+};
+
+// timeDefaults: { timeZone, cutoffHour, shifts } from env, shown as placeholders
+function createCatalogRouter({ store, publicBaseUrl, qrSecret, timeDefaults }) {
+  const router = express.Router();
+
+  // Signs the link when QR_SIGNING_SECRET is set; `days` adds an expiry
+  function alertUrlFor(params, days) {
+    if (!qrSecret) return buildAlertUrl(publicBaseUrl, params);
+    const exp = Number(days) > 0 ? Math.floor(Date.now() / 1000 + Number(days) * 86400) : "";
+    const sig = signAlertParams({ ...params, exp }, qrSecret);
+    return buildAlertUrl(publicBaseUrl, { ...params, exp, sig });
+  }
+
+  // Every item × location × QR status combination, optionally narrowed by query
+  function qrEntries(catalog, { item, location, qty, days }) {
+    const items = item ? catalog.items.filter((i) => i.slug === slugify(item)) : catalog.items;
+    let locations = location
+      ? catalog.locations.filter((l) => l.slug === slugify(location))
+      : catalog.locations;
+    if (locations.length === 0) locations = [null];
+    const statuses = qty ? [slugify(qty)] : QR_STATUSES;
+
+    const entries = [];
+    for (const i of items) {
+      for (const l of locations) {
+        for (const status of statuses) {
+          entries.push({
+            item: i,
+            location: l,
+            qty: status,
+            url: alertUrlFor(
+              {
+                item: i.slug,
+                location: l ? l.slug : "",
+                qty: status,
+              },
+              days
+            ),
+          });
+        }
+      }
+    }
+    return entries;
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      const catalog = await getCatalog(store);
+      const editItem = catalog.items.find((i) => i.slug === req.query.editItem) || {};
+      const editLocation = catalog.locations.find((l) => l.slug === req.query.editLocation) || {};
+      const editSupplier = catalog.suppliers.find((s) => s.slug === req.query.editSupplier) || {};
+      const supplierName = (slug) => catalog.suppliers.find((s) => s.slug === slug)?.name || slug;
+      const levels = [...(await getStockLevels(store)).values()];
+      const locationName = (slug) => catalog.locations.find((l) => l.slug === slug)?.name || slug;
+
+      // Latest count per location, e.g. "Bar: 3 bottles"
+      const onHandOf = (item) => {
+        const counts = levels.filter((l) => l.itemSlug === item.slug);
+        if (!counts.length) return "—";
+        return counts.map(
+          (l, n) =>
+            html`${n > 0 && html`<br />`}${l.locationSlug && `${locationName(l.locationSlug)}: `}${describeCount(
+              l.count,
+              l.unit || item.unit
+            )}`
+        );
+      };
+
+      const itemRows = catalog.items.map(
+        (i) => html`
+          <tr>
+            <td>${i.name}</td>
+            <td><code>${i.slug}</code></td>
+            <td>${i.category}</td>
+            <td>${i.unit}</td>
+            <td>${i.parLevel ?? ""}</td>
+            <td>${i.reorderLevel ?? ""}</td>
+            <td>${onHandOf(i)}</td>
+            <td>
+              ${supplierName(i.supplier || "")}
+              ${
+                Boolean(i.orderUnit || i.packSize) &&
+                html`<br /><small>${i.orderUnit || "unit"}${i.packSize > 0 && ` of ${i.packSize}`}${
+                  i.leadTimeDays != null && ` · ${i.leadTimeDays}d lead`
+                }</small>`
+              }
+            </td>
+            <td>
+              <a href="/catalog?editItem=${encodeURIComponent(i.slug)}">Edit</a> ·
+              <a href="/catalog/qr?item=${encodeURIComponent(i.slug)}">QR</a> ·
+              <form method="POST" action="/catalog/items/${encodeURIComponent(i.slug)}/delete" class="inline">
+                <button type="submit" class="btn">Delete</button>
+              </form>
+            </td>
+          </tr>
+        `
+      );
+
+      const locationRows = catalog.locations.map(
+        (l) => html`
+          <tr>
+            <td>${l.name}</td>
+            <td><code>${l.slug}</code></td>
+            <td>${l.business}</td>
+            <td>${FALLBACK_LABELS[l.routingFallback || "default"]}</td>
+            <td>
+              ${l.timeZone || timeDefaults.timeZone} ·
+              day starts ${l.dayCutoffHour === "" || l.dayCutoffHour == null ? timeDefaults.cutoffHour : l.dayCutoffHour}:00<br />
+              <small>${l.shifts || formatShifts(timeDefaults.shifts)}</small>
+            </td>
+            <td>
+              <a href="/catalog?editLocation=${encodeURIComponent(l.slug)}">Edit</a> ·
+              <a href="/catalog/qr?location=${encodeURIComponent(l.slug)}">QR</a> ·
+              <a href="/checklist?location=${encodeURIComponent(l.slug)}">Checklist</a> ·
+              <a href="/manager?location=${encodeURIComponent(l.slug)}">Alerts</a> ·
+              <form method="POST" action="/catalog/locations/${encodeURIComponent(l.slug)}/delete" class="inline">
+                <button type="submit" class="btn">Delete</button>
+              </form>
+            </td>
+          </tr>
+        `
+      );
+
+      const supplierRows = catalog.suppliers.map(
+        (s) => html`
+          <tr>
+            <td>${s.name}${s.notes && html`<br /><small>${s.notes}</small>`}</td>
+            <td><code>${s.slug}</code></td>
+            <td>${s.email}${s.phone && html`<br />${s.phone}`}</td>
+            <td>${s.leadTimeDays != null && `${s.leadTimeDays} day${s.leadTimeDays === 1 ? "" : "s"}`}</td>
+            <td>${catalog.items.filter((i) => i.supplier === s.slug).length}</td>
+            <td>
+              <a href="/catalog?editSupplier=${encodeURIComponent(s.slug)}">Edit</a> ·
+              <form method="POST" action="/catalog/suppliers/${encodeURIComponent(s.slug)}/delete" class="inline">
+                <button type="submit" class="btn">Delete</button>
+              </form>
+            </td>
+          </tr>
+        `
+      );
+
+      res.send(
+        renderPage({
+          title: "Inventory Catalog",
+          body: html`
+            <h1>Inventory Catalog</h1>
+            <p>Items and locations that staff can report from QR codes. While a list is empty, /alert accepts any value.</p>
+            <div class="row">
+              <a href="/catalog/qr" class="btn">Print QR Codes</a>
+              <a href="/checklist" class="btn">Restock Checklist</a>
+              <a href="/count" class="btn">Count Sheet</a>
+              <a href="/manager/orders" class="btn">Purchase Orders</a>
+              <a href="/manager" class="btn">Manager View</a>
+            </div>
+
+            <h2>Items</h2>
+            <table>
+              <thead><tr><th>Name</th><th>Slug</th><th>Category</th><th>Unit</th><th>Par Level</th><th>Reorder At</th><th>On Hand</th><th>Supplier</th><th></th></tr></thead>
+              <tbody>${itemRows.length ? itemRows : html`<tr><td colspan="9">No items yet.</td></tr>`}</tbody>
+            </table>
+            <form method="POST" action="/catalog/items" class="row">
+              <input name="name" placeholder="Display name" value="${editItem.name}" required />
+              <input name="slug" placeholder="slug (optional)" value="${editItem.slug}" />
+              <input name="category" placeholder="Category" value="${editItem.category}" />
+              <input name="unit" placeholder="Unit (e.g. bottles)" value="${editItem.unit}" />
+              <input name="parLevel" type="number" min="0" step="any" placeholder="Par level" value="${editItem.parLevel ?? ""}" />
+              <input name="reorderLevel" type="number" min="0" step="any" placeholder="Reorder at" value="${editItem.reorderLevel ?? ""}" />
+              <select name="supplier">
+                <option value="">No supplier</option>
+                ${catalog.suppliers.map(
+                  (s) => html`<option value="${s.slug}"${editItem.supplier === s.slug ? " selected" : ""}>${s.name}</option>`
+                )}
+              </select>
+              <input name="orderUnit" placeholder="Order unit (e.g. case)" value="${editItem.orderUnit}" />
+              <input name="packSize" type="number" min="0" step="any" placeholder="Units per order unit" value="${editItem.packSize ?? ""}" />
+              <input name="leadTimeDays" type="number" min="0" step="any" placeholder="Lead time (days)" value="${editItem.leadTimeDays ?? ""}" />
+              <button type="submit" class="btn">${editItem.slug ? "Save Item" : "Add Item"}</button>
+            </form>
+
+            <h2>Locations</h2>
+            <table>
+              <thead><tr><th>Name</th><th>Slug</th><th>Business</th><th>When No Rule Matches</th><th>Business Day &amp; Shifts</th><th></th></tr></thead>
+              <tbody>${locationRows.length ? locationRows : html`<tr><td colspan="6">No locations yet.</td></tr>`}</tbody>
+            </table>
+            <form method="POST" action="/catalog/locations" class="row">
+              <input name="name" placeholder="Display name" value="${editLocation.name}" required />
+              <input name="slug" placeholder="slug (optional)" value="${editLocation.slug}" />
+              <input name="business" placeholder="Business (optional)" value="${editLocation.business}" />
+              <select name="routingFallback">
+                ${LOCATION_FALLBACKS.map(
+                  (f) =>
+                    html`<option value="${f}"${(editLocation.routingFallback || "default") === f ? " selected" : ""}>${FALLBACK_LABELS[f]}</option>`
+                )}
+              </select>
+              <input name="timeZone" placeholder="Time zone (${timeDefaults.timeZone})" value="${editLocation.timeZone}" />
+              <input name="dayCutoffHour" type="number" min="0" max="23" placeholder="Day starts at hour (${timeDefaults.cutoffHour})" value="${editLocation.dayCutoffHour ?? ""}" />
+              <input name="shifts" size="36" placeholder="${formatShifts(timeDefaults.shifts) || "open=05:00, mid=11:00, close=16:00"}" value="${editLocation.shifts}" />
+              <button type="submit" class="btn">${editLocation.slug ? "Save Location" : "Add Location"}</button>
+            </form>
+
+            <h2>Suppliers</h2>
+            <table>
+              <thead><tr><th>Name</th><th>Slug</th><th>Contact</th><th>Lead Time</th><th>Items</th><th></th></tr></thead>
+              <tbody>${supplierRows.length ? supplierRows : html`<tr><td colspan="6">No suppliers yet.</td></tr>`}</tbody>
+            </table>
+            <form method="POST" action="/catalog/suppliers" class="row">
+              <input name="name" placeholder="Display name" value="${editSupplier.name}" required />
+              <input name="slug" placeholder="slug (optional)" value="${editSupplier.slug}" />
+              <input name="email" type="email" placeholder="Order email" value="${editSupplier.email}" />
+              <input name="phone" placeholder="Phone" value="${editSupplier.phone}" />
+              <input name="leadTimeDays" type="number" min="0" step="any" placeholder="Lead time (days)" value="${editSupplier.leadTimeDays ?? ""}" />
+              <input name="notes" size="30" placeholder="Notes (account #, delivery days)" value="${editSupplier.notes}" />
+              <button type="submit" class="btn">${editSupplier.slug ? "Save Supplier" : "Add Supplier"}</button>
+            </form>
+          `,
+        })
+      );
+    } catch (err) {
+      console.error("❌ Error in /catalog route:", err);
+      res.status(500).send("Error loading catalog.");
+    }
+  });
+
+  router.post("/items", async (req, res) => {
+    try {
+      const item = await saveItem(store, req.body || {});
+      console.log("✅ Catalog item saved:", item.slug);
+      res.redirect(303, "/catalog");
+    } catch (err) {
+      console.error("❌ Error saving catalog item:", err.message);
+      res.status(400).send(`Could not save item: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/items/:slug/delete", async (req, res) => {
+    try {
+      await deleteItem(store, req.params.slug);
+      res.redirect(303, "/catalog");
+    } catch (err) {
+      console.error("❌ Error deleting catalog item:", err);
+      res.status(500).send("Error deleting item.");
+    }
+  });
+
+  router.post("/locations", async (req, res) => {
+    try {
+      const { timeZone, dayCutoffHour, shifts } = req.body || {};
+      if (timeZone && !isValidTimeZone(timeZone)) {
+        throw new Error(`Unknown time zone "${timeZone}" (use e.g. America/Chicago)`);
+      }
+      if (dayCutoffHour && parseCutoffHour(dayCutoffHour) === null) {
+        throw new Error("Day start hour must be 0–23");
+      }
+      if (shifts && parseShifts(shifts).length === 0) {
+        throw new Error('Shifts look like "open=05:00, mid=11:00, close=16:00"');
+      }
+
+      const location = await saveLocation(store, req.body || {});
+      console.log("✅ Catalog location saved:", location.slug);
+      res.redirect(303, "/catalog");
+    } catch (err) {
+      console.error("❌ Error saving catalog location:", err.message);
+      res.status(400).send(`Could not save location: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/locations/:slug/delete", async (req, res) => {
+    try {
+      await deleteLocation(store, req.params.slug);
+      res.redirect(303, "/catalog");
+    } catch (err) {
+      console.error("❌ Error deleting catalog location:", err);
+      res.status(500).send("Error deleting location.");
+    }
+  });
+
+  router.post("/suppliers", async (req, res) => {
+    try {
+      const supplier = await saveSupplier(store, req.body || {});
+      console.log("✅ Catalog supplier saved:", supplier.slug);
+      res.redirect(303, "/catalog");
+    } catch (err) {
+      console.error("❌ Error saving catalog supplier:", err.message);
+      res.status(400).send(`Could not save supplier: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/suppliers/:slug/delete", async (req, res) => {
+    try {
+      await deleteSupplier(store, req.params.slug);
+      res.redirect(303, "/catalog");
+    } catch (err) {
+      console.error("❌ Error deleting catalog supplier:", err);
+      res.status(500).send("Error deleting supplier.");
+    }
+  });
+
+  // Printable sheet: one card per item/location/status, inline SVG
+  router.get("/qr", async (req, res) => {
+    try {
+      const catalog = await getCatalog(store);
+      const entries = qrEntries(catalog, req.query);
+
+      const cards = await Promise.all(
+        entries.map(async (e) => {
+          // qrcode's own SVG markup; the URL inside it is ours
+          const svg = raw(await QRCode.toString(e.url, { type: "svg", margin: 1 }));
+          const params = new URLSearchParams({ item: e.item.slug, qty: e.qty });
+          if (e.location) params.set("location", e.location.slug);
+          if (req.query.days) params.set("days", req.query.days);
+          return html`
+            <div class="card">
+              ${svg}
+              <div class="name">${e.item.name}</div>
+              ${e.location && html`<div class="loc">${e.location.name}</div>`}
+              <div class="status status-${e.qty}">${prettifyText(e.qty)}</div>
+              <div class="links no-print">
+                <a href="/catalog/qr.svg?${params}">SVG</a> · <a href="/catalog/qr.png?${params}">PNG</a>
+              </div>
+            </div>
+          `;
+        })
+      );
+
+      res.send(
+        renderPage({
+          title: "QR Codes – Inventory Alerts",
+          style: `
+            .grid{ display:grid; grid-template-columns:repeat(auto-fill, minmax(180px, 1fr)); gap:12px; }
+            .card{ background:#fff; color:#111827; border-radius:12px; padding:12px; text-align:center; break-inside:avoid; }
+            .card svg{ width:100%; height:auto; }
+            .name{ font-weight:800; font-size:14px; }
+            .loc{ font-size:12px; color:#4b5563; }
+            .status{ display:inline-block; margin-top:4px; padding:2px 8px; border-radius:999px; font-size:11px; font-weight:800; background:#fef3c7; }
+            .status-out{ background:#fecaca; }
+            .links{ font-size:11px; margin-top:6px; }
+            @media print{
+              body{ background:#fff; padding:0; }
+              .no-print{ display:none !important; }
+              .card{ border:1px solid #d1d5db; }
+            }
+          `,
+          body: html`
+            <div class="no-print">
+              <h1>QR Codes</h1>
+              <p>Scan to report an item. Print this page (or save as PDF) to get a sheet of codes.</p>
+              <p>${
+                qrSecret
+                  ? "Links are signed, so edited or hand-typed URLs are rejected."
+                  : "Links are not signed. Set QR_SIGNING_SECRET to reject forged URLs."
+              }</p>
+              <div class="row">
+                <button type="button" class="btn" onclick="window.print()">Print</button>
+                <a href="/catalog" class="btn">Back to Catalog</a>
+              </div>
+              ${
+                qrSecret &&
+                html`<form method="GET" action="/catalog/qr" class="row">
+                  ${["item", "location", "qty"]
+                    .filter((k) => req.query[k])
+                    .map((k) => html`<input type="hidden" name="${k}" value="${req.query[k]}" />`)}
+                  <input name="days" type="number" min="0" placeholder="Expires after (days)" value="${req.query.days || ""}" />
+                  <button type="submit" class="btn">Apply Expiry</button>
+                </form>`
+              }
+            </div>
+            <div class="grid">
+              ${cards.length ? cards : html`<p>No catalog items yet. Add some on the catalog page first.</p>`}
+            </div>
+          `,
+        })
+      );
+    } catch (err) {
+      console.error("❌ Error in /catalog/qr route:", err);
+      res.status(500).send("Error generating QR codes.");
+    }
+  });
+
+  // Single code download: /catalog/qr.svg|png?item=...&location=...&qty=...
+  router.get("/qr.:format", async (req, res) => {
+    try {
+      const format = req.params.format;
+      if (format !== "svg" && format !== "png") {
+        return res.status(404).send("Unknown QR format.");
+      }
+
+      const catalog = await getCatalog(store);
+      const { item, location, qty, days } = req.query;
+      if (!item || !qty) {
+        return res.status(400).send("item and qty are required.");
+      }
+
+      const [entry] = qrEntries(catalog, { item, location, qty, days });
+      if (!entry || (location && !entry.location)) {
+        return res.status(404).send("No such catalog item/location.");
+      }
+
+      const filename = [entry.item.slug, entry.location?.slug, entry.qty].filter(Boolean).join("-");
+
+      if (format === "svg") {
+        const svg = await QRCode.toString(entry.url, { type: "svg", margin: 1 });
+        res.setHeader("Content-Type", "image/svg+xml");
+        res.setHeader("Content-Disposition", `inline; filename="${filename}.svg"`);
+        return res.send(svg);
+      }
+
+      const png = await QRCode.toBuffer(entry.url, { type: "png", width: 512, margin: 1 });
+      res.setHeader("Content-Type", "image/png");
+      res.setHeader("Content-Disposition", `inline; filename="${filename}.png"`);
+      res.send(png);
+    } catch (err) {
+      console.error("❌ Error in /catalog/qr download route:", err);
+      res.status(500).send("Error generating QR code.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCatalogRouter };
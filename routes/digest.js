@@ -0,0 +1,213 @@
+// routes/digest.js
+// Digest schedules per location, a preview of what would be sent, and a
+// "send now" button for checking delivery.
+const express = require("express");
+const { escapeHtml, html } = require("../lib/html");
+const { renderPage } = require("../lib/layout");
+const { slugify } = require("../lib/catalog");
+const {
+  formatMinutes,
+  listSchedules,
+  saveSchedule,
+  listRuns,
+  renderDigestText,
+  renderDigestHtml,
+} = require("../lib/digest");
+
+const PAGE_STYLE = `
+  th,td{ vertical-align:top; }
+  label{ font-size:12px; color:#9ca3af; }
+  ul{ padding-left:18px; }
+  li{ font-size:13px; margin-bottom:4px; }
+  pre{ font-size:12px; white-space:pre-wrap; }
+`;
+
+// composeDigest({ locationSlug, includes }, now): lib/digest digest (+ csv)
+// deliverDigest(schedule, digest): sends it; resolves to per-channel results
+// getLocationView / sendLocationForbidden: location helpers from server.js
+function createDigestRouter({ store, composeDigest, deliverDigest, getLocationView, sendLocationForbidden }) {
+  const router = express.Router();
+
+  function page(title, body) {
+    return renderPage({ title, style: PAGE_STYLE, body });
+  }
+
+  // "" (all locations) only for managers who aren't limited to some locations
+  function targetsFor(view) {
+    const all = view.scope ? [] : [{ slug: "", name: "All locations" }];
+    return [...all, ...view.locations];
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      const view = await getLocationView(req, "");
+      if (!view) return sendLocationForbidden(req, res);
+
+      const targets = targetsFor(view);
+      const slugs = new Set(targets.map((t) => t.slug));
+      const schedules = new Map((await listSchedules(store)).map((s) => [s.locationSlug, s]));
+      const runs = (await listRuns(store)).filter((r) => slugs.has(r.locationSlug)).slice(0, 50);
+      const nameOf = (slug) => targets.find((t) => t.slug === slug)?.name || slug;
+
+      const forms = targets.map((t) => {
+        const s = schedules.get(t.slug) || { times: [], emails: [], pushTo: "" };
+        const query = t.slug ? `?location=${encodeURIComponent(t.slug)}` : "";
+        return html`
+          <tr>
+            <td>
+              <strong>${t.name}</strong><br />
+              <a href="/manager/digest/preview${query}">Preview</a>
+            </td>
+            <td>
+              <form method="POST" action="/manager/digest/schedule" class="row">
+                <input type="hidden" name="locationSlug" value="${t.slug}" />
+                <label><input type="checkbox" name="enabled" value="1"${s.enabled ? " checked" : ""} /> On</label>
+                <input name="times" size="14" placeholder="07:00, 16:30" value="${s.times.map(formatMinutes).join(", ")}" />
+                <label><input type="checkbox" name="shiftEnds" value="1"${s.shiftEnds ? " checked" : ""} /> End of each shift</label>
+                <input name="emails" size="28" placeholder="Emails (CSV attached)" value="${s.emails.join(", ")}" />
+                <input name="pushTo" size="20" placeholder="Push: role=manager, user_id" value="${s.pushTo}" />
+                <button type="submit" class="btn">Save</button>
+              </form>
+              <form method="POST" action="/manager/digest/send${query}" class="inline">
+                <button type="submit" class="btn">Send now</button>
+              </form>
+              ${s.updatedBy && html`<small>Updated by ${s.updatedBy} at ${s.updatedAt}</small>`}
+            </td>
+          </tr>
+        `;
+      });
+
+      const runRows = runs.map(
+        (r) => html`
+          <tr>
+            <td>${r.sentAt}</td>
+            <td>${nameOf(r.locationSlug)}</td>
+            <td>${r.slot}</td>
+            <td>${r.open}</td>
+            <td>${
+              r.results.length
+                ? r.results.map((x, i) => html`${i > 0 && html`<br />`}${x.ok ? "✅" : "❌"} ${x.channel} ${x.to}: ${x.detail}`)
+                : "No recipients"
+            }</td>
+          </tr>
+        `
+      );
+
+      res.send(
+        page(
+          "Digests",
+          html`
+            <h1>Daily Digests</h1>
+            <p>A summary per location at set times (location time zone) and, optionally, when each shift ends: open and out items, what got restocked, repeat offenders and unacknowledged criticals.</p>
+            <div class="row"><a href="/manager" class="btn">Manager View</a></div>
+            <table>
+              <thead><tr><th>Location</th><th>Schedule &amp; Recipients</th></tr></thead>
+              <tbody>${forms.length ? forms : html`<tr><td colspan="2">No locations.</td></tr>`}</tbody>
+            </table>
+
+            <h2>Recently Sent</h2>
+            <table>
+              <thead><tr><th>Sent</th><th>Location</th><th>Slot</th><th>Open Items</th><th>Delivery</th></tr></thead>
+              <tbody>${runRows.length ? runRows : html`<tr><td colspan="5">Nothing sent yet.</td></tr>`}</tbody>
+            </table>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /manager/digest route:", err);
+      res.status(500).send("Error loading digests.");
+    }
+  });
+
+  router.post("/schedule", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const view = await getLocationView(req, "");
+      if (!view) return sendLocationForbidden(req, res);
+      if (!targetsFor(view).some((t) => t.slug === slugify(body.locationSlug || ""))) {
+        return sendLocationForbidden(req, res);
+      }
+
+      const schedule = await saveSchedule(store, body, req.clerkAuth.userId);
+      console.log(`✅ Digest schedule for "${schedule.id}" saved by ${req.clerkAuth.userId}`);
+      res.redirect(303, "/manager/digest");
+    } catch (err) {
+      console.error("❌ Error saving digest schedule:", err.message);
+      res.status(400).send(`Could not save schedule: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  // Only a specific location's view can see "" when the manager is scoped
+  async function digestView(req, res) {
+    const view = await getLocationView(req);
+    if (!view || (!view.selected && view.scope)) {
+      sendLocationForbidden(req, res);
+      return null;
+    }
+    return view;
+  }
+
+  router.get("/preview", async (req, res) => {
+    try {
+      const view = await digestView(req, res);
+      if (!view) return;
+
+      const digest = await composeDigest({ locationSlug: view.selected, includes: view.includes });
+      const text = renderDigestText(digest);
+
+      res.send(
+        page(
+          "Digest Preview",
+          html`
+            <h1>${text.heading}</h1>
+            <p>${digest.businessDay} · ${text.summary} · generated ${digest.generatedAt}</p>
+            <div class="row">
+              <a href="/manager/digest" class="btn">Schedules</a>
+              <a href="/manager${view.selected ? `?location=${encodeURIComponent(view.selected)}` : ""}" class="btn">Manager View</a>
+            </div>
+            ${renderDigestHtml(digest)}
+            <h2>As sent by email</h2>
+            <pre>${text.body}</pre>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /manager/digest/preview route:", err);
+      res.status(500).send("Error building digest preview.");
+    }
+  });
+
+  router.post("/send", async (req, res) => {
+    try {
+      const view = await digestView(req, res);
+      if (!view) return;
+
+      const schedule = (await listSchedules(store)).find((s) => s.locationSlug === view.selected);
+      if (!schedule || (!schedule.emails.length && !schedule.pushTo)) {
+        return res.status(400).send("Add email or push recipients to this digest first.");
+      }
+
+      const digest = await composeDigest({ locationSlug: view.selected, includes: view.includes });
+      const results = await deliverDigest(schedule, digest);
+      console.log(`📰 Digest for "${schedule.id}" sent manually by ${req.clerkAuth.userId}`);
+
+      res.send(
+        page(
+          "Digest Sent",
+          html`
+            <h1>Digest sent</h1>
+            <ul>${results.map((r) => html`<li>${r.ok ? "✅" : "❌"} ${r.channel} ${r.to}: ${r.detail}</li>`)}</ul>
+            <div class="row"><a href="/manager/digest" class="btn">Back to Digests</a></div>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error sending digest:", err);
+      res.status(500).send("Error sending digest.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDigestRouter };
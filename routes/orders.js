@@ -0,0 +1,359 @@
+// routes/orders.js
+// Purchase orders: generate per-supplier reorder lists from the open
+// checklist, export/email them, and track them through to delivery.
+const express = require("express");
+const { escapeHtml, html } = require("../lib/html");
+const { renderPage } = require("../lib/layout");
+const { getCatalog, slugify } = require("../lib/catalog");
+const { getStockLevels, describeCount } = require("../lib/stock");
+const {
+  ORDER_STATUSES,
+  NEXT_STATUS,
+  listOrders,
+  getOrder,
+  generateOrders,
+  updateOrderLines,
+  setOrderStatus,
+  deleteOrder,
+  orderCsv,
+  orderPdf,
+  orderEmail,
+} = require("../lib/purchaseOrders");
+
+const PAGE_STYLE = `
+  input[type=number]{ width:70px; }
+  .notice{ background:#0b1120; border:1px solid #1f2937; border-radius:8px; padding:10px 12px; color:#e5e7eb; }
+  .status{ display:inline-block; padding:2px 8px; border-radius:999px; font-size:11px; font-weight:700; }
+  .status-draft{ background:#1e293b; color:#e5e7eb; }
+  .status-sent{ background:#1d4ed8; color:#fff; }
+  .status-received{ background:#15803d; color:#fff; }
+`;
+
+function statusBadge(status) {
+  return html`<span class="status status-${status}">${ORDER_STATUSES[status]}</span>`;
+}
+
+// getLocationView(req, location), sendLocationForbidden(req, res),
+// locationTabs(view, basePath, query): location helpers from server.js
+// getChecklist(now, { includes }): today's { open, resolved } checklist
+// emailChannel: lib/channels email channel, used to send orders to suppliers
+// onStatusChange(state): called for each checklist item a received order resolves
+function createOrdersRouter({
+  store,
+  emailChannel,
+  getChecklist,
+  getLocationView,
+  sendLocationForbidden,
+  locationTabs,
+  onStatusChange,
+}) {
+  const router = express.Router();
+
+  function page(title, body) {
+    return renderPage({ title, style: PAGE_STYLE, body });
+  }
+
+  // Looks up the order and checks the caller can see its location
+  async function loadOrder(req, res) {
+    const order = await getOrder(store, req.params.id);
+    if (!order) {
+      res.status(404).send("Order not found.");
+      return null;
+    }
+    const view = await getLocationView(req, "");
+    if (!view || !view.includes(order)) {
+      sendLocationForbidden(req, res);
+      return null;
+    }
+    return order;
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      const view = await getLocationView(req);
+      if (!view) return sendLocationForbidden(req, res);
+
+      const status = ORDER_STATUSES[req.query.status] ? req.query.status : "";
+      const orders = (await listOrders(store)).filter(
+        (o) => view.includes(o) && (!status || o.status === status)
+      );
+      const { open } = await getChecklist(new Date(), view);
+      const currentLocation = view.locations.find((l) => l.slug === view.selected);
+      const here = view.selected ? `?location=${encodeURIComponent(view.selected)}` : "";
+
+      const generated = parseInt(req.query.generated, 10);
+      const unassigned = String(req.query.unassigned || "").split(",").filter(Boolean);
+      const skipped = parseInt(req.query.skipped, 10) || 0;
+      const notice =
+        Number.isFinite(generated) &&
+        html`<p class="notice">${
+          generated ? `✅ Created ${generated} draft order${generated === 1 ? "" : "s"}.` : "ℹ️ No new orders to create."
+        }${skipped > 0 && ` ${skipped} item${skipped === 1 ? " is" : "s are"} already on an open order.`}${
+          unassigned.length > 0 &&
+          html` ⚠️ No supplier set for: ${unassigned.join(", ")} (<a href="/catalog">set one in the catalog</a>).`
+        }</p>`;
+
+      const statusTabs = [["", "All"], ...Object.entries(ORDER_STATUSES)].map(([value, label]) => {
+        const params = new URLSearchParams();
+        if (view.selected) params.set("location", view.selected);
+        if (value) params.set("status", value);
+        const qs = params.toString();
+        return html`<a href="/manager/orders${qs && `?${qs}`}" class="btn${status === value ? " active" : ""}">${label}</a>`;
+      });
+
+      const rows = orders.map(
+        (o) => html`
+          <tr>
+            <td><a href="/manager/orders/${encodeURIComponent(o.id)}">${o.number}</a></td>
+            <td>${o.supplierName}</td>
+            <td>${o.location}</td>
+            <td>${o.lines.length}</td>
+            <td>${statusBadge(o.status)}</td>
+            <td>${o.createdAt.slice(0, 10)}<br /><small>${o.createdBy}</small></td>
+            <td>${o.expectedBy || "—"}</td>
+          </tr>
+        `
+      );
+
+      res.send(
+        page(
+          "Purchase Orders",
+          html`
+            <h1>Purchase Orders${currentLocation && ` – ${currentLocation.name}`}</h1>
+            <p>Turn today’s open checklist items into one order per supplier. Items already on a draft or sent order are left out.</p>
+            ${notice}
+            ${locationTabs(view, "/manager/orders", status ? { status } : {})}
+            <form method="POST" action="/manager/orders/generate" class="row">
+              <input type="hidden" name="location" value="${view.selected}" />
+              <button type="submit" class="btn primary">Generate reorder (${open.length} open item${open.length === 1 ? "" : "s"})</button>
+              <a href="/checklist${here}" class="btn">Restock Checklist</a>
+              <a href="/catalog" class="btn">Suppliers &amp; Items</a>
+              <a href="/manager${here}" class="btn">Manager View</a>
+            </form>
+
+            <div class="tabs">${statusTabs}</div>
+            <table>
+              <thead><tr><th>PO</th><th>Supplier</th><th>Location</th><th>Lines</th><th>Status</th><th>Created</th><th>Needed By</th></tr></thead>
+              <tbody>${rows.length ? rows : html`<tr><td colspan="7">No orders yet.</td></tr>`}</tbody>
+            </table>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /manager/orders route:", err);
+      res.status(500).send("Error loading purchase orders.");
+    }
+  });
+
+  router.post("/generate", async (req, res) => {
+    try {
+      const view = await getLocationView(req, (req.body || {}).location);
+      if (!view) return sendLocationForbidden(req, res);
+
+      const { open } = await getChecklist(new Date(), view);
+      const result = await generateOrders(store, {
+        catalog: await getCatalog(store),
+        entries: open,
+        levels: await getStockLevels(store),
+        userId: req.clerkAuth.userId,
+      });
+
+      console.log(
+        `✅ Generated ${result.created.length} purchase order(s) by ${req.clerkAuth.userId} (${result.unassigned.length} without supplier, ${result.skipped.length} already ordered)`
+      );
+      const params = new URLSearchParams({
+        generated: String(result.created.length),
+        skipped: String(result.skipped.length),
+      });
+      if (result.unassigned.length) {
+        params.set("unassigned", [...new Set(result.unassigned.map((e) => e.item))].join(","));
+      }
+      if (view.selected) params.set("location", view.selected);
+      res.redirect(303, `/manager/orders?${params.toString()}`);
+    } catch (err) {
+      console.error("❌ Error generating purchase orders:", err);
+      res.status(500).send("Error generating purchase orders.");
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const order = await loadOrder(req, res);
+      if (!order) return;
+
+      const isDraft = order.status === "draft";
+      const next = NEXT_STATUS[order.status];
+      const base = `/manager/orders/${encodeURIComponent(order.id)}`;
+
+      const lineRows = order.lines.map(
+        (l) => html`
+          <tr>
+            <td>${l.item}</td>
+            <td>${
+              isDraft
+                ? html`<input type="number" name="qty_${l.itemSlug}" min="0" step="any" value="${l.quantity}" form="lines" />`
+                : l.quantity
+            }</td>
+            <td>${l.orderUnit || l.unit}${l.packSize > 0 && html` <small>of ${l.packSize}</small>`}</td>
+            <td>${describeCount(l.onHand, l.unit) || "—"}</td>
+            <td>${l.severity}</td>
+          </tr>
+        `
+      );
+
+      const history = order.history.map((h) => html`<li>${ORDER_STATUSES[h.status]} by ${h.by} at ${h.at}</li>`);
+
+      const canEmail = Boolean(order.supplierEmail && emailChannel.configured);
+      const nextAction =
+        next &&
+        html`
+          <form method="POST" action="${base}/status" class="row">
+            <input type="hidden" name="status" value="${next}" />
+            ${
+              next === "sent"
+                ? canEmail
+                  ? html`<label><input type="checkbox" name="email" value="1" checked /> Email to ${order.supplierEmail}</label>`
+                  : html`<small>${order.supplierEmail ? "SMTP isn’t configured, so" : "No supplier email, so"} send it yourself.</small>`
+                : html`<small>Receiving marks these items restocked on the checklist.</small>`
+            }
+            <button type="submit" class="btn primary">Mark ${ORDER_STATUSES[next]}</button>
+          </form>
+        `;
+
+      res.send(
+        page(
+          `Purchase Order ${order.number}`,
+          html`
+            <h1>${order.number} ${statusBadge(order.status)}</h1>
+            <p>
+              ${order.supplierName}${order.supplierEmail && ` · ${order.supplierEmail}`}
+              ${order.location && ` · Deliver to ${order.location}`}
+              ${order.expectedBy && ` · Needed by ${order.expectedBy}`}
+              ${order.emailedTo && ` · Emailed to ${order.emailedTo}`}
+            </p>
+            <div class="row">
+              <a href="${base}/csv" class="btn">Download CSV</a>
+              <a href="${base}/pdf" class="btn">Download PDF</a>
+              <a href="/manager/orders" class="btn">All Orders</a>
+            </div>
+
+            <table>
+              <thead><tr><th>Item</th><th>Quantity</th><th>Order Unit</th><th>On Hand</th><th>Reported</th></tr></thead>
+              <tbody>${lineRows}</tbody>
+            </table>
+            ${
+              isDraft &&
+              html`<form id="lines" method="POST" action="${base}/lines" class="row">
+                <button type="submit" class="btn">Save Quantities</button>
+                <small>Set a quantity to 0 to drop the line.</small>
+              </form>`
+            }
+            ${nextAction}
+            ${
+              isDraft &&
+              html`<form method="POST" action="${base}/delete" class="row">
+                <button type="submit" class="btn">Delete Draft</button>
+              </form>`
+            }
+
+            <h2>History</h2>
+            <ul>${history}</ul>
+          `
+        )
+      );
+    } catch (err) {
+      console.error("❌ Error in /manager/orders/:id route:", err);
+      res.status(500).send("Error loading purchase order.");
+    }
+  });
+
+  router.get("/:id/csv", async (req, res) => {
+    try {
+      const order = await loadOrder(req, res);
+      if (!order) return;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${order.number}.csv"`);
+      res.send(orderCsv(order));
+    } catch (err) {
+      console.error("❌ Error exporting purchase order CSV:", err);
+      res.status(500).send("Error exporting purchase order.");
+    }
+  });
+
+  router.get("/:id/pdf", async (req, res) => {
+    try {
+      const order = await loadOrder(req, res);
+      if (!order) return;
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${order.number}.pdf"`);
+      res.send(orderPdf(order));
+    } catch (err) {
+      console.error("❌ Error exporting purchase order PDF:", err);
+      res.status(500).send("Error exporting purchase order.");
+    }
+  });
+
+  router.post("/:id/lines", async (req, res) => {
+    try {
+      const order = await loadOrder(req, res);
+      if (!order) return;
+
+      const quantities = {};
+      for (const [name, value] of Object.entries(req.body || {})) {
+        if (name.startsWith("qty_")) quantities[slugify(name.slice("qty_".length))] = value;
+      }
+      await updateOrderLines(store, order.id, quantities);
+      res.redirect(303, `/manager/orders/${encodeURIComponent(order.id)}`);
+    } catch (err) {
+      console.error("❌ Error updating purchase order:", err.message);
+      res.status(400).send(`Could not update order: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/:id/status", async (req, res) => {
+    try {
+      const order = await loadOrder(req, res);
+      if (!order) return;
+
+      const { status = "", email = "" } = req.body || {};
+      let emailedTo = "";
+      if (status === "sent" && email && order.supplierEmail) {
+        const result = await emailChannel.send({ email: order.supplierEmail }, orderEmail(order));
+        if (!result.ok) {
+          console.error(`❌ Emailing ${order.number} failed:`, result.detail);
+          return res
+            .status(502)
+            .send(`Could not email the order: ${escapeHtml(result.detail)}. It’s still a draft.`);
+        }
+        emailedTo = order.supplierEmail;
+      }
+
+      const updated = await setOrderStatus(store, order.id, status, {
+        userId: req.clerkAuth.userId,
+        emailedTo,
+      });
+      for (const state of updated.restocked || []) await onStatusChange(state);
+      console.log(`✅ Purchase order ${order.number} → ${status} by ${req.clerkAuth.userId}`);
+      res.redirect(303, `/manager/orders/${encodeURIComponent(order.id)}`);
+    } catch (err) {
+      console.error("❌ Error updating purchase order status:", err.message);
+      res.status(400).send(`Could not update order: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  router.post("/:id/delete", async (req, res) => {
+    try {
+      const order = await loadOrder(req, res);
+      if (!order) return;
+      await deleteOrder(store, order.id);
+      res.redirect(303, "/manager/orders");
+    } catch (err) {
+      console.error("❌ Error deleting purchase order:", err.message);
+      res.status(400).send(`Could not delete order: ${escapeHtml(err.message)}`);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOrdersRouter };
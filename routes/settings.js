@@ -0,0 +1,72 @@
+// routes/settings.js
+// Settings each signed-in user manages for themselves.
+const express = require("express");
+const { CHANNELS, CHANNEL_LABELS, getPreferences, savePreferences } = require("../lib/preferences");
+const { html } = require("../lib/html");
+const { renderPage } = require("../lib/layout");
+
+function createSettingsRouter({ store, channels }) {
+  const router = express.Router();
+
+  router.get("/notifications", async (req, res) => {
+    try {
+      const prefs = await getPreferences(store, req.clerkAuth.userId);
+
+      const channelChecks = CHANNELS.map((c) => {
+        const note = !channels[c]?.configured && html` <em>(not set up on this server)</em>`;
+        return html`
+          <label>
+            <input type="checkbox" name="channels" value="${c}" ${prefs.channels.includes(c) ? "checked" : ""} />
+            ${CHANNEL_LABELS[c]}${note}
+          </label>
+        `;
+      });
+
+      const fallbackOptions = ["none", ...CHANNELS].map(
+        (c) => html`<option value="${c}" ${prefs.fallback === c ? "selected" : ""}>${CHANNEL_LABELS[c] || "No fallback"}</option>`
+      );
+
+      res.send(
+        renderPage({
+          title: "Notification Settings",
+          style: `
+            form{ display:grid; gap:10px; max-width:420px; font-size:14px; }
+          `,
+          body: html`
+            <h1>Notification Settings</h1>
+            <p>How you want to hear about alerts routed to you.</p>
+            <form method="POST" action="/settings/notifications">
+              <div><strong>Send alerts by</strong>${channelChecks}</div>
+              <label>
+                Fallback (if those fail, or an "out" alert isn't acknowledged in time)<br />
+                <select name="fallback">${fallbackOptions}</select>
+              </label>
+              <label>Phone for SMS<br /><input name="phone" type="tel" placeholder="+15551234567" value="${prefs.phone}" /></label>
+              <label>Email<br /><input name="email" type="email" value="${prefs.email}" /></label>
+              <p>Leave phone/email blank to use the ones on your account.</p>
+              <div><button type="submit" class="btn">Save</button> <a href="/checklist">Back to checklist</a></div>
+            </form>
+          `,
+        })
+      );
+    } catch (err) {
+      console.error("❌ Error in /settings/notifications route:", err);
+      res.status(500).send("Error loading notification settings.");
+    }
+  });
+
+  router.post("/notifications", async (req, res) => {
+    try {
+      await savePreferences(store, req.clerkAuth.userId, req.body || {});
+      console.log(`✅ Notification preferences saved for ${req.clerkAuth.userId}`);
+      res.redirect(303, "/settings/notifications");
+    } catch (err) {
+      console.error("❌ Error saving notification preferences:", err);
+      res.status(500).send("Error saving notification settings.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSettingsRouter };
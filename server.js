@@ -3,7 +3,88 @@ require("dotenv").config();
 
 const express = require("express");
 const path = require("path");
-const { google } = require("googleapis");
+const crypto = require("crypto");
+const cookieParser = require("cookie-parser");
+const multer = require("multer");
+const { createStorage } = require("./lib/storage");
+const { createBlobStore } = require("./lib/blobs");
+const {
+  STATUSES,
+  keyOf,
+  statusForReport,
+  getStatusesByKey,
+  setItemStatus,
+  buildChecklist,
+} = require("./lib/checklist");
+const { escapeHtml, html } = require("./lib/html");
+const { renderPage, renderCard } = require("./lib/layout");
+const { ROLE_LABELS, hasRole, parseRoleMapping, createRoleResolver } = require("./lib/roles");
+const { SEVERITIES, SEVERITY_LABELS, severityOf } = require("./lib/severity");
+const { createPushChannel, createSmsChannel, createEmailChannel } = require("./lib/channels");
+const { createDispatcher } = require("./lib/dispatcher");
+const { CHANNEL_LABELS } = require("./lib/preferences");
+const { createEscalationEngine, parseRecipients, recipientTargets } = require("./lib/escalation");
+const { createWebhookDispatcher } = require("./lib/webhooks");
+const { createLiveUpdates } = require("./lib/live");
+const { parseKey, createIdempotency } = require("./lib/idempotency");
+const { createDeduplicator } = require("./lib/dedup");
+const { createAlertService } = require("./lib/alerts");
+const { createCatalogRouter } = require("./routes/catalog");
+const { createAdminRouter } = require("./routes/admin");
+const { createSettingsRouter } = require("./routes/settings");
+const { createApiRouter } = require("./routes/api");
+const { createOrdersRouter } = require("./routes/orders");
+const { createDigestRouter } = require("./routes/digest");
+const { verifyApiKey } = require("./lib/apiKeys");
+const { slugify, prettifyText, getCatalog, resolveAlertInput } = require("./lib/catalog");
+const { describeCount, getStockLevels, stockKey } = require("./lib/stock");
+const {
+  parseAlertQuery,
+  toQueryString,
+  filterAlerts,
+  sortAlerts,
+  paginate,
+} = require("./lib/alertQuery");
+const { buildAnalytics } = require("./lib/analytics");
+const {
+  REPEAT_WINDOW_DAYS,
+  buildDigest,
+  renderDigestText,
+  createDigestScheduler,
+} = require("./lib/digest");
+const { barChart, lineChart, heatmap } = require("./lib/charts");
+const {
+  parseShifts,
+  isValidTimeZone,
+  parseCutoffHour,
+  createBusinessCalendar,
+} = require("./lib/businessDay");
+const {
+  getLocationScope,
+  scopeAllows,
+  locationSlugOf,
+  visibleLocations,
+  groupByBusiness,
+} = require("./lib/locations");
+const { verifyAlertParams } = require("./lib/qrSigning");
+const {
+  createRateLimiter,
+  logRejectedReport,
+  listRejectedReports,
+  pruneRejectedReports,
+} = require("./lib/abuse");
+const { createAuditLog, actionFor } = require("./lib/audit");
+const { createReporterPrivacy } = require("./lib/privacy");
+const { NOTE_MAX_LENGTH, createAttachmentService, describeAttachment } = require("./lib/attachments");
+const {
+  STAFF_COOKIE,
+  STAFF_PREFIX,
+  listStaff,
+  getStaffMember,
+  checkPin,
+  signStaffCookie,
+  readStaffCookie,
+} = require("./lib/staff");
 
 // Clerk (Core 2 / @clerk/backend)
 const { createClerkClient } = require("@clerk/backend");
@@ -14,10 +95,6 @@ const PORT = process.env.PORT || 3000;
 // Important on Render so req.protocol is correct behind proxy
 app.set("trust proxy", 1);
 
-// ✅ Polyfill fetch for CommonJS + node-fetch v3 (Render / Node 18+ safe)
-const fetch = (...args) =>
-  import("node-fetch").then(({ default: fetch }) => fetch(...args));
-
 // ---------------- ENV ----------------
 
 // ---- OneSignal config ----
@@ -32,9 +109,42 @@ if (!ONESIGNAL_APP_ID || !ONESIGNAL_API_KEY) {
   console.log("✅ OneSignal config present.");
 }
 
-// ---- Google Sheets config ----
-const SHEET_ID = process.env.SHEET_ID;
-const GOOGLE_SERVICE_ACCOUNT_JSON = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+// Public URL of this app, used in push links and printed QR codes
+const PUBLIC_BASE_URL = (
+  process.env.PUBLIC_BASE_URL || "https://inventory-alert-gx9o.onrender.com"
+).replace(/\/+$/, "");
+
+// ---- Twilio SMS config ----
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER;
+
+// ---- SMTP email config ----
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = process.env.SMTP_PORT || "587";
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_FROM = process.env.SMTP_FROM;
+
+// Minutes before an unacknowledged "out" alert goes out again over each
+// recipient's fallback channel (0 disables).
+const UNACK_FALLBACK_MINUTES = Number(process.env.UNACK_FALLBACK_MINUTES || 15);
+
+// ---- Notification routing ----
+// What to do when no routing rule matches a report: "all" pushes to every
+// subscriber (the old behaviour), "none" sends nothing.
+const ROUTING_FALLBACK = (process.env.ROUTING_FALLBACK || "all").toLowerCase();
+
+// ---- Alert storage config ----
+// ALERT_STORE=sheets|file (default: Sheets when SHEET_ID + GOOGLE_SERVICE_ACCOUNT_JSON
+// are set, otherwise a local JSON store under DATA_DIR).
+const store = createStorage(process.env);
+
+// ---- Report attachments ----
+// Photos staff add to a report go to BLOB_STORE=file|gcs (see lib/blobs).
+// ATTACHMENT_MAX_MB caps one upload before it is resized.
+const blobs = createBlobStore(process.env);
+const ATTACHMENT_MAX_MB = Number(process.env.ATTACHMENT_MAX_MB || 8);
 
 // ---- Clerk config ----
 // Required in Render env vars:
@@ -54,38 +164,97 @@ if (!CLERK_SECRET_KEY || !CLERK_PUBLISHABLE_KEY || !CLERK_SIGN_IN_URL) {
   );
 }
 
-// ---- Cooldown config ----
-const COOLDOWN_MS = 60 * 1000; // 60 seconds between pushes for same (item+location)
-const lastAlertByKey = {}; // key: `${item}|${location}` → timestamp
+// ---- Roles config ----
+// Roles come from the local mapping (/admin/roles), then USER_ROLES
+// (JSON: {"user_abc":"manager"}), then Clerk publicMetadata.role.
+const USER_ROLES = parseRoleMapping(process.env.USER_ROLES);
+const DEFAULT_ROLE = process.env.DEFAULT_ROLE || "staff";
+
+// ---- Cooldown / dedup config ----
+// Default seconds between notifications for the same item+location. Per-item
+// and per-severity windows are set on /admin/dedup.
+const DEDUP_WINDOW_SECONDS = Number(process.env.DEDUP_WINDOW_SECONDS || 60);
+
+// ---- Business day & shifts ----
+// Defaults for locations without their own settings (see /catalog).
+// BUSINESS_DAY_CUTOFF_HOUR=4 makes "today" run 4am–4am in BUSINESS_TIMEZONE.
+let BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || "UTC";
+if (!isValidTimeZone(BUSINESS_TIMEZONE)) {
+  console.warn(`⚠️ Unknown BUSINESS_TIMEZONE "${BUSINESS_TIMEZONE}", using UTC.`);
+  BUSINESS_TIMEZONE = "UTC";
+}
+const TIME_DEFAULTS = {
+  timeZone: BUSINESS_TIMEZONE,
+  cutoffHour: parseCutoffHour(process.env.BUSINESS_DAY_CUTOFF_HOUR || 0) ?? 0,
+  shifts: parseShifts(process.env.SHIFTS || "open=05:00, mid=11:00, close=16:00"),
+};
+
+// ---- /alert abuse protection ----
+// QR_SIGNING_SECRET signs printed QR links. QR_SIGNATURE_MODE=require|optional|off
+// ("optional" keeps old unsigned stickers working while new ones get printed).
+const QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET || "";
+const QR_SIGNATURE_MODE = (process.env.QR_SIGNATURE_MODE || "require").toLowerCase();
+if (!QR_SIGNING_SECRET) {
+  console.warn("⚠️ QR_SIGNING_SECRET not set: /alert accepts unsigned links.");
+}
+
+// Max submitted reports per window, per IP and per device (0 disables)
+const ALERT_RATE_WINDOW_SECONDS = Number(process.env.ALERT_RATE_WINDOW_SECONDS || 600);
+const ALERT_RATE_LIMIT_IP = Number(process.env.ALERT_RATE_LIMIT_IP || 30);
+const ALERT_RATE_LIMIT_DEVICE = Number(process.env.ALERT_RATE_LIMIT_DEVICE || 10);
+// Days to keep /manager/rejected entries (0 keeps them, up to a fixed cap).
+// Only ALERT_RATE_LIMIT_IP rejections per IP and window are recorded.
+const REJECTED_RETENTION_DAYS = Number(process.env.REJECTED_RETENTION_DAYS ?? 30);
+
+// ---- Notification deliveries ----
+// Days to keep per-send delivery records (/manager, alert detail); 0 keeps them
+const DELIVERY_RETENTION_DAYS = Number(process.env.DELIVERY_RETENTION_DAYS ?? 90);
+
+// ---- Audit log ----
+// Days to keep /admin/audit entries (0 keeps them forever)
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS ?? 365);
+
+// ---- Reporter privacy ----
+// REPORTER_PRIVACY=full|hashed|truncated|none: how much of a reporter's IP and
+// user agent is stored (see lib/privacy). REPORTER_HASH_SECRET keys the
+// "hashed" IPs; REPORTER_RETENTION_DAYS purges what is stored after N days
+// (0 keeps it).
+const REPORTER_PRIVACY = (process.env.REPORTER_PRIVACY || "full").toLowerCase();
+const REPORTER_HASH_SECRET = process.env.REPORTER_HASH_SECRET || "";
+const REPORTER_RETENTION_DAYS = Number(process.env.REPORTER_RETENTION_DAYS || 0);
+
+// ---- Staff identity ----
+// STAFF_COOKIE_SECRET signs the "who is using this phone" cookie (/who).
+// Without it a random key is used and phones have to pick again after a restart.
+const STAFF_COOKIE_SECRET = process.env.STAFF_COOKIE_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.STAFF_COOKIE_SECRET) {
+  console.warn("⚠️ STAFF_COOKIE_SECRET not set: staff picks on phones reset when the server restarts.");
+}
+// PIN attempts allowed per phone and per IP in the /alert rate window, and
+// wrong PINs for one staff member (from anywhere) before their PIN is locked
+// for STAFF_PIN_LOCKOUT_MINUTES
+const STAFF_PIN_ATTEMPTS = Number(process.env.STAFF_PIN_ATTEMPTS || 5);
+const STAFF_PIN_LOCKOUT_MINUTES = Number(process.env.STAFF_PIN_LOCKOUT_MINUTES || 15);
 
 // ---------------- Express setup ----------------
 app.use(express.static(path.join(__dirname, "public")));
 app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+app.use(cookieParser());
 
 // ---------------- Utility Helpers ----------------
-function prettifyText(input = "") {
-  return input
-    .replace(/_/g, " ")
-    .replace(/\w\S*/g, (w) =>
-      w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()
-    );
-}
-
-function isSameUTCDay(timestamp, refDate = new Date()) {
-  const d = new Date(timestamp);
-  if (Number.isNaN(d.getTime())) return false;
-  return (
-    d.getUTCFullYear() === refDate.getUTCFullYear() &&
-    d.getUTCMonth() === refDate.getUTCMonth() &&
-    d.getUTCDate() === refDate.getUTCDate()
-  );
-}
-
 function csvEscape(value = "") {
   const str = String(value ?? "");
   return `"${str.replace(/"/g, '""')}"`;
 }
 
+// Alerts / rejected reports with the reporter's IP and user agent as this
+// viewer may see them: as stored for admins, masked for everyone else
+function reporterView(req) {
+  const raw = hasRole(req.userRole, "admin");
+  return (record) => reporterPrivacy.view(record, { raw });
+}
+
 // ---------------- Clerk Auth (server-side) ----------------
 
 // Create Clerk client once
@@ -93,6 +262,13 @@ const clerkClient = createClerkClient({
   secretKey: CLERK_SECRET_KEY,
 });
 
+const roles = createRoleResolver({
+  store,
+  clerkClient,
+  envMapping: USER_ROLES,
+  defaultRole: DEFAULT_ROLE,
+});
+
 // Build a Web-standard Request from Express req so Clerk can authenticate it
 function toWebRequest(req) {
   const fullUrl = `${req.protocol}://${req.get("host")}${req.originalUrl}`;
@@ -157,6 +333,138 @@ async function requireClerkAuth(req, res, next) {
   }
 }
 
+// `detail` (plain text) replaces the "needs role X" line (e.g. for location access)
+function sendForbidden(req, res, requiredRole, detail) {
+  const role = ROLE_LABELS[req.userRole] || "None";
+
+  return res.status(403).send(
+    renderCard({
+      title: "Access Denied",
+      icon: "🔒",
+      heading: "Access Denied",
+      detail: detail || html`This page needs the <strong>${ROLE_LABELS[requiredRole]}</strong> role or higher.`,
+      body: html`
+        <p>You are signed in as <strong>${req.clerkAuth?.userId || ""}</strong> (${role}).</p>
+        <p>Ask an admin if you need access.</p>
+      `,
+    })
+  );
+}
+
+// Middleware (after requireClerkAuth): require at least `minRole`.
+// Signed-in users without it get a 403 page, not another sign-in redirect.
+function requireRole(minRole) {
+  return async function (req, res, next) {
+    try {
+      req.userRole = await roles.getRole(req.clerkAuth.userId);
+      req.locationScope = await getLocationScope(store, req.clerkAuth.userId);
+
+      if (!hasRole(req.userRole, minRole)) {
+        console.warn(
+          `🚫 ${req.clerkAuth.userId} (${req.userRole}) denied ${req.method} ${req.originalUrl}`
+        );
+        return sendForbidden(req, res, minRole);
+      }
+
+      next();
+    } catch (err) {
+      console.error("❌ Error checking role:", err);
+      res.status(500).send("Error checking permissions.");
+    }
+  };
+}
+
+// Middleware for /api/v1: an API key (Authorization: Bearer ia_… or
+// X-API-Key) or a Clerk session, with at least `minRole`. Answers 401/403
+// JSON instead of redirecting. Sets req.actor for attribution.
+function requireApiRole(minRole) {
+  return async function (req, res, next) {
+    try {
+      const header = req.get("authorization") || "";
+      const token = req.get("x-api-key") || (header.startsWith("Bearer ") ? header.slice(7) : "");
+
+      if (token) {
+        const key = await verifyApiKey(store, token);
+        if (!key) return res.status(401).json({ error: "Invalid API key" });
+        req.apiKey = key;
+        req.userRole = key.role;
+        req.locationScope = null;
+        req.actor = `apikey:${key.name}`;
+      } else {
+        if (!CLERK_SECRET_KEY || !CLERK_PUBLISHABLE_KEY) {
+          return res.status(401).json({ error: "API key required" });
+        }
+        const requestState = await clerkClient.authenticateRequest(toWebRequest(req), {
+          secretKey: CLERK_SECRET_KEY,
+          publishableKey: CLERK_PUBLISHABLE_KEY,
+        });
+        const auth = requestState.toAuth();
+        if (!auth.userId) return res.status(401).json({ error: "Not authenticated" });
+
+        req.clerkAuth = auth;
+        req.userRole = await roles.getRole(auth.userId);
+        req.locationScope = await getLocationScope(store, auth.userId);
+        req.actor = auth.userId;
+      }
+
+      if (!hasRole(req.userRole, minRole)) {
+        return res.status(403).json({ error: `Requires role ${minRole} or higher` });
+      }
+      next();
+    } catch (err) {
+      console.error("❌ API auth error:", err?.stack || err);
+      res.status(401).json({ error: "Not authenticated" });
+    }
+  };
+}
+
+// ---------------- Location views ----------------
+// ?location=slug narrows a page to one location. Users limited to locations
+// (/admin/roles) only ever see theirs. Returns null when the location is off-limits.
+async function getLocationView(req, location = req.query.location) {
+  const catalog = await getCatalog(store);
+  const scope = req.locationScope ?? null;
+  const selected = slugify(location || "");
+  if (selected && !scopeAllows(scope, selected)) return null;
+
+  return {
+    catalog,
+    calendar: createBusinessCalendar(catalog, TIME_DEFAULTS),
+    scope,
+    selected,
+    locations: visibleLocations(catalog, scope),
+    includes: (record) => {
+      const slug = locationSlugOf(catalog, record);
+      return selected ? slug === selected : scopeAllows(scope, slug);
+    },
+  };
+}
+
+function sendLocationForbidden(req, res) {
+  return sendForbidden(req, res, null, "You don’t have access to this location.");
+}
+
+// Location switcher links. `query` keeps the page's other parameters.
+function locationTabs(view, basePath, query = {}) {
+  if (view.locations.length === 0) return "";
+
+  const href = (slug) => {
+    const params = new URLSearchParams(query);
+    if (slug) params.set("location", slug);
+    const qs = params.toString();
+    return qs ? `${basePath}?${qs}` : basePath;
+  };
+  const tab = (slug, label) =>
+    html`<a href="${href(slug)}" class="btn${view.selected === slug ? " active" : ""}">${label}</a>`;
+
+  return html`
+    <div class="tabs">
+      ${tab("", view.scope ? "All my locations" : "All locations")}
+      ${view.locations.map((l) => tab(l.slug, l.name))}
+    </div>
+  `;
+}
+
 // Home: send signed-in people to checklist; others to sign-in
 app.get("/", async (req, res) => {
   if (!CLERK_SECRET_KEY || !CLERK_PUBLISHABLE_KEY || !CLERK_SIGN_IN_URL) {
@@ -187,456 +495,2011 @@ app.get("/", async (req, res) => {
   }
 });
 
-// ---------------- Google Sheets helper ----------------
-let sheetsClient = null;
+// Who am I? Used by public/index.html to link this device's push subscription
+// to the Clerk user (OneSignal external user id) and tag it with the user's
+// locations, and to show the staff name this phone reports as (/who).
+// Never redirects.
+app.get("/me", async (req, res) => {
+  const staffName = (await pickedStaffMember(req))?.name || "";
+  if (!CLERK_SECRET_KEY || !CLERK_PUBLISHABLE_KEY) {
+    return res.json({ signedIn: false, staffName });
+  }
 
-async function getSheetsClient() {
   try {
-    if (!GOOGLE_SERVICE_ACCOUNT_JSON || !SHEET_ID) {
-      console.log("ℹ️ Google Sheets env vars missing; skipping logging.");
-      return null;
-    }
-    if (sheetsClient) return sheetsClient;
-
-    const credentials = JSON.parse(GOOGLE_SERVICE_ACCOUNT_JSON);
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+    const requestState = await clerkClient.authenticateRequest(toWebRequest(req), {
+      secretKey: CLERK_SECRET_KEY,
+      publishableKey: CLERK_PUBLISHABLE_KEY,
     });
 
-    const authClient = await auth.getClient();
-    sheetsClient = google.sheets({ version: "v4", auth: authClient });
-    console.log("✅ Google Sheets client initialized");
-    return sheetsClient;
+    const auth = requestState.toAuth();
+    if (!auth.userId) return res.json({ signedIn: false, staffName });
+
+    const role = await roles.getRole(auth.userId);
+    const scope = await getLocationScope(store, auth.userId);
+    const locations = visibleLocations(await getCatalog(store), scope).map((l) => l.slug);
+    return res.json({ signedIn: true, userId: auth.userId, role, locations, staffName });
   } catch (err) {
-    console.error("❌ Error creating Google Sheets client:", err.message);
-    return null;
+    return res.json({ signedIn: false, staffName });
   }
+});
+
+// ---------------- Notifications ----------------
+const channels = {
+  push: createPushChannel({ appId: ONESIGNAL_APP_ID, apiKey: ONESIGNAL_API_KEY }),
+  sms: createSmsChannel({
+    accountSid: TWILIO_ACCOUNT_SID,
+    authToken: TWILIO_AUTH_TOKEN,
+    fromNumber: TWILIO_FROM_NUMBER,
+  }),
+  email: createEmailChannel({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    user: SMTP_USER,
+    pass: SMTP_PASS,
+    from: SMTP_FROM,
+  }),
+};
+
+for (const channel of Object.values(channels)) {
+  if (!channel.configured) console.warn(`⚠️ Notification channel "${channel.name}" not configured.`);
 }
 
-async function logAlertToSheet({ item, qty, location, ip, userAgent }) {
+// Phone / email from the Clerk profile, used when a user hasn't set their own
+async function lookupClerkContact(userId) {
+  const user = await clerkClient.users.getUser(userId);
+  return {
+    phone: user.primaryPhoneNumber?.phoneNumber || user.phoneNumbers?.[0]?.phoneNumber || "",
+    email: user.primaryEmailAddress?.emailAddress || user.emailAddresses?.[0]?.emailAddress || "",
+  };
+}
+
+// Display name of a signed-in user for reports (cached; falls back to the
+// email and then the user id)
+const clerkNames = new Map(); // userId → { name, at }
+const CLERK_NAME_CACHE_MS = 10 * 60 * 1000;
+
+async function lookupClerkName(userId) {
+  const cached = clerkNames.get(userId);
+  if (cached && Date.now() - cached.at < CLERK_NAME_CACHE_MS) return cached.name;
+  let name = userId;
   try {
-    const sheets = await getSheetsClient();
-    if (!sheets) return;
+    const user = await clerkClient.users.getUser(userId);
+    name =
+      [user.firstName, user.lastName].filter(Boolean).join(" ") ||
+      user.primaryEmailAddress?.emailAddress ||
+      user.emailAddresses?.[0]?.emailAddress ||
+      userId;
+  } catch (err) {
+    console.error("❌ Error reading Clerk user name:", err.message);
+  }
+  clerkNames.set(userId, { name, at: Date.now() });
+  return name;
+}
+
+// Any checklist status set after the report counts as "someone is on it"
+// record: a pending fallback or { ...alert, reportedAt }
+async function isAlertAcknowledged(record) {
+  const statusesByKey = await getStatusesByKey(store);
+  return Boolean(statusForReport(statusesByKey.get(keyOf(record)), record.reportedAt));
+}
+
+const dispatcher = createDispatcher({
+  store,
+  channels,
+  lookupContact: lookupClerkContact,
+  isAcknowledged: isAlertAcknowledged,
+  unackFallbackMinutes: UNACK_FALLBACK_MINUTES,
+  retentionDays: DELIVERY_RETENTION_DAYS,
+});
 
-    const timestamp = new Date().toISOString();
-    const values = [[timestamp, item, qty, location || "", ip || "", userAgent || ""]];
+const deduplicator = createDeduplicator({ store, defaultSeconds: DEDUP_WINDOW_SECONDS });
 
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SHEET_ID,
-      range: "Sheet1!A:F",
-      valueInputOption: "USER_ENTERED",
-      requestBody: { values },
+const webhooks = createWebhookDispatcher({ store });
+const idempotency = createIdempotency({ store });
+const audit = createAuditLog({ store, retentionDays: AUDIT_RETENTION_DAYS });
+const reporterPrivacy = createReporterPrivacy({
+  mode: REPORTER_PRIVACY,
+  secret: REPORTER_HASH_SECRET,
+  retentionDays: REPORTER_RETENTION_DAYS,
+});
+const live = createLiveUpdates();
+
+const escalations = createEscalationEngine({
+  store,
+  dispatcher,
+  webhooks,
+  isAcknowledged: (timer) => isAlertAcknowledged({ ...timer.alert, reportedAt: timer.reportedAt }),
+});
+
+const alertService = createAlertService({
+  store,
+  dispatcher,
+  escalations,
+  deduplicator,
+  webhooks,
+  live,
+  privacy: reporterPrivacy,
+  routingFallback: ROUTING_FALLBACK,
+  publicBaseUrl: PUBLIC_BASE_URL,
+});
+
+const attachments = createAttachmentService({ store, blobs });
+
+// Checklist status changes (checklist page, API, received purchase orders) →
+// open pages, plus "alert.resolved" webhooks for restocks.
+// state: a lib/checklist status record.
+async function announceStatusChange(state) {
+  const locationSlug = locationSlugOf(await getCatalog(store), state);
+  const change = {
+    item: state.item,
+    location: state.location,
+    locationSlug,
+    status: state.status,
+    by: state.by,
+    at: state.at,
+  };
+  live.publish("checklist", { key: state.id, ...change });
+  if (state.status !== "restocked") return;
+  await webhooks.emit("alert.resolved", {
+    ...change,
+    url: `${PUBLIC_BASE_URL}/checklist${locationSlug ? `?location=${encodeURIComponent(locationSlug)}` : ""}`,
+  });
+}
+
+// ---------------- Inventory Alert Endpoint (staff QR) ----------------
+const ipLimiter = createRateLimiter({
+  limit: ALERT_RATE_LIMIT_IP,
+  windowMs: ALERT_RATE_WINDOW_SECONDS * 1000,
+});
+const deviceLimiter = createRateLimiter({
+  limit: ALERT_RATE_LIMIT_DEVICE,
+  windowMs: ALERT_RATE_WINDOW_SECONDS * 1000,
+});
+const rejectionLimiter = createRateLimiter({
+  limit: ALERT_RATE_LIMIT_IP,
+  windowMs: ALERT_RATE_WINDOW_SECONDS * 1000,
+});
+const pinLimiter = createRateLimiter({
+  limit: STAFF_PIN_ATTEMPTS,
+  windowMs: ALERT_RATE_WINDOW_SECONDS * 1000,
+});
+// Counts wrong PINs only, per staff member
+const pinLockout = createRateLimiter({
+  limit: STAFF_PIN_ATTEMPTS,
+  windowMs: STAFF_PIN_LOCKOUT_MINUTES * 60 * 1000,
+});
+
+const DEVICE_COOKIE = "ia_device";
+const DEVICE_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+// The reporter's address. With "trust proxy" set to 1, req.ip is the address
+// our proxy saw; the leftmost X-Forwarded-For entry is whatever the client
+// sent, so it must never be used as a rate-limit key.
+function clientIp(req) {
+  return req.ip || "";
+}
+
+// The device cookie is signed like the staff one ("device:<uuid>.<hmac>"), so
+// a made-up id isn't a device; "" when missing or tampered with
+function readDeviceId(req) {
+  const value = readStaffCookie(req.cookies?.[DEVICE_COOKIE], STAFF_COOKIE_SECRET);
+  const deviceId = value.startsWith("device:") ? value.slice("device:".length) : "";
+  return DEVICE_ID_PATTERN.test(deviceId) ? deviceId : "";
+}
+
+// Anonymous per-phone id so one device can't flood alerts from behind a shared IP
+function deviceIdFor(req, res) {
+  let deviceId = readDeviceId(req);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    res.cookie(DEVICE_COOKIE, signStaffCookie(`device:${deviceId}`, STAFF_COOKIE_SECRET), {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      maxAge: 365 * 24 * 60 * 60 * 1000,
     });
+  }
+  return deviceId;
+}
 
-    console.log("✅ Logged alert to Google Sheets:", { item, qty, location, ip });
-  } catch (err) {
-    console.error("❌ Error logging to Google Sheets:", err.message);
+// Key for the per-device limit: the phone's signed cookie, or its IP when the
+// request came without a valid one (so dropping or forging the cookie shares
+// one bucket per IP). A client can still collect fresh cookies from the
+// page, so this only holds back one phone on a shared IP; the IP limit is
+// the real cap.
+function deviceLimitKey(req) {
+  return readDeviceId(req) || `no-cookie:${clientIp(req)}`;
+}
+
+// Who is sending a public report: the signed-in user when there is a Clerk
+// session, otherwise the roster member this phone picked on /who.
+// Resolves to { reporter, reporterId, signedIn } ("" when anonymous).
+async function identifyReporter(req) {
+  if (CLERK_SECRET_KEY && CLERK_PUBLISHABLE_KEY) {
+    try {
+      const requestState = await clerkClient.authenticateRequest(toWebRequest(req), {
+        secretKey: CLERK_SECRET_KEY,
+        publishableKey: CLERK_PUBLISHABLE_KEY,
+      });
+      const { userId } = requestState.toAuth();
+      if (userId) return { reporter: await lookupClerkName(userId), reporterId: userId, signedIn: true };
+    } catch (err) {
+      // No usable session: fall back to the phone's staff pick
+    }
   }
+
+  const member = await pickedStaffMember(req);
+  if (member) return { reporter: member.name, reporterId: `${STAFF_PREFIX}${member.id}`, signedIn: false };
+  return { reporter: "", reporterId: "", signedIn: false };
 }
 
-async function getRecentAlertsFromSheet(limit = 50) {
-  try {
-    const sheets = await getSheetsClient();
-    if (!sheets) return [];
+// The active roster member this phone picked on /who, or null
+async function pickedStaffMember(req) {
+  const member = await getStaffMember(store, readStaffCookie(req.cookies?.[STAFF_COOKIE], STAFF_COOKIE_SECRET));
+  return member?.active ? member : null;
+}
+
+// Rejected attempts keep the reporter's IP / user agent the way alerts do.
+// Past the per-IP limit they're dropped before touching the store, so
+// hammering the public /alert URL can't write without bound.
+async function logRejectedAttempt(entry) {
+  if (!rejectionLimiter.hit(entry.ip).allowed) return null;
+  return logRejectedReport(store, { ...entry, ...reporterPrivacy.apply(entry) });
+}
+
+// Small centered card used by every staff-facing /alert page
+const ALERT_CARD_STYLE = `
+  .item{ font-size:16px; color:#f9fafb; margin-top:8px; }
+  .pill{ display:inline-block; margin-top:10px; padding:4px 10px; border-radius:999px;
+    font-size:12px; background:#1e293b; color:#e5e7eb; }
+  .send{ margin-top:16px; width:100%; padding:12px; border-radius:999px; border:none;
+    background:#dc2626; color:#fff; font-size:16px; font-weight:800; font-family:inherit; cursor:pointer; }
+  .count{ display:block; margin-top:14px; font-size:13px; color:#9ca3af; text-align:left; }
+  .count input{ display:block; width:100%; box-sizing:border-box; margin-top:4px; padding:10px;
+    border-radius:10px; border:1px solid #1f2937; background:#0f172a; color:#e5e7eb; font-size:16px; }
+  .who{ margin-top:12px; font-size:13px; color:#9ca3af; }
+  .follow-up{ margin-top:18px; padding-top:4px; border-top:1px solid #1f2937; }
+  .count textarea{ display:block; width:100%; box-sizing:border-box; margin-top:4px; padding:10px;
+    border-radius:10px; border:1px solid #1f2937; background:#0f172a; color:#e5e7eb; font-size:15px; font-family:inherit; }
+  .send.secondary{ background:#2563eb; font-size:14px; padding:10px; }
+`;
+
+function sendAlertCard(res, { status = 200, icon, title, detail, body = "" }) {
+  res.status(status).send(renderCard({ icon, heading: title, detail, body, style: ALERT_CARD_STYLE }));
+}
+
+// Checks the signature and catalog. Returns the resolved item/location or
+// logs the rejection and returns null after replying.
+async function checkAlertRequest(req, res, input) {
+  const ip = clientIp(req);
+  const userAgent = req.headers["user-agent"] || "";
+  const deviceId = deviceIdFor(req, res);
+  const attempt = {
+    item: input.item,
+    location: input.location,
+    qty: input.qty,
+    ip,
+    userAgent,
+    deviceId,
+  };
+
+  const signature = verifyAlertParams(input, {
+    secret: QR_SIGNING_SECRET,
+    mode: QR_SIGNATURE_MODE,
+  });
+  if (!signature.ok) {
+    await logRejectedAttempt({ ...attempt, reason: signature.reason });
+    sendAlertCard(res, {
+      status: 403,
+      icon: "⚠️",
+      title: "This QR Code Isn’t Valid",
+      detail: "The link is expired or was changed. Please tell a manager.",
+    });
+    return null;
+  }
 
-    const res = await sheets.spreadsheets.values.get({
-      spreadsheetId: SHEET_ID,
-      range: "Sheet1!A:F",
+  const resolved = await alertService.resolveInput(input);
+  if (!resolved.ok) {
+    await logRejectedAttempt({ ...attempt, reason: resolved.error });
+    sendAlertCard(res, {
+      status: 400,
+      icon: "⚠️",
+      title: "Unknown Item",
+      detail: `${resolved.error} This QR code may be outdated. Please tell a manager.`,
     });
+    return null;
+  }
 
-    const rows = res.data.values || [];
-    if (rows.length === 0) return [];
+  return { ...attempt, deviceKey: deviceLimitKey(req), resolved };
+}
 
-    const recent = rows.slice(-limit);
+// Step 1: scanning only shows a confirm page, so link previews, prefetchers
+// and accidental scans don't send anything.
+app.get("/alert", async (req, res) => {
+  const { item = "unknown", qty = "unknown", location = "", exp = "", sig = "" } = req.query;
 
-    return recent
-      .map((r) => {
-        const [timestamp = "", item = "", qty = "", location = "", ip = "", userAgent = ""] = r;
-        return { timestamp, item, qty, location, ip, userAgent };
-      })
-      .reverse();
+  try {
+    const checked = await checkAlertRequest(req, res, { item, qty, location, exp, sig });
+    if (!checked) return;
+
+    const { resolved } = checked;
+    const { unit, parLevel, reorderLevel } = resolved.item;
+    // A fresh key per confirm page, so a double tap sends one alert
+    const hidden = { item, qty, location, exp, sig, idempotencyKey: crypto.randomUUID() };
+    const hiddenInputs = Object.entries(hidden).map(
+      ([k, v]) => html`<input type="hidden" name="${k}" value="${v}" />`
+    );
+    const levelHint = [
+      parLevel != null ? `par ${parLevel}` : "",
+      reorderLevel != null ? `reorder at ${reorderLevel}` : "",
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    const who = await identifyReporter(req);
+    const pickUrl = `/who?next=${encodeURIComponent(req.originalUrl)}`;
+    let whoLine = "";
+    if (who.signedIn) whoLine = html`<p class="who">Reporting as <strong>${who.reporter}</strong></p>`;
+    else if (who.reporterId) {
+      whoLine = html`<p class="who">Reporting as <strong>${who.reporter}</strong> · <a href="${pickUrl}">Not you?</a></p>`;
+    } else if ((await listStaff(store)).some((m) => m.active)) {
+      whoLine = html`<p class="who"><a href="${pickUrl}">Add your name</a> so managers know who sent it (optional)</p>`;
+    }
+
+    sendAlertCard(res, {
+      icon: "📦",
+      title: "Send this alert?",
+      detail: "Tap the button to notify managers.",
+      body: html`
+        <p class="item"><strong>Item:</strong> ${resolved.item.name}</p>
+        ${resolved.location && html`<p><strong>Location:</strong> ${resolved.location.name}</p>`}
+        <p class="pill">Status: ${prettifyText(qty)}</p>
+        <form method="POST" action="/alert">
+          ${hiddenInputs}
+          <label class="count">How many are left?${unit && ` (${unit})`} Optional${levelHint && ` · ${levelHint}`}
+            <input type="number" name="count" min="0" step="any" inputmode="decimal" />
+          </label>
+          <button type="submit" class="send">Send Alert</button>
+        </form>
+        ${whoLine}
+      `,
+    });
   } catch (err) {
-    console.error("❌ Error reading alerts from Google Sheets:", err.message);
-    return [];
+    console.error("❌ Error in GET /alert route:", err);
+    res.status(500).send("Error loading alert. Please tell a manager.");
   }
+});
+
+// Optional note / photo for a report that went through. The report's
+// idempotency key is what lets this phone (and only it) add to the report.
+function followUpForm(idempotencyKey) {
+  if (!idempotencyKey) return "";
+  return html`
+    <form method="POST" action="/alert/attachments" enctype="multipart/form-data" class="follow-up">
+      <input type="hidden" name="idempotencyKey" value="${idempotencyKey}" />
+      <label class="count">Add a note (optional)
+        <textarea name="note" rows="3" maxlength="${NOTE_MAX_LENGTH}" placeholder="e.g. Last case is damaged"></textarea>
+      </label>
+      <label class="count">Add a photo (optional)
+        <input type="file" name="photo" accept="image/*" capture="environment" />
+      </label>
+      <button type="submit" class="send secondary">Add to Report</button>
+    </form>
+  `;
 }
 
-// ---------------- Inventory Alert Endpoint (staff QR) ----------------
-app.get("/alert", async (req, res) => {
-  let { item = "unknown", qty = "unknown", location = "" } = req.query;
+// Confirmation card for a report that went through (also shown again when a
+// queued offline report is replayed with the same idempotency key)
+async function sendAlertResult(res, { alert, dedup, quiet }, idempotencyKey = "") {
+  const countLine =
+    alert.count != null && html`<p><strong>On hand:</strong> ${describeCount(alert.count, alert.unit)}</p>`;
+
+  // A count at or above the reorder level only updates stock
+  if (quiet) {
+    return sendAlertCard(res, {
+      icon: "📝",
+      title: "Count Logged",
+      detail: "There’s still enough on hand, so managers weren’t notified. Thank you!",
+      body: html`
+        <p class="item"><strong>Item:</strong> ${alert.item}</p>
+        ${alert.location && html`<p><strong>Location:</strong> ${alert.location}</p>`}
+        ${countLine}
+        ${followUpForm(idempotencyKey)}
+      `,
+    });
+  }
 
-  const itemPretty = prettifyText(item);
-  const qtyPretty = prettifyText(qty);
-  const locationPretty = location ? prettifyText(location) : "";
-  const locationSuffix = locationPretty ? ` (Location: ${locationPretty})` : "";
+  const isRateLimited = !dedup.notify;
+  const { timeZone } = createBusinessCalendar(await getCatalog(store), TIME_DEFAULTS).settingsFor(
+    alert.locationSlug
+  );
+
+  // Confirmation page for staff
+  const statusTitle = isRateLimited
+    ? "Alert Logged (Already Sent Recently)"
+    : "Alert Sent to Managers!";
+  const duplicateWord = dedup.foldedCount === 1 ? "report" : "reports";
+  const statusDetail = isRateLimited
+    ? `We’ve logged this again, but skipped another notification to avoid spam. ${dedup.foldedCount} repeat ${duplicateWord} folded into the notification sent at ${new Date(dedup.notifiedAt).toLocaleTimeString("en-US", { timeZone, timeZoneName: "short" })}.`
+    : "Managers have been notified. Thank you!";
+
+  sendAlertCard(res, {
+    icon: "✅",
+    title: statusTitle,
+    detail: statusDetail,
+    body: html`
+      <p class="item"><strong>Item:</strong> ${alert.item}</p>
+      ${alert.location && html`<p><strong>Location:</strong> ${alert.location}</p>`}
+      ${countLine}
+      <p class="pill">Status: ${alert.qty}</p>
+      ${alert.reporter && html`<p class="who">Reported by ${alert.reporter}</p>`}
+      ${followUpForm(idempotencyKey)}
+    `,
+  });
+}
 
-  const key = `${item}|${location || ""}`;
-  const now = Date.now();
-  const last = lastAlertByKey[key] || 0;
-  const isRateLimited = now - last < COOLDOWN_MS;
+// Step 2: the confirmed submission. `idempotencyKey` comes from the confirm
+// page or from a report the service worker queued offline (public/sw.js);
+// a key that already went through shows its original result.
+app.post("/alert", async (req, res) => {
+  const {
+    item = "unknown",
+    qty = "unknown",
+    location = "",
+    exp = "",
+    sig = "",
+    count = "",
+  } = req.body || {};
+  const idempotencyKey = parseKey(req.body?.idempotencyKey);
 
   try {
-    // 1) Push notification (tap opens checklist)
-    if (!ONESIGNAL_APP_ID || !ONESIGNAL_API_KEY) {
-      console.warn("🔕 Skipping push: OneSignal env vars missing.");
-    } else if (isRateLimited) {
-      console.log(`⏱ Cooldown active, not sending push for ${key}`);
-    } else {
-      const body = {
-        app_id: ONESIGNAL_APP_ID,
-        included_segments: ["All"],
-        headings: { en: "Inventory Alert" },
-        contents: {
-          en: `Inventory Alert${locationSuffix}: ${itemPretty} is ${qtyPretty}. Please restock.`,
-        },
-        url: "https://inventory-alert-gx9o.onrender.com/checklist",
-      };
-
-      const response = await fetch("https://onesignal.com/api/v1/notifications", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json; charset=utf-8",
-          Authorization: `Basic ${ONESIGNAL_API_KEY}`,
-        },
-        body: JSON.stringify(body),
+    const checked = await checkAlertRequest(req, res, { item, qty, location, exp, sig });
+    if (!checked) return;
+
+    const previous = await idempotency.find("alert", idempotencyKey);
+    if (previous) return sendAlertResult(res, previous, idempotencyKey);
+
+    const { ip, userAgent, deviceId, deviceKey } = checked;
+    const byIp = ipLimiter.hit(ip);
+    const byDevice = deviceLimiter.hit(deviceKey);
+    if (!byIp.allowed || !byDevice.allowed) {
+      const reason = !byIp.allowed ? "rate limited (ip)" : "rate limited (device)";
+      await logRejectedAttempt({ item, location, qty, ip, userAgent, deviceId, reason });
+      const retryAfter = Math.ceil(Math.max(byIp.retryAfterMs || 0, byDevice.retryAfterMs || 0) / 1000);
+      res.setHeader("Retry-After", String(retryAfter));
+      return sendAlertCard(res, {
+        status: 429,
+        icon: "⏳",
+        title: "Too Many Alerts",
+        detail: "You’ve sent a lot of alerts in a short time. Please wait a few minutes or tell a manager directly.",
       });
+    }
 
-      const text = await response.text();
-      console.log("📨 OneSignal raw response:", text);
+    const { reporter, reporterId } = await identifyReporter(req);
+    const { result } = await idempotency.run("alert", idempotencyKey, () =>
+      alertService.reportAlert({ item, qty, count, location, ip, userAgent, reporter, reporterId })
+    );
+    if (!result.ok) {
+      return res
+        .status(400)
+        .send(`${escapeHtml(result.error)} This QR code may be outdated. Please tell a manager.`);
+    }
 
-      lastAlertByKey[key] = now;
+    await sendAlertResult(res, result, idempotencyKey);
+  } catch (err) {
+    console.error("❌ Error in POST /alert route:", err);
+    res.status(500).send("Error sending notification. Please tell a manager.");
+  }
+});
+
+// ---------------- Report attachments ----------------
+// After sending, the confirmation card offers a note and a photo
+// (lib/attachments). They show on /manager, the checklist item and
+// /attachments/:id, which follow-up notifications link to.
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_MB * 1024 * 1024, files: 1, fields: 5 },
+}).single("photo");
+
+function receiveUpload(req, res) {
+  return new Promise((resolve, reject) => photoUpload(req, res, (err) => (err ? reject(err) : resolve())));
+}
+
+// Thumbnails and notes for a report, shared by /manager and /checklist
+const ATTACHMENT_STYLE = `
+  .attachment{ display:inline-flex; gap:6px; align-items:center; margin:4px 8px 0 0; font-size:12px; color:#e5e7eb; }
+  .attachment img{ width:48px; height:48px; object-fit:cover; border-radius:6px; border:1px solid #1f2937; }
+  .attachment span{ white-space:normal; max-width:240px; }
+`;
+
+function renderAttachments(list = []) {
+  return list.map(
+    (a) => html`
+      <a href="/attachments/${a.id}" class="attachment">
+        ${a.photo && html`<img src="/attachments/${a.id}/thumb" alt="Photo" loading="lazy" />`}
+        ${a.note ? html`<span>📎 ${a.note}</span>` : html`<span>📎 Photo</span>`}
+      </a>
+    `
+  );
+}
+
+app.post("/alert/attachments", async (req, res) => {
+  try {
+    await receiveUpload(req, res);
+  } catch (err) {
+    const detail =
+      err.code === "LIMIT_FILE_SIZE"
+        ? `Photos can be up to ${ATTACHMENT_MAX_MB} MB. Please try a smaller one.`
+        : "The upload didn’t go through. Please try again.";
+    console.warn(`🚫 Rejected attachment upload: ${err.message}`);
+    return sendAlertCard(res, { status: 400, icon: "⚠️", title: "Photo Not Added", detail });
+  }
+
+  const idempotencyKey = parseKey(req.body?.idempotencyKey);
+  try {
+    const result = await idempotency.find("alert", idempotencyKey);
+    if (!result?.ok) {
+      return sendAlertCard(res, {
+        status: 404,
+        icon: "⚠️",
+        title: "Report Not Found",
+        detail: "This report can’t be added to anymore. Please send a new alert or tell a manager.",
+      });
     }
 
-    // 2) Log to sheet
-    const ip =
-      (req.headers["x-forwarded-for"] || "").split(",")[0].trim() || req.ip || "";
-    const userAgent = req.headers["user-agent"] || "";
-
-    await logAlertToSheet({
-      item: itemPretty,
-      qty: qtyPretty,
-      location: locationPretty,
-      ip,
-      userAgent,
+    let attachment;
+    try {
+      const { reporter, reporterId } = await identifyReporter(req);
+      attachment = await attachments.addAttachment({
+        alert: result.alert,
+        note: req.body.note,
+        photo: req.file || null,
+        reporter,
+        reporterId,
+      });
+    } catch (err) {
+      console.warn(`🚫 Rejected attachment for ${result.alert.id}: ${err.message}`);
+      return sendAlertCard(res, {
+        status: 400,
+        icon: "⚠️",
+        title: "Not Added",
+        detail: err.message,
+        body: followUpForm(idempotencyKey),
+      });
+    }
+    console.log(`📎 Attachment ${attachment.id} added to alert ${result.alert.id}`);
+
+    // Reports that never notified anyone (stock-only counts, cooldown repeats,
+    // no matching rule) don't notify for their follow-ups either
+    if (result.notified) {
+      await alertService.sendFollowUp({
+        alert: result.alert,
+        text: describeAttachment(attachment),
+        url: `${PUBLIC_BASE_URL}/attachments/${attachment.id}`,
+      });
+    }
+    live.publish("attachment", {
+      id: attachment.id,
+      alertId: attachment.alertId,
+      item: attachment.item,
+      location: attachment.location,
+      locationSlug: attachment.locationSlug,
     });
 
-    // Confirmation page for staff
-    const statusTitle = isRateLimited
-      ? "Alert Logged (Already Sent Recently)"
-      : "Alert Sent to Managers!";
-    const statusDetail = isRateLimited
-      ? "We’ve logged this again, but skipped another notification to avoid spam."
-      : "Managers have been notified. Thank you!";
-    const locationLine = locationPretty ? `<p><strong>Location:</strong> ${locationPretty}</p>` : "";
-
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="utf-8" />
-        <title>Inventory Alert</title>
-        <meta name="viewport" content="width=device-width, initial-scale=1" />
-        <style>
-          body { font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
-            background:#0f172a; color:#e5e7eb; display:flex; align-items:center; justify-content:center;
-            min-height:100vh; margin:0; padding:16px; }
-          .card{ max-width:420px; width:100%; background:#020617; border-radius:16px; padding:24px 20px;
-            box-shadow:0 20px 40px rgba(0,0,0,0.5); text-align:center; border:1px solid #1f2937; }
-          .icon{ font-size:40px; margin-bottom:12px; }
-          h1{ font-size:20px; margin:0 0 8px; }
-          p{ margin:4px 0; font-size:14px; color:#9ca3af; }
-          .item{ font-size:16px; color:#f9fafb; margin-top:8px; }
-          .pill{ display:inline-block; margin-top:10px; padding:4px 10px; border-radius:999px;
-            font-size:12px; background:#1e293b; color:#e5e7eb; }
-        </style>
-      </head>
-      <body>
-        <div class="card">
-          <div class="icon">✅</div>
-          <h1>${statusTitle}</h1>
-          <p>${statusDetail}</p>
-          <p class="item"><strong>Item:</strong> ${itemPretty}</p>
-          ${locationLine}
-          <p class="pill">Status: ${qtyPretty}</p>
-        </div>
-      </body>
-      </html>
-    `);
+    sendAlertCard(res, {
+      icon: "📎",
+      title: "Added to the Report",
+      detail: result.quiet ? "Managers will see it with the count. Thank you!" : "Managers can see it with the alert. Thank you!",
+      body: html`
+        <p class="item"><strong>Item:</strong> ${result.alert.item}</p>
+        ${attachment.note && html`<p>“${attachment.note}”</p>`}
+        ${attachment.photo && html`<p class="pill">Photo attached</p>`}
+        ${followUpForm(idempotencyKey)}
+      `,
+    });
   } catch (err) {
-    console.error("❌ Error in /alert route:", err);
-    res.status(500).send("Error sending notification. Please tell a manager.");
+    console.error("❌ Error in POST /alert/attachments route:", err);
+    res.status(500).send("Error adding to the report. Please tell a manager.");
+  }
+});
+
+// The attachment, or null after replying when it's missing or off-limits
+async function findVisibleAttachment(req, res) {
+  const attachment = await attachments.getAttachment(req.params.id);
+  if (!attachment) {
+    res.status(404).send("Attachment not found.");
+    return null;
+  }
+  const view = await getLocationView(req, "");
+  if (!view.includes(attachment)) {
+    sendLocationForbidden(req, res);
+    return null;
+  }
+  return attachment;
+}
+
+app.get("/attachments/:id", requireClerkAuth, audit.track("attachments.view"), requireRole("shift_lead"), async (req, res) => {
+  try {
+    const attachment = await findVisibleAttachment(req, res);
+    if (!attachment) return;
+
+    const here = attachment.locationSlug ? `?location=${encodeURIComponent(attachment.locationSlug)}` : "";
+    res.send(
+      renderPage({
+        title: `Attachment – ${attachment.item}`,
+        style: `
+          .note{ font-size:16px; color:#f9fafb; white-space:pre-wrap; background:#0b1120; border:1px solid #1f2937;
+            border-radius:8px; padding:10px 12px; max-width:640px; }
+          .photo img{ max-width:100%; max-height:80vh; border-radius:8px; border:1px solid #1f2937; }
+        `,
+        body: html`
+          <h1>📎 ${attachment.item}${attachment.location && ` – ${attachment.location}`}</h1>
+          <p>Added ${attachment.at} by ${attachment.reporter || "an anonymous reporter"}.</p>
+          ${attachment.note && html`<p class="note">${attachment.note}</p>`}
+          ${attachment.photo &&
+          html`<p class="photo"><a href="/attachments/${attachment.id}/photo"><img src="/attachments/${attachment.id}/photo" alt="Photo of ${attachment.item}" /></a></p>`}
+          <div class="row">
+            <a href="/checklist${here}" class="btn">Restock Checklist</a>
+            ${hasRole(req.userRole, "manager") && html`<a href="/manager${here}" class="btn">Manager View</a>`}
+          </div>
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in /attachments/:id route:", err);
+    res.status(500).send("Error loading attachment.");
   }
 });
 
-// ---------------- Checklist (Protected by Clerk) ----------------
-app.get("/checklist", requireClerkAuth, async (req, res) => {
+// Photos are always our own re-encoded JPEGs (lib/attachments)
+app.get("/attachments/:id/:size", requireClerkAuth, requireRole("shift_lead"), async (req, res) => {
   try {
-    let alerts = await getRecentAlertsFromSheet(200);
-    const now = new Date();
+    if (req.params.size !== "photo" && req.params.size !== "thumb") return res.status(404).send("Not found.");
+    const attachment = await findVisibleAttachment(req, res);
+    if (!attachment) return;
+
+    const blob = await attachments.readPhoto(attachment, req.params.size === "thumb" ? "thumb" : "full");
+    if (!blob) return res.status(404).send("Photo not found.");
+    res.set({
+      "Content-Type": blob.contentType,
+      "Cache-Control": "private, max-age=86400",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.send(blob.buffer);
+  } catch (err) {
+    console.error("❌ Error in /attachments/:id photo route:", err);
+    res.status(500).send("Error loading photo.");
+  }
+});
+
+// ---------------- Staff picker (who is using this phone) ----------------
+// Public like /alert: a phone remembers one roster member (lib/staff) and
+// their name goes on its reports. Members with a PIN must enter it.
+
+// Only same-site paths are followed after picking. Browsers drop tabs and
+// newlines from URLs and read a backslash as "/", so "/\t/evil.example" would
+// become "//evil.example": whitespace, control characters and backslashes
+// are refused, and what's left must resolve to this origin.
+const LOCAL_ORIGIN = "http://local.invalid";
+function localPath(value, fallback = "/who") {
+  const path = String(value || "");
+  if (!path.startsWith("/") || path.startsWith("//") || /[\s\x00-\x1f\x7f\\]/.test(path)) return fallback;
+  try {
+    return new URL(path, LOCAL_ORIGIN).origin === LOCAL_ORIGIN ? path : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+const STAFF_PICK_STYLE = `
+  .pick{ display:flex; gap:6px; margin-top:8px; }
+  .pick .btn{ flex:1; padding:10px; font-size:14px; }
+  .pick input{ width:90px; font-size:14px; }
+`;
 
-    alerts = alerts.filter((a) => isSameUTCDay(a.timestamp, now));
+app.get("/who", async (req, res) => {
+  try {
+    const next = localPath(req.query.next, "");
+    const who = await identifyReporter(req);
+    const members = (await listStaff(store)).filter((m) => m.active);
+
+    const forms = members.map(
+      (m) => html`
+        <form method="POST" action="/who" class="pick">
+          <input type="hidden" name="staffId" value="${m.id}" />
+          <input type="hidden" name="next" value="${next}" />
+          ${m.pinHash && html`<input name="pin" type="password" inputmode="numeric" autocomplete="off" placeholder="PIN" required />`}
+          <button type="submit" class="btn${who.reporterId === `${STAFF_PREFIX}${m.id}` ? " active" : ""}">${m.name}</button>
+        </form>
+      `
+    );
 
-    const lowAlerts = alerts.filter((a) =>
-      /(low|running|out|empty|critical)/i.test(a.qty || "")
+    res.send(
+      renderCard({
+        title: "Who’s Reporting?",
+        icon: "🙋",
+        heading: "Who’s using this phone?",
+        detail: who.reporterId
+          ? `Reports from this phone are sent as ${who.reporter}.`
+          : "Pick your name so managers know who sent a report. It’s optional.",
+        style: ALERT_CARD_STYLE + STAFF_PICK_STYLE,
+        body: html`
+          ${forms.length ? forms : html`<p class="who">No staff names have been set up yet. Ask a manager.</p>`}
+          ${!who.signedIn && who.reporterId && html`
+            <form method="POST" action="/who/forget" class="pick">
+              <input type="hidden" name="next" value="${next}" />
+              <button type="submit" class="btn">Not on this list / clear</button>
+            </form>
+          `}
+          <p class="who">
+            ${next && html`<a href="${next}">Back to the report</a> · `}
+            ${who.signedIn ? "Signed in" : html`<a href="/who/sign-in?next=${encodeURIComponent(next || "/who")}">Sign in instead</a>`}
+          </p>
+        `,
+      })
     );
+  } catch (err) {
+    console.error("❌ Error in GET /who route:", err);
+    res.status(500).send("Error loading staff list.");
+  }
+});
 
-    const byKey = new Map();
-    for (const a of lowAlerts) {
-      const key = `${a.item || ""}|${a.location || ""}`;
-      if (!byKey.has(key)) byKey.set(key, a);
+app.post("/who", async (req, res) => {
+  const { staffId = "", pin = "", next = "" } = req.body || {};
+  try {
+    const member = await getStaffMember(store, String(staffId));
+    if (!member?.active) return res.status(400).send("Unknown staff member.");
+
+    if (member.pinHash) {
+      const lockKey = `staff:${member.id}`;
+      const byIp = pinLimiter.hit(`ip:${clientIp(req)}`);
+      const byDevice = pinLimiter.hit(deviceLimitKey(req));
+      if (pinLockout.blocked(lockKey)) {
+        return sendAlertCard(res, {
+          status: 429,
+          icon: "🔒",
+          title: "PIN Locked",
+          detail: `Too many wrong PINs for ${member.name}. Try again later or ask a manager.`,
+        });
+      }
+      if (!byIp.allowed || !byDevice.allowed) {
+        return sendAlertCard(res, {
+          status: 429,
+          icon: "⏳",
+          title: "Too Many Tries",
+          detail: "Wait a few minutes before trying your PIN again.",
+        });
+      }
+      if (!(await checkPin(member, pin))) {
+        pinLockout.hit(lockKey);
+        console.warn(`🚫 Wrong staff PIN for ${member.name}${pinLockout.blocked(lockKey) ? " (now locked)" : ""}`);
+        return sendAlertCard(res, {
+          status: 403,
+          icon: "🔒",
+          title: "Wrong PIN",
+          detail: "That PIN doesn’t match.",
+          body: html`<p class="who"><a href="/who?next=${encodeURIComponent(localPath(next, ""))}">Try again</a></p>`,
+        });
+      }
     }
 
-    const items = Array.from(byKey.values());
+    res.cookie(STAFF_COOKIE, signStaffCookie(member.id, STAFF_COOKIE_SECRET), {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      maxAge: 365 * 24 * 60 * 60 * 1000,
+    });
+    console.log(`✅ Phone picked staff member ${member.name}`);
+    res.redirect(303, localPath(next));
+  } catch (err) {
+    console.error("❌ Error in POST /who route:", err);
+    res.status(500).send("Error saving your name.");
+  }
+});
+
+app.post("/who/forget", (req, res) => {
+  res.clearCookie(STAFF_COOKIE);
+  res.redirect(303, localPath(req.body?.next));
+});
+
+// Optional full sign-in: reports then carry the Clerk user instead
+app.get("/who/sign-in", requireClerkAuth, (req, res) => {
+  res.redirect(localPath(req.query.next));
+});
+
+// Live-update indicator and highlight shared by /checklist and /manager
+// (public/live.js); each page adds how its rows flash.
+const LIVE_STYLE = `
+  .live-status{ font-size:11px; font-weight:700; color:#6b7280; margin-left:8px; vertical-align:middle; }
+  .live-status[data-state=live]{ color:#22c55e; }
+  @keyframes live-flash{ from{ background:#1e3a8a; } }
+`;
+
+// Today's checklist (shared by /checklist and the JSON API). "Today" is each
+// location's own business day; `includes` narrows it to some locations (see
+// getLocationView). Entries get the shift they were reported in.
+async function getTodayChecklist(now = new Date(), { includes = () => true } = {}) {
+  const calendar = createBusinessCalendar(await getCatalog(store), TIME_DEFAULTS);
+  const alerts = (await store.getRecentAlerts(500)).filter(
+    (a) => includes(a) && calendar.isToday(a, now)
+  );
+  const statusesByKey = await getStatusesByKey(store);
+  const { open, resolved } = buildChecklist(alerts, statusesByKey);
+  const withShift = (entry) => ({ ...entry, shift: calendar.shift(entry) });
+  return { open: open.map(withShift), resolved: resolved.map(withShift) };
+}
+
+// ---------------- Checklist (Protected by Clerk, shift lead+) ----------------
+app.get("/checklist", requireClerkAuth, audit.track("checklist.view"), requireRole("shift_lead"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+
+    const { open: items, resolved } = await getTodayChecklist(new Date(), view);
+    const currentLocation = view.locations.find((l) => l.slug === view.selected);
+    const here = view.selected ? `?location=${encodeURIComponent(view.selected)}` : "";
+    const attachmentsByAlert = await attachments.listForAlerts(items.flatMap((a) => a.alertIds));
+
+    const renderItem = (a) => {
+      const countText = describeCount(a.count, a.unit);
+      const buttons = Object.entries(STATUSES)
+        .filter(([status]) => status !== a.state?.status)
+        .map(([status, label]) => html`<button type="submit" name="status" value="${status}" class="btn">${label}</button>`);
+      return html`
+        <li data-key="${a.key}" data-severity="${severityOf(a.qty)}">
+          <div>
+            ☐ ${a.item || "Unknown Item"}${a.location && ` – ${a.location}`}
+            ${countText && html`<span class="state">${countText} left</span>`}
+            ${a.state && html`<span class="state">${STATUSES[a.state.status]} by ${a.state.by} at ${a.state.at}</span>`}
+            ${renderAttachments(a.alertIds.flatMap((id) => attachmentsByAlert.get(id) || []))}
+          </div>
+          <form method="POST" action="/checklist/status" class="actions">
+            <input type="hidden" name="item" value="${a.itemSlug}" />
+            <input type="hidden" name="location" value="${a.locationSlug}" />
+            <input type="hidden" name="returnTo" value="${view.selected}" />
+            ${buttons}
+          </form>
+        </li>
+      `;
+    };
+
+    // Open items grouped by the shift they were reported in
+    const shiftGroups = view.calendar
+      .shiftNames()
+      .map((name) => [name, items.filter((a) => a.shift === name)])
+      .concat([["", items.filter((a) => !a.shift)]])
+      .filter(([, group]) => group.length);
     const listItemsHtml =
       items.length === 0
-        ? `<li>No low-inventory items logged today yet.</li>`
-        : items
-            .map((a) => {
-              const item = a.item || "Unknown Item";
-              const loc = a.location || "";
-              const locationSuffix = loc ? ` – ${loc}` : "";
-              return `<li>☐ ${item}${locationSuffix}</li>`;
-            })
-            .join("");
-
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="utf-8" />
-        <title>Restock Checklist</title>
-        <meta name="viewport" content="width=device-width, initial-scale=1" />
-        <style>
-          body{ font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
-            background:#020617; color:#e5e7eb; margin:0; padding:16px; }
-          h1{ font-size:22px; margin-bottom:8px; }
-          p{ font-size:14px; color:#9ca3af; margin-top:0; margin-bottom:12px; }
+        ? html`<ul><li>No low-inventory items logged today yet.</li></ul>`
+        : shiftGroups.map(
+            ([name, group]) => html`
+              ${name && html`<h3>${prettifyText(name)} shift</h3>`}
+              <ul>${group.map(renderItem)}</ul>
+            `
+          );
+
+    const resolvedHtml =
+      resolved.length > 0 &&
+      html`
+        <h2>Restocked today</h2>
+        <ul>${resolved.map(
+          (a) => html`
+            <li class="done" data-key="restocked|${a.key}">
+              ☑ ${a.item}${a.location && ` – ${a.location}`}
+              <span class="state">by ${a.state.by} at ${a.state.at}</span>
+            </li>
+          `
+        )}</ul>
+      `;
+
+    res.send(
+      renderPage({
+        title: "Restock Checklist",
+        style: `
+          p{ margin-bottom:12px; }
           ul{ list-style:none; padding:0; }
           li{ background:#0b1120; margin-bottom:8px; padding:10px 12px; border-radius:8px;
             border:1px solid #1f2937; font-size:14px; }
-          .row{ display:flex; gap:8px; flex-wrap:wrap; margin-top:12px; }
-          .btn{
-            display:inline-flex; align-items:center; justify-content:center;
-            padding:8px 10px; border-radius:999px; font-size:12px; font-weight:700;
-            border:1px solid #1f2937; background:#0b1120; color:#e5e7eb; text-decoration:none;
-          }
-          .btn:hover{ background:#111827; }
-          .sub{ font-size:12px; color:#9ca3af; margin-top:10px; }
-        </style>
-      </head>
-      <body>
-        <h1>Restock Checklist</h1>
-        <p>These are the items that were logged as low or out today.</p>
-        <ul>${listItemsHtml}</ul>
-
-        <div class="row">
-          <a href="/manager" class="btn">Open Inventory Manager View →</a>
-        </div>
+          .row{ margin-top:12px; }
+          .btn{ padding:8px 10px; font-size:12px; font-weight:700; }
+          .state{ display:block; font-size:11px; color:#9ca3af; margin-top:4px; }
+          .actions{ display:flex; gap:6px; flex-wrap:wrap; margin-top:8px; }
+          li.done{ color:#9ca3af; }
+          h3{ font-size:13px; margin:16px 0 6px; color:#9ca3af; text-transform:uppercase; letter-spacing:0.05em; }
+          li.live-changed{ animation:live-flash 3s ease-out; }
+          li.live-critical{ border-color:#dc2626; background:#450a0a; }
+          ${LIVE_STYLE}
+          ${ATTACHMENT_STYLE}
+        `,
+        scripts: ["/live.js"],
+        body: html`
+          <h1>Restock Checklist${currentLocation && ` – ${currentLocation.name}`}<span id="live-status" class="live-status"></span></h1>
+          <p>These are the items that were logged as low or out today. The list updates as reports and restocks come in.</p>
+          ${locationTabs(view, "/checklist")}
+          <div data-live="checklist">
+            ${listItemsHtml}
+            ${resolvedHtml}
+          </div>
 
-        <p class="sub">Signed in (Clerk user): <strong>${req.clerkAuth.userId}</strong></p>
-      </body>
-      </html>
-    `);
+          <div class="row">
+            <a href="/count${here}" class="btn">Count Sheet</a>
+          </div>
+
+          ${hasRole(req.userRole, "manager") &&
+          html`<div class="row">
+            <a href="/manager${here}" class="btn">Open Inventory Manager View →</a>
+            <a href="/manager/locations" class="btn">All Locations</a>
+            <a href="/manager/orders${here}" class="btn">Purchase Orders</a>
+            <a href="/catalog" class="btn">Items &amp; QR Codes</a>
+          </div>`}
+
+          <p class="sub">Signed in (Clerk user): <strong>${req.clerkAuth.userId}</strong> · ${ROLE_LABELS[req.userRole]} · <a href="/settings/notifications">Notification settings</a></p>
+        `,
+      })
+    );
   } catch (err) {
     console.error("❌ Error in /checklist route:", err);
     res.status(500).send("Error loading checklist.");
   }
 });
 
-// ---------------- Manager View (Protected by Clerk) ----------------
-app.get("/manager", requireClerkAuth, async (req, res) => {
+// Mark a checklist item acknowledged / in progress / restocked
+app.post("/checklist/status", requireClerkAuth, audit.track("checklist.update"), requireRole("shift_lead"), async (req, res) => {
   try {
-    const rangeParam = (req.query.range || "today").toLowerCase();
-    let alerts = await getRecentAlertsFromSheet(50);
-    const now = new Date();
+    const { item = "", location = "", status = "", returnTo = "" } = req.body || {};
+
+    if (!item || !STATUSES[status]) {
+      return res.status(400).send("Invalid checklist update.");
+    }
+
+    // item / location are slugs; anything not in the catalog is refused
+    const resolved = resolveAlertInput(await getCatalog(store), { item, location });
+    if (!resolved.ok) return res.status(400).send("Invalid checklist update.");
+    if (!scopeAllows(req.locationScope, resolved.location?.slug || "")) {
+      return sendLocationForbidden(req, res);
+    }
 
-    let subtitle;
-    let toggleLink;
+    const state = await setItemStatus(store, {
+      item: resolved.item,
+      location: resolved.location,
+      status,
+      userId: req.clerkAuth.userId,
+    });
+    await announceStatusChange(state);
 
-    const todayUrl = `/manager?range=today`;
-    const allUrl = `/manager?range=all`;
+    console.log(`✅ Checklist: ${state.id} → ${status} by ${req.clerkAuth.userId}`);
+    const back = slugify(returnTo);
+    res.redirect(303, back ? `/checklist?location=${encodeURIComponent(back)}` : "/checklist");
+  } catch (err) {
+    console.error("❌ Error in /checklist/status route:", err);
+    res.status(500).send("Error updating checklist.");
+  }
+});
 
-    if (rangeParam === "all") {
-      subtitle = "Showing all recent alerts.";
-      toggleLink = `<a href="${todayUrl}">View today only</a>`;
+// ---------------- Live updates (Protected by Clerk, shift lead+) ----------------
+// Event stream for /checklist and /manager (public/live.js): "alert" for every
+// logged report, "checklist" for status changes, "attachment" for notes and
+// photos added to a report, limited to ?location= or the caller's locations.
+app.get("/live", requireClerkAuth, audit.track("live.view"), requireRole("shift_lead"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+    live.subscribe(req, res, view);
+  } catch (err) {
+    console.error("❌ Error in /live route:", err);
+    res.status(500).send("Error opening live updates.");
+  }
+});
+
+// ---------------- Count sheet (Protected by Clerk, staff+) ----------------
+// One on-hand count per catalog item for a location. Low/out counts raise an
+// alert like a QR scan; the rest just update stock levels.
+app.get("/count", requireClerkAuth, requireRole("staff"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+
+    const { catalog } = view;
+    const currentLocation = view.locations.find((l) => l.slug === view.selected);
+    const needsLocation = view.locations.length > 0 && !currentLocation;
+    const levels = await getStockLevels(store);
+    const saved = parseInt(req.query.saved, 10);
+    const alerted = parseInt(req.query.alerted, 10);
+
+    const rowsHtml = catalog.items.map((item) => {
+      const level = levels.get(stockKey(item.slug, view.selected));
+      return html`
+        <tr>
+          <td>${item.name}${item.category && html`<br /><small>${item.category}</small>`}</td>
+          <td>${item.parLevel ?? "—"}</td>
+          <td>${item.reorderLevel ?? "—"}</td>
+          <td>${level ? html`${describeCount(level.count, level.unit)}<br /><small>${level.at}</small>` : "—"}</td>
+          <td>
+            <input type="number" name="count_${item.slug}" min="0" step="any" inputmode="decimal" />
+            ${item.unit && html`<small>${item.unit}</small>`}
+          </td>
+        </tr>
+      `;
+    });
+
+    let bodyHtml;
+    if (catalog.items.length === 0) {
+      bodyHtml = html`<p>No items in the catalog yet. Ask a manager to add them under Items &amp; QR Codes.</p>`;
+    } else if (needsLocation) {
+      bodyHtml = html`<p>Pick a location to count.</p>`;
     } else {
-      alerts = alerts.filter((a) => isSameUTCDay(a.timestamp, now));
-      subtitle = "Showing alerts from today.";
-      toggleLink = `<a href="${allUrl}">View all</a>`;
+      bodyHtml = html`
+        <form method="POST" action="/count">
+          <input type="hidden" name="location" value="${view.selected}" />
+          <table>
+            <thead>
+              <tr><th>Item</th><th>Par</th><th>Reorder At</th><th>Last Count</th><th>On Hand</th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+          </table>
+          <button type="submit" class="btn primary">Save Counts</button>
+        </form>
+      `;
     }
 
-    const csvUrl = `/manager.csv?range=${encodeURIComponent(rangeParam)}`;
+    res.send(
+      renderPage({
+        title: "Count Sheet",
+        style: `
+          p{ margin-bottom:12px; }
+          table{ font-size:13px; }
+          th, td{ padding:8px 6px; font-size:13px; vertical-align:middle; }
+          th{ color:#9ca3af; font-weight:600; }
+          thead{ background:none; }
+          input[type=number]{ width:80px; font-size:14px; }
+          .btn{ padding:8px 10px; font-size:12px; font-weight:700; }
+          .btn.primary{ margin-top:14px; font-size:14px; padding:10px 16px; }
+          .notice{ background:#0b1120; border:1px solid #1f2937; border-radius:8px; padding:10px 12px; color:#e5e7eb; }
+          .sub{ margin-top:16px; }
+        `,
+        body: html`
+          <h1>Count Sheet${currentLocation && ` – ${currentLocation.name}`}</h1>
+          <p>Enter what’s on hand. Leave a row blank to skip it. Anything at or below its reorder level alerts managers.</p>
+          ${Number.isFinite(saved) &&
+          html`<p class="notice">✅ Saved ${saved} count${saved === 1 ? "" : "s"}${
+            alerted > 0 ? ` · ${alerted} low/out alert${alerted === 1 ? "" : "s"} sent` : ""
+          }.</p>`}
+          ${locationTabs(view, "/count")}
+          ${bodyHtml}
+          ${hasRole(req.userRole, "shift_lead") &&
+          html`<p class="sub"><a href="/checklist${view.selected ? `?location=${encodeURIComponent(view.selected)}` : ""}">← Restock Checklist</a></p>`}
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in GET /count route:", err);
+    res.status(500).send("Error loading count sheet.");
+  }
+});
 
-    const rowsHtml = alerts
-      .map((a) => {
-        const ts = a.timestamp || "";
-        const item = a.item || "";
-        const qty = a.qty || "";
-        const loc = a.location || "";
-        const ip = a.ip || "";
-        const ua = a.userAgent || "";
+app.post("/count", requireClerkAuth, audit.track("counts.save"), requireRole("staff"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const view = await getLocationView(req, body.location);
+    if (!view) return sendLocationForbidden(req, res);
+
+    const rows = Object.entries(body)
+      .filter(([name, value]) => name.startsWith("count_") && String(value).trim() !== "")
+      .map(([name, count]) => ({ item: name.slice("count_".length), count }));
+
+    const errors = [];
+    let saved = 0;
+    let alerted = 0;
+    const reporter = await lookupClerkName(req.clerkAuth.userId);
+    for (const row of rows) {
+      const result = await alertService.submitCount({
+        ...row,
+        location: view.selected,
+        ip: clientIp(req),
+        userAgent: req.headers["user-agent"] || "",
+        userId: req.clerkAuth.userId,
+        reporter,
+      });
+      if (!result.ok) {
+        errors.push(result.error);
+        continue;
+      }
+      saved++;
+      if (result.reported) alerted++;
+    }
 
-        const normalized = (qty || "").toLowerCase();
-        let statusClass = "status-badge status-ok";
-        if (/(out|empty|critical)/.test(normalized)) statusClass = "status-badge status-danger";
-        else if (/(low|running)/.test(normalized)) statusClass = "status-badge status-warn";
+    console.log(
+      `✅ Count sheet: ${saved} saved, ${alerted} alerted at "${view.selected}" by ${req.clerkAuth.userId}`
+    );
+    if (errors.length) {
+      return res.status(400).send(`Some counts weren’t saved: ${escapeHtml(errors.join(" "))}`);
+    }
 
-        return `
-          <tr>
-            <td>${ts}</td>
-            <td>${item}</td>
-            <td><span class="${statusClass}">${qty}</span></td>
-            <td>${loc}</td>
-            <td>${ip}</td>
-            <td>${ua}</td>
-          </tr>
-        `;
-      })
-      .join("");
-
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="utf-8" />
-        <title>Inventory Alerts – Manager View</title>
-        <meta name="viewport" content="width=device-width, initial-scale=1" />
-        <style>
-          body{ font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
-            background:#020617; color:#e5e7eb; margin:0; padding:16px; }
-          h1{ font-size:22px; margin-bottom:8px; }
-          p{ font-size:14px; color:#9ca3af; margin-top:0; margin-bottom:8px; }
+    const params = new URLSearchParams({ saved: String(saved), alerted: String(alerted) });
+    if (view.selected) params.set("location", view.selected);
+    res.redirect(303, `/count?${params.toString()}`);
+  } catch (err) {
+    console.error("❌ Error in POST /count route:", err);
+    res.status(500).send("Error saving counts.");
+  }
+});
+
+// ---------------- Catalog & QR codes (Protected by Clerk, manager+) ----------------
+app.use(
+  "/catalog",
+  requireClerkAuth,
+  audit.track(actionFor("catalog")),
+  requireRole("manager"),
+  createCatalogRouter({
+    store,
+    publicBaseUrl: PUBLIC_BASE_URL,
+    qrSecret: QR_SIGNING_SECRET,
+    timeDefaults: TIME_DEFAULTS,
+  })
+);
+
+// ---------------- Purchase orders (Protected by Clerk, manager+) ----------------
+app.use(
+  "/manager/orders",
+  requireClerkAuth,
+  audit.track(actionFor("orders")),
+  requireRole("manager"),
+  createOrdersRouter({
+    store,
+    emailChannel: channels.email,
+    getChecklist: getTodayChecklist,
+    getLocationView,
+    sendLocationForbidden,
+    locationTabs,
+    onStatusChange: announceStatusChange,
+  })
+);
+
+// ---------------- Admin (Protected by Clerk, admin only) ----------------
+app.use(
+  "/admin",
+  requireClerkAuth,
+  audit.track(actionFor("admin")),
+  requireRole("admin"),
+  createAdminRouter({
+    roles,
+    store,
+    routingFallback: ROUTING_FALLBACK,
+    onesignalAppId: ONESIGNAL_APP_ID,
+    escalations,
+    dedupDefaultSeconds: DEDUP_WINDOW_SECONDS,
+    webhooks,
+    audit,
+  })
+);
+
+// ---------------- Personal settings (Protected by Clerk) ----------------
+app.use("/settings", requireClerkAuth, audit.track(actionFor("settings")), createSettingsRouter({ store, channels }));
+
+// ---------------- Manager View (Protected by Clerk, manager+) ----------------
+// Filters, search, sort and paging all run server-side over the full history
+// (see lib/alertQuery.js); the CSV link carries the same query.
+app.get("/manager", requireClerkAuth, audit.track("alerts.view"), requireRole("manager"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+
+    const filters = parseAlertQuery(req.query);
+    const now = new Date();
+    const currentLocation = view.locations.find((l) => l.slug === view.selected);
+    const { calendar } = view;
+
+    // Masked before filtering, so the reporter filter can't probe raw values
+    const history = (await store.getRecentAlerts(Infinity)).filter(view.includes).map(reporterView(req));
+    const showReporter = reporterPrivacy.mode !== "none";
+    const matching = sortAlerts(filterAlerts(history, filters, { calendar, now }), filters, calendar);
+    const pageData = paginate(matching, filters);
+    const alerts = pageData.rows;
+
+    const rangeLabel =
+      filters.range === "all"
+        ? "all time"
+        : filters.range === "today"
+        ? "today"
+        : `${filters.from || "the beginning"} to ${filters.to || "today"}`;
+    const subtitle = `${pageData.total} alert${pageData.total === 1 ? "" : "s"} from ${rangeLabel}.`;
+    const toggleLink =
+      filters.range === "today"
+        ? html`<a href="/manager${toQueryString(filters, { range: "all", page: 1 })}">View all</a>`
+        : html`<a href="/manager${toQueryString(filters, { range: "today", from: "", to: "", page: 1 })}">View today only</a>`;
+
+    const csvUrl = `/manager.csv${toQueryString(filters, { page: 1, pageSize: "" })}`;
+    const statusesByKey = await getStatusesByKey(store);
+    const deliveriesByAlert = new Map();
+    for (const d of await dispatcher.listDeliveries({ limit: 1000 })) {
+      if (!deliveriesByAlert.has(d.alertId)) deliveriesByAlert.set(d.alertId, []);
+      deliveriesByAlert.get(d.alertId).push(d);
+    }
+
+    const attachmentsByAlert = await attachments.listForAlerts(alerts.map((a) => a.id));
+
+    // Repeat reports folded into each notified alert (by dedup)
+    const foldedCounts = new Map();
+    for (const a of history) {
+      if (a.dedupOf) foldedCounts.set(a.dedupOf, (foldedCounts.get(a.dedupOf) || 0) + 1);
+    }
+
+    const rowsHtml = alerts.map((a) => {
+      const severity = severityOf(a.qty || "");
+      let statusClass = "status-badge status-ok";
+      if (severity === "out") statusClass = "status-badge status-danger";
+      else if (severity === "low") statusClass = "status-badge status-warn";
+
+      const state = statusForReport(statusesByKey.get(keyOf(a)), a.timestamp || "");
+      const resolution = state ? html`${STATUSES[state.status]}<br /><small>${state.by} · ${state.at}</small>` : "Open";
+
+      const deliveries = deliveriesByAlert.get(a.id) || [];
+      const sentCount = deliveries.filter((d) => d.ok).length;
+      const folded = foldedCounts.get(a.id) || 0;
+      let notified = deliveries.length
+        ? html`<a href="/manager/notifications?alert=${encodeURIComponent(a.id)}">${sentCount}/${deliveries.length} sent</a>`
+        : "—";
+      if (a.dedupOf) notified = html`<span class="muted">Duplicate (not re-sent)</span>`;
+      else if (folded) notified = html`${notified}<br /><small>+${folded} duplicate${folded === 1 ? "" : "s"} folded in</small>`;
+
+      return html`
+        <tr data-key="${a.id}" data-severity="${severity}">
+          <td>${a.timestamp || ""}</td>
+          <td>${prettifyText(calendar.shift(a))}</td>
+          <td>${a.item || ""}</td>
+          <td><span class="${statusClass}">${a.qty || ""}</span>${
+            a.count != null && html`<br /><small>${describeCount(a.count, a.unit)} left</small>`
+          }</td>
+          <td>${a.location || ""}</td>
+          <td>${resolution}</td>
+          <td>${notified}</td>
+          <td>${
+            a.reporterId
+              ? html`<a href="/manager/staff/${encodeURIComponent(a.reporterId)}">${a.reporter || a.reporterId}</a>`
+              : html`<span class="muted">Anonymous</span>`
+          }</td>
+          <td>${renderAttachments(attachmentsByAlert.get(a.id))}</td>
+          ${showReporter && html`<td>${a.ip || ""}</td><td>${a.userAgent || ""}</td>`}
+        </tr>
+      `;
+    });
+
+    // Clicking a sortable header sorts by it; clicking again flips direction
+    const sortHeader = (field, label) => {
+      if (!field) return html`<th>${label}</th>`;
+      const active = filters.sort === field;
+      const dir = active && filters.dir === "desc" ? "asc" : "desc";
+      const arrow = active ? (filters.dir === "asc" ? " ▲" : " ▼") : "";
+      return html`<th><a href="/manager${toQueryString(filters, { sort: field, dir, page: 1 })}">${label}${arrow}</a></th>`;
+    };
+
+    const option = (value, label, selected) =>
+      html`<option value="${value}"${value === selected ? " selected" : ""}>${label}</option>`;
+    const itemOptions = view.catalog.items.map((i) => option(i.slug, i.name, filters.item));
+    const severityOptions = SEVERITIES.map((s) => option(s, SEVERITY_LABELS[s], filters.severity));
+    const shiftOptions = calendar.shiftNames().map((name) => option(name, prettifyText(name), filters.shift));
+    const here = view.selected ? `?location=${encodeURIComponent(view.selected)}` : "";
+
+    const pager =
+      pageData.pageCount > 1 &&
+      html`
+        <div class="pager">
+          ${pageData.page > 1 && html`<a href="/manager${toQueryString(filters, { page: pageData.page - 1 })}" class="btn">← Newer</a>`}
+          <span>Page ${pageData.page} of ${pageData.pageCount}</span>
+          ${pageData.page < pageData.pageCount && html`<a href="/manager${toQueryString(filters, { page: pageData.page + 1 })}" class="btn">Older →</a>`}
+        </div>
+      `;
+
+    res.send(
+      renderPage({
+        title: "Inventory Alerts – Manager View",
+        style: `
           .top-bar{ display:flex; flex-wrap:wrap; align-items:center; justify-content:space-between; gap:8px; margin-bottom:8px; }
           .legend{ display:flex; flex-wrap:wrap; align-items:center; gap:6px; font-size:11px; color:#9ca3af; margin-bottom:10px; }
           .legend-label{ font-weight:700; margin-right:2px; }
-          .btn{ display:inline-flex; align-items:center; justify-content:center; padding:6px 10px; border-radius:999px;
-            font-size:11px; font-weight:800; border:1px solid #1f2937; background:#0b1120; color:#e5e7eb; text-decoration:none; }
-          .btn:hover{ background:#111827; }
-          .table-wrapper{ overflow-x:auto; margin-top:8px; }
-          table{ width:100%; border-collapse:collapse; background:#020617; border-radius:12px; overflow:hidden; }
-          thead{ background:#111827; }
-          th,td{ padding:8px 10px; font-size:12px; border-bottom:1px solid #1f2937; text-align:left; white-space:nowrap; }
-          th{ font-weight:700; color:#e5e7eb; cursor:pointer; }
+          table{ border-radius:12px; overflow:hidden; }
+          th,td{ white-space:nowrap; }
+          th{ font-weight:700; color:#e5e7eb; }
+          th a{ color:#e5e7eb; }
           tr:nth-child(even) td{ background:#030712; }
-          a{ color:#60a5fa; text-decoration:none; }
-          a:hover{ text-decoration:underline; }
-          .status-badge{ display:inline-block; padding:2px 8px; border-radius:999px; font-size:11px; font-weight:800; }
-          .status-ok{ background:#064e3b; color:#bbf7d0; }
-          .status-warn{ background:#7c2d12; color:#fed7aa; }
-          .status-danger{ background:#7f1d1d; color:#fecaca; }
-          .sub{ font-size:12px; color:#9ca3af; margin-top:10px; }
-        </style>
-      </head>
-      <body>
-        <h1>Inventory Alerts – Manager View</h1>
-        <div class="top-bar">
-          <p>${subtitle} &nbsp; ${toggleLink}</p>
-          <div style="display:flex; gap:8px; flex-wrap:wrap;">
-            <a href="/checklist" class="btn">View Restock Checklist</a>
-            <a href="${csvUrl}" class="btn">Download CSV</a>
+          .tabs{ margin-bottom:10px; }
+          .filters{ display:flex; gap:6px; flex-wrap:wrap; align-items:center; margin-bottom:10px; font-size:11px; color:#9ca3af; }
+          .filters input, .filters select{ padding:5px 8px; }
+          .pager{ display:flex; gap:8px; align-items:center; margin-top:10px; font-size:12px; color:#9ca3af; }
+          tr.live-changed td{ animation:live-flash 3s ease-out; }
+          tr.live-critical td{ background:#450a0a; }
+          ${LIVE_STYLE}
+          ${ATTACHMENT_STYLE}
+        `,
+        scripts: ["/live.js"],
+        body: html`
+          <h1>Inventory Alerts – ${currentLocation ? currentLocation.name : "Manager View"}<span id="live-status" class="live-status"></span></h1>
+          ${locationTabs(view, "/manager", new URLSearchParams(toQueryString(filters, { location: "", page: 1 })))}
+
+          <form method="GET" action="/manager" class="filters">
+            ${view.selected && html`<input type="hidden" name="location" value="${view.selected}" />`}
+            <input type="hidden" name="sort" value="${filters.sort}" />
+            <input type="hidden" name="dir" value="${filters.dir}" />
+            <input type="search" name="q" placeholder="Search…" value="${filters.q}" />
+            <label>From <input type="date" name="from" value="${filters.from}" /></label>
+            <label>To <input type="date" name="to" value="${filters.to}" /></label>
+            <select name="item"><option value="">All items</option>${itemOptions}</select>
+            <select name="severity"><option value="">Any severity</option>${severityOptions}</select>
+            <select name="shift"><option value="">All shifts</option>${shiftOptions}</select>
+            <input name="reporter" placeholder="${showReporter ? "Reporter (name / IP / device)" : "Reporter"}" value="${filters.reporter}" />
+            <input type="hidden" name="range" value="${filters.range === "all" ? "all" : "today"}" />
+            <button type="submit" class="btn">Apply</button>
+            <a href="/manager${here}">Reset</a>
+          </form>
+
+          <div class="top-bar">
+            <p><span data-live="subtitle">${subtitle}</span> &nbsp; ${toggleLink}</p>
+            <div class="row">
+              <a href="/checklist${here}" class="btn">View Restock Checklist</a>
+              <a href="/manager/locations" class="btn">All Locations</a>
+              <a href="/manager/analytics${here}" class="btn">Analytics</a>
+              <a href="/manager/orders${here}" class="btn">Purchase Orders</a>
+              <a href="/manager/digest" class="btn">Digests</a>
+              <a href="${csvUrl}" class="btn">Download CSV</a>
+              <a href="/manager/notifications" class="btn">Notification Log</a>
+              <a href="/manager/rejected" class="btn">Rejected Reports</a>
+              <a href="/manager/staff${here}" class="btn">Staff</a>
+              ${hasRole(req.userRole, "admin") && html`<a href="/admin/roles" class="btn">User Roles</a>`}
+            </div>
           </div>
-        </div>
 
-        <div class="legend">
-          <span class="legend-label">Legend:</span>
-          <span class="status-badge status-danger">Out / Empty / Critical</span>
-          <span class="status-badge status-warn">Low / Running Low</span>
-          <span class="status-badge status-ok">OK / Test / Other</span>
-        </div>
+          <div class="legend">
+            <span class="legend-label">Legend:</span>
+            <span class="status-badge status-danger">Out / Empty / Critical</span>
+            <span class="status-badge status-warn">Low / Running Low</span>
+            <span class="status-badge status-ok">OK / Test / Other</span>
+          </div>
 
-        <div class="table-wrapper">
-          <table>
-            <thead>
-              <tr>
-                <th>Time</th>
-                <th>Item</th>
-                <th>Status</th>
-                <th>Location</th>
-                <th>IP</th>
-                <th>User Agent</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${rowsHtml || '<tr><td colspan="6">No alerts for the selected range.</td></tr>'}
-            </tbody>
-          </table>
-        </div>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  ${sortHeader("time", "Time")}
+                  ${sortHeader("shift", "Shift")}
+                  ${sortHeader("item", "Item")}
+                  ${sortHeader("status", "Status")}
+                  ${sortHeader("location", "Location")}
+                  ${sortHeader("", "Resolution")}
+                  ${sortHeader("", "Notified")}
+                  ${sortHeader("", "Reported By")}
+                  ${sortHeader("", "Notes & Photos")}
+                  ${showReporter && [sortHeader("", "IP"), sortHeader("", "Device")]}
+                </tr>
+              </thead>
+              <tbody data-live="alerts">
+                ${rowsHtml.length ? rowsHtml : html`<tr><td colspan="${showReporter ? 11 : 9}">No alerts match these filters.</td></tr>`}
+              </tbody>
+            </table>
+          </div>
+          ${pager}
 
-        <p class="sub">Signed in (Clerk user): <strong>${req.clerkAuth.userId}</strong></p>
-
-        <script>
-          document.addEventListener("DOMContentLoaded", function () {
-            var table = document.querySelector("table");
-            if (!table) return;
-
-            var tbody = table.querySelector("tbody");
-            var headers = table.querySelectorAll("th");
-            var sortState = {};
-
-            headers.forEach(function (th, index) {
-              th.addEventListener("click", function () {
-                var current = sortState[index] || "desc";
-                var next = current === "asc" ? "desc" : "asc";
-                sortState = {};
-                sortState[index] = next;
-
-                var rowsArray = Array.prototype.slice.call(tbody.querySelectorAll("tr"));
-                rowsArray.sort(function (a, b) {
-                  var aText = (a.children[index].innerText || "").toLowerCase();
-                  var bText = (b.children[index].innerText || "").toLowerCase();
-                  if (aText < bText) return next === "asc" ? -1 : 1;
-                  if (aText > bText) return next === "asc" ? 1 : -1;
-                  return 0;
-                });
-
-                rowsArray.forEach(function (row) { tbody.appendChild(row); });
-              });
-            });
-          });
-        </script>
-      </body>
-      </html>
-    `);
+          <p class="sub">Signed in (Clerk user): <strong>${req.clerkAuth.userId}</strong> · ${ROLE_LABELS[req.userRole]}</p>
+        `,
+      })
+    );
   } catch (err) {
     console.error("❌ Error in /manager route:", err);
     res.status(500).send("Error loading manager view.");
   }
 });
 
-// ---------------- Manager CSV (Protected by Clerk) ----------------
-app.get("/manager.csv", requireClerkAuth, async (req, res) => {
+// ---------------- Analytics (Protected by Clerk, manager+) ----------------
+// Same numbers as GET /api/v1/analytics, drawn as server-side SVG charts.
+function parseAnalyticsDays(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 7), 365) : 28;
+}
+
+async function getAnalytics(view, { days = 28, now = new Date() } = {}) {
+  const alerts = (await store.getRecentAlerts(Infinity)).filter(view.includes);
+  const statusesByKey = await getStatusesByKey(store);
+  return buildAnalytics(alerts, statusesByKey, { calendar: view.calendar, now, days });
+}
+
+function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return "—";
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.round(hours / 24)}d`;
+}
+
+function formatChange(percent) {
+  if (percent === null) return "—";
+  return `${percent > 0 ? "+" : ""}${percent}%`;
+}
+
+app.get("/manager/analytics", requireClerkAuth, audit.track("analytics.view"), requireRole("manager"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+
+    const days = parseAnalyticsDays(req.query.days);
+    const data = await getAnalytics(view, { days });
+    const currentLocation = view.locations.find((l) => l.slug === view.selected);
+    const locationQuery = view.selected ? `&location=${encodeURIComponent(view.selected)}` : "";
+
+    const dayLinks = [7, 28, 90, 365].map(
+      (d) => html`<a href="/manager/analytics?days=${d}${locationQuery}" class="btn${d === days ? " active" : ""}">${d} days</a>`
+    );
+
+    const outSections = data.mostOutByLocation.map(
+      (l) => html`
+        <h3>${l.location || "No location"} <small>(${l.total} out)</small></h3>
+        ${barChart(l.items.map((i) => ({ label: i.item, value: i.count })))}
+      `
+    );
+
+    const ttr = data.timeToResolution;
+    const ttrRows = ttr.byItem.map(
+      (i) => html`
+        <tr>
+          <td>${i.item}</td>
+          <td>${i.episodes}</td>
+          <td>${i.resolved}</td>
+          <td>${formatMinutes(i.meanMinutes)}</td>
+        </tr>
+      `
+    );
+
+    const reporterRows = data.reporters.people.map(
+      (p) => html`
+        <tr>
+          <td><a href="/manager/staff/${encodeURIComponent(p.reporterId)}">${p.reporter}</a></td>
+          <td>${p.total}</td>
+          <td>${p.out}</td>
+          <td>${p.low}</td>
+        </tr>
+      `
+    );
+
+    const wow = data.weekOverWeek;
+    const wowRows = wow.items.map(
+      (i) => html`
+        <tr>
+          <td>${i.item}</td>
+          <td>${i.thisWeek}</td>
+          <td>${i.lastWeek}</td>
+          <td class="${i.changePercent > 0 ? "up" : i.changePercent < 0 ? "down" : ""}">${formatChange(i.changePercent)}</td>
+        </tr>
+      `
+    );
+
+    res.send(
+      renderPage({
+        title: "Analytics – Manager View",
+        style: `
+          h2{ margin:24px 0 8px; }
+          h3{ font-size:13px; margin:12px 0 6px; color:#9ca3af; }
+          .tabs{ margin-bottom:10px; }
+          .cards{ display:flex; gap:8px; flex-wrap:wrap; }
+          .stat{ background:#0b1120; border:1px solid #1f2937; border-radius:12px; padding:10px 14px; min-width:120px; }
+          .stat strong{ display:block; font-size:22px; }
+          .stat span{ font-size:11px; color:#9ca3af; }
+          table{ width:auto; min-width:360px; }
+          th,td{ padding:6px 10px; white-space:nowrap; }
+          .chart{ max-width:100%; }
+          .chart text{ fill:#9ca3af; font-size:10px; font-family:inherit; }
+          .chart-legend{ display:flex; gap:10px; flex-wrap:wrap; font-size:11px; color:#9ca3af; }
+          .swatch{ display:inline-block; width:10px; height:10px; border-radius:2px; margin-right:4px; }
+          .up{ color:#fca5a5; }
+          .down{ color:#86efac; }
+        `,
+        body: html`
+          <h1>Analytics${currentLocation && ` – ${currentLocation.name}`}</h1>
+          <p>${data.window.from} to ${data.window.to} (business days).
+            <a href="/api/v1/analytics?days=${days}${locationQuery}">JSON</a></p>
+          ${locationTabs(view, "/manager/analytics", { days })}
+          <div class="tabs">${dayLinks}</div>
+          <div class="row">
+            <a href="/manager" class="btn">Back to Manager View</a>
+          </div>
+
+          <h2>Overview</h2>
+          <div class="cards">
+            <div class="stat"><strong>${data.totals.reports}</strong><span>Reports</span></div>
+            <div class="stat"><strong>${data.totals.out}</strong><span>Out</span></div>
+            <div class="stat"><strong>${data.totals.low}</strong><span>Low</span></div>
+            <div class="stat"><strong>${formatMinutes(ttr.meanMinutes)}</strong><span>Mean time to restock</span></div>
+            <div class="stat"><strong>${formatChange(wow.changePercent)}</strong><span>Reports vs previous 7 days</span></div>
+          </div>
+
+          <h2>Reports per item</h2>
+          ${lineChart(data.days, data.perItemDaily.map((i) => ({ name: `${i.item} (${i.total})`, values: i.counts })))}
+
+          <h2>Most frequently out, by location</h2>
+          ${outSections.length ? outSections : html`<p>No out-of-stock reports in this window.</p>`}
+
+          <h2>Who reports</h2>
+          <p>${data.reporters.anonymous} anonymous report${data.reporters.anonymous === 1 ? "" : "s"} in this window.</p>
+          <table>
+            <thead><tr><th>Reporter</th><th>Reports</th><th>Out</th><th>Low</th></tr></thead>
+            <tbody>${reporterRows.length ? reporterRows : html`<tr><td colspan="4">No named reports in this window.</td></tr>`}</tbody>
+          </table>
+
+          <h2>When reports come in</h2>
+          <p>Day of week × hour, on each location's local clock.</p>
+          ${heatmap(
+            data.heatmap.weekdays,
+            Array.from({ length: 24 }, (_, h) => String(h).padStart(2, "0")),
+            data.heatmap.counts
+          )}
+
+          <h2>Time to restock</h2>
+          <p>From the first low/out report to “Restocked” on the checklist.
+            ${ttr.resolved} of ${ttr.episodes} episodes resolved · mean ${formatMinutes(ttr.meanMinutes)} · median ${formatMinutes(ttr.medianMinutes)}.</p>
+          <table>
+            <thead><tr><th>Item</th><th>Episodes</th><th>Resolved</th><th>Mean Time</th></tr></thead>
+            <tbody>${ttrRows.length ? ttrRows : html`<tr><td colspan="4">No low reports in this window.</td></tr>`}</tbody>
+          </table>
+
+          <h2>Week over week</h2>
+          <p>Last 7 days: ${wow.thisWeek} reports · previous 7 days: ${wow.lastWeek}.</p>
+          <table>
+            <thead><tr><th>Item</th><th>Last 7 Days</th><th>Previous 7</th><th>Change</th></tr></thead>
+            <tbody>${wowRows.length ? wowRows : html`<tr><td colspan="4">No reports in the last two weeks.</td></tr>`}</tbody>
+          </table>
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in /manager/analytics route:", err);
+    res.status(500).send("Error loading analytics.");
+  }
+});
+
+// ---------------- Location rollup (Protected by Clerk, manager+) ----------------
+// One row per location the user can see, grouped by business: what owners
+// look at to compare sites.
+app.get("/manager/locations", requireClerkAuth, audit.track("locations.view"), requireRole("manager"), async (req, res) => {
   try {
-    const rangeParam = (req.query.range || "today").toLowerCase();
-    let alerts = await getRecentAlertsFromSheet(500);
+    const view = await getLocationView(req, "");
     const now = new Date();
+    const todaysAlerts = (await store.getRecentAlerts(500)).filter(
+      (a) => view.includes(a) && view.calendar.isToday(a, now)
+    );
+    const { open, resolved } = await getTodayChecklist(now, view);
+
+    const stats = new Map();
+    const statsFor = (slug) => {
+      if (!stats.has(slug)) stats.set(slug, { reports: 0, open: 0, out: 0, restocked: 0, lastAt: "" });
+      return stats.get(slug);
+    };
+    for (const a of todaysAlerts) {
+      const st = statsFor(locationSlugOf(view.catalog, a));
+      st.reports += 1;
+      if (a.timestamp > st.lastAt) st.lastAt = a.timestamp;
+    }
+    for (const entry of open) {
+      const st = statsFor(locationSlugOf(view.catalog, entry));
+      st.open += 1;
+      if (severityOf(entry.qty) === "out") st.out += 1;
+    }
+    for (const entry of resolved) statsFor(locationSlugOf(view.catalog, entry)).restocked += 1;
+
+    const row = (slug, name) => {
+      const st = statsFor(slug);
+      const query = slug ? `?location=${encodeURIComponent(slug)}` : "";
+      return html`
+        <tr>
+          <td>${name}</td>
+          <td>${st.reports}</td>
+          <td>${st.open}</td>
+          <td>${st.out ? html`<span class="status-badge status-danger">${st.out}</span>` : "0"}</td>
+          <td>${st.restocked}</td>
+          <td>${st.lastAt || "—"}</td>
+          <td>${slug && html`<a href="/checklist${query}">Checklist</a> · <a href="/manager${query}">Alerts</a>`}</td>
+        </tr>
+      `;
+    };
+
+    const table = (rows) => html`
+      <div class="table-wrapper">
+        <table>
+          <thead>
+            <tr><th>Location</th><th>Reports Today</th><th>Open</th><th>Out</th><th>Restocked</th><th>Last Report</th><th></th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+
+    const sections = groupByBusiness(view.locations).map(
+      ([business, locations]) => html`
+        <h2>${business || "Locations"}</h2>
+        ${table(locations.map((l) => row(l.slug, l.name)))}
+      `
+    );
 
-    if (rangeParam !== "all") {
-      alerts = alerts.filter((a) => isSameUTCDay(a.timestamp, now));
+    // Reports without a catalog location (free-text or none) when not scoped
+    const known = new Set(view.locations.map((l) => l.slug));
+    const other = [...stats.keys()].filter((slug) => !known.has(slug));
+    if (view.scope === null && other.length) {
+      sections.push(html`
+        <h2>Other</h2>
+        ${table(other.map((slug) => row(slug, slug ? prettifyText(slug) : "No location")))}
+      `);
     }
 
-    let csv = [
-      ["Time", "Item", "Status", "Location", "IP", "User Agent"]
-        .map(csvEscape)
-        .join(","),
-    ];
-
-    alerts.forEach((a) => {
-      csv.push(
-        [
-          csvEscape(a.timestamp || ""),
-          csvEscape(a.item || ""),
-          csvEscape(a.qty || ""),
-          csvEscape(a.location || ""),
-          csvEscape(a.ip || ""),
-          csvEscape(a.userAgent || ""),
-        ].join(",")
+    res.send(
+      renderPage({
+        title: "All Locations – Manager View",
+        style: "th,td{ white-space:nowrap; }",
+        body: html`
+          <h1>All Locations</h1>
+          <p>Today at ${view.scope ? "your locations" : "every location"}.</p>
+          <div class="row">
+            <a href="/manager" class="btn">Back to Manager View</a>
+            <a href="/catalog" class="btn">Manage Locations</a>
+          </div>
+          ${sections.length ? sections : html`<p>No locations in the catalog yet.</p>`}
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in /manager/locations route:", err);
+    res.status(500).send("Error loading locations.");
+  }
+});
+
+// ---------------- Notification log (Protected by Clerk, manager+) ----------------
+app.get("/manager/notifications", requireClerkAuth, audit.track("notifications.view"), requireRole("manager"), async (req, res) => {
+  try {
+    const alertId = req.query.alert || "";
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+    const deliveries = (await dispatcher.listDeliveries({ alertId, limit: 300 })).filter(view.includes);
+
+    const rowsHtml = deliveries.map((d) => {
+      const statusClass = d.ok
+        ? "status-badge status-ok"
+        : d.status === "skipped"
+        ? "status-badge status-warn"
+        : "status-badge status-danger";
+      return html`
+        <tr>
+          <td>${d.at}</td>
+          <td>${d.item}${d.location && ` – ${d.location}`}</td>
+          <td>${d.qty}</td>
+          <td>${d.userId || d.target}</td>
+          <td>${CHANNEL_LABELS[d.channel] || d.channel}</td>
+          <td>${d.to}</td>
+          <td><span class="${statusClass}">${d.status}</span></td>
+          <td>${d.reason}</td>
+          <td>${d.detail}</td>
+        </tr>
+      `;
+    });
+
+    res.send(
+      renderPage({
+        title: "Notification Log – Manager View",
+        style: "th,td{ white-space:nowrap; }",
+        body: html`
+          <h1>Notification Log</h1>
+          <p>${alertId ? "Delivery attempts for one alert." : "Most recent delivery attempts."} &nbsp;
+            ${alertId && html`<a href="/manager/notifications">View all</a>`}</p>
+          <div class="row">
+            <a href="/manager" class="btn">Back to Manager View</a>
+          </div>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Time</th><th>Item</th><th>Status</th><th>Recipient</th><th>Channel</th>
+                  <th>To</th><th>Result</th><th>Reason</th><th>Detail</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rowsHtml.length ? rowsHtml : html`<tr><td colspan="9">No notifications recorded.</td></tr>`}
+              </tbody>
+            </table>
+          </div>
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in /manager/notifications route:", err);
+    res.status(500).send("Error loading notification log.");
+  }
+});
+
+// ---------------- Rejected reports (Protected by Clerk, manager+) ----------------
+app.get("/manager/rejected", requireClerkAuth, audit.track("rejected.view"), requireRole("manager"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+    const rejected = (await listRejectedReports(store))
+      .filter((r) => view.includes({ locationSlug: slugify(r.location || "") }))
+      .map(reporterView(req));
+
+    const rowsHtml = rejected.map(
+      (r) => html`
+        <tr>
+          <td>${r.at}</td>
+          <td><span class="status-badge status-danger">${r.reason}</span></td>
+          <td>${r.item}${r.location && ` – ${r.location}`}</td>
+          <td>${r.qty}</td>
+          <td>${r.ip}</td>
+          <td>${r.deviceId}</td>
+          <td>${r.userAgent}</td>
+        </tr>
+      `
+    );
+
+    res.send(
+      renderPage({
+        title: "Rejected Reports – Manager View",
+        style: "th,td{ white-space:nowrap; }",
+        body: html`
+          <h1>Rejected Reports</h1>
+          <p>Alert attempts that were blocked: forged or expired QR links, unknown items, and rate limits.</p>
+          <div class="row">
+            <a href="/manager" class="btn">Back to Manager View</a>
+          </div>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Time</th><th>Reason</th><th>Item</th><th>Status</th>
+                  <th>IP</th><th>Device</th><th>User Agent</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rowsHtml.length ? rowsHtml : html`<tr><td colspan="7">No rejected reports.</td></tr>`}
+              </tbody>
+            </table>
+          </div>
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in /manager/rejected route:", err);
+    res.status(500).send("Error loading rejected reports.");
+  }
+});
+
+// ---------------- Staff report history (Protected by Clerk, manager+) ----------------
+// Everyone who has put a name on a report: roster picks (lib/staff),
+// signed-in users and API keys.
+function reporterKind(reporterId) {
+  if (reporterId.startsWith(STAFF_PREFIX)) return "Staff pick";
+  if (reporterId.startsWith("apikey:")) return "API key";
+  return "Signed in";
+}
+
+app.get("/manager/staff", requireClerkAuth, audit.track("staff.view"), requireRole("manager"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const people = new Map(); // reporterId → { reporter, total, week, last }
+    for (const m of await listStaff(store)) {
+      people.set(`${STAFF_PREFIX}${m.id}`, { reporter: m.name, total: 0, week: 0, last: "", active: m.active });
+    }
+    // Newest first, so the first name seen is the current one
+    for (const a of (await store.getRecentAlerts(Infinity)).filter(view.includes)) {
+      if (!a.reporterId) continue;
+      if (!people.has(a.reporterId)) people.set(a.reporterId, { reporter: a.reporter, total: 0, week: 0, last: "", active: true });
+      const p = people.get(a.reporterId);
+      p.total += 1;
+      if (Date.parse(a.timestamp) >= weekAgo) p.week += 1;
+      if (!p.last) p.last = a.timestamp;
+    }
+
+    const rows = [...people.entries()]
+      .sort(([, a], [, b]) => b.total - a.total || a.reporter.localeCompare(b.reporter))
+      .map(
+        ([id, p]) => html`
+          <tr>
+            <td><a href="/manager/staff/${encodeURIComponent(id)}${view.selected ? `?location=${encodeURIComponent(view.selected)}` : ""}">${p.reporter || id}</a>${
+              !p.active && html` <span class="muted">(inactive)</span>`
+            }</td>
+            <td>${reporterKind(id)}</td>
+            <td>${p.total}</td>
+            <td>${p.week}</td>
+            <td>${p.last || "—"}</td>
+          </tr>
+        `
       );
+
+    res.send(
+      renderPage({
+        title: "Staff – Manager View",
+        style: "th,td{ white-space:nowrap; }",
+        body: html`
+          <h1>Staff</h1>
+          <p>Who has been sending reports. Staff pick their name on their phone (<a href="/who">/who</a>) or sign in.</p>
+          ${locationTabs(view, "/manager/staff")}
+          <div class="row">
+            <a href="/manager" class="btn">Back to Manager View</a>
+            ${hasRole(req.userRole, "admin") && html`<a href="/admin/staff" class="btn">Manage Staff Names</a>`}
+          </div>
+          <div class="table-wrapper">
+            <table>
+              <thead><tr><th>Name</th><th>How</th><th>Reports</th><th>Last 7 Days</th><th>Last Report</th></tr></thead>
+              <tbody>${rows.length ? rows : html`<tr><td colspan="5">No staff names yet.</td></tr>`}</tbody>
+            </table>
+          </div>
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in /manager/staff route:", err);
+    res.status(500).send("Error loading staff.");
+  }
+});
+
+const STAFF_HISTORY_LIMIT = 300;
+
+app.get("/manager/staff/:reporterId", requireClerkAuth, audit.track("staff.view"), requireRole("manager"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+
+    const { reporterId } = req.params;
+    const { calendar } = view;
+    const alerts = (await store.getRecentAlerts(Infinity)).filter(
+      (a) => a.reporterId === reporterId && view.includes(a)
+    );
+    const member = reporterId.startsWith(STAFF_PREFIX)
+      ? await getStaffMember(store, reporterId.slice(STAFF_PREFIX.length))
+      : null;
+    const name = member?.name || alerts[0]?.reporter || reporterId;
+
+    const itemCounts = new Map();
+    for (const a of alerts) itemCounts.set(a.item, (itemCounts.get(a.item) || 0) + 1);
+    const topItems = [...itemCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 8)
+      .map(([label, value]) => ({ label, value }));
+    const outs = alerts.filter((a) => severityOf(a.qty) === "out").length;
+
+    const rows = alerts.slice(0, STAFF_HISTORY_LIMIT).map((a) => {
+      const severity = severityOf(a.qty || "");
+      const badge =
+        severity === "out" ? "status-danger" : severity === "low" ? "status-warn" : "status-ok";
+      return html`
+        <tr>
+          <td>${a.timestamp}</td>
+          <td>${prettifyText(calendar.shift(a))}</td>
+          <td>${a.item}</td>
+          <td><span class="status-badge ${badge}">${a.qty}</span>${
+            a.count != null && html`<br /><small>${describeCount(a.count, a.unit)} left</small>`
+          }</td>
+          <td>${a.location}</td>
+          <td>${a.dedupOf ? html`<span class="muted">Duplicate</span>` : "Notified"}</td>
+        </tr>
+      `;
     });
 
-    const csvString = csv.join("\r\n");
-    const filename =
-      rangeParam === "all" ? "inventory-alerts-all.csv" : "inventory-alerts-today.csv";
+    res.send(
+      renderPage({
+        title: `${name} – Staff History`,
+        style: `
+          th,td{ white-space:nowrap; }
+          .chart{ max-width:100%; }
+          .chart text{ fill:#9ca3af; font-size:10px; font-family:inherit; }
+        `,
+        body: html`
+          <h1>${name}</h1>
+          <p>${reporterKind(reporterId)}${member && !member.active && " · inactive"} · ${alerts.length} report${alerts.length === 1 ? "" : "s"}, ${outs} out.
+            ${alerts.length > STAFF_HISTORY_LIMIT && `Showing the newest ${STAFF_HISTORY_LIMIT}.`}</p>
+          <div class="row">
+            <a href="/manager/staff${view.selected ? `?location=${encodeURIComponent(view.selected)}` : ""}" class="btn">All Staff</a>
+            <a href="/manager" class="btn">Back to Manager View</a>
+          </div>
+
+          <h2>Most reported items</h2>
+          ${barChart(topItems)}
+
+          <h2>Reports</h2>
+          <div class="table-wrapper">
+            <table>
+              <thead><tr><th>Time</th><th>Shift</th><th>Item</th><th>Status</th><th>Location</th><th>Notified</th></tr></thead>
+              <tbody>${rows.length ? rows : html`<tr><td colspan="6">No reports from ${name}.</td></tr>`}</tbody>
+            </table>
+          </div>
+        `,
+      })
+    );
+  } catch (err) {
+    console.error("❌ Error in /manager/staff/:reporterId route:", err);
+    res.status(500).send("Error loading staff history.");
+  }
+});
+
+// alerts: already filtered, sorted and masked (reporterView); calendar:
+// lib/businessDay calendar. The IP / device columns are left out when
+// REPORTER_PRIVACY=none.
+async function buildAlertsCsv(alerts, calendar) {
+  const showReporter = reporterPrivacy.mode !== "none";
+  const statusesByKey = await getStatusesByKey(store);
+  const attachmentsByAlert = await attachments.listForAlerts(alerts.map((a) => a.id));
+
+  const csv = [
+    [
+      "Time",
+      "Business Day",
+      "Shift",
+      "Item",
+      "Status",
+      "Count",
+      "Unit",
+      "Location",
+      "Resolution",
+      "Resolved By",
+      "Resolved At",
+      "Duplicate Of",
+      "Reported By",
+      "Notes",
+      "Photos",
+      ...(showReporter ? ["IP", "Device"] : []),
+    ]
+      .map(csvEscape)
+      .join(","),
+  ];
+
+  alerts.forEach((a) => {
+    const state = statusForReport(statusesByKey.get(keyOf(a)), a.timestamp);
+    const added = attachmentsByAlert.get(a.id) || [];
+    csv.push(
+      [
+        csvEscape(a.timestamp || ""),
+        csvEscape(calendar.businessDay(a)),
+        csvEscape(calendar.shift(a)),
+        csvEscape(a.item || ""),
+        csvEscape(a.qty || ""),
+        csvEscape(a.count ?? ""),
+        csvEscape(a.unit || ""),
+        csvEscape(a.location || ""),
+        csvEscape(state ? STATUSES[state.status] : "Open"),
+        csvEscape(state?.by || ""),
+        csvEscape(state?.at || ""),
+        csvEscape(a.dedupOf || ""),
+        csvEscape(a.reporter || ""),
+        csvEscape(added.map((x) => x.note).filter(Boolean).join(" | ")),
+        csvEscape(added.filter((x) => x.photo).map((x) => `${PUBLIC_BASE_URL}/attachments/${x.id}`).join(" ")),
+        ...(showReporter ? [csvEscape(a.ip || ""), csvEscape(a.userAgent || "")] : []),
+      ].join(",")
+    );
+  });
+
+  return csv.join("\r\n");
+}
+
+// ---------------- Manager CSV (Protected by Clerk, manager+) ----------------
+app.get("/manager.csv", requireClerkAuth, audit.track("alerts.export"), requireRole("manager"), async (req, res) => {
+  try {
+    const view = await getLocationView(req);
+    if (!view) return sendLocationForbidden(req, res);
+
+    // Same filters and order as /manager, without paging
+    const filters = parseAlertQuery(req.query);
+    const { calendar } = view;
+    const history = (await store.getRecentAlerts(Infinity)).filter(view.includes).map(reporterView(req));
+    const alerts = sortAlerts(
+      filterAlerts(history, filters, { calendar, now: new Date() }),
+      filters,
+      calendar
+    );
+
+    const csvString = await buildAlertsCsv(alerts, calendar);
+    const filename = [
+      "inventory-alerts",
+      view.selected,
+      filters.shift,
+      filters.range === "custom" ? [filters.from, filters.to].filter(Boolean).join("_to_") : filters.range,
+    ]
+      .filter(Boolean)
+      .join("-") + ".csv";
 
     res.setHeader("Content-Type", "text/csv; charset=utf-8");
     res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
@@ -647,7 +2510,188 @@ app.get("/manager.csv", requireClerkAuth, async (req, res) => {
   }
 });
 
-// ---------------- Start Server ----------------
-app.listen(PORT, () => {
-  console.log(`✅ Server listening on port ${PORT}`);
+// ---------------- Digests (Protected by Clerk, manager+) ----------------
+// Per-location summaries on a schedule (see lib/digest.js). "" = all locations.
+
+// target: { locationSlug, includes(record) } — a location view or schedule
+async function composeDigest({ locationSlug, includes }, now = new Date()) {
+  const catalog = await getCatalog(store);
+  const calendar = createBusinessCalendar(catalog, TIME_DEFAULTS);
+  const since = now.getTime() - REPEAT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const alerts = (await store.getRecentAlerts(Infinity)).filter(
+    (a) => includes(a) && Date.parse(a.timestamp) >= since && Date.parse(a.timestamp) <= now.getTime()
+  );
+
+  const digest = buildDigest({
+    location: catalog.locations.find((l) => l.slug === locationSlug) || null,
+    businessDay: calendar.businessDay({ locationSlug }, now.toISOString()),
+    now,
+    checklist: await getTodayChecklist(now, { includes }),
+    alerts,
+  });
+  // Today's reports, for the CSV attachment (which leaves the app, so masked)
+  digest.csv = await buildAlertsCsv(
+    alerts.filter((a) => calendar.isToday(a, now)).map((a) => reporterPrivacy.view(a)),
+    calendar
+  );
+  return digest;
+}
+
+async function composeScheduledDigest(locationSlug, now) {
+  const catalog = await getCatalog(store);
+  const includes = (record) => !locationSlug || locationSlugOf(catalog, record) === locationSlug;
+  return composeDigest({ locationSlug, includes }, now);
+}
+
+async function deliverDigest(schedule, digest) {
+  const slug = schedule.locationSlug;
+  const url = `${PUBLIC_BASE_URL}/manager${slug ? `?location=${encodeURIComponent(slug)}` : ""}`;
+  const text = renderDigestText(digest, { url });
+  const results = [];
+
+  for (const email of schedule.emails) {
+    const result = await channels.email.send(
+      { email },
+      {
+        heading: text.heading,
+        body: text.body,
+        attachments: [
+          {
+            filename: `inventory-${slug || "all"}-${digest.businessDay}.csv`,
+            content: digest.csv,
+            contentType: "text/csv",
+          },
+        ],
+      }
+    );
+    results.push({ channel: "email", to: email, ...result });
+  }
+
+  for (const target of recipientTargets(parseRecipients(schedule.pushTo))) {
+    const result = await channels.push.send({ target }, { heading: text.heading, body: text.summary, url });
+    const to = target.type === "tag" ? `${target.key}=${target.value}` : target.externalUserIds.join(", ");
+    results.push({ channel: "push", to, ...result });
+  }
+  return results;
+}
+
+const digestScheduler = createDigestScheduler({
+  store,
+  getCalendar: async () => createBusinessCalendar(await getCatalog(store), TIME_DEFAULTS),
+  compose: composeScheduledDigest,
+  deliver: deliverDigest,
 });
+
+app.use(
+  "/manager/digest",
+  requireClerkAuth,
+  audit.track(actionFor("digest")),
+  requireRole("manager"),
+  createDigestRouter({
+    store,
+    composeDigest,
+    deliverDigest,
+    getLocationView,
+    sendLocationForbidden,
+  })
+);
+
+// ---------------- JSON API (API key or Clerk session) ----------------
+app.use(
+  "/api/v1",
+  audit.track(actionFor("api", { reads: true })),
+  createApiRouter({
+    store,
+    alertService,
+    idempotency,
+    getChecklist: getTodayChecklist,
+    onStatusChange: announceStatusChange,
+    getAnalytics: async (req) => {
+      const view = await getLocationView(req);
+      return view ? getAnalytics(view, { days: parseAnalyticsDays(req.query.days) }) : null;
+    },
+    requireApiRole,
+    reporterPrivacy,
+    lookupUserName: lookupClerkName,
+    publicBaseUrl: PUBLIC_BASE_URL,
+  })
+);
+
+// ---------------- Start Server ----------------
+// Only when run directly (npm start); the tests load the app without a port
+// or background jobs.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`✅ Server listening on port ${PORT}`);
+  });
+  // Each tick is scheduled when the previous one finishes, so a slow tick
+  // (Sheets latency, webhook retries, digest sends) never overlaps the next
+  // and sends something twice
+  const scheduleJobs = () => setTimeout(() => runScheduledJobs().finally(scheduleJobs), 30 * 1000);
+  scheduleJobs();
+}
+
+// Background jobs: unacknowledged "out" alerts → fallback channel, escalation
+// steps, webhook retries, scheduled digests, dedup / idempotency key cleanup
+// and the delivery / audit log / reporter data / rejected report purges. All read their state from the
+// store on every tick.
+async function runScheduledJobs(now = new Date()) {
+  try {
+    await dispatcher.processDueFallbacks(now);
+  } catch (err) {
+    console.error("❌ Error processing notification fallbacks:", err);
+  }
+  try {
+    await dispatcher.prune(now);
+  } catch (err) {
+    console.error("❌ Error pruning notification deliveries:", err);
+  }
+  try {
+    await escalations.processDue(now);
+  } catch (err) {
+    console.error("❌ Error processing escalations:", err);
+  }
+  try {
+    await deduplicator.prune(now);
+  } catch (err) {
+    console.error("❌ Error pruning dedup state:", err);
+  }
+  try {
+    await idempotency.prune(now);
+  } catch (err) {
+    console.error("❌ Error pruning idempotency keys:", err);
+  }
+  try {
+    await audit.prune(now);
+  } catch (err) {
+    console.error("❌ Error pruning audit log:", err);
+  }
+  try {
+    await reporterPrivacy.purge(store, now);
+  } catch (err) {
+    console.error("❌ Error purging reporter data:", err);
+  }
+  try {
+    await pruneRejectedReports(store, now, { retentionDays: REJECTED_RETENTION_DAYS });
+  } catch (err) {
+    console.error("❌ Error pruning rejected reports:", err);
+  }
+  try {
+    await webhooks.processDue(now);
+  } catch (err) {
+    console.error("❌ Error retrying webhooks:", err);
+  }
+  try {
+    await digestScheduler.tick(now);
+    await digestScheduler.pruneRuns(now);
+  } catch (err) {
+    console.error("❌ Error running digest schedules:", err);
+  }
+  ipLimiter.prune(now.getTime());
+  deviceLimiter.prune(now.getTime());
+  rejectionLimiter.prune(now.getTime());
+  pinLimiter.prune(now.getTime());
+  pinLockout.prune(now.getTime());
+}
+
+module.exports = { app, runScheduledJobs };
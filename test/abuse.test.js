@@ -0,0 +1,32 @@
+// test/abuse.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { REJECTED_TABLE, pruneRejectedReports } = require("../lib/abuse");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+console.log = () => {};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("pruneRejectedReports drops entries past the retention window", async () => {
+  const store = createMemoryStore();
+  const now = new Date("2026-10-19T12:00:00Z");
+  await store.putRecord(REJECTED_TABLE, { id: "old", at: new Date(now - 31 * DAY_MS).toISOString() });
+  await store.putRecord(REJECTED_TABLE, { id: "new", at: new Date(now - DAY_MS).toISOString() });
+
+  assert.equal(await pruneRejectedReports(store, now, { retentionDays: 30 }), 1);
+  assert.deepEqual((await store.listRecords(REJECTED_TABLE)).map((r) => r.id), ["new"]);
+});
+
+test("pruneRejectedReports caps the table even when retention is off", async () => {
+  const store = createMemoryStore();
+  const now = new Date("2026-10-19T12:00:00Z");
+  for (let i = 0; i < 5003; i += 1) {
+    await store.putRecord(REJECTED_TABLE, { id: `r${i}`, at: new Date(now - i * 1000).toISOString() });
+  }
+
+  assert.equal(await pruneRejectedReports(store, now, { retentionDays: 0 }), 3);
+  const left = await store.listRecords(REJECTED_TABLE);
+  assert.equal(left.length, 5000);
+  assert.ok(!left.some((r) => ["r5000", "r5001", "r5002"].includes(r.id)));
+});
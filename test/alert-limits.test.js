@@ -0,0 +1,69 @@
+// test/alert-limits.test.js
+// /alert rate limits can't be reset by anything the client controls.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ ALERT_RATE_LIMIT_IP: "3", ALERT_RATE_LIMIT_DEVICE: "2" });
+  assert.equal((await app.request("/catalog/items", { user: "boss", form: { name: "Oat Milk" } })).status, 303);
+});
+
+test.after(() => app.close());
+
+test("a rotating X-Forwarded-For and no device cookie don't reset the limits", async () => {
+  const statuses = [];
+  for (let i = 1; i <= 4; i += 1) {
+    // What the app sees behind its one proxy: the client's own header, plus
+    // the address the proxy appended
+    const res = await app.request("/alert", {
+      headers: { "x-forwarded-for": `198.51.100.${i}, 203.0.113.9` },
+      form: { item: "oat_milk", qty: "low" },
+    });
+    statuses.push(res.status);
+  }
+  assert.deepEqual(statuses, [200, 200, 429, 429]);
+});
+
+test("rejected scans are only recorded up to the per-IP limit", async () => {
+  for (let i = 0; i < 6; i += 1) {
+    const res = await app.request("/alert?item=no_such_item&qty=out", {
+      headers: { "x-forwarded-for": "203.0.113.50" },
+    });
+    assert.equal(res.status, 400);
+  }
+  const rejected = JSON.parse(fs.readFileSync(path.join(app.dataDir, "rejected_reports.json"), "utf8"));
+  assert.equal(rejected.filter((r) => r.ip === "203.0.113.50").length, 3);
+});
+
+test("made-up device cookies share the IP's no-cookie bucket", async () => {
+  const statuses = [];
+  for (let i = 0; i < 3; i += 1) {
+    const res = await app.request("/alert", {
+      headers: { "x-forwarded-for": "203.0.113.20", cookie: `ia_device=${crypto.randomUUID()}` },
+      form: { item: "oat_milk", qty: "low" },
+    });
+    statuses.push(res.status);
+  }
+  assert.deepEqual(statuses, [200, 200, 429]);
+});
+
+test("a device cookie the server signed gets its own bucket", async () => {
+  const page = await app.request("/alert?item=oat_milk&qty=low", { headers: { "x-forwarded-for": "203.0.113.30" } });
+  const cookie = page.headers.get("set-cookie").split(";")[0];
+  assert.match(cookie, /^ia_device=device%3A[a-f0-9-]{36}\./);
+
+  const send = (extra = {}) =>
+    app.request("/alert", {
+      headers: { "x-forwarded-for": "203.0.113.30", ...extra },
+      form: { item: "oat_milk", qty: "low" },
+    });
+  assert.equal((await send()).status, 200);
+  assert.equal((await send({ cookie })).status, 200);
+  assert.equal((await send({ cookie })).status, 200);
+});
@@ -0,0 +1,106 @@
+// test/alertQuery.test.js
+// Filters, search, sorting and paging on /manager and /manager.csv.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseAlertQuery, toQueryString, filterAlerts, sortAlerts, paginate } = require("../lib/alertQuery");
+const { createBusinessCalendar, parseShifts } = require("../lib/businessDay");
+const { startApp } = require("./helpers/app");
+
+const calendar = createBusinessCalendar(
+  { items: [], locations: [] },
+  { timeZone: "UTC", cutoffHour: 4, shifts: parseShifts("open=05:00, close=16:00") }
+);
+
+const alerts = [
+  { id: "1", item: "Oat Milk", qty: "out", location: "Bar", reporter: "Kim", timestamp: "2026-01-15T09:00:00Z" },
+  { id: "2", item: "Cups", qty: "low", location: "Bar", reporter: "Lee", timestamp: "2026-01-15T17:00:00Z" },
+  { id: "3", item: "Oat Milk", qty: "running low", location: "Patio", ip: "203.0.113.9", timestamp: "2026-01-16T02:00:00Z" },
+  { id: "4", item: "Lids", qty: "fine", location: "Bar", reporter: "Kim", timestamp: "2026-01-14T12:00:00Z" },
+];
+
+const ids = (list) => list.map((a) => a.id);
+
+test("unknown query values fall back to the defaults", () => {
+  const defaults = parseAlertQuery({});
+  assert.equal(defaults.range, "today");
+  assert.equal(defaults.sort, "time");
+  assert.equal(defaults.dir, "desc");
+  assert.equal(defaults.pageSize, 50);
+
+  const parsed = parseAlertQuery({
+    range: "all",
+    from: "2026-01-15",
+    to: "15/01/2026",
+    item: "Oat Milk",
+    severity: "meh",
+    sort: "reporter",
+    page: "-3",
+    pageSize: "9999",
+  });
+  assert.equal(parsed.range, "custom");
+  assert.equal(parsed.from, "2026-01-15");
+  assert.equal(parsed.to, "");
+  assert.equal(parsed.item, "oat_milk");
+  assert.equal(parsed.severity, "");
+  assert.equal(parsed.sort, "time");
+  assert.equal(parsed.page, 1);
+  assert.equal(parsed.pageSize, 500);
+});
+
+test("query strings skip defaults and round-trip", () => {
+  assert.equal(toQueryString(parseAlertQuery({})), "");
+  const filters = parseAlertQuery({ range: "all", severity: "out", q: "oat milk", dir: "asc" });
+  const qs = toQueryString(filters, { page: 2 });
+  assert.equal(qs, "?range=all&severity=out&q=oat+milk&dir=asc&page=2");
+  assert.deepEqual(parseAlertQuery(Object.fromEntries(new URLSearchParams(qs))), { ...filters, page: 2 });
+  assert.equal(toQueryString(parseAlertQuery({ from: "2026-01-15" })), "?from=2026-01-15");
+});
+
+test("filters use business days, shifts, reporters and every search word", () => {
+  const now = new Date("2026-01-16T03:00:00Z");
+  const filter = (query) => ids(filterAlerts(alerts, parseAlertQuery(query), { calendar, now }));
+
+  // 02:00 on the 16th is still the 15th's business day
+  assert.deepEqual(filter({}), ["1", "2", "3"]);
+  assert.deepEqual(filter({ range: "all" }), ["1", "2", "3", "4"]);
+  assert.deepEqual(filter({ from: "2026-01-14", to: "2026-01-14" }), ["4"]);
+  assert.deepEqual(filter({ range: "all", severity: "low" }), ["2", "3"]);
+  assert.deepEqual(filter({ shift: "close" }), ["2", "3"]);
+  assert.deepEqual(filter({ range: "all", reporter: "kim" }), ["1", "4"]);
+  assert.deepEqual(filter({ reporter: "203.0.113" }), ["3"]);
+  assert.deepEqual(filter({ q: "oat patio" }), ["3"]);
+  assert.deepEqual(filter({ item: "oat_milk", q: "bar" }), ["1"]);
+});
+
+test("sorting breaks ties newest first and pages clamp to the last page", () => {
+  assert.deepEqual(ids(sortAlerts(alerts, { sort: "time", dir: "desc" }, calendar)), ["3", "2", "1", "4"]);
+  assert.deepEqual(ids(sortAlerts(alerts, { sort: "item", dir: "asc" }, calendar)), ["2", "4", "3", "1"]);
+  assert.deepEqual(ids(sortAlerts(alerts, { sort: "status", dir: "desc" }, calendar)), ["1", "3", "2", "4"]);
+
+  const page = paginate(["a", "b", "c", "d", "e"], { page: 9, pageSize: 2 });
+  assert.deepEqual(page, { rows: ["e"], page: 3, pageSize: 2, pageCount: 3, total: 5 });
+  assert.equal(paginate([], { page: 1, pageSize: 50 }).pageCount, 1);
+});
+
+test("the CSV export applies the same filters", async () => {
+  const app = await startApp();
+  try {
+    for (const name of ["Oat Milk", "Cups"]) {
+      assert.equal((await app.request("/catalog/items", { user: "boss", form: { name } })).status, 303);
+    }
+    for (const [item, qty] of [["oat_milk", "out"], ["cups", "low"], ["oat_milk", "low"]]) {
+      assert.equal((await app.request("/api/v1/alerts", { user: "boss", form: { item, qty } })).status, 201);
+    }
+
+    const rows = async (query) => {
+      const res = await app.request(`/manager.csv${query}`, { user: "mgr" });
+      assert.equal(res.status, 200);
+      return (await res.text()).split("\r\n").slice(1).map((line) => line.split(",")[4]);
+    };
+    assert.equal((await rows("")).length, 3);
+    assert.deepEqual(await rows("?item=oat_milk&sort=status&dir=asc"), ["\"Low\"", "\"Out\""]);
+    assert.deepEqual(await rows("?severity=low&q=cups"), ["\"Low\""]);
+  } finally {
+    app.close();
+  }
+});
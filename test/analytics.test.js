@@ -0,0 +1,95 @@
+// test/analytics.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { restockEpisodes, buildAnalytics } = require("../lib/analytics");
+const { createBusinessCalendar } = require("../lib/businessDay");
+const { keyOf } = require("../lib/checklist");
+
+const calendar = createBusinessCalendar({ items: [], locations: [] }, { timeZone: "UTC", cutoffHour: 0, shifts: [] });
+const now = new Date("2026-01-20T12:00:00Z");
+
+const alerts = [
+  { item: "Oat Milk", location: "Bar", qty: "out", timestamp: "2026-01-10T10:00:00Z" },
+  { item: "Oat Milk", location: "Bar", qty: "out", reporterId: "k", reporter: "Kim", timestamp: "2026-01-15T10:00:00Z" },
+  { item: "Oat Milk", location: "Bar", qty: "low", reporterId: "k", reporter: "Kimberly", timestamp: "2026-01-15T11:00:00Z" },
+  { item: "Oat Milk", location: "Bar", qty: "out", timestamp: "2026-01-18T09:00:00Z" },
+  { item: "Cups", location: "Bar", qty: "low", timestamp: "2026-01-19T08:00:00Z" },
+  { item: "Cups", location: "Patio", qty: "fine", timestamp: "2026-01-20T08:00:00Z" },
+];
+
+const statusesByKey = new Map([
+  [
+    keyOf({ item: "Oat Milk", location: "Bar" }),
+    {
+      history: [
+        { status: "restocked", at: "2026-01-10T10:30:00Z" },
+        { status: "acknowledged", at: "2026-01-15T10:05:00Z" },
+        { status: "restocked", at: "2026-01-15T12:00:00Z" },
+      ],
+    },
+  ],
+]);
+
+test("an episode lasts from the first low report to the next restock", () => {
+  const episodes = restockEpisodes(alerts, statusesByKey).map((e) => [e.item, e.startedAt, e.minutes]);
+  assert.deepEqual(episodes, [
+    ["Oat Milk", "2026-01-10T10:00:00Z", 30],
+    // The 11:00 report was still open, so it joins the 10:00 episode
+    ["Oat Milk", "2026-01-15T10:00:00Z", 120],
+    ["Oat Milk", "2026-01-18T09:00:00Z", null],
+    ["Cups", "2026-01-19T08:00:00Z", null],
+  ]);
+});
+
+test("analytics cover the window ending on today's business day", () => {
+  const result = buildAnalytics(alerts, statusesByKey, { calendar, now, days: 7 });
+
+  assert.deepEqual(result.window, { from: "2026-01-14", to: "2026-01-20", days: 7 });
+  assert.deepEqual(result.totals, { reports: 5, low: 2, out: 2 });
+  assert.deepEqual(result.perItemDaily, [
+    { item: "Oat Milk", total: 3, counts: [0, 2, 0, 0, 1, 0, 0] },
+    { item: "Cups", total: 2, counts: [0, 0, 0, 0, 0, 1, 1] },
+  ]);
+  assert.deepEqual(result.mostOutByLocation, [{ location: "Bar", total: 2, items: [{ item: "Oat Milk", count: 2 }] }]);
+  assert.deepEqual(result.reporters, {
+    anonymous: 3,
+    people: [{ reporterId: "k", reporter: "Kimberly", total: 2, out: 1, low: 1 }],
+  });
+
+  // 2026-01-15 is a Thursday (weekday 3, Monday first)
+  const counts = result.heatmap.counts;
+  assert.equal(counts[3][10] + counts[3][11], 2);
+  assert.equal(counts.flat().reduce((sum, n) => sum + n, 0), 5);
+});
+
+test("time to resolution only counts episodes starting in the window", () => {
+  const { timeToResolution } = buildAnalytics(alerts, statusesByKey, { calendar, now, days: 7 });
+  assert.deepEqual(timeToResolution, {
+    episodes: 3,
+    resolved: 1,
+    meanMinutes: 120,
+    medianMinutes: 120,
+    byItem: [
+      { item: "Oat Milk", episodes: 2, resolved: 1, meanMinutes: 120 },
+      { item: "Cups", episodes: 1, resolved: 0, meanMinutes: null },
+    ],
+  });
+});
+
+test("week over week compares the last 7 days with the 7 before", () => {
+  const { weekOverWeek } = buildAnalytics(alerts, statusesByKey, { calendar, now, days: 7 });
+  assert.deepEqual(weekOverWeek, {
+    thisWeek: 5,
+    lastWeek: 1,
+    changePercent: 400,
+    items: [
+      { item: "Oat Milk", thisWeek: 3, lastWeek: 1, changePercent: 200 },
+      { item: "Cups", thisWeek: 2, lastWeek: 0, changePercent: null },
+    ],
+  });
+
+  const empty = buildAnalytics([], new Map(), { calendar, now });
+  assert.equal(empty.days.length, 28);
+  assert.equal(empty.timeToResolution.meanMinutes, null);
+  assert.equal(empty.weekOverWeek.changePercent, null);
+});
@@ -0,0 +1,44 @@
+// test/attachments.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { ATTACHMENTS_TABLE, createAttachmentService } = require("../lib/attachments");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+const alert = { id: "a1", item: "Oat Milk", itemSlug: "oat_milk", location: "Bar", locationSlug: "bar" };
+
+test("uploads sent at once can't go past the per-report limit", async () => {
+  const store = createMemoryStore();
+  const attachments = createAttachmentService({ store, blobs: {} });
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 6 }, (_, i) => attachments.addAttachment({ alert, note: `note ${i}` }))
+  );
+  assert.equal(results.filter((r) => r.status === "fulfilled").length, 3);
+  assert.equal((await store.listRecords(ATTACHMENTS_TABLE)).length, 3);
+
+  // Other reports have their own count
+  await attachments.addAttachment({ alert: { ...alert, id: "a2" }, note: "fine" });
+});
+
+test("photos are removed again when the record can't be saved", async () => {
+  const photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: "#c00" } }).jpeg().toBuffer();
+
+  const saved = new Map();
+  const blobs = {
+    async put(key, data) {
+      saved.set(key, data);
+    },
+    async remove(key) {
+      return saved.delete(key);
+    },
+  };
+  const store = createMemoryStore();
+  store.putRecord = async () => {
+    throw new Error("store unavailable");
+  };
+  const attachments = createAttachmentService({ store, blobs });
+
+  await assert.rejects(attachments.addAttachment({ alert, photo: { buffer: photo } }), /store unavailable/);
+  assert.equal(saved.size, 0);
+});
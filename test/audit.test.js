@@ -0,0 +1,41 @@
+// test/audit.test.js
+// Manager views, including the /live event stream, land in the audit log.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+async function auditActions() {
+  // Entries are written just after each response ends
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  const file = path.join(app.dataDir, "audit_log.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).map((e) => `${e.actor} ${e.action}`) : [];
+}
+
+test("/manager/locations is audited", async () => {
+  assert.equal((await app.request("/manager/locations", { user: "mgr" })).status, 200);
+  assert.ok((await auditActions()).includes("mgr locations.view"));
+});
+
+test("/live is audited when the stream closes", async () => {
+  const controller = new AbortController();
+  const res = await app.request("/live", { user: "lead", signal: controller.signal });
+  assert.equal(res.status, 200);
+  controller.abort();
+  assert.ok((await auditActions()).includes("lead live.view"));
+});
+
+test("a repeat view within a few minutes is recorded once", async () => {
+  await app.request("/manager/locations?x=1", { user: "boss" });
+  await app.request("/manager/locations?x=1", { user: "boss" });
+  assert.equal((await auditActions()).filter((a) => a === "boss locations.view").length, 1);
+});
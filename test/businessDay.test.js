@@ -0,0 +1,94 @@
+// test/businessDay.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseShifts,
+  formatShifts,
+  isValidTimeZone,
+  parseCutoffHour,
+  businessDayOf,
+  shiftOf,
+  createBusinessCalendar,
+} = require("../lib/businessDay");
+
+test("parseCutoffHour treats blank input as not set", () => {
+  for (const blank of ["", "   ", null, undefined]) assert.equal(parseCutoffHour(blank), null);
+  assert.equal(parseCutoffHour("0"), 0);
+  assert.equal(parseCutoffHour(" 4 "), 4);
+  assert.equal(parseCutoffHour(0), 0);
+  assert.equal(parseCutoffHour("24"), null);
+  assert.equal(parseCutoffHour("4.5"), null);
+});
+
+test("a location saved with a blank cutoff falls back to the default", () => {
+  const catalog = {
+    items: [],
+    locations: [
+      { slug: "downtown", name: "Downtown", dayCutoffHour: "" },
+      { slug: "uptown", name: "Uptown", dayCutoffHour: "0" },
+    ],
+  };
+  const calendar = createBusinessCalendar(catalog, { timeZone: "UTC", cutoffHour: 4, shifts: [] });
+  assert.equal(calendar.settingsFor("downtown").cutoffHour, 4);
+  assert.equal(calendar.settingsFor("uptown").cutoffHour, 0);
+});
+
+test("shifts are parsed, sorted and formatted back", () => {
+  const shifts = parseShifts("Close=16:00, open=05:00\nbad, late=25:00, mid=11:30");
+  assert.deepEqual(shifts, [
+    { name: "open", start: 300 },
+    { name: "mid", start: 690 },
+    { name: "close", start: 960 },
+  ]);
+  assert.equal(formatShifts(shifts), "open=05:00, mid=11:30, close=16:00");
+  assert.deepEqual(parseShifts(["a=1:05"]), [{ name: "a", start: 65 }]);
+  assert.deepEqual(parseShifts(""), []);
+
+  assert.equal(isValidTimeZone("America/New_York"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+});
+
+test("late-night reports count toward the evening before the cutoff", () => {
+  const settings = { timeZone: "America/New_York", cutoffHour: 4 };
+  // 01:30 and 03:59 in New York belong to the 14th; 04:00 starts the 15th
+  assert.equal(businessDayOf("2026-03-15T05:30:00Z", settings), "2026-03-14");
+  assert.equal(businessDayOf("2026-01-15T08:59:00Z", settings), "2026-01-14");
+  assert.equal(businessDayOf("2026-01-15T09:00:00Z", settings), "2026-01-15");
+  assert.equal(businessDayOf("2026-01-15T02:00:00Z", { timeZone: "UTC", cutoffHour: 0 }), "2026-01-15");
+});
+
+test("the last shift runs past midnight", () => {
+  const settings = { timeZone: "UTC", shifts: parseShifts("open=05:00, mid=11:00, close=16:00") };
+  assert.equal(shiftOf("2026-01-15T05:00:00Z", settings), "open");
+  assert.equal(shiftOf("2026-01-15T10:59:00Z", settings), "open");
+  assert.equal(shiftOf("2026-01-15T23:30:00Z", settings), "close");
+  assert.equal(shiftOf("2026-01-16T02:00:00Z", settings), "close");
+  assert.equal(shiftOf("2026-01-16T02:00:00Z", { timeZone: "UTC", shifts: [] }), "");
+});
+
+test("each location uses its own time zone and shifts", () => {
+  const catalog = {
+    items: [],
+    locations: [
+      { slug: "london", name: "London", timeZone: "Europe/London", shifts: "early=06:00, late=18:00" },
+      { slug: "nyc", name: "NYC" },
+    ],
+  };
+  const calendar = createBusinessCalendar(catalog, {
+    timeZone: "America/New_York",
+    cutoffHour: 4,
+    shifts: parseShifts("open=05:00, close=16:00"),
+  });
+
+  // 07:00 in London is 02:00 in New York, still the previous business day there
+  const timestamp = "2026-01-15T07:00:00Z";
+  assert.equal(calendar.businessDay({ locationSlug: "london", timestamp }), "2026-01-15");
+  assert.equal(calendar.businessDay({ location: "NYC", timestamp }), "2026-01-14");
+  assert.equal(calendar.shift({ locationSlug: "london", timestamp }), "early");
+  assert.equal(calendar.shift({ locationSlug: "nyc", timestamp }), "close");
+  assert.deepEqual(calendar.localTime({ locationSlug: "london", timestamp }), { date: "2026-01-15", minutes: 420, weekday: 3 });
+  assert.deepEqual(calendar.shiftNames(), ["open", "close", "early", "late"]);
+
+  assert.equal(calendar.isToday({ locationSlug: "nyc", timestamp }, new Date("2026-01-15T08:00:00Z")), true);
+  assert.equal(calendar.isToday({ locationSlug: "nyc", timestamp }, new Date("2026-01-15T09:00:00Z")), false);
+});
@@ -0,0 +1,93 @@
+// test/catalog.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  slugify,
+  prettifyText,
+  getCatalog,
+  saveItem,
+  saveLocation,
+  deleteItem,
+  resolveAlertInput,
+  buildAlertUrl,
+} = require("../lib/catalog");
+const { createMemoryStore } = require("./helpers/memoryStore");
+const { startApp } = require("./helpers/app");
+
+test("slugs match the underscore style of existing QR links", () => {
+  assert.equal(slugify("  Oat Milk (1L) "), "oat_milk_1l");
+  assert.equal(slugify("oat_milk"), "oat_milk");
+  assert.equal(slugify("--"), "");
+  assert.equal(prettifyText("oat_milk"), "Oat Milk");
+});
+
+test("items and locations are saved by slug and listed by name", async () => {
+  const store = createMemoryStore();
+  await saveItem(store, { name: "Vanilla Syrup", parLevel: "6", reorderLevel: "", supplier: "Acme Co" });
+  await saveItem(store, { name: "Oat Milk", parLevel: "-1" });
+  await saveLocation(store, { name: "Front Counter", dayCutoffHour: "" });
+  await assert.rejects(saveItem(store, { name: "  " }), /needs a name/);
+
+  const catalog = await getCatalog(store);
+  assert.deepEqual(catalog.items.map((i) => i.slug), ["oat_milk", "vanilla_syrup"]);
+  assert.equal(catalog.items[1].parLevel, 6);
+  assert.equal(catalog.items[1].reorderLevel, null);
+  assert.equal(catalog.items[1].supplier, "acme_co");
+  assert.equal(catalog.items[0].parLevel, null);
+  assert.equal(catalog.locations[0].dayCutoffHour, "");
+
+  await deleteItem(store, "Oat Milk");
+  assert.deepEqual((await getCatalog(store)).items.map((i) => i.slug), ["vanilla_syrup"]);
+});
+
+test("QR values resolve against the catalog", () => {
+  const catalog = {
+    items: [{ slug: "oat_milk", name: "Oat Milk" }],
+    locations: [{ slug: "bar", name: "Bar" }],
+  };
+  const ok = resolveAlertInput(catalog, { item: "oat_milk", location: "bar" });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.item.name, "Oat Milk");
+  assert.equal(ok.location.name, "Bar");
+
+  assert.equal(resolveAlertInput(catalog, { item: "oat_milk" }).location, null);
+  assert.match(resolveAlertInput(catalog, { item: "cups" }).error, /Unknown item "cups"/);
+  assert.match(resolveAlertInput(catalog, { item: "oat_milk", location: "patio" }).error, /Unknown location/);
+});
+
+test("an empty catalog accepts anything with a prettified name", () => {
+  const resolved = resolveAlertInput({ items: [], locations: [] }, { item: "oat_milk", location: "back_bar" });
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.item.name, "Oat Milk");
+  assert.equal(resolved.location.name, "Back Bar");
+});
+
+test("alert URLs carry the slugs and optional signature", () => {
+  assert.equal(buildAlertUrl("https://x.test/", { item: "oat_milk", qty: "low" }), "https://x.test/alert?item=oat_milk&qty=low");
+  assert.equal(
+    buildAlertUrl("https://x.test", { item: "oat_milk", qty: "out", location: "bar", exp: 123, sig: "abc" }),
+    "https://x.test/alert?item=oat_milk&qty=out&location=bar&exp=123&sig=abc"
+  );
+});
+
+test("the QR sheet has a low and an out code per item and location", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+  for (const name of ["Oat Milk", "Cups"]) {
+    assert.equal((await app.request("/catalog/items", { user: "boss", form: { name } })).status, 303);
+  }
+  assert.equal((await app.request("/catalog/locations", { user: "boss", form: { name: "Bar" } })).status, 303);
+
+  const sheet = await app.request("/catalog/qr", { user: "mgr" });
+  assert.equal(sheet.status, 200);
+  assert.equal((await sheet.text()).match(/<div class="card">/g).length, 4);
+
+  const svg = await app.request("/catalog/qr.svg?item=oat_milk&location=bar&qty=out", { user: "mgr" });
+  assert.equal(svg.status, 200);
+  assert.equal(svg.headers.get("content-type"), "image/svg+xml; charset=utf-8");
+  assert.match(svg.headers.get("content-disposition"), /oat_milk-bar-out\.svg/);
+
+  assert.equal((await app.request("/catalog/qr.svg?item=oat_milk&location=patio&qty=out", { user: "mgr" })).status, 404);
+  assert.equal((await app.request("/catalog/qr.gif?item=oat_milk&qty=out", { user: "mgr" })).status, 404);
+  assert.equal((await app.request("/catalog/qr", { user: "lead" })).status, 403);
+});
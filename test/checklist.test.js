@@ -0,0 +1,105 @@
+// test/checklist.test.js
+// Checklist state is keyed by item and location slugs, status updates only
+// accept items and locations from the catalog, and a status only covers the
+// reports made before it.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { keyOf, statusForReport, getStatusesByKey, setItemStatus, buildChecklist } = require("../lib/checklist");
+const { createMemoryStore } = require("./helpers/memoryStore");
+const { startApp } = require("./helpers/app");
+
+const oatMilk = { slug: "oat_milk", name: "Oat Milk" };
+const bar = { slug: "bar", name: "Bar" };
+
+test("records without slugs key by the slugs of their names", () => {
+  assert.equal(keyOf({ itemSlug: "oat_milk", locationSlug: "bar", item: "Renamed", location: "Elsewhere" }), "oat_milk|bar");
+  assert.equal(keyOf({ item: "Oat Milk", location: "Bar" }), "oat_milk|bar");
+  assert.equal(keyOf({ item: "Oat Milk" }), "oat_milk|");
+});
+
+test("setting a status moves a legacy name-keyed record to the slug key", async () => {
+  const store = createMemoryStore();
+  const legacyAt = "2026-10-19T08:00:00.000Z";
+  await store.putRecord("checklist_status", {
+    id: "Oat Milk|Bar",
+    item: "Oat Milk",
+    location: "Bar",
+    status: "acknowledged",
+    by: "lead",
+    at: legacyAt,
+    history: [{ status: "acknowledged", by: "lead", at: legacyAt }],
+  });
+  assert.equal((await getStatusesByKey(store)).get("oat_milk|bar").status, "acknowledged");
+
+  const state = await setItemStatus(store, { item: oatMilk, location: bar, status: "restocked", userId: "lead" });
+  assert.equal(state.id, "oat_milk|bar");
+  assert.deepEqual(state.history.map((h) => h.status), ["acknowledged", "restocked"]);
+  assert.deepEqual((await store.listRecords("checklist_status")).map((r) => r.id), ["oat_milk|bar"]);
+});
+
+test("a renamed item keeps its checklist state", async () => {
+  const store = createMemoryStore();
+  const state = await setItemStatus(store, { item: oatMilk, location: bar, status: "in_progress", userId: "lead" });
+  const report = { id: "a1", item: "Oat Milk (1L)", itemSlug: "oat_milk", location: "Bar", locationSlug: "bar", qty: "Out" };
+  const { open } = buildChecklist([{ ...report, timestamp: new Date(Date.parse(state.at) - 1000).toISOString() }], await getStatusesByKey(store));
+  assert.equal(open[0].state.status, "in_progress");
+});
+
+test("status updates are refused for items and locations outside the catalog", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  assert.equal((await app.request("/catalog/items", { user: "boss", form: { name: "Oat Milk" } })).status, 303);
+  assert.equal((await app.request("/catalog/locations", { user: "boss", form: { name: "Bar" } })).status, 303);
+
+  const post = (pathname, form) => app.request(pathname, { user: "lead", form });
+  assert.equal((await post("/checklist/status", { item: "made_up", location: "bar", status: "restocked" })).status, 400);
+  assert.equal((await post("/checklist/status", { item: "oat_milk", location: "nowhere", status: "restocked" })).status, 400);
+  assert.equal((await post("/api/v1/checklist/status", { item: "made_up", location: "bar", status: "restocked" })).status, 400);
+  assert.equal((await post("/checklist/status", { item: "oat_milk", location: "bar", status: "acknowledged" })).status, 303);
+
+  const api = await post("/api/v1/checklist/status", { item: "oat_milk", location: "bar", status: "restocked" });
+  assert.equal(api.status, 200);
+  const { state } = await api.json();
+  assert.equal(state.id, "oat_milk|bar");
+  assert.deepEqual(state.history.map((h) => h.status), ["acknowledged", "restocked"]);
+});
+
+test("a status only covers reports made before it was set", () => {
+  const state = { status: "restocked", at: "2026-10-19T10:00:00.000Z" };
+  assert.equal(statusForReport(state, "2026-10-19T09:00:00.000Z"), state);
+  assert.equal(statusForReport(state, "2026-10-19T10:00:00.000Z"), state);
+  assert.equal(statusForReport(state, "2026-10-19T11:00:00.000Z"), null);
+  assert.equal(statusForReport(state, ""), state);
+  assert.equal(statusForReport({ status: "restocked", at: "" }, "2026-10-19T09:00:00.000Z"), null);
+  assert.equal(statusForReport(undefined, "2026-10-19T09:00:00.000Z"), null);
+});
+
+test("restocked items leave the checklist until they're reported again", async () => {
+  const store = createMemoryStore();
+  const ago = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+  const alerts = [
+    { id: "a3", item: "Cups", location: "Bar", qty: "low", timestamp: ago(30) },
+    { id: "a2", item: "Oat Milk", location: "Bar", qty: "out", timestamp: ago(60) },
+    { id: "a1", item: "Oat Milk", location: "Bar", qty: "low", timestamp: ago(120) },
+    { id: "a0", item: "Lids", location: "Bar", qty: "fine", timestamp: ago(120) },
+  ];
+
+  await setItemStatus(store, { item: oatMilk, location: bar, status: "restocked", userId: "kim" });
+  await setItemStatus(store, { item: { slug: "cups", name: "Cups" }, location: bar, status: "acknowledged", userId: "lee" });
+  await assert.rejects(setItemStatus(store, { item: oatMilk, location: bar, status: "done", userId: "kim" }), /Unknown checklist status/);
+
+  // Both statuses are newer than every report: Oat Milk is done, Cups only acknowledged
+  const { open, resolved } = buildChecklist(alerts, await getStatusesByKey(store));
+  assert.deepEqual(open.map((e) => [e.itemSlug, e.state?.status]), [["cups", "acknowledged"]]);
+  assert.deepEqual(resolved.map((e) => [e.itemSlug, e.qty, e.alertIds]), [["oat_milk", "out", ["a2", "a1"]]]);
+
+  const later = { id: "a4", item: "Oat Milk", location: "Bar", qty: "low", timestamp: ago(-1) };
+  const reopened = buildChecklist([later, ...alerts], await getStatusesByKey(store));
+  assert.deepEqual(reopened.open.map((e) => [e.itemSlug, e.state?.status]), [["oat_milk", undefined], ["cups", "acknowledged"]]);
+  assert.equal(reopened.resolved.length, 0);
+
+  await setItemStatus(store, { item: oatMilk, location: bar, status: "in_progress", userId: "lee" });
+  const [record] = (await store.listRecords("checklist_status")).filter((r) => r.itemSlug === "oat_milk");
+  assert.deepEqual(record.history.map((h) => [h.status, h.by]), [["restocked", "kim"], ["in_progress", "lee"]]);
+});
@@ -0,0 +1,58 @@
+// test/dedup.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_WINDOW_SECONDS, getSettings, saveSettings, windowMsFor, createDeduplicator } = require("../lib/dedup");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+const T0 = Date.parse("2026-10-19T12:00:00Z");
+const at = (seconds) => new Date(T0 + seconds * 1000);
+const report = (alertId, seconds, severity = "low") => ({
+  key: "oat_milk|bar",
+  itemSlug: "oat_milk",
+  severity,
+  alertId,
+  now: at(seconds),
+});
+
+test("a burst of reports for one item notifies once", async () => {
+  const deduplicator = createDeduplicator({ store: createMemoryStore(), defaultSeconds: 60 });
+  const results = await Promise.all([1, 2, 3, 4].map((i) => deduplicator.register(report(`a${i}`, 0))));
+  assert.equal(results.filter((r) => r.notify).length, 1);
+  assert.deepEqual(results.map((r) => r.foldedCount).sort(), [0, 1, 2, 3]);
+});
+
+test("repeats fold until the window expires or severity rises", async () => {
+  const deduplicator = createDeduplicator({ store: createMemoryStore(), defaultSeconds: 60 });
+  assert.equal((await deduplicator.register(report("a1", 0))).reason, "first report");
+
+  const folded = await deduplicator.register(report("a2", 30));
+  assert.equal(folded.notify, false);
+  assert.equal(folded.foldedInto, "a1");
+
+  assert.equal((await deduplicator.register(report("a3", 40, "out"))).reason, "severity rose (low → out)");
+  assert.equal((await deduplicator.register(report("a4", 100, "out"))).reason, "window expired");
+});
+
+test("windows longer than state is kept are refused", async () => {
+  const store = createMemoryStore();
+  await assert.rejects(saveSettings(store, { defaultSeconds: MAX_WINDOW_SECONDS + 1 }, "boss"), /at most/);
+  await assert.rejects(saveSettings(store, { itemSeconds: `oat_milk: ${MAX_WINDOW_SECONDS + 1}` }, "boss"), /at most/);
+
+  await saveSettings(store, { defaultSeconds: 60, severitySeconds: { out: MAX_WINDOW_SECONDS } }, "boss");
+  const settings = await getSettings(store);
+  assert.equal(windowMsFor(settings, { itemSlug: "oat_milk", severity: "out" }), MAX_WINDOW_SECONDS * 1000);
+
+  // An env default past the cap is capped too
+  const fromEnv = await getSettings(createMemoryStore(), MAX_WINDOW_SECONDS * 2);
+  assert.equal(windowMsFor(fromEnv, { itemSlug: "oat_milk", severity: "low" }), MAX_WINDOW_SECONDS * 1000);
+});
+
+test("prune keeps state that is still inside the longest window", async () => {
+  const store = createMemoryStore();
+  const deduplicator = createDeduplicator({ store, defaultSeconds: MAX_WINDOW_SECONDS });
+  await deduplicator.register(report("a1", 0));
+
+  assert.equal(await deduplicator.prune(at(MAX_WINDOW_SECONDS - 1)), 0);
+  assert.equal((await deduplicator.register(report("a2", MAX_WINDOW_SECONDS - 1))).notify, false);
+  assert.equal(await deduplicator.prune(at(2 * MAX_WINDOW_SECONDS)), 1);
+});
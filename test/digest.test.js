@@ -0,0 +1,150 @@
+// test/digest.test.js
+// The digest scheduler on a fake clock: each slot sends once, a late tick
+// catches up within CATCH_UP_MINUTES, and slots just before midnight survive
+// the date change. Then the digest contents themselves.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseTimes,
+  saveSchedule,
+  listRuns,
+  buildDigest,
+  renderDigestText,
+  slotsFor,
+  createDigestScheduler,
+} = require("../lib/digest");
+const { createBusinessCalendar, parseShifts } = require("../lib/businessDay");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+console.log = () => {};
+console.error = () => {};
+
+const catalog = { items: [], locations: [{ slug: "bar", name: "Bar", timeZone: "UTC" }] };
+
+async function setup(times) {
+  const store = createMemoryStore();
+  await saveSchedule(store, { locationSlug: "bar", enabled: true, times, emails: "", pushTo: "" }, "boss");
+  const clock = { now: null };
+  const deliveries = [];
+  let failures = 0;
+  const scheduler = createDigestScheduler({
+    store,
+    getCalendar: async () => createBusinessCalendar(catalog, { timeZone: "UTC", cutoffHour: 4, shifts: [] }),
+    compose: async () => ({ open: [] }),
+    deliver: async () => {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error("SMTP down");
+      }
+      deliveries.push(clock.now.toISOString());
+      return [];
+    },
+    clock: () => clock.now,
+  });
+  const tickAt = (iso) => {
+    clock.now = new Date(iso);
+    return scheduler.tick();
+  };
+  const failNext = () => {
+    failures += 1;
+  };
+  return { tickAt, deliveries, failNext, scheduler, store };
+}
+
+test("a slot sends once however often the scheduler ticks", async () => {
+  const { tickAt, deliveries } = await setup("07:00");
+  assert.deepEqual(await tickAt("2026-10-19T06:59:00Z"), []);
+  assert.deepEqual(await tickAt("2026-10-19T07:00:00Z"), ["bar|2026-10-19|07:00"]);
+  assert.deepEqual(await tickAt("2026-10-19T07:00:30Z"), []);
+  assert.deepEqual(await tickAt("2026-10-19T07:10:00Z"), []);
+  assert.equal(deliveries.length, 1);
+
+  assert.deepEqual(await tickAt("2026-10-20T07:01:00Z"), ["bar|2026-10-20|07:00"]);
+});
+
+test("a late tick catches up, but not past the catch-up window", async () => {
+  const late = await setup("07:00");
+  assert.deepEqual(await late.tickAt("2026-10-19T07:25:00Z"), ["bar|2026-10-19|07:00"]);
+
+  const stale = await setup("07:00");
+  assert.deepEqual(await stale.tickAt("2026-10-19T07:45:00Z"), []);
+  assert.equal(stale.deliveries.length, 0);
+});
+
+test("a 23:45 slot missed before midnight is sent after it, under its own date", async () => {
+  const { tickAt } = await setup("23:45");
+  assert.deepEqual(await tickAt("2026-10-19T23:30:00Z"), []);
+  assert.deepEqual(await tickAt("2026-10-20T00:05:00Z"), ["bar|2026-10-19|23:45"]);
+  assert.deepEqual(await tickAt("2026-10-20T00:10:00Z"), []);
+});
+
+test("a 23:45 slot sent on time isn't sent again after midnight", async () => {
+  const { tickAt, deliveries } = await setup("23:45");
+  assert.deepEqual(await tickAt("2026-10-19T23:50:00Z"), ["bar|2026-10-19|23:45"]);
+  assert.deepEqual(await tickAt("2026-10-20T00:05:00Z"), []);
+  assert.equal(deliveries.length, 1);
+});
+
+test("a failed delivery is retried on the next tick", async () => {
+  const { tickAt, deliveries, failNext } = await setup("07:00");
+  failNext();
+  assert.deepEqual(await tickAt("2026-10-19T07:00:00Z"), []);
+  assert.deepEqual(await tickAt("2026-10-19T07:01:00Z"), ["bar|2026-10-19|07:00"]);
+  assert.deepEqual(deliveries, ["2026-10-19T07:01:00.000Z"]);
+});
+
+test("run records are pruned after the retention period", async () => {
+  const { tickAt, scheduler, store } = await setup("07:00");
+  await tickAt("2026-10-19T07:00:00Z");
+  await scheduler.pruneRuns(new Date("2026-11-01T00:00:00Z"));
+  assert.equal((await listRuns(store)).length, 1);
+  await scheduler.pruneRuns(new Date("2027-10-19T00:00:00Z"));
+  assert.equal((await listRuns(store)).length, 0);
+});
+
+test("times must be HH:MM and shift ends add their own slots", () => {
+  assert.deepEqual(parseTimes("16:30, 7:00"), [420, 990]);
+  assert.throws(() => parseTimes("7pm"), /Can't read time "7pm"/);
+  assert.throws(() => parseTimes("24:00"), /Can't read time/);
+
+  const settings = { shifts: parseShifts("open=05:00, close=16:00") };
+  assert.deepEqual(slotsFor({ times: [960], shiftEnds: true }, settings), [
+    { minutes: 960, label: "16:00" },
+    { minutes: 300, label: "end of close shift" },
+  ]);
+  assert.deepEqual(slotsFor({ times: [420], shiftEnds: false }, settings), [{ minutes: 420, label: "07:00" }]);
+});
+
+test("the digest lists open items, criticals, restocks and repeat offenders", () => {
+  const open = [
+    { item: "Oat Milk", location: "Bar", qty: "Out" },
+    { item: "Cups", location: "Bar", qty: "Low", state: { status: "acknowledged", by: "Kim" } },
+    { item: "Lids", location: "Bar", qty: "Out", state: { status: "in_progress", by: "Lee" } },
+  ];
+  const resolved = [{ item: "Straws", location: "Bar", qty: "Low", state: { status: "restocked", by: "Lee" } }];
+  const alerts = [
+    { item: "Oat Milk", location: "Bar", qty: "out", timestamp: "2026-10-19T09:00:00Z" },
+    { item: "Oat Milk", location: "Bar", qty: "low", timestamp: "2026-10-18T09:00:00Z" },
+    { item: "Cups", location: "Bar", qty: "low", timestamp: "2026-10-18T09:00:00Z" },
+    { item: "Cups", location: "Bar", qty: "fine", timestamp: "2026-10-17T09:00:00Z" },
+  ];
+  const digest = buildDigest({
+    location: { slug: "bar", name: "Bar" },
+    businessDay: "2026-10-19",
+    now: new Date("2026-10-19T16:00:00Z"),
+    checklist: { open, resolved },
+    alerts,
+  });
+
+  assert.deepEqual(digest.out.map((e) => e.item), ["Oat Milk", "Lids"]);
+  assert.deepEqual(digest.unacknowledgedCriticals.map((e) => e.item), ["Oat Milk"]);
+  assert.deepEqual(digest.repeatOffenders.map((r) => [r.item, r.reports]), [["Oat Milk", 2]]);
+
+  const text = renderDigestText(digest, { url: "https://example.test/manager" });
+  assert.equal(text.heading, "Inventory digest – Bar");
+  assert.equal(text.summary, "3 open (2 out), 1 restocked");
+  assert.match(text.body, /Unacknowledged criticals:\n- Oat Milk – Bar \(Out\)\n/);
+  assert.match(text.body, /- Straws – Bar \(Low\) by Lee/);
+  assert.match(text.body, /Oat Milk – Bar: 2 reports/);
+  assert.match(text.body, /Manager view: https:\/\/example.test\/manager$/);
+});
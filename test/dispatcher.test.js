@@ -0,0 +1,100 @@
+// test/dispatcher.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createDispatcher } = require("../lib/dispatcher");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+console.log = () => {};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-10-19T12:00:00Z");
+const daysAgo = (days) => new Date(now - days * DAY_MS).toISOString();
+
+test("delivery records past the retention window are pruned", async () => {
+  const store = createMemoryStore();
+  await store.putRecord("notification_deliveries", { id: "old", alertId: "a1", at: daysAgo(91) });
+  await store.putRecord("notification_deliveries", { id: "new", alertId: "a2", at: daysAgo(1) });
+
+  const dispatcher = createDispatcher({ store, channels: {}, retentionDays: 90 });
+  assert.equal(await dispatcher.prune(now), 1);
+  assert.deepEqual((await dispatcher.listDeliveries()).map((d) => d.id), ["new"]);
+});
+
+test("retentionDays 0 keeps every delivery record", async () => {
+  const store = createMemoryStore();
+  await store.putRecord("notification_deliveries", { id: "old", alertId: "a1", at: daysAgo(400) });
+  const dispatcher = createDispatcher({ store, channels: {} });
+  assert.equal(await dispatcher.prune(now), 0);
+  assert.equal((await dispatcher.listDeliveries()).length, 1);
+});
+
+// Fake channels that record what they sent; `failing` names ones that fail
+function fakeChannels(failing = []) {
+  const sent = [];
+  const channels = {};
+  for (const name of ["push", "sms", "email"]) {
+    channels[name] = {
+      configured: true,
+      async send(recipient, message) {
+        sent.push({ channel: name, to: recipient.userId || recipient.target?.type, heading: message.heading });
+        return failing.includes(name) ? { ok: false, detail: "down" } : { ok: true, detail: "sent" };
+      },
+    };
+  }
+  return { channels, sent };
+}
+
+const outAlert = { id: "a1", timestamp: now.toISOString(), item: "Oat Milk", location: "Bar", qty: "Out", severity: "out" };
+const message = { heading: "Oat Milk is out", body: "Bar" };
+
+test("the fallback channel is used when every primary channel fails", async () => {
+  const { channels, sent } = fakeChannels(["push"]);
+  const dispatcher = createDispatcher({ store: createMemoryStore(), channels });
+  const deliveries = await dispatcher.notifyAlert({
+    alert: outAlert,
+    targets: [{ type: "users", externalUserIds: ["u1"] }],
+    message,
+  });
+  assert.deepEqual(sent.map((s) => s.channel), ["push", "sms"]);
+  assert.deepEqual(deliveries.map((d) => d.status), ["failed", "sent"]);
+  assert.equal(deliveries[1].reason, "fallback: primary channels failed");
+});
+
+test("tag and broadcast targets go out as push", async () => {
+  const { channels, sent } = fakeChannels();
+  const dispatcher = createDispatcher({ store: createMemoryStore(), channels });
+  await dispatcher.notifyAlert({ alert: outAlert, targets: [{ type: "all" }], message });
+  assert.deepEqual(sent, [{ channel: "push", to: "all", heading: "Oat Milk is out" }]);
+});
+
+test("an unacknowledged out alert gets the fallback channel once it is due", async () => {
+  const store = createMemoryStore();
+  const { channels, sent } = fakeChannels();
+  const acknowledged = new Set();
+  const dispatcher = createDispatcher({
+    store,
+    channels,
+    unackFallbackMinutes: 10,
+    isAcknowledged: async (pending) => acknowledged.has(pending.userId),
+  });
+  await dispatcher.notifyAlert({ alert: outAlert, targets: [{ type: "users", externalUserIds: ["u1", "u2"] }], message });
+  assert.equal(sent.length, 2);
+  acknowledged.add("u2");
+
+  assert.equal(await dispatcher.processDueFallbacks(new Date(Date.now() + 5 * 60 * 1000)), 0);
+  assert.equal(await dispatcher.processDueFallbacks(new Date(Date.now() + 11 * 60 * 1000)), 2);
+  assert.deepEqual(sent.slice(2).map((s) => `${s.channel} ${s.to}`), ["sms u1"]);
+
+  // Each fallback is sent at most once
+  assert.equal(await dispatcher.processDueFallbacks(new Date(Date.now() + 20 * 60 * 1000)), 0);
+});
+
+test("low alerts and escalation sends don't arm the unacknowledged fallback", async () => {
+  const store = createMemoryStore();
+  const { channels } = fakeChannels();
+  const dispatcher = createDispatcher({ store, channels, unackFallbackMinutes: 10 });
+  const targets = [{ type: "users", externalUserIds: ["u1"] }];
+  await dispatcher.notifyAlert({ alert: { ...outAlert, severity: "low" }, targets, message });
+  await dispatcher.notifyAlert({ alert: outAlert, targets, message, scheduleFallbacks: false });
+  assert.deepEqual(await store.listRecords("pending_fallbacks"), []);
+});
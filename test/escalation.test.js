@@ -0,0 +1,101 @@
+// test/escalation.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseStep, savePolicy, createEscalationEngine } = require("../lib/escalation");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+console.log = () => {};
+
+const MINUTE_MS = 60 * 1000;
+const T0 = Date.parse("2026-10-19T12:00:00Z");
+const at = (minutes) => new Date(T0 + minutes * MINUTE_MS).toISOString();
+const outReport = (id, minutes) => ({ id, timestamp: at(minutes), item: "Oat Milk", location: "Bar", qty: "Out", severity: "out" });
+const message = { heading: "Oat Milk is out", body: "Bar", url: "/checklist" };
+
+// acknowledgedAt: ISO time someone acted on the item, or null
+async function setup(steps = "10: user_a") {
+  const store = createMemoryStore();
+  await savePolicy(store, { severity: "out", steps, enabled: true }, "boss");
+  const sent = [];
+  const state = { acknowledgedAt: null };
+  const engine = createEscalationEngine({
+    store,
+    dispatcher: { notifyAlert: async (args) => sent.push(args) },
+    isAcknowledged: async (timer) => Boolean(state.acknowledgedAt && state.acknowledgedAt >= timer.reportedAt),
+  });
+  return { engine, sent, state, store };
+}
+
+test("a repeat report keeps a running chain's original timing", async () => {
+  const { engine } = await setup();
+  await engine.startForAlert({ key: "oat|bar", alert: outReport("a1", 0), message });
+  const timer = await engine.startForAlert({ key: "oat|bar", alert: outReport("a2", 5), message });
+  assert.equal(timer.alert.id, "a1");
+  assert.equal(timer.dueAt, at(10));
+});
+
+test("out → acknowledged → out again re-arms the escalation", async () => {
+  const { engine, sent, state } = await setup();
+  await engine.startForAlert({ key: "oat|bar", alert: outReport("a1", 0), message });
+  state.acknowledgedAt = at(2);
+
+  const timer = await engine.startForAlert({ key: "oat|bar", alert: outReport("a2", 5), message });
+  assert.equal(timer.alert.id, "a2");
+  assert.equal(timer.dueAt, at(15));
+
+  assert.equal(await engine.processDue(new Date(at(16))), 1);
+  assert.equal(sent[0].alert.id, "a2");
+});
+
+test("steps are read as minutes: recipients", async () => {
+  assert.deepEqual(parseStep("15: user_a, role=manager"), {
+    afterMinutes: 15,
+    externalUserIds: ["user_a"],
+    tags: [{ key: "role", value: "manager" }],
+  });
+  assert.equal(parseStep("soon: user_a"), null);
+  assert.equal(parseStep("5:"), null);
+  await assert.rejects(savePolicy(createMemoryStore(), { severity: "out", steps: "later" }, "boss"), /Can't read step/);
+  await assert.rejects(savePolicy(createMemoryStore(), { severity: "bad", steps: "" }, "boss"), /Unknown severity/);
+});
+
+test("steps run in order off the report time, then the chain ends", async () => {
+  const { engine, sent } = await setup("30: role=owner\n10: user_a");
+  await engine.startForAlert({ key: "oat|bar", alert: outReport("a1", 0), message });
+
+  assert.equal(await engine.processDue(new Date(at(9))), 0);
+  assert.equal(await engine.processDue(new Date(at(10))), 1);
+  assert.equal(sent[0].message.heading, "Escalation: Oat Milk is out");
+  assert.deepEqual(sent[0].targets, [{ type: "users", externalUserIds: ["user_a"] }]);
+  assert.equal(sent[0].scheduleFallbacks, false);
+
+  // A slow tick doesn't shift the next step
+  assert.equal((await engine.listTimers())[0].dueAt, at(30));
+  assert.equal(await engine.processDue(new Date(at(29))), 0);
+  assert.equal(await engine.processDue(new Date(at(45))), 1);
+  assert.deepEqual(sent[1].targets, [{ type: "tag", key: "role", value: "owner" }]);
+
+  assert.deepEqual(await engine.listTimers(), []);
+  assert.equal(await engine.processDue(new Date(at(90))), 0);
+});
+
+test("an acknowledged chain stops without sending", async () => {
+  const { engine, sent, state } = await setup();
+  await engine.startForAlert({ key: "oat|bar", alert: outReport("a1", 0), message });
+  state.acknowledgedAt = at(3);
+  assert.equal(await engine.processDue(new Date(at(10))), 0);
+  assert.equal(sent.length, 0);
+  assert.deepEqual(await engine.listTimers(), []);
+});
+
+test("a more severe report restarts the chain; a disabled policy never starts one", async () => {
+  const { engine, store } = await setup();
+  await savePolicy(store, { severity: "low", steps: "20: user_b", enabled: true }, "boss");
+  await engine.startForAlert({ key: "oat|bar", alert: { ...outReport("a1", 0), severity: "low", qty: "Low" }, message });
+  const raised = await engine.startForAlert({ key: "oat|bar", alert: outReport("a2", 5), message });
+  assert.equal(raised.severity, "out");
+  assert.equal(raised.dueAt, at(15));
+
+  await savePolicy(store, { severity: "out", steps: "10: user_a", enabled: false }, "boss");
+  assert.equal(await engine.startForAlert({ key: "cups|bar", alert: outReport("a3", 0), message }), null);
+});
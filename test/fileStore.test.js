@@ -0,0 +1,71 @@
+// test/fileStore.test.js
+// The local JSON-file store behind ALERT_STORE=file.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileStore } = require("../lib/storage/fileStore");
+const { createStorage } = require("../lib/storage");
+
+console.log = () => {};
+console.warn = () => {};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inventory-alert-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("alerts come back newest first and survive a restart", async (t) => {
+  const dataDir = tempDir(t);
+  const store = createFileStore({ dataDir });
+  await store.appendAlert({ id: "a1", timestamp: "2026-10-19T08:00:00.000Z", item: "Oat Milk", qty: "Low" });
+  await store.appendAlert({ id: "a2", timestamp: "2026-10-19T09:00:00.000Z", item: "Cups", qty: "Out", count: 0 });
+
+  const reopened = createFileStore({ dataDir });
+  const alerts = await reopened.getRecentAlerts(10);
+  assert.deepEqual(alerts.map((a) => a.id), ["a2", "a1"]);
+  assert.equal(alerts[0].count, 0);
+  assert.equal(alerts[1].count, null);
+  assert.deepEqual((await reopened.getRecentAlerts(1)).map((a) => a.id), ["a2"]);
+});
+
+test("records are inserted, replaced and deleted by id", async (t) => {
+  const store = createFileStore({ dataDir: tempDir(t) });
+  await store.putRecord("things", { id: "x", n: 1 });
+  await store.putRecord("things", { id: "y", n: 2 });
+  await store.putRecord("things", { id: "x", n: 3 });
+  assert.deepEqual(await store.listRecords("things"), [{ id: "x", n: 3 }, { id: "y", n: 2 }]);
+
+  assert.equal(await store.deleteRecord("things", "x"), true);
+  assert.equal(await store.deleteRecord("things", "x"), false);
+  assert.deepEqual(await store.listRecords("things"), [{ id: "y", n: 2 }]);
+  assert.deepEqual(await store.listRecords("empty"), []);
+});
+
+test("writes at once all reach the file", async (t) => {
+  const dataDir = tempDir(t);
+  const store = createFileStore({ dataDir });
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.putRecord("things", { id: `r${i}` })));
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, "things.json"), "utf8"));
+  assert.equal(saved.length, 20);
+});
+
+test("scrubAlerts blanks reporter data on older alerts only", async (t) => {
+  const store = createFileStore({ dataDir: tempDir(t) });
+  await store.appendAlert({ id: "old", timestamp: "2026-10-01T00:00:00.000Z", item: "A", qty: "Low", ip: "1.2.3.4", userAgent: "ua" });
+  await store.appendAlert({ id: "new", timestamp: "2026-10-19T00:00:00.000Z", item: "B", qty: "Low", ip: "1.2.3.4", userAgent: "ua" });
+
+  assert.equal(await store.scrubAlerts("2026-10-10T00:00:00.000Z"), 1);
+  const byId = Object.fromEntries((await store.getRecentAlerts(10)).map((a) => [a.id, a]));
+  assert.equal(byId.old.ip, "");
+  assert.equal(byId.new.ip, "1.2.3.4");
+});
+
+test("createStorage falls back to the file store without Sheets settings", (t) => {
+  const dataDir = tempDir(t);
+  assert.equal(createStorage({ DATA_DIR: dataDir }).name, "file");
+  assert.equal(createStorage({ DATA_DIR: dataDir, ALERT_STORE: "sheets" }).name, "file");
+  assert.equal(createStorage({ DATA_DIR: dataDir, ALERT_STORE: "nonsense" }).name, "file");
+});
@@ -0,0 +1,74 @@
+// test/helpers/app.js
+// Runs the real app on a throwaway file store, with Clerk replaced by a stub
+// that signs in whoever the x-test-user header names. server.js reads its
+// settings when loaded, so call startApp once per test file, before anything
+// else requires it.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// env: settings on top of the test defaults (e.g. rate limits)
+async function startApp(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "inventory-alert-test-"));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    ALERT_STORE: "file",
+    BLOB_STORE: "file",
+    QR_SIGNATURE_MODE: "off",
+    REPORTER_PRIVACY: "full",
+    STAFF_COOKIE_SECRET: "test-secret",
+    CLERK_SECRET_KEY: "sk_test",
+    CLERK_PUBLISHABLE_KEY: "pk_test",
+    CLERK_SIGN_IN_URL: "https://sign-in.test/sign-in",
+    USER_ROLES: JSON.stringify({ boss: "admin", mgr: "manager", lead: "shift_lead" }),
+    ...env,
+  });
+
+  require.cache[require.resolve("@clerk/backend")] = {
+    id: "@clerk/backend",
+    loaded: true,
+    exports: {
+      createClerkClient: () => ({
+        authenticateRequest: async (request) => ({
+          toAuth: () => ({ userId: request.headers.get("x-test-user") || null }),
+        }),
+        users: {
+          getUser: async (id) => ({ id, firstName: id, emailAddresses: [], phoneNumbers: [] }),
+        },
+      }),
+    },
+  };
+
+  // The app logs every step; keep the test output readable
+  console.log = () => {};
+  console.warn = () => {};
+
+  const { app } = require("../../server");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // user: x-test-user; form: fields to POST urlencoded; headers: extra headers;
+  // signal: AbortSignal, to hang up on a stream
+  function request(pathname, { user = "", userAgent = "node-test", form, headers = {}, signal } = {}) {
+    const init = { headers: { "user-agent": userAgent, ...headers }, redirect: "manual", signal };
+    if (user) init.headers["x-test-user"] = user;
+    if (form) {
+      init.method = "POST";
+      init.body = new URLSearchParams(form);
+    }
+    return fetch(`${baseUrl}${pathname}`, init);
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    // Audit entries are written just after each response finishes
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { request, close, dataDir };
+}
+
+module.exports = { startApp };
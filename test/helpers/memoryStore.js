@@ -0,0 +1,31 @@
+// test/helpers/memoryStore.js
+// The record half of the lib/storage interface, kept in memory
+function createMemoryStore() {
+  const tables = new Map();
+  const rowsOf = (table) => {
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+  };
+
+  return {
+    async listRecords(table) {
+      return rowsOf(table).map((r) => ({ ...r }));
+    },
+    async putRecord(table, record) {
+      const rows = rowsOf(table);
+      const idx = rows.findIndex((r) => r.id === record.id);
+      if (idx >= 0) rows[idx] = { ...record };
+      else rows.push({ ...record });
+      return record;
+    },
+    async deleteRecord(table, id) {
+      const rows = rowsOf(table);
+      const idx = rows.findIndex((r) => r.id === id);
+      if (idx < 0) return false;
+      rows.splice(idx, 1);
+      return true;
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,50 @@
+// test/html.test.js
+// lib/html: every interpolated value is escaped unless it is html`` / raw()
+// output.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeHtml, html, raw } = require("../lib/html");
+
+const HOSTILE = `<script>alert("x")</script>' onmouseover='x' &amp;`;
+
+test("escapeHtml escapes the five markup characters", () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;");
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(undefined), "");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("html escapes interpolated text and attribute values", () => {
+  const out = html`<td title="${HOSTILE}">${HOSTILE}</td>`.toString();
+  assert.ok(!out.includes("<script>"));
+  assert.ok(!out.includes(`' onmouseover='`));
+  assert.equal(
+    out,
+    `<td title="&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&#39; onmouseover=&#39;x&#39; &amp;amp;">` +
+      `&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&#39; onmouseover=&#39;x&#39; &amp;amp;</td>`
+  );
+});
+
+test("nested html output is kept as markup, not escaped twice", () => {
+  const cell = html`<b>${"<i>"}</b>`;
+  assert.equal(html`<td>${cell}</td>`.toString(), "<td><b>&lt;i&gt;</b></td>");
+});
+
+test("arrays are joined and each element escaped", () => {
+  const items = ["<a>", "b&c"];
+  assert.equal(
+    html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>`.toString(),
+    "<ul><li>&lt;a&gt;</li><li>b&amp;c</li></ul>"
+  );
+  assert.equal(html`${["<x>", html`<y>`]}`.toString(), "&lt;x&gt;<y>");
+});
+
+test("false, null and undefined render nothing; 0 and empty string render as text", () => {
+  assert.equal(html`[${false}${null}${undefined}]`.toString(), "[]");
+  assert.equal(html`[${0}]`.toString(), "[0]");
+  assert.equal(html`[${""}]`.toString(), "[]");
+});
+
+test("raw() passes trusted markup through unchanged", () => {
+  assert.equal(html`<style>${raw("a>b{}")}</style>`.toString(), "<style>a>b{}</style>");
+});
@@ -0,0 +1,73 @@
+// test/idempotency.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseKey, createIdempotency } = require("../lib/idempotency");
+const { createMemoryStore } = require("./helpers/memoryStore");
+const { startApp } = require("./helpers/app");
+
+test("parseKey accepts UUID-like keys only", () => {
+  assert.equal(parseKey(" 123e4567-e89b-12d3-a456-426614174000 "), "123e4567-e89b-12d3-a456-426614174000");
+  assert.equal(parseKey("short"), "");
+  assert.equal(parseKey("has spaces in it"), "");
+});
+
+test("two retries of one key arriving together run the handler once", async () => {
+  const idempotency = createIdempotency({ store: createMemoryStore() });
+  let runs = 0;
+  const submit = () =>
+    idempotency.run("alert", "offline-key-1", async () => {
+      runs += 1;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { ok: true, alert: { id: `a${runs}` } };
+    });
+
+  const [first, second] = await Promise.all([submit(), submit()]);
+  assert.equal(runs, 1);
+  assert.deepEqual([first.replayed, second.replayed].sort(), [false, true]);
+  assert.equal(first.result.alert.id, second.result.alert.id);
+
+  // Later retries come from the store
+  const later = await submit();
+  assert.equal(runs, 1);
+  assert.equal(later.replayed, true);
+});
+
+test("failed results aren't remembered", async () => {
+  const idempotency = createIdempotency({ store: createMemoryStore() });
+  let runs = 0;
+  const submit = () => idempotency.run("alert", "offline-key-2", async () => ({ ok: (runs += 1) > 1 }));
+  assert.equal((await submit()).result.ok, false);
+  assert.equal((await submit()).result.ok, true);
+  assert.equal(runs, 2);
+});
+
+test("keys are scoped", async () => {
+  const idempotency = createIdempotency({ store: createMemoryStore() });
+  let runs = 0;
+  const fn = async () => ({ ok: true, n: (runs += 1) });
+  await idempotency.run("alert", "shared-key-1", fn);
+  await idempotency.run("apikey:pos", "shared-key-1", fn);
+  assert.equal(runs, 2);
+});
+
+test("a report the service worker replays is only sent once", async () => {
+  const app = await startApp();
+  try {
+    assert.equal((await app.request("/catalog/items", { user: "boss", form: { name: "Oat Milk" } })).status, 303);
+    const form = { item: "oat_milk", qty: "out", idempotencyKey: "123e4567-e89b-12d3-a456-426614174000" };
+    const send = () => app.request("/alert", { headers: { "x-forwarded-for": "203.0.113.5" }, form });
+
+    // The page's own submit and the queued copy can arrive together
+    const statuses = (await Promise.all([send(), send()])).map((r) => r.status);
+    assert.deepEqual(statuses, [200, 200]);
+    assert.equal((await send()).status, 200);
+
+    const { data } = await (await app.request("/api/v1/alerts", { user: "boss" })).json();
+    assert.equal(data.length, 1);
+
+    assert.equal((await app.request("/sw.js")).status, 200);
+    assert.equal((await app.request("/manifest.json")).status, 200);
+  } finally {
+    app.close();
+  }
+});
@@ -0,0 +1,85 @@
+// test/live.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { createLiveUpdates } = require("../lib/live");
+const { startApp } = require("./helpers/app");
+
+// Just enough of Express's req/res for subscribe()
+function fakeStream(lastEventId) {
+  const req = new EventEmitter();
+  req.get = (name) => (name === "Last-Event-ID" ? lastEventId : undefined);
+  const res = { written: [], headers: null };
+  res.writeHead = (status, headers) => (res.headers = { status, ...headers });
+  res.write = (chunk) => res.written.push(chunk);
+  const events = () => res.written.filter((c) => c.startsWith("id:"));
+  return { req, res, events };
+}
+
+test("events reach only the pages whose filter includes them", () => {
+  const live = createLiveUpdates();
+  const bar = fakeStream();
+  const all = fakeStream();
+  live.subscribe(bar.req, bar.res, { includes: (r) => r.locationSlug === "bar" });
+  live.subscribe(all.req, all.res);
+
+  assert.equal(bar.res.headers["Content-Type"], "text/event-stream; charset=utf-8");
+  assert.equal(bar.res.written[0], "retry: 3000\n\n");
+
+  live.publish("alert", { item: "Oat Milk", locationSlug: "bar" });
+  live.publish("checklist", { item: "Cups", locationSlug: "patio" });
+  assert.deepEqual(bar.events(), [
+    "id: 1\nevent: alert\ndata: {\"item\":\"Oat Milk\",\"locationSlug\":\"bar\"}\n\n",
+  ]);
+  assert.equal(all.events().length, 2);
+
+  assert.equal(live.clientCount(), 2);
+  bar.req.emit("close");
+  all.req.emit("close");
+  assert.equal(live.clientCount(), 0);
+  live.publish("alert", { locationSlug: "bar" });
+  assert.equal(bar.events().length, 1);
+});
+
+test("a reconnecting page gets what it missed, filtered", () => {
+  const live = createLiveUpdates();
+  for (const locationSlug of ["bar", "patio", "bar", "bar"]) live.publish("alert", { locationSlug });
+
+  const resumed = fakeStream("2");
+  live.subscribe(resumed.req, resumed.res, { includes: (r) => r.locationSlug === "bar" });
+  assert.deepEqual(resumed.events().map((e) => e.split("\n")[0]), ["id: 3", "id: 4"]);
+
+  // An id from before a server restart replays nothing
+  const stale = fakeStream("900");
+  live.subscribe(stale.req, stale.res);
+  assert.deepEqual(stale.events(), []);
+
+  const fresh = fakeStream();
+  live.subscribe(fresh.req, fresh.res);
+  assert.deepEqual(fresh.events(), []);
+
+  for (const s of [resumed, stale, fresh]) s.req.emit("close");
+});
+
+test("/live streams new reports to signed-in leads", async () => {
+  const app = await startApp();
+  const controller = new AbortController();
+  try {
+    assert.equal((await app.request("/catalog/items", { user: "boss", form: { name: "Oat Milk" } })).status, 303);
+
+    const stream = await app.request("/live", { user: "lead", signal: controller.signal });
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get("content-type"), /^text\/event-stream/);
+
+    assert.equal((await app.request("/api/v1/alerts", { user: "boss", form: { item: "oat_milk", qty: "out" } })).status, 201);
+
+    const reader = stream.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    while (!text.includes("event: alert")) text += decoder.decode((await reader.read()).value);
+    assert.match(text, /"item":"Oat Milk"/);
+  } finally {
+    controller.abort();
+    app.close();
+  }
+});
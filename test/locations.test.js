@@ -0,0 +1,102 @@
+// test/locations.test.js
+// Location scopes from /admin/roles and what a scoped user can see and change.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getLocationScope,
+  setLocationScope,
+  scopeAllows,
+  locationSlugOf,
+  visibleLocations,
+  groupByBusiness,
+  routingFallbackFor,
+} = require("../lib/locations");
+const { createMemoryStore } = require("./helpers/memoryStore");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+  assert.equal((await app.request("/catalog/items", { user: "boss", form: { name: "Oat Milk" } })).status, 303);
+  for (const name of ["Bar", "Kitchen"]) {
+    assert.equal((await app.request("/catalog/locations", { user: "boss", form: { name } })).status, 303);
+  }
+  const scoped = await app.request("/admin/roles/locations", { user: "boss", form: { userId: "mgr", locations: "Bar" } });
+  assert.equal(scoped.status, 303);
+});
+
+test.after(() => app.close());
+
+test("an empty location list means every location", async () => {
+  const store = createMemoryStore();
+  assert.equal(await getLocationScope(store, "u1"), null);
+
+  await setLocationScope(store, "u1", "Front Counter, bar", "boss");
+  assert.deepEqual(await getLocationScope(store, "u1"), ["front_counter", "bar"]);
+  assert.equal(scopeAllows(["bar"], "bar"), true);
+  assert.equal(scopeAllows(["bar"], "kitchen"), false);
+  assert.equal(scopeAllows(null, "kitchen"), true);
+
+  await setLocationScope(store, "u1", " ", "boss");
+  assert.equal(await getLocationScope(store, "u1"), null);
+  await assert.rejects(setLocationScope(store, "", "bar", "boss"), /user id is required/);
+});
+
+test("records map to catalog locations and group by business", () => {
+  const catalog = {
+    locations: [
+      { slug: "bar", name: "Bar", business: "Cafe" },
+      { slug: "kitchen", name: "Kitchen", business: "" },
+      { slug: "patio", name: "Patio", business: "Cafe" },
+    ],
+  };
+  assert.equal(locationSlugOf(catalog, { locationSlug: "patio", location: "Bar" }), "patio");
+  assert.equal(locationSlugOf(catalog, { location: "Bar" }), "bar");
+  assert.equal(locationSlugOf(catalog, { location: "Back Room" }), "back_room");
+
+  const visible = visibleLocations(catalog, ["bar", "patio"]);
+  assert.deepEqual(visible.map((l) => l.slug), ["bar", "patio"]);
+  assert.deepEqual(
+    groupByBusiness(catalog.locations).map(([business, ls]) => [business, ls.map((l) => l.slug)]),
+    [["", ["kitchen"]], ["Cafe", ["bar", "patio"]]]
+  );
+
+  assert.equal(routingFallbackFor({ routingFallback: "default" }, "all"), "all");
+  assert.equal(routingFallbackFor({ routingFallback: "location" }, "all"), "location");
+  assert.equal(routingFallbackFor(undefined, "none"), "none");
+});
+
+test("scoped users only see their own locations", async () => {
+  for (const location of ["bar", "kitchen"]) {
+    const res = await app.request("/api/v1/alerts", { user: "boss", form: { item: "oat_milk", location, qty: "out" } });
+    assert.equal(res.status, 201);
+  }
+
+  const scoped = await (await app.request("/api/v1/alerts", { user: "mgr" })).json();
+  assert.deepEqual(scoped.data.map((a) => a.locationSlug), ["bar"]);
+  const all = await (await app.request("/api/v1/alerts", { user: "boss" })).json();
+  assert.equal(all.data.length, 2);
+
+  assert.equal((await app.request("/manager?location=bar", { user: "mgr" })).status, 200);
+  assert.equal((await app.request("/manager?location=kitchen", { user: "mgr" })).status, 403);
+  assert.equal((await app.request("/checklist?location=kitchen", { user: "mgr" })).status, 403);
+  assert.equal((await app.request("/manager?location=kitchen", { user: "boss" })).status, 200);
+});
+
+test("scoped users can't report or update stock elsewhere", async () => {
+  const report = await app.request("/api/v1/alerts", { user: "mgr", form: { item: "oat_milk", location: "kitchen", qty: "low" } });
+  assert.equal(report.status, 403);
+
+  const update = await app.request("/checklist/status", {
+    user: "mgr",
+    form: { item: "oat_milk", location: "kitchen", status: "restocked" },
+  });
+  assert.equal(update.status, 403);
+
+  const allowed = await app.request("/checklist/status", {
+    user: "mgr",
+    form: { item: "oat_milk", location: "bar", status: "acknowledged" },
+  });
+  assert.equal(allowed.status, 303);
+});
@@ -0,0 +1,77 @@
+// test/pages.test.js
+// Pages rendered from hostile item, location and user-agent values must show
+// them as text.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const HOSTILE_ITEM = `<script>alert("item")</script>`;
+const HOSTILE_LOCATION = `"><img src=x onerror=alert('loc')>`;
+const HOSTILE_UA = `<svg onload=alert('ua')>`;
+const PAYLOADS = ["<script>alert", "<img src=x", "<svg onload", "onerror=alert('loc')>"];
+
+let app;
+const request = (...args) => app.request(...args);
+
+function assertInert(page, what) {
+  for (const payload of PAYLOADS) {
+    assert.ok(!page.includes(payload), `${what} contains unescaped ${payload}`);
+  }
+}
+
+test.before(async () => {
+  app = await startApp();
+
+  assert.equal((await request("/catalog/items", { user: "boss", form: { name: HOSTILE_ITEM } })).status, 303);
+  assert.equal((await request("/catalog/locations", { user: "boss", form: { name: HOSTILE_LOCATION } })).status, 303);
+
+  const report = await request("/alert", {
+    userAgent: HOSTILE_UA,
+    form: { item: "script_alert_item_script", location: "img_src_x_onerror_alert_loc", qty: "out" },
+  });
+  assert.equal(report.status, 200);
+});
+
+test.after(() => app.close());
+
+test("the /alert confirm page escapes the item and location", async () => {
+  const res = await request("/alert?item=script_alert_item_script&location=img_src_x_onerror_alert_loc&qty=out");
+  const page = await res.text();
+  assert.equal(res.status, 200);
+  assertInert(page, "/alert");
+  assert.ok(page.includes("&lt;script&gt;alert(&quot;item&quot;)&lt;/script&gt;"));
+});
+
+test("/manager escapes item, location and the raw user agent", async () => {
+  const res = await request("/manager", { user: "boss" });
+  const page = await res.text();
+  assert.equal(res.status, 200);
+  assertInert(page, "/manager");
+  assert.ok(page.includes("&lt;script&gt;alert(&quot;item&quot;)&lt;/script&gt;"));
+  assert.ok(page.includes("&quot;&gt;&lt;img src=x onerror=alert(&#39;loc&#39;)&gt;"));
+  assert.ok(page.includes("&lt;svg onload=alert(&#39;ua&#39;)&gt;"));
+});
+
+test("/checklist escapes the item and location", async () => {
+  const res = await request("/checklist", { user: "lead" });
+  const page = await res.text();
+  assert.equal(res.status, 200);
+  assertInert(page, "/checklist");
+  assert.ok(page.includes("&lt;script&gt;alert(&quot;item&quot;)&lt;/script&gt;"));
+});
+
+test("/catalog escapes the item and location names", async () => {
+  const res = await request("/catalog", { user: "boss" });
+  const page = await res.text();
+  assert.equal(res.status, 200);
+  assertInert(page, "/catalog");
+});
+
+test("hostile search filters are echoed back as text", async () => {
+  const res = await request(`/manager?q=${encodeURIComponent(HOSTILE_ITEM)}&reporter=${encodeURIComponent(HOSTILE_UA)}`, {
+    user: "boss",
+  });
+  const page = await res.text();
+  assert.equal(res.status, 200);
+  assertInert(page, "/manager with hostile filters");
+});
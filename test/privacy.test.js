@@ -0,0 +1,110 @@
+// test/privacy.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { describeDevice, maskIp, createReporterPrivacy } = require("../lib/privacy");
+const { REJECTED_TABLE } = require("../lib/abuse");
+const { STOCK_TABLE } = require("../lib/stock");
+const { createMemoryStore } = require("./helpers/memoryStore");
+const { startApp } = require("./helpers/app");
+
+console.warn = () => {};
+
+const IPHONE =
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1";
+const ANDROID =
+  "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36";
+
+test("devices are summarized as browser and system", () => {
+  assert.equal(describeDevice(IPHONE), "Safari on iOS");
+  assert.equal(describeDevice(ANDROID), "Chrome on Android");
+  assert.equal(describeDevice("curl/8.5.0"), "curl");
+  assert.equal(describeDevice("Safari on iOS"), "Safari on iOS");
+  assert.equal(describeDevice(""), "");
+});
+
+test("IPs are masked to their network", () => {
+  assert.equal(maskIp("203.0.113.77"), "203.0.113.0/24");
+  assert.equal(maskIp("::ffff:203.0.113.77"), "203.0.113.0/24");
+  assert.equal(maskIp("2001:db8:85a3:8d3:1319:8a2e:370:7348"), "2001:db8:85a3::/48");
+  assert.equal(maskIp("2001:db8::1"), "2001:db8::/48");
+  assert.equal(maskIp("ip-3f9a00112233"), "ip-3f9a00112233");
+  assert.equal(maskIp(""), "");
+});
+
+test("each mode stores a different amount of reporter data", () => {
+  const reporter = { ip: "203.0.113.77", userAgent: IPHONE };
+  assert.deepEqual(createReporterPrivacy({ mode: "full" }).apply(reporter), reporter);
+  assert.deepEqual(createReporterPrivacy({ mode: "truncated" }).apply(reporter), {
+    ip: "203.0.113.0/24",
+    userAgent: "Safari on iOS",
+  });
+  assert.deepEqual(createReporterPrivacy({ mode: "none" }).apply(reporter), { ip: "", userAgent: "" });
+
+  // The same key gives the same hash, so repeat reporters still group
+  const hashed = createReporterPrivacy({ mode: "hashed", secret: "k1" }).apply(reporter);
+  assert.match(hashed.ip, /^ip-[a-f0-9]{12}$/);
+  assert.equal(createReporterPrivacy({ mode: "hashed", secret: "k1" }).apply(reporter).ip, hashed.ip);
+  assert.notEqual(createReporterPrivacy({ mode: "hashed", secret: "k2" }).apply(reporter).ip, hashed.ip);
+
+  assert.equal(createReporterPrivacy({ mode: "bogus" }).mode, "full");
+
+  const privacy = createReporterPrivacy({ mode: "full" });
+  assert.deepEqual(privacy.view({ id: "a", ...reporter }), { id: "a", ip: "203.0.113.0/24", userAgent: "Safari on iOS" });
+  assert.deepEqual(privacy.view({ id: "a", ...reporter }, { raw: true }), { id: "a", ...reporter });
+});
+
+test("the purge blanks reporter data past the retention period, at most hourly", async () => {
+  const cutoffs = [];
+  const store = {
+    ...createMemoryStore(),
+    scrubAlerts: async (before) => {
+      cutoffs.push(before);
+      return 1;
+    },
+  };
+  await store.putRecord(REJECTED_TABLE, { id: "r1", ip: "203.0.113.7", userAgent: IPHONE, deviceId: "d1", at: "2026-01-01T00:00:00.000Z" });
+  await store.putRecord(REJECTED_TABLE, { id: "r2", ip: "203.0.113.8", userAgent: IPHONE, at: "2026-03-30T00:00:00.000Z" });
+  await store.putRecord(STOCK_TABLE, {
+    id: "oat_milk|bar",
+    count: 3,
+    by: "203.0.113.7",
+    at: "2026-01-02T00:00:00.000Z",
+    history: [
+      { count: 5, by: "kim", at: "2026-01-01T00:00:00.000Z" },
+      { count: 3, by: "203.0.113.7", at: "2026-01-02T00:00:00.000Z" },
+    ],
+  });
+
+  const privacy = createReporterPrivacy({ mode: "full", retentionDays: 30 });
+  const now = new Date("2026-04-01T00:00:00.000Z");
+  assert.equal(await privacy.purge(store, now), 3);
+  assert.deepEqual(cutoffs, ["2026-03-02T00:00:00.000Z"]);
+
+  const rejected = await store.listRecords(REJECTED_TABLE);
+  assert.deepEqual(rejected.map((r) => [r.ip, r.deviceId || ""]), [["", ""], ["203.0.113.8", ""]]);
+  const [stock] = await store.listRecords(STOCK_TABLE);
+  assert.equal(stock.by, "");
+  assert.deepEqual(stock.history.map((h) => h.by), ["kim", ""]);
+
+  assert.equal(await privacy.purge(store, new Date(now.getTime() + 60 * 1000)), 0);
+  assert.equal(await privacy.purge(store, now, { force: true }), 1);
+  assert.equal(await createReporterPrivacy({ mode: "full" }).purge(store, now, { force: true }), 0);
+});
+
+test("only admins see stored reporter addresses as-is", async () => {
+  const app = await startApp();
+  try {
+    assert.equal((await app.request("/catalog/items", { user: "boss", form: { name: "Oat Milk" } })).status, 303);
+    const headers = { "x-forwarded-for": "203.0.113.77" };
+    const report = await app.request("/api/v1/alerts", { user: "boss", userAgent: IPHONE, headers, form: { item: "oat_milk", qty: "out" } });
+    assert.equal(report.status, 201);
+
+    const admin = await (await app.request("/manager.csv", { user: "boss" })).text();
+    assert.match(admin, /"203\.0\.113\.77"/);
+    const manager = await (await app.request("/manager.csv", { user: "mgr" })).text();
+    assert.match(manager, /"203\.0\.113\.0\/24","Safari on iOS"/);
+    assert.doesNotMatch(manager, /203\.0\.113\.77/);
+  } finally {
+    app.close();
+  }
+});
@@ -0,0 +1,121 @@
+// test/purchaseOrders.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  planReorder,
+  generateOrders,
+  updateOrderLines,
+  setOrderStatus,
+  deleteOrder,
+  listOrders,
+  orderCsv,
+  orderEmail,
+} = require("../lib/purchaseOrders");
+const { getStatusesByKey, itemKey } = require("../lib/checklist");
+const { stockKey } = require("../lib/stock");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+const catalog = {
+  items: [
+    { slug: "oat_milk", name: "Oat Milk", supplier: "acme", parLevel: 12, packSize: 6, orderUnit: "case", unit: "cartons" },
+    { slug: "cups", name: "Cups", supplier: "acme", parLevel: null, leadTimeDays: 5 },
+    { slug: "lids", name: "Lids", supplier: "bean_co" },
+    { slug: "straws", name: "Straws", supplier: "" },
+  ],
+  suppliers: [
+    { slug: "acme", name: "Acme", email: "orders@acme.test", leadTimeDays: 2 },
+    { slug: "bean_co", name: "Bean Co" },
+  ],
+  locations: [],
+};
+
+const entry = (item, location = "Bar") => ({ item, location, qty: "out" });
+const entries = [entry("Oat Milk"), entry("Cups"), entry("Lids"), entry("Straws"), entry("Oat Milk", "Patio")];
+const levels = new Map([[stockKey("oat_milk", "bar"), { count: 1 }]]);
+
+test("drafts group by supplier and location and order back to par", () => {
+  const { drafts, unassigned, skipped } = planReorder({ catalog, entries, levels });
+  assert.deepEqual(
+    drafts.map((d) => [d.supplierSlug, d.locationSlug, d.leadTimeDays, d.lines.map((l) => [l.itemSlug, l.quantity])]),
+    [
+      // 11 cartons short of par is two cases of six
+      ["acme", "bar", 5, [["oat_milk", 2], ["cups", 1]]],
+      ["bean_co", "bar", null, [["lids", 1]]],
+      ["acme", "patio", 2, [["oat_milk", 1]]],
+    ]
+  );
+  assert.deepEqual(unassigned.map((e) => e.item), ["Straws"]);
+  assert.deepEqual(skipped, []);
+
+  const onOrder = [{ status: "sent", locationSlug: "bar", lines: [{ itemSlug: "lids" }] }];
+  const received = [{ status: "received", locationSlug: "bar", lines: [{ itemSlug: "cups" }] }];
+  const again = planReorder({ catalog, entries, levels, orders: [...onOrder, ...received] });
+  assert.deepEqual(again.skipped.map((e) => e.item), ["Lids"]);
+  assert.equal(again.drafts.length, 2);
+});
+
+test("orders are numbered per day and due after the lead time", async () => {
+  const store = createMemoryStore();
+  const now = new Date("2026-03-14T10:00:00Z");
+  const { created } = await generateOrders(store, { catalog, entries, levels, userId: "boss", now });
+  assert.deepEqual(created.map((o) => o.number), ["PO-20260314-1", "PO-20260314-2", "PO-20260314-3"]);
+  assert.deepEqual(created.map((o) => o.expectedBy), ["2026-03-19", "", "2026-03-16"]);
+
+  // Everything is on order now, so nothing new is drafted
+  const second = await generateOrders(store, { catalog, entries, levels, userId: "boss", now });
+  assert.equal(second.created.length, 0);
+  assert.equal(second.skipped.length, 4);
+
+  await deleteOrder(store, created[1].id);
+  const third = await generateOrders(store, { catalog, entries, levels, userId: "boss", now });
+  assert.deepEqual(third.created.map((o) => o.number), ["PO-20260314-3"]);
+});
+
+test("a double-clicked generate drafts each order once", async () => {
+  const store = createMemoryStore();
+  const generate = () => generateOrders(store, { catalog, entries, levels, userId: "boss" });
+  const results = await Promise.all([generate(), generate()]);
+
+  assert.deepEqual(results.map((r) => r.created.length), [3, 0]);
+  const numbers = (await listOrders(store)).map((o) => o.number);
+  assert.equal(new Set(numbers).size, 3);
+});
+
+test("drafts can be edited, then move forward only", async () => {
+  const store = createMemoryStore();
+  const { created } = await generateOrders(store, { catalog, entries: [entry("Oat Milk"), entry("Cups")], levels, userId: "boss" });
+  const order = created[0];
+
+  const edited = await updateOrderLines(store, order.id, { oat_milk: "3", cups: "0" });
+  assert.deepEqual(edited.lines.map((l) => [l.itemSlug, l.quantity]), [["oat_milk", 3]]);
+  await assert.rejects(updateOrderLines(store, order.id, { oat_milk: "-1" }), /must be a number/);
+  await assert.rejects(updateOrderLines(store, order.id, { oat_milk: "0" }), /at least one line/);
+  await assert.rejects(setOrderStatus(store, order.id, "received", { userId: "boss" }), /Can't mark a draft order as Received/);
+
+  const sent = await setOrderStatus(store, order.id, "sent", { userId: "boss", emailedTo: "orders@acme.test" });
+  assert.equal(sent.emailedTo, "orders@acme.test");
+  assert.deepEqual(sent.restocked, []);
+  await assert.rejects(updateOrderLines(store, order.id, { oat_milk: "4" }), /Only draft orders/);
+  await assert.rejects(deleteOrder(store, order.id), /Only draft orders/);
+
+  const received = await setOrderStatus(store, order.id, "received", { userId: "mgr" });
+  assert.deepEqual(received.history.map((h) => h.status), ["draft", "sent", "received"]);
+  assert.deepEqual(received.restocked.map((s) => [s.id, s.status]), [[itemKey("oat_milk", "bar"), "restocked"]]);
+  assert.equal((await getStatusesByKey(store)).get(itemKey("oat_milk", "bar")).by, "mgr");
+  await assert.rejects(setOrderStatus(store, order.id, "received", { userId: "mgr" }), /received order/);
+});
+
+test("order exports list every line", async () => {
+  const store = createMemoryStore();
+  const now = new Date("2026-03-14T10:00:00Z");
+  const [order] = (await generateOrders(store, { catalog, entries: [entry("Oat Milk")], levels, userId: "boss", now })).created;
+
+  const csv = orderCsv(order).split("\r\n");
+  assert.equal(csv.length, 2);
+  assert.equal(csv[1], "\"PO-20260314-1\",\"Acme\",\"Bar\",\"Oat Milk\",\"2\",\"case\",\"6\",\"1 cartons\",\"2026-03-16\"");
+
+  const email = orderEmail(order);
+  assert.match(email.body, /- 2 case \(of 6\) Oat Milk/);
+  assert.match(email.body, /delivery by 2026-03-16/);
+  assert.deepEqual(email.attachments.map((a) => a.filename), ["PO-20260314-1.csv", "PO-20260314-1.pdf"]);
+});
@@ -0,0 +1,65 @@
+// test/roles.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeRole, hasRole, parseRoleMapping, createRoleResolver } = require("../lib/roles");
+const { createMemoryStore } = require("./helpers/memoryStore");
+const { startApp } = require("./helpers/app");
+
+test("roles are normalized and ordered", () => {
+  assert.equal(normalizeRole(" Shift Lead "), "shift_lead");
+  assert.equal(normalizeRole("shift-lead"), "shift_lead");
+  assert.equal(normalizeRole("owner"), null);
+
+  assert.equal(hasRole("admin", "manager"), true);
+  assert.equal(hasRole("manager", "manager"), true);
+  assert.equal(hasRole("shift_lead", "manager"), false);
+  assert.equal(hasRole("owner", "staff"), false);
+  assert.equal(hasRole("admin", "owner"), false);
+});
+
+test("USER_ROLES must be a JSON object", () => {
+  console.error = () => {};
+  assert.deepEqual(parseRoleMapping('{"u1":"admin"}'), { u1: "admin" });
+  assert.deepEqual(parseRoleMapping("not json"), {});
+  assert.deepEqual(parseRoleMapping(""), {});
+});
+
+test("local roles beat USER_ROLES, which beats Clerk metadata", async () => {
+  const clerkClient = {
+    users: { getUser: async (id) => ({ publicMetadata: { role: id === "meta" ? "manager" : undefined } }) },
+  };
+  const resolver = createRoleResolver({
+    store: createMemoryStore(),
+    clerkClient,
+    envMapping: { env: "shift_lead", both: "shift_lead" },
+  });
+
+  assert.equal(await resolver.getRole("meta"), "manager");
+  assert.equal(await resolver.getRole("env"), "shift_lead");
+  assert.equal(await resolver.getRole("nobody"), "staff");
+  assert.equal(await resolver.getRole(""), null);
+
+  assert.equal(await resolver.getRole("both"), "shift_lead");
+  await resolver.setLocalRole("both", "Admin", "boss");
+  assert.equal(await resolver.getRole("both"), "admin");
+  await resolver.removeLocalRole("both");
+  assert.equal(await resolver.getRole("both"), "shift_lead");
+
+  await assert.rejects(resolver.setLocalRole("x", "owner", "boss"), /valid role/);
+});
+
+test("pages need a sign-in and a high enough role", async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const anonymous = await app.request("/manager");
+  assert.ok([302, 303, 307].includes(anonymous.status));
+  assert.match(anonymous.headers.get("location"), /^https:\/\/sign-in\.test\/sign-in/);
+
+  assert.equal((await app.request("/manager", { user: "lead" })).status, 403);
+  assert.equal((await app.request("/manager", { user: "mgr" })).status, 200);
+  assert.equal((await app.request("/checklist", { user: "walk-in" })).status, 403);
+  assert.equal((await app.request("/checklist", { user: "lead" })).status, 200);
+  assert.equal((await app.request("/admin/roles", { user: "mgr" })).status, 403);
+  assert.equal((await app.request("/admin/roles", { user: "boss" })).status, 200);
+});
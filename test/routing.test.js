@@ -0,0 +1,56 @@
+// test/routing.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseList, parseTags, listRules, saveRule, ruleMatches, resolveTargets } = require("../lib/routing");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+test("form lists and tags are parsed", () => {
+  assert.deepEqual(parseList("a, b\nb ,, c"), ["a", "b", "c"]);
+  assert.deepEqual(parseTags("role=bar_lead, url=a=b, broken"), [
+    { key: "role", value: "bar_lead" },
+    { key: "url", value: "a=b" },
+  ]);
+});
+
+test("rules need a recipient and are stored normalized", async () => {
+  const store = createMemoryStore();
+  await assert.rejects(saveRule(store, { name: "Nobody" }, "boss"), /at least one recipient/);
+
+  const rule = await saveRule(
+    store,
+    { name: "Dairy", categories: "Dairy", locations: "Front Counter", severities: "out, bogus", tags: "role=bar" },
+    "boss"
+  );
+  assert.deepEqual(rule.categories, ["dairy"]);
+  assert.deepEqual(rule.locations, ["front_counter"]);
+  assert.deepEqual(rule.severities, ["out"]);
+  assert.equal(rule.enabled, true);
+  assert.equal((await listRules(store)).length, 1);
+});
+
+test("empty rule lists match anything; disabled rules match nothing", () => {
+  const rule = { categories: [], locations: ["bar"], severities: ["out"], enabled: true };
+  assert.equal(ruleMatches(rule, { category: "Dairy", location: "bar", severity: "out" }), true);
+  assert.equal(ruleMatches(rule, { category: "Dairy", location: "patio", severity: "out" }), false);
+  assert.equal(ruleMatches(rule, { category: "Dairy", location: "bar", severity: "low" }), false);
+  assert.equal(ruleMatches({ ...rule, enabled: false }, { location: "bar", severity: "out" }), false);
+});
+
+test("targets merge matching rules and fall back when none match", () => {
+  const rules = [
+    { name: "a", categories: [], locations: [], severities: ["out"], externalUserIds: ["u1"], tags: [{ key: "role", value: "lead" }] },
+    { name: "b", categories: ["dairy"], locations: [], severities: [], externalUserIds: ["u1", "u2"], tags: [{ key: "role", value: "lead" }] },
+  ];
+  const { matchedRules, targets } = resolveTargets(rules, { category: "dairy", location: "bar", severity: "out" });
+  assert.deepEqual(matchedRules.map((r) => r.name), ["a", "b"]);
+  assert.deepEqual(targets, [
+    { type: "users", externalUserIds: ["u1", "u2"] },
+    { type: "tag", key: "role", value: "lead" },
+  ]);
+
+  const low = { category: "cups", location: "bar", severity: "low" };
+  assert.deepEqual(resolveTargets(rules, low).targets, [{ type: "all" }]);
+  assert.deepEqual(resolveTargets(rules, low, { fallback: "location" }).targets, [{ type: "tag", key: "loc_bar", value: "1" }]);
+  assert.deepEqual(resolveTargets(rules, { ...low, location: "" }, { fallback: "location" }).targets, [{ type: "all" }]);
+  assert.deepEqual(resolveTargets(rules, low, { fallback: "none" }).targets, []);
+});
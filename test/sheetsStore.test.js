@@ -0,0 +1,50 @@
+// test/sheetsStore.test.js
+// Alert rows go to Sheets as plain values, never as formulas.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const calls = [];
+require.cache[require.resolve("googleapis")] = {
+  id: "googleapis",
+  loaded: true,
+  exports: {
+    google: {
+      auth: {
+        GoogleAuth: class {
+          async getClient() {
+            return {};
+          }
+        },
+      },
+      sheets: () => ({
+        spreadsheets: {
+          values: {
+            append: async (request) => {
+              calls.push(request);
+              return {};
+            },
+          },
+        },
+      }),
+    },
+  },
+};
+console.log = () => {};
+
+const { createSheetsStore } = require("../lib/storage/sheetsStore");
+
+test("appendAlert writes user text RAW", async () => {
+  const store = createSheetsStore({ sheetId: "sheet", serviceAccountJson: "{}" });
+  await store.appendAlert({
+    id: "a1",
+    timestamp: "2026-10-19T12:00:00.000Z",
+    item: '=HYPERLINK("https://evil.example","Oat Milk")',
+    qty: "Low",
+    location: "+Bar",
+    reporter: "@kim",
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].valueInputOption, "RAW");
+  assert.equal(calls[0].requestBody.values[0][1], '=HYPERLINK("https://evil.example","Oat Milk")');
+});
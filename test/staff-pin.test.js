@@ -0,0 +1,71 @@
+// test/staff-pin.test.js
+// Staff PIN guessing is limited per IP (as the proxy saw it) and per staff
+// member, whatever the client sends.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startApp } = require("./helpers/app");
+
+let app;
+const staffIds = {};
+
+// As if from `clientIp` behind the proxy, with a spoofed header of its own
+const via = (clientIp, spoofed = "10.0.0.1") => ({ "x-forwarded-for": `${spoofed}, ${clientIp}` });
+
+test.before(async () => {
+  app = await startApp({ STAFF_PIN_ATTEMPTS: "3" });
+  for (const name of ["Kim", "Lee"]) {
+    const saved = await app.request("/admin/staff", { user: "boss", form: { name, pin: "4321" } });
+    assert.equal(saved.status, 303);
+  }
+  for (const m of JSON.parse(fs.readFileSync(path.join(app.dataDir, "staff_members.json"), "utf8"))) {
+    staffIds[m.name] = m.id;
+  }
+});
+
+test.after(() => app.close());
+
+test("one IP gets a limited number of tries even with a rotating X-Forwarded-For", async () => {
+  const statuses = [];
+  for (let i = 0; i < 4; i += 1) {
+    const res = await app.request("/who", {
+      headers: via("203.0.113.200", `10.0.0.${i}`),
+      form: { staffId: staffIds.Kim, pin: "4321" },
+    });
+    statuses.push(res.status);
+  }
+  assert.deepEqual(statuses, [303, 303, 303, 429]);
+});
+
+test("wrong PINs from many addresses lock that staff member's PIN", async () => {
+  for (let i = 1; i <= 3; i += 1) {
+    const wrong = await app.request("/who", { headers: via(`203.0.113.${i}`), form: { staffId: staffIds.Lee, pin: "1111" } });
+    assert.equal(wrong.status, 403);
+  }
+
+  const right = await app.request("/who", { headers: via("203.0.113.9"), form: { staffId: staffIds.Lee, pin: "4321" } });
+  assert.equal(right.status, 429);
+  assert.match(await right.text(), /PIN Locked/);
+
+  // Other members are unaffected
+  const other = await app.request("/who", { headers: via("203.0.113.10"), form: { staffId: staffIds.Kim, pin: "4321" } });
+  assert.equal(other.status, 303);
+});
+
+test("only same-site paths are followed after picking", async () => {
+  const cases = {
+    "/checklist?location=bar": "/checklist?location=bar",
+    "//evil.example": "/who",
+    "/\\evil.example": "/who",
+    "/\t/evil.example": "/who",
+    "/\r\n/evil.example": "/who",
+    "/ /evil.example": "/who",
+    "https://evil.example/": "/who",
+  };
+  for (const [next, expected] of Object.entries(cases)) {
+    const res = await app.request("/who/forget", { form: { next } });
+    assert.equal(res.status, 303);
+    assert.equal(res.headers.get("location"), expected, JSON.stringify(next));
+  }
+});
@@ -0,0 +1,68 @@
+// test/stock.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCount, severityFromCount, describeCount, getStockLevels, recordCount, stockKey } = require("../lib/stock");
+const { createMemoryStore } = require("./helpers/memoryStore");
+const { startApp } = require("./helpers/app");
+
+test("counts must be numbers of at least zero", () => {
+  assert.equal(parseCount("3"), 3);
+  assert.equal(parseCount(" 2.5 "), 2.5);
+  assert.equal(parseCount(0), 0);
+  for (const bad of ["", "  ", null, undefined, "-1", "lots", "Infinity"]) assert.equal(parseCount(bad), null);
+
+  assert.equal(describeCount(4, "bottles"), "4 bottles");
+  assert.equal(describeCount(0, ""), "0");
+  assert.equal(describeCount(null, "bottles"), "");
+});
+
+test("severity comes from the reorder level, then par", () => {
+  assert.equal(severityFromCount(0, {}), "out");
+  assert.equal(severityFromCount(3, { reorderLevel: 3, parLevel: 10 }), "low");
+  assert.equal(severityFromCount(4, { reorderLevel: 3, parLevel: 10 }), "ok");
+  assert.equal(severityFromCount(0.5, { reorderLevel: 0 }), "ok");
+  assert.equal(severityFromCount(9, { reorderLevel: null, parLevel: 10 }), "low");
+  assert.equal(severityFromCount(10, { parLevel: 10 }), "ok");
+  assert.equal(severityFromCount(5, { reorderLevel: null, parLevel: null }), null);
+});
+
+test("the latest count is kept per item and location with a short history", async () => {
+  const store = createMemoryStore();
+  for (let count = 0; count < 55; count += 1) {
+    await recordCount(store, { itemSlug: "oat_milk", locationSlug: "bar", count, unit: "cartons", userId: "kim" });
+  }
+  await recordCount(store, { itemSlug: "oat_milk", count: 7, userId: "lee" });
+
+  const levels = await getStockLevels(store);
+  const bar = levels.get(stockKey("oat_milk", "bar"));
+  assert.equal(bar.count, 54);
+  assert.equal(bar.unit, "cartons");
+  assert.equal(bar.history.length, 50);
+  assert.equal(bar.history[0].count, 5);
+  assert.equal(levels.get("oat_milk|").count, 7);
+});
+
+test("counted reports take their severity from the item's levels", async () => {
+  const app = await startApp();
+  try {
+    const form = { name: "Oat Milk", parLevel: "12", reorderLevel: "4" };
+    assert.equal((await app.request("/catalog/items", { user: "boss", form })).status, 303);
+
+    const report = async (count) => {
+      const res = await app.request("/api/v1/alerts", { user: "boss", form: { item: "oat_milk", count } });
+      return { status: res.status, body: await res.json() };
+    };
+    assert.equal((await report("3")).body.alert.qty, "Low");
+    assert.equal((await report("0")).body.alert.qty, "Out");
+    const ok = await report("9");
+    assert.equal(ok.body.alert.qty, "OK");
+    assert.equal(ok.body.alert.count, 9);
+    assert.equal((await report("-2")).status, 400);
+
+    // The count page shows the latest count on hand
+    const page = await (await app.request("/count", { user: "boss" })).text();
+    assert.match(page, /<td>9<br \/>/);
+  } finally {
+    app.close();
+  }
+});
@@ -0,0 +1,170 @@
+// test/webhooks.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const {
+  RETRY_MINUTES,
+  signPayload,
+  saveWebhook,
+  deleteWebhook,
+  listDeliveries,
+  formatPayload,
+  createWebhookDispatcher,
+} = require("../lib/webhooks");
+const { createMemoryStore } = require("./helpers/memoryStore");
+
+console.log = () => {};
+console.warn = () => {};
+
+// A receiver that answers with the next status in `statuses` (then 200)
+async function startReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.length ? statuses.shift() : 200;
+      res.end(res.statusCode < 300 ? "thanks" : "try later");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() };
+}
+
+async function setup(statuses) {
+  const receiver = await startReceiver(statuses);
+  const store = createMemoryStore();
+  const clock = { now: new Date("2026-10-19T12:00:00Z") };
+  const webhook = await saveWebhook(
+    store,
+    { name: "POS", url: receiver.url, format: "json", events: "alert.created", enabled: true },
+    "boss"
+  );
+  const dispatcher = createWebhookDispatcher({ store, clock: () => clock.now });
+  const at = (minutes) => {
+    clock.now = new Date(Date.parse("2026-10-19T12:00:00Z") + minutes * 60 * 1000);
+    return dispatcher.processDue();
+  };
+  return { receiver, store, clock, webhook, dispatcher, at };
+}
+
+// emit() makes its first attempt in the background
+async function firstAttempt(store) {
+  for (let i = 0; i < 200; i += 1) {
+    const [delivery] = await listDeliveries(store);
+    if (delivery?.attempts.length) return delivery;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("The first attempt never finished");
+}
+
+test("Slack messages escape item, location and reporter text", () => {
+  const event = {
+    type: "alert.resolved",
+    data: { item: "<!channel> Oat & Milk", location: "<https://evil.test|Bar>", by: "<@U123>" },
+  };
+  const { text, blocks } = formatPayload("slack", event);
+  assert.equal(
+    text,
+    "*Item restocked*: &lt;!channel&gt; Oat &amp; Milk at &lt;https://evil.test|Bar&gt; was restocked by &lt;@U123&gt;"
+  );
+  assert.equal(blocks[0].text.text, text);
+});
+
+test("payloads are signed over the timestamp and body", () => {
+  const body = JSON.stringify({ type: "test" });
+  const expected = crypto.createHmac("sha256", "whsec_x").update(`1760000000.${body}`).digest("hex");
+  assert.equal(signPayload(body, "whsec_x", 1760000000), `t=1760000000,v1=${expected}`);
+});
+
+test("webhooks need an http(s) URL, a known format and an event", async () => {
+  const store = createMemoryStore();
+  const base = { url: "https://example.test/hook", format: "json", events: "alert.created" };
+  await assert.rejects(saveWebhook(store, { ...base, url: "not a url" }, "boss"), /valid webhook URL/);
+  await assert.rejects(saveWebhook(store, { ...base, url: "ftp://example.test" }, "boss"), /must be http/);
+  await assert.rejects(saveWebhook(store, { ...base, format: "xml" }, "boss"), /Unknown format/);
+  await assert.rejects(saveWebhook(store, { ...base, events: "alert.deleted" }, "boss"), /at least one event/);
+
+  const saved = await saveWebhook(store, base, "boss");
+  assert.equal(saved.name, "example.test");
+  assert.match(saved.secret, /^whsec_/);
+  const renamed = await saveWebhook(store, { ...base, id: saved.id, name: "Renamed" }, "lee");
+  assert.equal(renamed.secret, saved.secret);
+  assert.equal(renamed.createdBy, "boss");
+});
+
+test("failed deliveries are retried with backoff until they succeed", async () => {
+  const { receiver, store, webhook, dispatcher, at } = await setup([500, 503]);
+  try {
+    await dispatcher.emit("alert.created", { item: "Oat Milk", severity: "out" });
+    await dispatcher.emit("alert.resolved", { item: "Oat Milk" });
+
+    let delivery = await firstAttempt(store);
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.nextAttemptAt, "2026-10-19T12:01:00.000Z");
+
+    // Not due yet
+    await at(0.5);
+    assert.equal(receiver.requests.length, 1);
+
+    await at(1);
+    [delivery] = await listDeliveries(store);
+    assert.deepEqual(delivery.attempts.map((a) => a.status), [500, 503]);
+    assert.equal(delivery.nextAttemptAt, "2026-10-19T12:06:00.000Z");
+
+    await at(6);
+    [delivery] = await listDeliveries(store);
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.nextAttemptAt, "");
+    assert.equal(receiver.requests.length, 3);
+
+    // Each attempt is signed with the time it was sent
+    const { headers, body } = receiver.requests[2];
+    assert.equal(headers["x-inventory-event"], "alert.created");
+    assert.equal(headers["x-inventory-delivery"], delivery.id);
+    const t = Math.floor(Date.parse("2026-10-19T12:06:00Z") / 1000);
+    assert.equal(headers["x-inventory-signature"], signPayload(body, webhook.secret, t));
+    assert.equal(JSON.parse(body).data.item, "Oat Milk");
+  } finally {
+    receiver.close();
+  }
+});
+
+test("a delivery fails after the last retry", async () => {
+  const statuses = Array(RETRY_MINUTES.length + 1).fill(500);
+  const { receiver, store, dispatcher, at } = await setup(statuses);
+  try {
+    await dispatcher.emit("alert.created", { item: "Cups" });
+    await firstAttempt(store);
+    for (let day = 1; day <= RETRY_MINUTES.length + 1; day += 1) await at(day * 24 * 60);
+
+    const [delivery] = await listDeliveries(store);
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts.length, RETRY_MINUTES.length + 1);
+    assert.equal(receiver.requests.length, RETRY_MINUTES.length + 1);
+  } finally {
+    receiver.close();
+  }
+});
+
+test("test sends aren't retried and deleted webhooks stop retrying", async () => {
+  const { receiver, store, webhook, dispatcher, at } = await setup([500, 500]);
+  try {
+    await dispatcher.emit("alert.created", { item: "Cups" });
+    await firstAttempt(store);
+
+    const sent = await dispatcher.sendTest(webhook.id, "boss");
+    assert.equal(sent.status, "failed");
+    assert.equal(sent.attempts[0].detail, "try later");
+
+    await deleteWebhook(store, webhook.id);
+    await at(60);
+
+    assert.deepEqual((await listDeliveries(store)).map((d) => d.status), ["failed", "failed"]);
+    assert.equal(receiver.requests.length, 2);
+  } finally {
+    receiver.close();
+  }
+});